@@ -0,0 +1,494 @@
+/**
+ * Agent config schema for Puppet Engine
+ * Describes config/agents/*.json, validates it with path-precise errors and applies the defaults
+ * every optional field falls back to, so AgentManager.loadAgent can map it field by field
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validate, applyDefaults } = require('../utils/schema-validator');
+const { hasProvider, listProviders } = require('../llm/provider-registry');
+const { hasMarketSource, listMarketSources } = require('../market/source-registry');
+const ContentGuard = require('../moderation/content-guard');
+const ApprovalQueue = require('../moderation/approval-queue');
+const MentionTriage = require('../moderation/mention-triage');
+const SpamDetector = require('../moderation/spam-detector');
+const ReplyThrottle = require('../moderation/reply-throttle');
+const MarketPoller = require('../market/market-poller');
+
+// Agent IDs become config file names, so they are kept to safe characters
+const AGENT_ID_PATTERN = '^[a-z0-9][a-z0-9_-]{0,63}$';
+
+const text = (defaultValue, extra = {}) => ({ type: 'string', default: defaultValue, ...extra });
+const textList = (defaultValue = []) => ({ type: 'array', items: { type: 'string' }, default: defaultValue });
+const probability = defaultValue => ({ type: 'number', minimum: 0, maximum: 1, default: defaultValue });
+const flag = defaultValue => ({ type: 'boolean', default: defaultValue });
+
+const LLM_OPTIONS = {
+  model: { type: 'string', minLength: 1 },
+  temperature: { type: 'number', minimum: 0, maximum: 2 },
+  max_tokens: { type: 'integer', minimum: 1 },
+  base_url: { type: 'string', format: 'uri' },
+  api_format: { type: 'string' },
+  api_key_env: { type: 'string', pattern: '^[A-Z_][A-Z0-9_]*$', description: 'Environment variable holding the API key' }
+};
+
+const tokenDefaults = ContentGuard.DEFAULT_POLICY;
+const marketDefaults = MarketPoller.DEFAULT_POLICY;
+const triageDefaults = MentionTriage.DEFAULT_POLICY;
+const spamDefaults = SpamDetector.DEFAULT_POLICY;
+const throttleDefaults = ReplyThrottle.DEFAULT_LIMITS;
+const triageIntents = (valueSchema, description) => ({
+  type: 'object',
+  additionalProperties: false,
+  description,
+  properties: Object.fromEntries(MentionTriage.INTENTS.map(intent => [intent, valueSchema]))
+});
+
+const AGENT_CONFIG_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Puppet Engine agent config',
+  type: 'object',
+  additionalProperties: false,
+  required: ['id'],
+  properties: {
+    $schema: { type: 'string' },
+    id: { type: 'string', pattern: AGENT_ID_PATTERN },
+    name: { type: 'string', minLength: 1, maxLength: 100, description: 'Defaults to the id' },
+    description: text('', { maxLength: 1000 }),
+
+    llm_provider: {
+      description: 'A registered provider name, or an ordered fallback chain of names and option blocks',
+      anyOf: [
+        { type: 'string', minLength: 1 },
+        {
+          type: 'array',
+          minItems: 1,
+          items: {
+            anyOf: [
+              { type: 'string', minLength: 1 },
+              {
+                type: 'object',
+                additionalProperties: false,
+                required: ['provider'],
+                properties: { provider: { type: 'string', minLength: 1 }, ...LLM_OPTIONS }
+              }
+            ]
+          }
+        }
+      ]
+    },
+    llm_options: { type: 'object', additionalProperties: false, properties: LLM_OPTIONS },
+    llm_fallback: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        timeout_ms: { type: 'integer', minimum: 1 },
+        failure_threshold: { type: 'integer', minimum: 1 },
+        cooldown_ms: { type: 'integer', minimum: 0 }
+      }
+    },
+
+    token_policy: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        symbol: { type: ['string', 'null'], pattern: '^\\$?[A-Za-z0-9]{1,10}$', default: tokenDefaults.symbol },
+        contract_address: { type: ['string', 'null'], pattern: '^[1-9A-HJ-NP-Za-km-z]{32,44}$', default: tokenDefaults.contractAddress },
+        ca_intent_patterns: textList(tokenDefaults.caIntentPatterns),
+        ticker_intent_patterns: textList(tokenDefaults.tickerIntentPatterns),
+        on_violation: { type: 'string', enum: ['strip', 'regenerate'], default: tokenDefaults.onViolation },
+        max_regenerations: { type: 'integer', minimum: 0, maximum: 5, default: tokenDefaults.maxRegenerations }
+      }
+    },
+
+    twitter_credentials: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        apiKey: { type: 'string' },
+        apiKeySecret: { type: 'string' },
+        accessToken: { type: 'string' },
+        accessTokenSecret: { type: 'string' },
+        username: { type: 'string' },
+        password: { type: 'string' }
+      }
+    },
+
+    custom_system_prompt: { type: 'string', minLength: 1 },
+    rotating_system_prompts: { type: 'array', items: { type: 'string', minLength: 1 }, default: [] },
+    prompt_variants: {
+      type: 'array',
+      description: 'Named system prompts picked by weight, with engagement tracked per variant; replaces rotating_system_prompts when set',
+      default: [],
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['id', 'prompt'],
+        properties: {
+          id: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,63}$' },
+          prompt: { type: 'string', minLength: 1 },
+          weight: { type: 'number', minimum: 0, default: 1, description: 'Relative share of posts; 0 pauses the variant' },
+          tasks: {
+            type: 'array',
+            items: { type: 'string', enum: ['post', 'reply'] },
+            minItems: 1,
+            uniqueItems: true,
+            default: ['post', 'reply']
+          }
+        }
+      }
+    },
+
+    personality: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        traits: textList(),
+        values: textList(),
+        speaking_style: text(''),
+        interests: textList()
+      }
+    },
+
+    style_guide: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        voice: text(''),
+        tone: text(''),
+        formatting: {
+          type: 'object',
+          additionalProperties: false,
+          default: {},
+          properties: {
+            uses_hashtags: flag(false),
+            hashtag_style: text(''),
+            uses_emojis: flag(false),
+            emoji_frequency: text(''),
+            capitalization: text(''),
+            sentence_length: text('')
+          }
+        },
+        topics_to_avoid: textList()
+      }
+    },
+
+    initial_memory: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        core_memories: textList(),
+        recent_events: textList(),
+        relationships: { type: 'object', additionalProperties: { type: 'object' }, default: {} }
+      }
+    },
+
+    behavior: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        post_frequency: {
+          type: 'object',
+          additionalProperties: false,
+          default: {},
+          properties: {
+            min_hours_between_posts: { type: 'number', minimum: 0.01, default: 3 },
+            max_hours_between_posts: { type: 'number', minimum: 0.01, default: 12 },
+            peak_posting_hours: {
+              type: 'array',
+              items: { type: 'integer', minimum: 0, maximum: 23 },
+              uniqueItems: true,
+              default: []
+            }
+          }
+        },
+        interaction_patterns: {
+          type: 'object',
+          additionalProperties: false,
+          default: {},
+          properties: {
+            reply_probability: probability(0.5),
+            quote_tweet_probability: probability(0.3),
+            like_probability: probability(0.7),
+            max_replies_per_user_per_hour: { type: 'integer', minimum: 1, default: throttleDefaults.maxRepliesPerUserPerHour },
+            max_replies_per_conversation: { type: 'integer', minimum: 1, default: throttleDefaults.maxRepliesPerConversation },
+            max_bot_exchange_depth: { type: 'integer', minimum: 0, default: throttleDefaults.maxBotExchangeDepth, description: 'Replies to an automated account within one conversation' },
+            bot_reply_seconds: { type: 'number', minimum: 0, default: throttleDefaults.botReplySeconds, description: 'Answering the agent twice within this many seconds marks an account as automated' },
+            loop_similarity: probability(throttleDefaults.loopSimilarity)
+          }
+        },
+        content_preferences: {
+          type: 'object',
+          additionalProperties: false,
+          default: {},
+          properties: {
+            max_thread_length: { type: 'integer', minimum: 1, maximum: 25, default: 3 },
+            typical_post_length: { type: 'integer', minimum: 1, maximum: 4000, default: 240 },
+            link_sharing_frequency: probability(0.2)
+          }
+        }
+      }
+    },
+
+    approval: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        require: {
+          type: 'array',
+          items: { type: 'string', enum: ApprovalQueue.REQUIRE_RULES },
+          uniqueItems: true,
+          default: []
+        },
+        min_confidence: { type: 'number', minimum: 0, maximum: 1 },
+        token_symbols: textList() // On top of token_policy.symbol
+      }
+    },
+
+    triage: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        enabled: flag(triageDefaults.enabled),
+        use_llm: flag(triageDefaults.useLlm),
+        llm_min_confidence: probability(triageDefaults.llmMinConfidence),
+        tag_storm_mentions: { type: 'integer', minimum: 2, default: triageDefaults.tagStormMentions },
+        actions: triageIntents(
+          { type: 'string', enum: MentionTriage.ACTIONS },
+          'What to do with each intent; unlisted intents keep their default'
+        ),
+        templates: triageIntents(
+          { type: 'array', items: { type: 'string', minLength: 1, maxLength: 280 } },
+          'Replies picked at random for intents whose action is template'
+        )
+      }
+    },
+
+    spam_filter: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        enabled: flag(spamDefaults.enabled),
+        threshold: probability(spamDefaults.threshold),
+        ignore_days: { type: 'number', minimum: 0, default: spamDefaults.ignoreDays, description: 'How long flagged authors stay ignored; 0 keeps them until removed' },
+        window_minutes: { type: 'number', minimum: 1, default: spamDefaults.windowMinutes, description: 'How far back repeated texts and shared link domains are counted' }
+      }
+    },
+
+    news: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: flag(true),
+        topics: textList(),
+        min_relevance: { type: 'number', minimum: 0, maximum: 1 },
+        max_events_per_poll: { type: 'integer', minimum: 1 }
+      }
+    },
+
+    solana_integration: {
+      type: 'object',
+      additionalProperties: false,
+      default: {},
+      properties: {
+        trading_enabled: flag(false),
+        market_data: {
+          type: 'object',
+          additionalProperties: false,
+          default: {},
+          properties: {
+            enabled: flag(marketDefaults.enabled),
+            source: text(marketDefaults.source, { minLength: 1 }),
+            mint: { type: 'string', pattern: '^[1-9A-HJ-NP-Za-km-z]{32,44}$', description: 'Defaults to token_policy.contract_address' },
+            symbol: { type: 'string', description: 'Defaults to token_policy.symbol' },
+            rpc_url: { type: 'string', format: 'uri' },
+            api_base_url: { type: 'string', format: 'uri' },
+            fixture_path: { type: 'string' },
+            sol_price_usd: { type: 'number', minimum: 0 },
+            count_holders: { type: 'boolean' },
+            pump_threshold: { type: 'number', minimum: 0, default: marketDefaults.pumpThreshold },
+            dump_threshold: { type: 'number', minimum: 0, maximum: 1, default: marketDefaults.dumpThreshold },
+            window_minutes: { type: 'number', minimum: 1, default: marketDefaults.windowMinutes },
+            ath_min_gain: { type: 'number', minimum: 0, default: marketDefaults.athMinGain },
+            large_trade_usd: { type: 'number', minimum: 0, default: marketDefaults.largeTradeUsd },
+            large_trade_sol: { type: 'number', minimum: 0, default: marketDefaults.largeTradeSol },
+            alert_cooldown_minutes: { type: 'number', minimum: 0, default: marketDefaults.alertCooldownMinutes }
+          }
+        }
+      }
+    },
+
+    agent_kit_integration: {
+      type: 'object',
+      properties: {
+        enabled: flag(false)
+      }
+    }
+  }
+};
+
+/**
+ * Find everything wrong with an agent config: schema errors, then checks across fields and against the registries
+ * @param {Object} config - Parsed agent config JSON
+ * @returns {Array<{path: string, message: string}>} - Empty when the config is valid
+ */
+function validateAgentConfig(config) {
+  const errors = validate(AGENT_CONFIG_SCHEMA, config);
+  if (!isObject(config)) {
+    return errors;
+  }
+
+  // The checks below skip anything of the wrong type; the schema errors already cover it
+  const postFrequency = isObject(config.behavior) && isObject(config.behavior.post_frequency) ? config.behavior.post_frequency : {};
+  if (typeof postFrequency.min_hours_between_posts === 'number' && typeof postFrequency.max_hours_between_posts === 'number' &&
+      postFrequency.min_hours_between_posts > postFrequency.max_hours_between_posts) {
+    errors.push({
+      path: 'behavior.post_frequency.min_hours_between_posts',
+      message: `must not be more than max_hours_between_posts (${postFrequency.max_hours_between_posts})`
+    });
+  }
+
+  [].concat(config.llm_provider || []).forEach((entry, index) => {
+    const name = typeof entry === 'string' ? entry : isObject(entry) && entry.provider;
+    if (typeof name === 'string' && name && !hasProvider(name)) {
+      errors.push({
+        path: Array.isArray(config.llm_provider) ? `llm_provider[${index}]` : 'llm_provider',
+        message: `unknown provider '${name}' (registered: ${listProviders().join(', ')})`
+      });
+    }
+  });
+
+  const variantIds = new Set();
+  (Array.isArray(config.prompt_variants) ? config.prompt_variants : []).forEach((variant, index) => {
+    if (isObject(variant) && typeof variant.id === 'string') {
+      if (variantIds.has(variant.id)) {
+        errors.push({ path: `prompt_variants[${index}].id`, message: `duplicates another variant's id '${variant.id}'` });
+      }
+      variantIds.add(variant.id);
+    }
+  });
+
+  const tokenPolicy = isObject(config.token_policy) ? config.token_policy : {};
+  for (const key of ['ca_intent_patterns', 'ticker_intent_patterns']) {
+    (Array.isArray(tokenPolicy[key]) ? tokenPolicy[key] : []).forEach((pattern, index) => {
+      if (typeof pattern !== 'string') {
+        return;
+      }
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        errors.push({ path: `token_policy.${key}[${index}]`, message: `is not a valid regular expression (${error.message})` });
+      }
+    });
+  }
+
+  const marketData = isObject(config.solana_integration) && isObject(config.solana_integration.market_data)
+    ? config.solana_integration.market_data
+    : null;
+  if (marketData && typeof marketData.source === 'string' && marketData.source && !hasMarketSource(marketData.source)) {
+    errors.push({
+      path: 'solana_integration.market_data.source',
+      message: `unknown market source '${marketData.source}' (registered: ${listMarketSources().join(', ')})`
+    });
+  }
+  if (marketData && marketData.enabled && !marketData.mint && !tokenPolicy.contract_address) {
+    errors.push({
+      path: 'solana_integration.market_data.mint',
+      message: 'is required when market data is enabled and token_policy has no contract_address'
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an agent config and return a copy with every default filled in
+ * @param {Object} config - Parsed agent config JSON
+ * @param {string} source - Where the config came from, for the error message
+ * @throws {Error} - Listing every problem, one path per line; the problems are also on error.validationErrors
+ */
+function normalizeAgentConfig(config, source = null) {
+  const errors = validateAgentConfig(config);
+  if (errors.length > 0) {
+    const label = source || (config && config.id) || 'agent config';
+    const error = new Error(`Invalid agent config (${label}):\n${formatErrors(errors)}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  const normalized = applyDefaults(AGENT_CONFIG_SCHEMA, config);
+  normalized.name = normalized.name || normalized.id;
+  return normalized;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * One indented line per problem
+ */
+function formatErrors(errors) {
+  return errors.map(error => `  - ${error.path}: ${error.message}`).join('\n');
+}
+
+/**
+ * Check agent config files, printing the problems in each
+ * @param {Array<string>} files - Config files; defaults to every .json file in config/agents
+ * @returns {boolean} - Whether every file is valid
+ */
+function validateFiles(files = []) {
+  const configDir = path.join(process.cwd(), 'config', 'agents');
+  const targets = files.length > 0
+    ? files
+    : fs.readdirSync(configDir).filter(file => file.endsWith('.json')).map(file => path.join(configDir, file));
+
+  let allValid = true;
+  for (const file of targets) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.log(`FAIL ${file}\n  - ${error.message}`);
+      allValid = false;
+      continue;
+    }
+
+    const errors = validateAgentConfig(config);
+    if (errors.length > 0) {
+      console.log(`FAIL ${file}\n${formatErrors(errors)}`);
+      allValid = false;
+    } else {
+      console.log(`OK   ${file}`);
+    }
+  }
+
+  return allValid;
+}
+
+// Check configs before deploying: node src/agents/agent-config.js [files...] | schema
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args[0] === 'schema') {
+    console.log(JSON.stringify(AGENT_CONFIG_SCHEMA, null, 2));
+  } else {
+    process.exitCode = validateFiles(args) ? 0 : 1;
+  }
+}
+
+module.exports = {
+  AGENT_CONFIG_SCHEMA,
+  AGENT_ID_PATTERN,
+  validateAgentConfig,
+  normalizeAgentConfig,
+  validateFiles
+};
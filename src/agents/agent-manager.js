@@ -7,34 +7,98 @@ const fs = require('fs');
 const path = require('path');
 const { Agent, Personality, StyleGuide } = require('../core/types');
 const MemoryManager = require('../memory/memory-manager');
-const OpenAIProvider = require('../llm/openai-provider');
-const GrokProvider = require('../llm/grok-provider');
+const MemoryConsolidator = require('../memory/memory-consolidator');
+const EngagementCollector = require('../memory/engagement-collector');
+const { createProvider, hasProvider, listProviders } = require('../llm/provider-registry');
+const FallbackProvider = require('../llm/fallback-provider');
+const ContentGuard = require('../moderation/content-guard');
+const MentionTriage = require('../moderation/mention-triage');
+const SpamDetector = require('../moderation/spam-detector');
+const IgnoreList = require('../moderation/ignore-list');
+const ReplyThrottle = require('../moderation/reply-throttle');
+const MarketPoller = require('../market/market-poller');
 const TwitterClient = require('../twitter/twitter-client');
+const Outbox = require('../twitter/outbox');
+const { createStateStore, importLegacyIds, NAMESPACES } = require('../state/state-store-registry');
 const cron = require('node-cron');
 const behaviorRandomizer = require('./behavior-randomizer');
+const { normalizeAgentConfig } = require('./agent-config');
+const ConfigHistory = require('./config-history');
+const PromptExperiments = require('./prompt-experiments');
+
+// Agent fields that come from its config and are swapped in by reloadAgent; the rest is live state
+const PERSONA_FIELDS = [
+  'name', 'description', 'personality', 'styleGuide', 'customSystemPrompt', 'rotatingSystemPrompts', 'promptVariants',
+  'behavior', 'tokenPolicy', 'approvalPolicy', 'marketPolicy', 'newsPolicy', 'triagePolicy', 'spamPolicy'
+];
+
+// How an agent takes token events: memory importance, mood shift and the chance of posting about it
+const TOKEN_EVENT_REACTIONS = {
+  token_pump: { importance: 0.6, valence: 0.2, arousal: 0.3, dominance: 0.1, postProbability: 0.5 },
+  token_dump: { importance: 0.6, valence: -0.3, arousal: 0.3, dominance: -0.1, postProbability: 0.5 },
+  ath: { importance: 0.8, valence: 0.4, arousal: 0.4, dominance: 0.2, postProbability: 0.8 },
+  token_large_trade: { importance: 0.4, valence: 0, arousal: 0.2, dominance: 0, postProbability: 0.3 }
+};
 
 class AgentManager {
   constructor(options = {}) {
     this.agents = {};
     this.memoryManager = options.memoryManager || new MemoryManager();
-    this.defaultLLMProvider = options.llmProvider || new OpenAIProvider();
-    this.llmProviders = options.llmProviders || { 
-      openai: this.defaultLLMProvider,
-      grok: new GrokProvider()
-    };
+    this.defaultLLMProvider = options.llmProvider || createProvider(process.env.LLM_PROVIDER || 'openai');
+    this.llmProviders = options.llmProviders || {}; // Shared provider instances by registry name
+    if (!this.llmProviders[this.defaultLLMProvider.name]) {
+      this.llmProviders[this.defaultLLMProvider.name] = this.defaultLLMProvider;
+    }
     this.agentLLMProviders = {}; // Map of agent ID to their specific LLM provider
+    this.llmCircuitBreakers = {}; // Circuit breakers by provider, endpoint, model and breaker settings, shared by every fallback chain
     this.twitterClient = options.twitterClient || new TwitterClient();
     this.eventEngine = options.eventEngine;
+    this.dryRun = options.dryRun === true; // Generate content but never send it to Twitter
+    this.approvalQueue = options.approvalQueue || null; // Drafts waiting for a human decision
+    this.defaultApprovalPolicy = options.approvalPolicy || null; // For agents without an approval block
+    this.contentGuard = options.contentGuard || new ContentGuard(); // Keeps contract addresses and tickers in check
+    this.mentionTriage = options.mentionTriage || new MentionTriage(); // Decides whether and how to answer a mention
+    this.relevantMemoryLimit = options.relevantMemoryLimit || 5; // Memories pulled into a reply prompt
+    this.memoryConsolidator = options.memoryConsolidator || new MemoryConsolidator({ memoryManager: this.memoryManager });
+    this.consolidationSchedule = null; // Cron job for memory consolidation
+    this.engagementCollector = options.engagementCollector || new EngagementCollector({
+      memoryManager: this.memoryManager,
+      twitterClient: this.twitterClient
+    });
+    this.configHistory = options.configHistory || new ConfigHistory(); // Earlier configs, for rollback
+    this.agentConfigPaths = {}; // Agent ID -> the config file it was loaded from
+    this.configWatcher = null;
+    this.configWatcherTimers = {};
+    this.configWatchDebounceMs = options.configWatchDebounceMs || 500;
+    this.promptExperiments = options.promptExperiments || new PromptExperiments(); // Which prompt variant wrote what, and how it did
+    this.outbox = options.outbox || new Outbox(); // Generated tweets and replies until Twitter confirms them
+    this.outbox.setSender(item => this._sendOutboxItem(item));
+    this.outbox.setStatusListener(item => this._syncDraftWithOutbox(item));
+    this.stateStore = options.stateStore || createStateStore(process.env.STATE_STORE || 'file'); // Processed IDs, cursors and runtime state
+    this.processedIdTtlMs = options.processedIdTtlMs || 30 * 24 * 60 * 60 * 1000;
+    this.replyClaimTtlMs = options.replyClaimTtlMs || 60 * 60 * 1000; // Long enough for the outbox to retry a reply
+    this.legacyStateImport = null;
+    this.spamDetector = options.spamDetector || new SpamDetector(); // Scores mention authors for bot and spam signals
+    this.ignoreList = options.ignoreList || new IgnoreList(this.stateStore); // Users each agent no longer answers
+    this.replyThrottle = options.replyThrottle || new ReplyThrottle(this.stateStore); // Reply limits per user, conversation and bot exchange
     
     this.lastPostTime = {}; // Track when agents last posted
     this.postSchedules = {}; // Cron schedules for agent posts
     this.nextPostTimes = {}; // Track next scheduled post time for each agent
-    this.processedTweetIds = new Set(); // Track IDs of processed tweets
+    this.pendingMentions = {}; // Mentions fetched but not yet handled, by agent
     
     // Twitter API error tracking
     this.apiErrorCounts = {}; // Track consecutive API errors by agent
     this.apiCooldowns = {}; // Track cooldown end times by agent
     
+    // Running totals for the dashboard
+    this.stats = {
+      startTime: Date.now(),
+      tweetsPosted: 0,
+      repliesPosted: 0,
+      errors: 0
+    };
+    
     // Setup event listeners
     if (this.eventEngine) {
       this.setupEventListeners();
@@ -46,6 +110,9 @@ class AgentManager {
    */
   async loadAgents(configDir = 'config/agents') {
     try {
+      // Processed tweet IDs from before the state store, so no agent replies to them again
+      await this._importLegacyState();
+      
       // Get all agent config files
       const files = fs.readdirSync(configDir);
       
@@ -54,126 +121,41 @@ class AgentManager {
         if (file.endsWith('.json')) {
           const configPath = path.join(configDir, file);
           const agentConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-          await this.loadAgent(agentConfig);
+          const agent = await this.loadAgent(agentConfig, configPath);
+          this.agentConfigPaths[agent.id] = configPath;
         }
       }
       
       console.log(`Loaded ${Object.keys(this.agents).length} agents`);
     } catch (error) {
-      console.error('Error loading agents:', error);
+      if (!error.validationErrors) {
+        console.error('Error loading agents:', error);
+      }
       throw error;
     }
   }
   
   /**
    * Load a single agent from configuration
+   * The config is validated against the agent config schema and every optional field gets its default there
+   * @param {Object} config - Parsed agent config JSON (snake_case)
+   * @param {string} source - Where the config came from, for error messages
    */
-  async loadAgent(config) {
+  async loadAgent(config, source = null) {
     try {
-      if (!config.id) {
-        throw new Error('Agent config must have an ID');
-      }
+      const rawConfig = config;
+      config = normalizeAgentConfig(config, source);
       
       // Create new agent
       const agent = new Agent();
       agent.id = config.id;
-      agent.name = config.name || config.id;
-      agent.description = config.description || '';
-      
-      // Set up personality
-      if (config.personality) {
-        agent.personality.traits = config.personality.traits || [];
-        agent.personality.values = config.personality.values || [];
-        agent.personality.speakingStyle = config.personality.speaking_style || '';
-        agent.personality.interests = config.personality.interests || [];
-      }
+      this.agentLLMProviders[agent.id] = this._applyPersona(agent, config);
       
-      // Set up style guide
-      if (config.style_guide) {
-        agent.styleGuide.voice = config.style_guide.voice || '';
-        agent.styleGuide.tone = config.style_guide.tone || '';
-        
-        if (config.style_guide.formatting) {
-          agent.styleGuide.formatting.usesHashtags = config.style_guide.formatting.uses_hashtags || false;
-          agent.styleGuide.formatting.hashtagStyle = config.style_guide.formatting.hashtag_style || '';
-          agent.styleGuide.formatting.usesEmojis = config.style_guide.formatting.uses_emojis || false;
-          agent.styleGuide.formatting.emojiFrequency = config.style_guide.formatting.emoji_frequency || '';
-          agent.styleGuide.formatting.capitalization = config.style_guide.formatting.capitalization || '';
-          agent.styleGuide.formatting.sentenceLength = config.style_guide.formatting.sentence_length || '';
-        }
-        
-        agent.styleGuide.topicsToAvoid = config.style_guide.topics_to_avoid || [];
-      }
-      
-      // Set up custom system prompt if provided
-      if (config.custom_system_prompt) {
-        agent.customSystemPrompt = config.custom_system_prompt;
-        console.log(`Loaded custom system prompt for agent ${agent.id}`);
-      }
-      
-      // Set up rotating system prompts if provided
-      if (config.rotating_system_prompts && Array.isArray(config.rotating_system_prompts) && config.rotating_system_prompts.length > 0) {
-        agent.rotatingSystemPrompts = config.rotating_system_prompts;
-        console.log(`Loaded ${agent.rotatingSystemPrompts.length} rotating system prompts for agent ${agent.id}`);
-      } else {
-        // Initialize with empty array if not provided
-        agent.rotatingSystemPrompts = [];
-      }
-      
-      // Set up behavior
-      if (config.behavior) {
-        if (config.behavior.post_frequency) {
-          agent.behavior.postFrequency.minHoursBetweenPosts = 
-            config.behavior.post_frequency.min_hours_between_posts || 3;
-          agent.behavior.postFrequency.maxHoursBetweenPosts = 
-            config.behavior.post_frequency.max_hours_between_posts || 12;
-          agent.behavior.postFrequency.peakPostingHours = 
-            config.behavior.post_frequency.peak_posting_hours || [];
-        }
-        
-        if (config.behavior.interaction_patterns) {
-          agent.behavior.interactionPatterns.replyProbability = 
-            config.behavior.interaction_patterns.reply_probability || 0.5;
-          agent.behavior.interactionPatterns.quoteTweetProbability = 
-            config.behavior.interaction_patterns.quote_tweet_probability || 0.3;
-          agent.behavior.interactionPatterns.likeProbability = 
-            config.behavior.interaction_patterns.like_probability || 0.7;
-        }
-        
-        if (config.behavior.content_preferences) {
-          agent.behavior.contentPreferences.maxThreadLength = 
-            config.behavior.content_preferences.max_thread_length || 3;
-          agent.behavior.contentPreferences.typicalPostLength = 
-            config.behavior.content_preferences.typical_post_length || 240;
-          agent.behavior.contentPreferences.linkSharingFrequency = 
-            config.behavior.content_preferences.link_sharing_frequency || 0.2;
-        }
-      }
-      
-      // Set agent's LLM provider based on configuration
-      if (config.llm_provider) {
-        const providerName = config.llm_provider.toLowerCase();
-        if (this.llmProviders[providerName]) {
-          this.agentLLMProviders[agent.id] = this.llmProviders[providerName];
-          console.log(`Using ${providerName} provider for agent ${agent.id}`);
-        } else {
-          console.log(`LLM provider ${providerName} not found for agent ${agent.id}, using default provider`);
-          this.agentLLMProviders[agent.id] = this.defaultLLMProvider;
-        }
-      } else {
-        // Default to OpenAI if not specified
-        this.agentLLMProviders[agent.id] = this.defaultLLMProvider;
-      }
-      
-      // Initialize memory
-      if (config.initial_memory) {
-        agent.memory = this.memoryManager.initializeAgentMemory(
-          agent.id, 
-          config.initial_memory
-        );
-      } else {
-        agent.memory = this.memoryManager.getAgentMemory(agent.id);
-      }
+      // Load stored memory, seeding it from the config on first run
+      agent.memory = await this.memoryManager.getAgentMemory(
+        agent.id,
+        config.initial_memory
+      );
       
       // Register agent-specific Twitter client if credentials are provided
       if (config.twitter_credentials) {
@@ -218,17 +200,301 @@ class AgentManager {
       
       // Store the agent
       this.agents[agent.id] = agent;
+      this.configHistory.record(agent.id, rawConfig, { source, reason: 'load' });
+      
+      // Pick up post timing and API cooldowns from before a restart
+      await this._restoreRuntimeState(agent);
       
       // Schedule posts for this agent
       this.scheduleAgentPosts(agent.id);
       
       return agent;
     } catch (error) {
-      console.error(`Error loading agent from config:`, error);
+      // Validation errors already list every problem; a stack trace would only bury them
+      console.error(`Error loading agent from config:`, error.validationErrors ? error.message : error);
       throw error;
     }
   }
   
+  /**
+   * Re-apply an agent's config to the live agent: persona, prompts, behavior, policies and LLM provider
+   * Memory, mood, post schedule and Twitter client are kept. The new fields are built on a staging agent
+   * and swapped in together, so a bad config leaves the agent untouched
+   * @param {string} agentId - The agent to reload
+   * @param {Object} config - Raw config; read from the agent's config file when omitted
+   * @param {Object} options - { source: where the config came from, reason: 'reload' or 'rollback' }
+   * @returns {Object} - The config version now applied, with changed: false if it was already live
+   */
+  reloadAgent(agentId, config = null, options = {}) {
+    const agent = this.getAgent(agentId);
+    const source = options.source || this.agentConfigPaths[agentId] || null;
+    
+    if (!config) {
+      if (!source) {
+        throw new Error(`No config file known for agent ${agentId}`);
+      }
+      config = JSON.parse(fs.readFileSync(source, 'utf8'));
+    }
+    if (config.id !== agentId) {
+      const error = new Error(`Config is for agent ${config.id}, not ${agentId}`);
+      error.validationErrors = [{ path: 'id', message: `must be ${agentId}` }];
+      throw error;
+    }
+    
+    const normalized = normalizeAgentConfig(config, source);
+    const staged = new Agent();
+    staged.id = agentId;
+    const llmProvider = this._applyPersona(staged, normalized);
+    
+    PERSONA_FIELDS.forEach(field => {
+      agent[field] = staged[field];
+    });
+    this.agentLLMProviders[agentId] = llmProvider;
+    
+    const { entry, changed } = this.configHistory.record(agentId, config, { source, reason: options.reason || 'reload' });
+    console.log(changed
+      ? `Reloaded config for agent ${agentId} (version ${entry.version})`
+      : `Config for agent ${agentId} unchanged (version ${entry.version})`);
+    
+    return { ...this._describeVersion(entry), changed };
+  }
+  
+  /**
+   * Go back to an earlier config version and write it to the agent's config file,
+   * so a restart doesn't bring the rolled-back config back
+   * @param {string} agentId - The agent
+   * @param {number} version - Version to restore; defaults to the one before the current
+   */
+  rollbackAgent(agentId, version = null) {
+    this.getAgent(agentId);
+    const versions = this.configHistory.list(agentId);
+    
+    let target;
+    if (version) {
+      target = this.configHistory.get(agentId, version);
+    } else {
+      target = versions[versions.length - 2];
+      if (!target) {
+        throw new Error(`No earlier config version to roll back to for agent ${agentId}`);
+      }
+    }
+    
+    const result = this.reloadAgent(agentId, target.config, { reason: 'rollback' });
+    
+    const configPath = this.agentConfigPaths[agentId];
+    if (configPath) {
+      // The history never holds Twitter credentials, so keep the ones in the current file
+      let restored = target.config;
+      try {
+        const current = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        if (current.twitter_credentials) {
+          restored = { ...target.config, twitter_credentials: current.twitter_credentials };
+        }
+      } catch (error) {
+        console.warn(`Could not read Twitter credentials from ${configPath}, writing the rollback without them:`, error.message);
+      }
+      
+      const tempPath = `${configPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(restored, null, 2));
+      fs.renameSync(tempPath, configPath);
+    }
+    
+    console.log(`Rolled agent ${agentId} back to the config of version ${target.version}`);
+    return { ...result, restoredFrom: target.version };
+  }
+  
+  /**
+   * Kept config versions for an agent, newest first, without the configs themselves
+   */
+  getConfigVersions(agentId) {
+    this.getAgent(agentId);
+    return this.configHistory.list(agentId)
+      .map(entry => this._describeVersion(entry))
+      .reverse();
+  }
+  
+  /**
+   * Reload agents when their config files change, and load new ones
+   * Files that don't parse or validate are logged and the live agent keeps its config
+   * @param {string} configDir - The agent config directory
+   */
+  watchAgentConfigs(configDir = 'config/agents') {
+    this.stopWatchingAgentConfigs();
+    
+    const pending = {};
+    this.configWatcher = fs.watch(configDir, (eventType, filename) => {
+      if (!filename || !filename.endsWith('.json')) {
+        return;
+      }
+      
+      // Editors often write a file in several steps; act once it settles
+      clearTimeout(pending[filename]);
+      pending[filename] = setTimeout(() => {
+        delete pending[filename];
+        this._onConfigFileChanged(path.join(configDir, filename));
+      }, this.configWatchDebounceMs);
+    });
+    this.configWatcherTimers = pending;
+    
+    console.log(`Watching ${configDir} for agent config changes`);
+  }
+  
+  /**
+   * Stop watching the agent config directory
+   */
+  stopWatchingAgentConfigs() {
+    if (this.configWatcher) {
+      this.configWatcher.close();
+      Object.values(this.configWatcherTimers).forEach(timer => clearTimeout(timer));
+      this.configWatcher = null;
+    }
+  }
+  
+  /**
+   * @private
+   */
+  async _onConfigFileChanged(configPath) {
+    try {
+      if (!fs.existsSync(configPath)) {
+        console.log(`Agent config ${configPath} was removed; its agent stays loaded until restart`);
+        return;
+      }
+      
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      if (this.agents[config.id]) {
+        this.agentConfigPaths[config.id] = this.agentConfigPaths[config.id] || configPath;
+        this.reloadAgent(config.id, config, { source: configPath });
+      } else {
+        await this.loadAgent(config, configPath);
+        this.agentConfigPaths[config.id] = configPath;
+        console.log(`Loaded new agent ${config.id} from ${configPath}`);
+      }
+    } catch (error) {
+      console.error(`Ignoring change to ${configPath}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Map a normalized config onto an agent's persona fields
+   * @private
+   * @returns {BaseLLMProvider} - The LLM provider the config asks for
+   */
+  _applyPersona(agent, config) {
+    agent.name = config.name;
+    agent.description = config.description;
+    
+    // Set up personality
+    agent.personality.traits = config.personality.traits;
+    agent.personality.values = config.personality.values;
+    agent.personality.speakingStyle = config.personality.speaking_style;
+    agent.personality.interests = config.personality.interests;
+    
+    // Set up style guide
+    const formatting = config.style_guide.formatting;
+    agent.styleGuide.voice = config.style_guide.voice;
+    agent.styleGuide.tone = config.style_guide.tone;
+    agent.styleGuide.formatting.usesHashtags = formatting.uses_hashtags;
+    agent.styleGuide.formatting.hashtagStyle = formatting.hashtag_style;
+    agent.styleGuide.formatting.usesEmojis = formatting.uses_emojis;
+    agent.styleGuide.formatting.emojiFrequency = formatting.emoji_frequency;
+    agent.styleGuide.formatting.capitalization = formatting.capitalization;
+    agent.styleGuide.formatting.sentenceLength = formatting.sentence_length;
+    agent.styleGuide.topicsToAvoid = config.style_guide.topics_to_avoid;
+    
+    // Set up custom system prompt if provided
+    if (config.custom_system_prompt) {
+      agent.customSystemPrompt = config.custom_system_prompt;
+      console.log(`Loaded custom system prompt for agent ${agent.id}`);
+    }
+    
+    // Set up prompt variants (named prompt_variants, or the rotating system prompts as post-only variants)
+    agent.promptVariants = PromptExperiments.variantsFromConfig(config);
+    agent.rotatingSystemPrompts = agent.promptVariants
+      .filter(variant => variant.tasks.includes('post') && variant.weight > 0)
+      .map(variant => variant.prompt);
+    if (agent.promptVariants.length > 0) {
+      console.log(`Loaded ${agent.promptVariants.length} prompt variants for agent ${agent.id}: ${agent.promptVariants.map(variant => variant.id).join(', ')}`);
+    }
+    
+    // Set up behavior
+    const { post_frequency: postFrequency, interaction_patterns: interactionPatterns, content_preferences: contentPreferences } = config.behavior;
+    agent.behavior.postFrequency.minHoursBetweenPosts = postFrequency.min_hours_between_posts;
+    agent.behavior.postFrequency.maxHoursBetweenPosts = postFrequency.max_hours_between_posts;
+    agent.behavior.postFrequency.peakPostingHours = postFrequency.peak_posting_hours;
+    
+    agent.behavior.interactionPatterns.replyProbability = interactionPatterns.reply_probability;
+    agent.behavior.interactionPatterns.quoteTweetProbability = interactionPatterns.quote_tweet_probability;
+    agent.behavior.interactionPatterns.likeProbability = interactionPatterns.like_probability;
+    agent.behavior.interactionPatterns.maxRepliesPerUserPerHour = interactionPatterns.max_replies_per_user_per_hour;
+    agent.behavior.interactionPatterns.maxRepliesPerConversation = interactionPatterns.max_replies_per_conversation;
+    agent.behavior.interactionPatterns.maxBotExchangeDepth = interactionPatterns.max_bot_exchange_depth;
+    agent.behavior.interactionPatterns.botReplySeconds = interactionPatterns.bot_reply_seconds;
+    agent.behavior.interactionPatterns.loopSimilarity = interactionPatterns.loop_similarity;
+    
+    agent.behavior.contentPreferences.maxThreadLength = contentPreferences.max_thread_length;
+    agent.behavior.contentPreferences.typicalPostLength = contentPreferences.typical_post_length;
+    agent.behavior.contentPreferences.linkSharingFrequency = contentPreferences.link_sharing_frequency;
+    
+    // Set up the contract address / ticker policy enforced after generation
+    agent.tokenPolicy = ContentGuard.policyFromConfig(config.token_policy);
+    
+    // Set up the human approval policy for outgoing tweets
+    if (config.approval) {
+      agent.approvalPolicy = {
+        require: config.approval.require,
+        minConfidence: config.approval.min_confidence,
+        tokenSymbols: config.approval.token_symbols
+      };
+    }
+    
+    // Set up how mentions are triaged before a reply is written
+    agent.triagePolicy = MentionTriage.policyFromConfig(config.triage);
+    
+    // Set up when mention authors are treated as bots or spam and ignored
+    agent.spamPolicy = SpamDetector.policyFromConfig(config.spam_filter);
+    
+    // Set up market data for the agent's token (mint and symbol default to token_policy)
+    agent.marketPolicy = MarketPoller.policyFromConfig(config.solana_integration.market_data, agent.tokenPolicy);
+    
+    // Set up which news feed items this agent hears about
+    if (config.news) {
+      agent.newsPolicy = {
+        enabled: config.news.enabled,
+        topics: config.news.topics,
+        minRelevance: config.news.min_relevance,
+        maxEventsPerPoll: config.news.max_events_per_poll
+      };
+    }
+    
+    // Set agent's LLM provider based on configuration
+    if (Array.isArray(config.llm_provider)) {
+      // Ordered fallback chain, e.g. ["openai", "grok", {"provider": "ollama", "model": "llama3.1"}]
+      const chain = this.createFallbackProvider(config.llm_provider, config.llm_fallback);
+      console.log(`Using ${chain.name} provider chain for agent ${agent.id}`);
+      return chain;
+    }
+    if (config.llm_provider) {
+      const providerName = config.llm_provider.toLowerCase();
+      console.log(`Using ${providerName} provider for agent ${agent.id}`);
+      // The schema check already rejected unregistered names
+      if (this.llmProviders[providerName] && !config.llm_options) {
+        return this.llmProviders[providerName];
+      }
+      return this.createLLMProvider(providerName, config.llm_options);
+    }
+    
+    // Use the default provider if not specified
+    return this.defaultLLMProvider;
+  }
+  
+  /**
+   * @private
+   */
+  _describeVersion(entry) {
+    const { config, ...summary } = entry;
+    return summary;
+  }
+  
   /**
    * Get an agent by ID
    */
@@ -240,6 +506,110 @@ class AgentManager {
     return agent;
   }
   
+  /**
+   * Create an LLM provider from the registry
+   * Agents with llm_options get their own instance, others share one per provider name
+   * @param {string} providerName - Registered provider name
+   * @param {Object} llmOptions - The agent's llm_options config block
+   */
+  createLLMProvider(providerName, llmOptions) {
+    if (!llmOptions) {
+      this.llmProviders[providerName] = this.llmProviders[providerName] || createProvider(providerName);
+      return this.llmProviders[providerName];
+    }
+    
+    return createProvider(providerName, {
+      model: llmOptions.model,
+      temperature: llmOptions.temperature,
+      maxTokens: llmOptions.max_tokens,
+      baseUrl: llmOptions.base_url,
+      apiFormat: llmOptions.api_format,
+      // Keys stay in the environment, configs only name the variable
+      apiKey: llmOptions.api_key_env ? process.env[llmOptions.api_key_env] : undefined
+    });
+  }
+  
+  /**
+   * Create a fallback chain from an llm_provider array
+   * @param {Array<string|Object>} entries - Provider names or llm_options blocks with a provider key
+   * @param {Object} fallbackOptions - The agent's llm_fallback config block
+   */
+  createFallbackProvider(entries, fallbackOptions = {}) {
+    const providers = entries.map(entry => {
+      const providerName = (typeof entry === 'string' ? entry : entry.provider || '').toLowerCase();
+      if (!hasProvider(providerName)) {
+        throw new Error(`Unknown LLM provider '${providerName}' in provider chain (registered: ${listProviders().join(', ')})`);
+      }
+      return this.createLLMProvider(providerName, typeof entry === 'string' ? null : entry);
+    });
+    
+    return new FallbackProvider({
+      providers,
+      breakers: this.llmCircuitBreakers,
+      timeoutMs: fallbackOptions.timeout_ms,
+      failureThreshold: fallbackOptions.failure_threshold,
+      cooldownMs: fallbackOptions.cooldown_ms
+    });
+  }
+  
+  /**
+   * Engagement per prompt variant for an agent, best first
+   * @param {string} agentId - The agent ID
+   * @param {Object} options - { task: 'post' or 'reply', since: ISO date }
+   */
+  getPromptVariantResults(agentId, options = {}) {
+    const agent = this.getAgent(agentId);
+    return this.promptExperiments.getResults(agentId, { ...options, variants: agent.promptVariants });
+  }
+  
+  /**
+   * Look up likes, replies, retweets and quotes for every agent's recent tweets
+   * Post memories get an engagement score and importance from them, and prompt variants get the credit
+   * @returns {Promise<Object>} - { lookedUp, updated, rateLimitedUntil }
+   */
+  async collectEngagement() {
+    try {
+      const { metrics, ...summary } = await this.engagementCollector.collect(Object.keys(this.agents));
+      this.promptExperiments.applyMetrics(metrics);
+      return summary;
+    } catch (error) {
+      console.error('Error collecting tweet engagement:', error);
+      this.stats.errors++;
+      throw error;
+    }
+  }
+  
+  /**
+   * Consolidate an agent's memories: decay them, merge related ones into LLM summaries and evict the weakest
+   * @returns {Promise<Object>} - The audit record of the run
+   */
+  async consolidateAgentMemories(agentId) {
+    const agent = this.getAgent(agentId);
+    return this.memoryConsolidator.consolidate(agent, this.getLLMProviderForAgent(agentId));
+  }
+  
+  /**
+   * Consolidate every agent's memories on a cron schedule
+   * @param {string} cronExpression - When to run, daily at 04:00 by default
+   */
+  scheduleMemoryConsolidation(cronExpression = '0 4 * * *') {
+    if (this.consolidationSchedule) {
+      this.consolidationSchedule.stop();
+    }
+    
+    this.consolidationSchedule = cron.schedule(cronExpression, async () => {
+      for (const agentId of Object.keys(this.agents)) {
+        try {
+          await this.consolidateAgentMemories(agentId);
+        } catch (error) {
+          console.error(`Error in scheduled memory consolidation for agent ${agentId}:`, error);
+        }
+      }
+    });
+    
+    console.log(`Scheduled memory consolidation (${cronExpression})`);
+  }
+  
   /**
    * Get the LLM provider for a specific agent
    */
@@ -268,11 +638,21 @@ class AgentManager {
       
       // If we have a next post time and it's in the past, create a post
       if (this.nextPostTimes[agentId] && now >= this.nextPostTimes[agentId]) {
+        // Past the daily tweet cap, wait for the oldest tweet to leave the 24-hour window
+        const postDelay = this.getPostDelay(agentId);
+        if (postDelay > 0) {
+          this.nextPostTimes[agentId] = now + postDelay;
+          this._saveRuntimeState(agentId);
+          console.log(`Daily tweet cap reached for agent ${agentId}, next post in ~${Math.round(postDelay / (60 * 1000))} minutes`);
+          return;
+        }
+        
         // Reset next post time
         this.nextPostTimes[agentId] = null;
         
-        // Create the post
-        this.createAgentPost(agentId);
+        // Create the post; a failure is already logged and counted in stats.errors, and must not
+        // become an unhandled rejection that ends the process
+        this.createAgentPost(agentId).catch(() => {});
         
         // Schedule the next post with randomized timing
         this.scheduleNextPost(agentId);
@@ -283,156 +663,578 @@ class AgentManager {
       }
     });
     
-    // Schedule the first post with a short delay to start things off
-    setTimeout(() => {
-      this.scheduleNextPost(agentId);
-    }, 10000); // 10 seconds delay
+    // Schedule the first post with a short delay to start things off, unless one was restored
+    setTimeout(() => {
+      if (!this.nextPostTimes[agentId]) {
+        this.scheduleNextPost(agentId);
+      }
+    }, 10000); // 10 seconds delay
+    
+    console.log(`Scheduled posting for agent ${agentId}`);
+  }
+  
+  /**
+   * Schedule the next post for an agent with natural timing variations
+   */
+  scheduleNextPost(agentId) {
+    const agent = this.getAgent(agentId);
+    
+    // Get randomized interval for next post
+    const nextPostInterval = behaviorRandomizer.getNextPostInterval(agent);
+    const nextPostTime = Date.now() + nextPostInterval;
+    
+    // Store the next post time
+    this.nextPostTimes[agentId] = nextPostTime;
+    this._saveRuntimeState(agentId);
+    
+    // Log the schedule
+    const minutesUntilPost = Math.round(nextPostInterval / (60 * 1000));
+    console.log(`Scheduled next post for agent ${agentId} in ~${minutesUntilPost} minutes`);
+  }
+  
+  /**
+   * Milliseconds until an agent may tweet again under the daily write cap, 0 when it may tweet now
+   */
+  getPostDelay(agentId) {
+    if (this.dryRun || !this.twitterClient) {
+      return 0;
+    }
+    return this.twitterClient.getPostDelay(agentId);
+  }
+  
+  /**
+   * Create a new post for an agent
+   */
+  async createAgentPost(agentId, options = {}) {
+    try {
+      const agent = this.getAgent(agentId);
+      
+      // Check if enough time has passed since last post
+      const now = Date.now();
+      const minTimeBetweenPosts = agent.behavior.postFrequency.minHoursBetweenPosts * 60 * 60 * 1000;
+      
+      if (
+        agent.lastPostTime && 
+        now - agent.lastPostTime < minTimeBetweenPosts &&
+        !options.ignoreTimeConstraint
+      ) {
+        console.log(`Too soon for agent ${agentId} to post again`);
+        return null;
+      }
+      
+      // Don't write a tweet the daily write cap would refuse (replies wait in the outbox instead)
+      if (options.task !== 'reply' && this.getPostDelay(agentId) > 0) {
+        console.log(`Daily tweet cap reached for agent ${agentId}, not posting`);
+        return null;
+      }
+      
+      // Triage templates are sent as written; everything else is generated
+      const { content, tweetMetadata, fellBack } = options.content
+        ? { content: options.content, tweetMetadata: { template: true }, fellBack: false }
+        : await this.generatePostContent(agent, options);
+      const task = options.task === 'reply' ? 'reply' : 'post';
+      const replyToTweetId = task === 'reply' && options.replyTo ? options.replyTo.id : undefined;
+      
+      // Hold the draft for a human decision if the agent's approval policy asks for it
+      if (this.approvalQueue) {
+        const confidence = this.approvalQueue.estimateConfidence(content, { fellBack });
+        const reasons = this.approvalQueue.getApprovalReasons(
+          agent.approvalPolicy || this.defaultApprovalPolicy,
+          { content, task, confidence },
+          agent.tokenPolicy
+        );
+        
+        if (reasons.length > 0) {
+          const draft = this.approvalQueue.addDraft({
+            agentId,
+            content,
+            task,
+            replyTo: options.replyTo ? this._serializeReplyTarget(options.replyTo) : null,
+            confidence,
+            reasons,
+            metadata: { ...tweetMetadata, avoidContextQuestions: options.avoidContextQuestions }
+          });
+          
+          agent.lastPostTime = now;
+          this.scheduleNextPost(agentId);
+          
+          // The approval queue keeps the reply from here on
+          if (replyToTweetId) {
+            await this.markTweetProcessed(replyToTweetId);
+          }
+          
+          return { content, agentId, tweetId: null, llmProvider: tweetMetadata.llmProvider, draftId: draft.id, status: 'pending_approval' };
+        }
+      }
+      
+      // Replies are keyed by the mention they answer, so a mention handled twice still gets one reply
+      const { item, duplicate } = this.outbox.enqueue({
+        agentId,
+        task,
+        content,
+        replyToTweetId,
+        replyToAuthorId: task === 'reply' && options.replyTo.authorId ? options.replyTo.authorId : null,
+        replyToConversationId: task === 'reply' && options.replyTo.conversationId ? options.replyTo.conversationId : null,
+        metadata: { ...tweetMetadata, isReply: task === 'reply', replyToTweetId }
+      });
+      
+      if (duplicate) {
+        console.log(`Not sending ${task} for ${agentId}: outbox item ${item.id} for the same tweet is already ${item.status}`);
+        return { content: item.content, agentId, tweetId: item.tweetId, llmProvider: tweetMetadata.llmProvider, outboxId: item.id, status: item.status };
+      }
+      
+      // Track the post for the agent
+      agent.lastPostTime = now;
+      
+      // First attempt right away; if it fails the outbox worker retries it
+      await this.outbox.deliver(item);
+      
+      // Schedule the next post
+      this.scheduleNextPost(agentId);
+      
+      return { content, agentId, tweetId: item.tweetId, llmProvider: tweetMetadata.llmProvider, outboxId: item.id, status: item.status };
+    } catch (error) {
+      console.error(`Error creating post for agent ${agentId}:`, error);
+      this.stats.errors++;
+      throw error;
+    }
+  }
+  
+  /**
+   * Generate the text of a post or reply without sending it
+   * @returns {Promise<{content: string, tweetMetadata: Object, fellBack: boolean}>}
+   */
+  async generatePostContent(agent, options = {}) {
+    const agentId = agent.id;
+    
+    // Get the agent's LLM provider
+    const llmProvider = this.getLLMProviderForAgent(agentId);
+    if (!llmProvider) {
+      throw new Error(`LLM provider '${agent.llm_provider}' not found for agent ${agentId}`);
+    }
+    
+    let tweetMetadata = {}; // Store metadata about the generated tweet
+    const trace = {}; // Filled in by fallback chains with the provider that served the request
+    const isReply = !!(options.task === 'reply' && options.replyTo);
+    
+    // Pick the prompt variant up front so regenerations keep it; replies stay on their conversation's variant
+    // (Coby's posts are written from the custom system prompt alone)
+    const promptVariant = agentId === 'coby-agent' && !isReply ? null : this.promptExperiments.selectVariant(agent, {
+      task: isReply ? 'reply' : 'post',
+      conversationId: isReply ? options.replyTo.conversationId || options.replyTo.id : null
+    });
+    if (promptVariant) {
+      tweetMetadata.promptVariant = promptVariant.id;
+      tweetMetadata.promptVersion = promptVariant.version;
+    }
+    options = { ...options, promptVariant };
+    
+    let content = await this._generateText(agent, llmProvider, options, trace);
+    
+    // The system prompt only asks the model to keep the CA to itself, so check that it did
+    const policy = agent.tokenPolicy || ContentGuard.DEFAULT_POLICY;
+    const triggerText = isReply ? options.replyTo.content : '';
+    
+    for (let attempt = 0; ; attempt++) {
+      const { violations, cleanContent } = this.contentGuard.inspect(content, policy, { triggerText });
+      if (violations.length === 0) {
+        break;
+      }
+      
+      const regenerate = policy.onViolation === 'regenerate' && attempt < policy.maxRegenerations;
+      this.contentGuard.logBlock({
+        agentId,
+        source: isReply ? 'reply' : 'post',
+        action: regenerate ? 'regenerated' : cleanContent ? 'stripped' : 'blocked',
+        violations,
+        originalContent: content,
+        finalContent: regenerate ? null : cleanContent,
+        triggerText,
+        triggerTweetId: isReply ? options.replyTo.id : null
+      });
+      
+      if (regenerate) {
+        content = await this._generateText(agent, llmProvider, options, trace);
+        continue;
+      }
+      
+      if (!cleanContent) {
+        throw new Error(`Content guard blocked ${isReply ? 'reply' : 'post'} for ${agentId}: nothing left after removing ${violations.map(v => v.type).join(', ')}`);
+      }
+      
+      content = cleanContent;
+      tweetMetadata.contentGuard = violations.map(v => v.type);
+      break;
+    }
+    
+    tweetMetadata.llmProvider = trace.provider || llmProvider.name;
+    
+    // A fallback chain served the request with something other than its first choice
+    const fellBack = !!(llmProvider.providers && trace.provider && trace.provider !== llmProvider.providers[0].name);
+    
+    return { content, tweetMetadata, fellBack };
+  }
+  
+  /**
+   * Ask the agent's LLM provider for the raw text of a post or reply
+   * @private
+   */
+  async _generateText(agent, llmProvider, options, trace) {
+    const agentId = agent.id;
+    let content = '';
+    
+    if (options.task === 'reply' && options.replyTo) {
+      // Pull the memories closest to what the mention is about, and what we know about its author
+      const relevantMemories = await this.memoryManager.searchMemories(agentId, options.replyTo.content, {
+        limit: this.relevantMemoryLimit
+      });
+      const userProfile = options.replyTo.authorId
+        ? await this.memoryManager.getUserProfile(agentId, options.replyTo.authorId)
+        : null;
+      
+      // For replies, use the reply-specific method
+      content = await llmProvider.generateContent(agent, {
+        task: 'reply',
+        replyTo: options.replyTo,
+        avoidContextQuestions: options.avoidContextQuestions,
+        relevantMemories,
+        userProfile,
+        promptVariant: options.promptVariant,
+        trace
+      });
+      
+      // Double check to ensure no @mentions are included in replies
+      content = content.replace(/@\w+\s?/g, '');
+    } else {
+      // For new tweets, use direct generateTweet method with minimal overhead
+      // This approach lets the custom system prompt shine through
+      
+      // If we're using Coby agent, use the enhanced direct approach
+      if (agentId === 'coby-agent') {
+        // Use the custom system prompt directly as the user prompt
+        // This bypasses any wrapper logic and sends the prompt straight to the model
+        const userPrompt = agent.customSystemPrompt;
+        
+        content = await llmProvider.generateTweet(agent, userPrompt, { trace });
+      } else {
+        // For other agents, use a simpler approach that still preserves their personality
+        content = await llmProvider.generateTweet(agent, '', { trace, topic: options.topic, promptVariant: options.promptVariant });
+      }
+    }
+    
+    // Post-processing to ensure style compliance
+    // Enforce lowercase for Coby's tweets
+    if (agentId === 'coby-agent') {
+      content = content.toLowerCase();
+    }
+    
+    return content;
+  }
+  
+  /**
+   * Send a post or reply to Twitter, honouring dry run
+   * @param {string} agentId - The agent ID
+   * @param {string} content - Tweet text
+   * @param {Object} options - { task: 'post' | 'reply', replyToTweetId }
+   * @returns {Promise<string|null>} - The new tweet ID, null in dry run
+   */
+  async sendPost(agentId, content, options = {}) {
+    const isReply = options.task === 'reply';
+    
+    // Addresses other than the official CA never go out, whoever wrote the text
+    const agent = this.agents[agentId];
+    const policy = (agent && agent.tokenPolicy) || ContentGuard.DEFAULT_POLICY;
+    const { violations } = this.contentGuard.inspect(content, policy, { hardOnly: true });
+    if (violations.length > 0) {
+      this.contentGuard.logBlock({
+        agentId,
+        source: 'send',
+        action: 'blocked',
+        violations,
+        originalContent: content,
+        finalContent: null,
+        triggerTweetId: options.replyToTweetId || null
+      });
+      const error = new Error(`Content guard blocked ${isReply ? 'reply' : 'tweet'} for ${agentId}: ${violations.map(v => `${v.type} ${v.value}`).join(', ')}`);
+      error.retryable = false; // The same text would be blocked again
+      throw error;
+    }
+    
+    if (this.dryRun) {
+      console.log(`[DRY RUN] Not sending ${isReply ? 'reply' : 'tweet'} for ${agentId}: ${content}`);
+      return null;
+    }
+    
+    if (!this.twitterClient) {
+      return null;
+    }
+    
+    // For replies, use replyToTweetId
+    const tweetOptions = {};
+    if (isReply && options.replyToTweetId) {
+      tweetOptions.replyToTweetId = options.replyToTweetId;
+    }
+    
+    const tweet = await this.twitterClient.postTweet(agentId, content, tweetOptions);
+    
+    if (isReply) {
+      console.log(`Posted reply for ${agentId}: ${content}`);
+      this.stats.repliesPosted++;
+    } else {
+      console.log(`Posted tweet for ${agentId}: ${content}`);
+      this.stats.tweetsPosted++;
+    }
+    
+    return tweet.id;
+  }
+  
+  /**
+   * Send an outbox item and record it once Twitter has confirmed it
+   * A retry first checks whether an earlier attempt went through without us hearing back
+   * @private
+   */
+  async _sendOutboxItem(item) {
+    try {
+      let tweetId = item.attempts > 1 ? await this._findSentTweet(item) : null;
+      if (tweetId) {
+        console.log(`Outbox ${item.task} ${item.id} for ${item.agentId} was already posted as ${tweetId}`);
+      } else {
+        tweetId = await this.sendPost(item.agentId, item.content, { task: item.task, replyToTweetId: item.replyToTweetId });
+      }
+      
+      await this._recordSentPost(item, tweetId);
+      return tweetId;
+    } catch (error) {
+      if (!error.deferred) {
+        console.error(`Error sending ${item.task} for ${item.agentId}:`, error);
+        this.stats.errors++;
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Look for an earlier attempt at an outbox item on the agent's timeline
+   * Replies are matched by the tweet they answer, posts by their text
+   * @private
+   * @returns {Promise<string|null>} - The tweet ID, or null if it isn't there (or the lookup failed)
+   */
+  async _findSentTweet(item) {
+    if (this.dryRun || !this.twitterClient) {
+      return null;
+    }
+    
+    try {
+      const meResult = await this.twitterClient.getClientForAgent(item.agentId).v2.me();
+      const timeline = await this.twitterClient.getUserTimeline(meResult.data.id, { limit: 20 });
+      const normalize = text => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+      
+      const match = timeline.find(tweet => item.replyToTweetId
+        ? tweet.replyToId === item.replyToTweetId
+        : normalize(tweet.content) === normalize(item.content));
+      return match ? match.id : null;
+    } catch (error) {
+      console.error(`Error checking whether outbox item ${item.id} was already posted:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Bookkeeping once a tweet or reply is confirmed: prompt variant attribution, memory, and
+   * marking the answered mention processed
+   * @private
+   */
+  async _recordSentPost(item, tweetId) {
+    // Engagement on the tweet counts towards the prompt variant that wrote it
+    this.promptExperiments.recordTweet(item.agentId, tweetId, {
+      variantId: item.metadata.promptVariant,
+      version: item.metadata.promptVersion,
+      task: item.task
+    });
+    
+    if (this.memoryManager) {
+      // Include metadata about which prompt and provider were used
+      await this.memoryManager.recordPost(item.agentId, item.content, tweetId, item.metadata);
+      
+      if (item.task === 'reply' && item.replyToAuthorId) {
+        await this.memoryManager.recordUserReply(item.agentId, item.replyToAuthorId, item.replyToTweetId, item.content, tweetId);
+      }
+    }
+    
+    if (item.task === 'reply' && item.replyToTweetId) {
+      // Only replies that went out count toward the reply limits, not drafts that may yet be rejected
+      await this.replyThrottle.recordReply(item.agentId, {
+        id: item.replyToTweetId,
+        authorId: item.replyToAuthorId,
+        conversationId: item.replyToConversationId
+      }, item.content);
+      await this.markTweetProcessed(item.replyToTweetId);
+    }
+  }
+  
+  /**
+   * Approve a queued draft and send it through the outbox
+   * Replies are keyed by the mention they answer and posts by the draft, so approving twice never
+   * sends twice; from here on the outbox item's status drives the draft's
+   * @param {string} draftId - The draft ID
+   * @param {Object} changes - Optional edited content
+   * @returns {Promise<Object>} - The draft: posted, approved while the outbox retries it, or failed
+   */
+  async approveDraft(draftId, changes = {}) {
+    const draft = this._getDecidableDraft(draftId);
+    const content = changes.content || draft.content;
+    const replyToTweetId = draft.replyTo ? draft.replyTo.id : undefined;
+    const metadata = {
+      ...draft.metadata,
+      isReply: draft.task === 'reply',
+      replyToTweetId,
+      draftId,
+      edited: content !== draft.originalContent
+    };
+    
+    // Replies go back to the tweet they were drafted for
+    const { item, duplicate } = this.outbox.enqueue({
+      agentId: draft.agentId,
+      task: draft.task,
+      content,
+      replyToTweetId,
+      replyToAuthorId: draft.task === 'reply' && draft.replyTo.authorId ? draft.replyTo.authorId : null,
+      replyToConversationId: draft.task === 'reply' && draft.replyTo.conversationId ? draft.replyTo.conversationId : null,
+      key: draft.task === 'reply' ? undefined : Outbox.keyFor(draft.agentId, 'post', `draft-${draftId}`),
+      draftId,
+      metadata
+    });
+    
+    if (duplicate && item.draftId !== draftId) {
+      throw new Error(`Draft ${draftId} is already answered by outbox item ${item.id} (${item.status})`);
+    }
     
-    console.log(`Scheduled posting for agent ${agentId}`);
+    this.approvalQueue.updateDraft(draftId, { content });
+    
+    if (duplicate && item.status === 'dead') {
+      // Approving a failed draft again sends its current text with a fresh set of attempts
+      Object.assign(item, { content, metadata });
+      this.outbox.retry(item.id);
+    } else {
+      this._syncDraftWithOutbox(item);
+    }
+    
+    // First attempt right away; if it fails the outbox worker retries it
+    if (item.status === 'pending') {
+      await this.outbox.deliver(item);
+    }
+    
+    return this.approvalQueue.getDraft(draftId);
   }
   
   /**
-   * Schedule the next post for an agent with natural timing variations
+   * Keep an approved draft's status in step with its outbox item
+   * @private
    */
-  scheduleNextPost(agentId) {
-    const agent = this.getAgent(agentId);
+  _syncDraftWithOutbox(item) {
+    if (!item.draftId || !this.approvalQueue) {
+      return;
+    }
     
-    // Get randomized interval for next post
-    const nextPostInterval = behaviorRandomizer.getNextPostInterval(agent);
-    const nextPostTime = Date.now() + nextPostInterval;
+    let changes;
+    if (item.status === 'sent') {
+      changes = { status: 'posted', tweetId: item.tweetId, error: null };
+    } else if (item.status === 'dead') {
+      changes = { status: 'failed', error: item.lastError };
+    } else {
+      changes = { status: 'approved', error: item.lastError };
+    }
     
-    // Store the next post time
-    this.nextPostTimes[agentId] = nextPostTime;
+    try {
+      this.approvalQueue.updateDraft(item.draftId, { ...changes, outboxId: item.id });
+    } catch (error) {
+      // The draft may have been pruned from the queue since
+      console.error(`Error updating draft ${item.draftId} from outbox item ${item.id}:`, error.message);
+    }
+  }
+  
+  /**
+   * Reject a queued draft
+   */
+  rejectDraft(draftId, reason = '') {
+    this._getDecidableDraft(draftId);
+    return this.approvalQueue.updateDraft(draftId, { status: 'rejected', rejectionReason: reason });
+  }
+  
+  /**
+   * Replace the text of a queued draft
+   */
+  editDraft(draftId, content) {
+    this._getDecidableDraft(draftId);
+    return this.approvalQueue.updateDraft(draftId, { content });
+  }
+  
+  /**
+   * Generate fresh text for a queued draft, keeping its reply target
+   */
+  async regenerateDraft(draftId) {
+    const draft = this._getDecidableDraft(draftId);
+    const agent = this.getAgent(draft.agentId);
     
-    // Log the schedule
-    const minutesUntilPost = Math.round(nextPostInterval / (60 * 1000));
-    console.log(`Scheduled next post for agent ${agentId} in ~${minutesUntilPost} minutes`);
+    const { content, tweetMetadata, fellBack } = await this.generatePostContent(agent, {
+      task: draft.task,
+      replyTo: draft.replyTo,
+      avoidContextQuestions: draft.metadata.avoidContextQuestions
+    });
+    
+    return this.approvalQueue.updateDraft(draftId, {
+      content,
+      originalContent: content,
+      confidence: this.approvalQueue.estimateConfidence(content, { fellBack }),
+      metadata: { ...draft.metadata, ...tweetMetadata },
+      regenerations: (draft.regenerations || 0) + 1
+    });
   }
   
   /**
-   * Create a new post for an agent
+   * Get a draft that can still be edited or decided (pending, failed to post, or approved
+   * without ever reaching the outbox)
+   * @private
    */
-  async createAgentPost(agentId, options = {}) {
-    try {
-      const agent = this.getAgent(agentId);
-      
-      // Check if enough time has passed since last post
-      const now = Date.now();
-      const minTimeBetweenPosts = agent.behavior.postFrequency.minHoursBetweenPosts * 60 * 60 * 1000;
-      
-      if (
-        agent.lastPostTime && 
-        now - agent.lastPostTime < minTimeBetweenPosts &&
-        !options.ignoreTimeConstraint
-      ) {
-        console.log(`Too soon for agent ${agentId} to post again`);
-        return null;
-      }
-      
-      // Get the agent's LLM provider
-      const llmProvider = this.getLLMProviderForAgent(agentId);
-      if (!llmProvider) {
-        throw new Error(`LLM provider '${agent.llm_provider}' not found for agent ${agentId}`);
-      }
-      
-      let content = '';
-      let usedPromptIndex = -1; // Track which prompt was used (-1 = custom prompt, -2 = default)
-      let tweetMetadata = {}; // Store metadata about the generated tweet
-      
-      // If the agent has rotating prompts, capture which one is used
-      if (agent.rotatingSystemPrompts && agent.rotatingSystemPrompts.length > 0) {
-        // We don't know which one will be selected yet, but we'll track it in metadata
-        tweetMetadata.hasRotatingPrompts = true;
-        tweetMetadata.numRotatingPrompts = agent.rotatingSystemPrompts.length;
-      }
-      
-      if (options.task === 'reply' && options.replyTo) {
-        // For replies, use the reply-specific method
-        content = await llmProvider.generateContent(agent, {
-          task: 'reply',
-          replyTo: options.replyTo,
-          avoidContextQuestions: options.avoidContextQuestions
-        });
-        
-        // Double check to ensure no @mentions are included in replies
-        content = content.replace(/@\w+\s?/g, '');
-      } else {
-        // For new tweets, use direct generateTweet method with minimal overhead
-        // This approach lets the custom system prompt shine through
-        
-        // If we're using Coby agent, use the enhanced direct approach
-        if (agentId === 'coby-agent') {
-          // Use the custom system prompt directly as the user prompt
-          // This bypasses any wrapper logic and sends the prompt straight to the model
-          const userPrompt = agent.customSystemPrompt;
-          
-          content = await llmProvider.generateTweet(agent, userPrompt);
-        } else {
-          // For other agents, use a simpler approach that still preserves their personality
-          content = await llmProvider.generateTweet(agent);
-        }
-      }
-      
-      // Post-processing to ensure style compliance
-      // Enforce lowercase for Coby's tweets
-      if (agentId === 'coby-agent') {
-        content = content.toLowerCase();
-      }
-      
-      // Post to Twitter if client is available
-      let tweetId = null;
-      if (this.twitterClient) {
-        try {
-          // For replies, use replyToTweetId
-          const tweetOptions = {};
-          if (options.task === 'reply' && options.replyTo && options.replyTo.id) {
-            tweetOptions.replyToTweetId = options.replyTo.id;
-          }
-          
-          const tweet = await this.twitterClient.postTweet(agentId, content, tweetOptions);
-          tweetId = tweet.id;
-          
-          if (options.task === 'reply') {
-            console.log(`Posted reply for ${agentId}: ${content}`);
-          } else {
-            console.log(`Posted tweet for ${agentId}: ${content}`);
-          }
-        } catch (tweetError) {
-          console.error(`Error posting tweet for ${agentId}:`, tweetError);
-        }
-      }
-      
-      // Track the post for the agent
-      agent.lastPostTime = now;
-      
-      // Store tweet in memory if memory manager is available
-      if (this.memoryManager) {
-        // Store prompt metadata
-        const tweetData = { 
-          content, 
-          timestamp: now, 
-          id: tweetId,
-          isReply: options.task === 'reply',
-          metadata: tweetMetadata  // Include metadata about which prompt was used
-        };
-        
-        this.memoryManager.addTweetToAgentMemory(agentId, tweetData);
-      }
-      
-      // Schedule the next post
-      this.scheduleNextPost(agentId);
-      
-      return { content, agentId, tweetId };
-    } catch (error) {
-      console.error(`Error creating post for agent ${agentId}:`, error);
-      throw error;
+  _getDecidableDraft(draftId) {
+    if (!this.approvalQueue) {
+      throw new Error('Approval queue is not enabled');
+    }
+    
+    const draft = this.approvalQueue.getDraft(draftId);
+    const stranded = draft.status === 'approved' && !draft.outboxId;
+    if (draft.status !== 'pending' && draft.status !== 'failed' && !stranded) {
+      throw new Error(`Draft ${draftId} is already ${draft.status}`);
     }
+    return draft;
+  }
+  
+  /**
+   * Keep only the parts of a reply target needed to regenerate and post it later
+   * @private
+   */
+  _serializeReplyTarget(replyTo) {
+    return {
+      id: replyTo.id,
+      content: replyTo.content,
+      authorId: replyTo.authorId,
+      authorUsername: replyTo.authorUsername,
+      replyToId: replyTo.replyToId,
+      conversationId: replyTo.conversationId || null,
+      conversationHistory: replyTo.conversationHistory || [],
+      originalTweet: replyTo.originalTweet ? {
+        id: replyTo.originalTweet.id,
+        content: replyTo.originalTweet.content,
+        authorId: replyTo.originalTweet.authorId
+      } : null
+    };
   }
   
   /**
    * Process an agent reaction to a tweet
    */
   async processAgentReaction(agentId, tweet) {
+    let claimKey = null;
     try {
       const agent = this.getAgent(agentId);
       const llmProvider = this.getLLMProviderForAgent(agentId);
@@ -458,14 +1260,19 @@ class AgentManager {
         return null;
       }
       
-      // Skip if we've already processed this tweet
-      if (this.processedTweetIds.has(tweet.id)) {
+      // Skip if we've already processed this tweet, or a reply to it is already in the outbox
+      if (await this.isTweetProcessed(tweet.id) || this.outbox.getByKey(Outbox.keyFor(agentId, 'reply', tweet.id))) {
         console.log(`Skipping tweet ${tweet.id} as it was already processed`);
         return null;
       }
       
-      // Add this tweet to our processed set
-      this.processedTweetIds.add(tweet.id);
+      // Another process sharing the state store, or an overlapping poll, may be handling it right now
+      claimKey = `${agentId}:${tweet.id}`;
+      if (!(await this.stateStore.claim(NAMESPACES.REPLY_CLAIMS, claimKey, process.pid, { ttlMs: this.replyClaimTtlMs }))) {
+        console.log(`Skipping tweet ${tweet.id} as another process is already handling it`);
+        claimKey = null;
+        return null;
+      }
       
       // For mentions and replies, always reply
       // Check for mentions in different ways to be thorough
@@ -481,6 +1288,35 @@ class AgentManager {
       if (isMention) {
         console.log(`Detected mention of ${agentId}, creating reply immediately`);
         
+        // Ignored users and accounts that look like bots or spam get nothing
+        const screened = await this._screenMention(agentId, agent, tweet);
+        if (screened) {
+          return screened;
+        }
+        
+        // Remember who this is so regulars get continuity
+        if (tweet.authorId) {
+          await this.memoryManager.recordUserMention(agentId, tweet);
+        }
+        
+        // Decide whether and how to answer before a reply is written
+        let decision = null;
+        if (agent.triagePolicy && agent.triagePolicy.enabled) {
+          decision = await this.mentionTriage.triage(agent, tweet, { llmProvider });
+        }
+        
+        // Anything that sends a reply is held to the per-user, per-conversation and bot exchange limits
+        if (!decision || decision.action === 'reply' || decision.action === 'template') {
+          const throttled = await this._throttleMention(agentId, agent, tweet, decision);
+          if (throttled) {
+            return throttled;
+          }
+        }
+        
+        if (decision && decision.action !== 'reply') {
+          return await this._applyTriageDecision(agentId, tweet, decision);
+        }
+        
         // For replies, we need to check if this is a reply to another tweet
         // If so, fetch that tweet to include in the context
         let originalTweet = null;
@@ -535,7 +1371,7 @@ class AgentManager {
             console.log("User is asking about context. Providing a response with fresh conversation starter.");
             
             // Create a reply immediately, with special flag to avoid context questions
-            return this.createAgentPost(agentId, {
+            return await this.createAgentPost(agentId, {
               task: 'reply',
               replyTo: tweet,
               avoidContextQuestions: true,  // Special flag to handle this case
@@ -545,13 +1381,16 @@ class AgentManager {
         }
         
         // Create a reply immediately, bypassing the usual reaction generation
-        return this.createAgentPost(agentId, {
+        return await this.createAgentPost(agentId, {
           task: 'reply',
           replyTo: tweet,
           ignoreTimeConstraint: true // Allow replies anytime
         });
       }
       
+      // Mentions count as processed once their reply is sent; other tweets once a reaction is chosen
+      await this.markTweetProcessed(tweet.id);
+      
       // Generate reaction using LLM
       const reaction = await llmProvider.generateReaction(agent, tweet);
       
@@ -571,6 +1410,12 @@ class AgentManager {
         case 'reply':
           // Only reply if probability check passes
           if (Math.random() <= replyProbability) {
+            // Held to the same reply limits as mentions
+            const throttled = await this._throttleMention(agentId, agent, tweet, null);
+            if (throttled) {
+              return throttled;
+            }
+            
             // For regular replies, also fetch the original tweet for context if needed
             if (!tweet.originalTweet && tweet.id) {
               try {
@@ -608,7 +1453,7 @@ class AgentManager {
             }
             
             // Create a reply
-            return this.createAgentPost(agentId, {
+            return await this.createAgentPost(agentId, {
               task: 'reply',
               replyTo: tweet,
               ignoreTimeConstraint: true // Allow replies anytime
@@ -629,7 +1474,11 @@ class AgentManager {
         case 'like':
           // Like the tweet
           if (Math.random() <= likeProbability) {
-            await this.twitterClient.likeTweet(agentId, tweet.id);
+            if (this.dryRun) {
+              console.log(`[DRY RUN] Not liking tweet ${tweet.id} for ${agentId}`);
+            } else {
+              await this.twitterClient.likeTweet(agentId, tweet.id);
+            }
             
             // Record the interaction
             this.updateAgentRelationship(agentId, tweet.authorId, {
@@ -649,10 +1498,128 @@ class AgentManager {
       }
     } catch (error) {
       console.error(`Error processing reaction for agent ${agentId}:`, error);
+      // Nothing was queued, so let a later poll (or another process) try again
+      if (claimKey) {
+        await this.stateStore.delete(NAMESPACES.REPLY_CLAIMS, claimKey).catch(() => {});
+      }
       throw error;
     }
   }
   
+  /**
+   * Skip a mention whose author is ignored, or whose risk score reaches the agent's spam threshold;
+   * a flagged author is added to the ignore list for the policy's ignoreDays
+   * @private
+   * @returns {Promise<Object|null>} - What was done with a skipped mention, or null to carry on
+   */
+  async _screenMention(agentId, agent, tweet) {
+    if (await this.ignoreList.has(agentId, tweet.authorId)) {
+      console.log(`Skipping mention ${tweet.id} from ignored user ${tweet.authorUsername || tweet.authorId}`);
+      await this.markTweetProcessed(tweet.id);
+      return { action: 'ignore', tweetId: tweet.id, reason: 'ignored_user' };
+    }
+    
+    const policy = agent.spamPolicy;
+    if (!policy || !policy.enabled) {
+      return null;
+    }
+    
+    const risk = this.spamDetector.assess(agentId, tweet, policy);
+    if (!risk.flagged) {
+      return null;
+    }
+    
+    const reason = `Risk score ${risk.score}: ${risk.signals.join(', ')}`;
+    if (tweet.authorId) {
+      await this.ignoreList.add(agentId, {
+        userId: tweet.authorId,
+        username: tweet.authorUsername,
+        reason,
+        score: risk.score,
+        signals: risk.signals
+      }, { source: 'auto', ttlMs: policy.ignoreDays > 0 ? policy.ignoreDays * 24 * 60 * 60 * 1000 : null });
+    }
+    
+    this.mentionTriage.logDecision({
+      agentId,
+      tweetId: tweet.id,
+      authorId: tweet.authorId || null,
+      authorUsername: tweet.authorUsername || null,
+      text: (tweet.content || '').substring(0, 280),
+      intent: 'spam',
+      confidence: risk.score,
+      matched: [],
+      source: 'spam_filter',
+      reason,
+      action: 'ignore',
+      template: null,
+      risk
+    });
+    
+    await this.markTweetProcessed(tweet.id);
+    return { action: 'ignore', tweetId: tweet.id, intent: 'spam', risk };
+  }
+  
+  /**
+   * Skip a mention the agent has answered enough: too many replies to the author this hour or in
+   * the conversation, too deep an exchange with an automated account, or a loop of repeated messages.
+   * Throttled mentions are logged with the triage decisions, with source 'throttle' and the reason
+   * @private
+   * @returns {Promise<Object|null>} - What was done with a throttled mention, or null to carry on
+   */
+  async _throttleMention(agentId, agent, tweet, decision) {
+    const verdict = await this.replyThrottle.check(agentId, tweet, agent.behavior.interactionPatterns);
+    if (verdict.allowed) {
+      return null;
+    }
+    
+    this.mentionTriage.logDecision({
+      agentId,
+      tweetId: tweet.id,
+      authorId: tweet.authorId || null,
+      authorUsername: tweet.authorUsername || null,
+      text: (tweet.content || '').substring(0, 280),
+      intent: decision ? decision.intent : 'other',
+      confidence: decision ? decision.confidence : null,
+      matched: decision ? decision.matched : [],
+      source: 'throttle',
+      reason: verdict.reason,
+      action: 'ignore',
+      template: null,
+      throttle: verdict
+    });
+    
+    await this.markTweetProcessed(tweet.id);
+    return { action: 'ignore', tweetId: tweet.id, reason: verdict.reason, throttle: verdict };
+  }
+  
+  /**
+   * Carry out a triage decision other than a generated reply
+   * @private
+   */
+  async _applyTriageDecision(agentId, tweet, decision) {
+    if (decision.action === 'template') {
+      return this.createAgentPost(agentId, {
+        task: 'reply',
+        replyTo: tweet,
+        content: decision.template,
+        ignoreTimeConstraint: true
+      });
+    }
+    
+    if (decision.action === 'like') {
+      if (this.dryRun) {
+        console.log(`[DRY RUN] Not liking tweet ${tweet.id} for ${agentId}`);
+      } else {
+        await this.twitterClient.likeTweet(agentId, tweet.id);
+      }
+    }
+    
+    // Nothing will be sent, so the mention is done with
+    await this.markTweetProcessed(tweet.id);
+    return { action: decision.action, tweetId: tweet.id, intent: decision.intent };
+  }
+  
   /**
    * Process an event for an agent
    */
@@ -672,14 +1639,18 @@ class AgentManager {
       switch (event.type) {
         case 'news':
           // Process news event - might trigger a post
-          const newsUpdate = await this.llmProvider.generateMemoryUpdate(agent, event);
+          const newsUpdate = await this.getLLMProviderForAgent(agentId).generateMemoryUpdate(agent, event);
           
           // Update memory
           this.memoryManager.addMemory(
             agentId,
             newsUpdate.memory || `News: ${event.data.headline}`,
             'event',
-            { importance: newsUpdate.importance }
+            {
+              importance: newsUpdate.importance,
+              // Feed items carry their source so the agent's memory can be traced back to the article
+              metadata: event.data.url ? { url: event.data.url, source: event.data.source, headline: event.data.headline } : undefined
+            }
           );
           
           // Update mood
@@ -697,6 +1668,33 @@ class AgentManager {
           }
           break;
           
+        case 'token_pump':
+        case 'token_dump':
+        case 'ath':
+        case 'token_large_trade': {
+          // React in character to what the agent's token is doing
+          const reaction = TOKEN_EVENT_REACTIONS[event.type];
+          
+          await this.memoryManager.addMemory(
+            agentId,
+            event.data.description,
+            'event',
+            {
+              importance: reaction.importance,
+              metadata: { tokenEvent: event.type, mint: event.data.mint, price: event.data.price, priceCurrency: event.data.priceCurrency }
+            }
+          );
+          
+          agent.updateMood(reaction.valence, reaction.arousal, reaction.dominance);
+          
+          if (Math.random() < reaction.postProbability) {
+            return this.createAgentPost(agentId, {
+              topic: event.data.description
+            });
+          }
+          break;
+        }
+          
         case 'mood_shift':
           // Process mood event
           this.memoryManager.addMemory(
@@ -782,7 +1780,7 @@ class AgentManager {
       const agent = this.getAgent(agentId);
       
       // Generate relationship update
-      const update = await this.llmProvider.generateRelationshipUpdate(
+      const update = await this.getLLMProviderForAgent(agentId).generateRelationshipUpdate(
         agent, 
         targetAgentId, 
         interaction
@@ -855,7 +1853,12 @@ class AgentManager {
           console.log(`Processing real-time mention for agent ${agentId}: "${mention.content.substring(0, 30)}..."`);
           
           // Process the mention right away
-          await this.processAgentReaction(agentId, mention);
+          this._trackPendingMentions(agentId, [mention]);
+          try {
+            await this.processAgentReaction(agentId, mention);
+          } finally {
+            this._untrackPendingMention(agentId, mention.id);
+          }
         };
         
         // Start the stream with retry logic
@@ -948,11 +1951,6 @@ class AgentManager {
   _startPollingMentionsForAgent(agentId, intervalMs = 60000) {
     console.log(`Starting polling for Twitter mentions for agent ${agentId} every ${intervalMs/1000} seconds`);
     
-    // Load processed tweets when starting polling
-    this.loadProcessedTweets();
-    
-    // Track last seen mention ID for this agent
-    let lastMentionId = null;
     // Store username to filter mentions
     let agentUsername = null;
     
@@ -987,39 +1985,37 @@ class AgentManager {
           }
         }
         
-        // Get mentions for this agent
+        // Get mentions newer than the last poll, from this process or an earlier one
+        const sinceId = await this.stateStore.get(NAMESPACES.MENTION_CURSORS, agentId);
         const mentions = await this.twitterClient.getAgentMentions(
           agentId, 
-          { sinceId: lastMentionId }
+          { sinceId }
         );
         
         // Reset error count on successful API call
-        this.apiErrorCounts[agentId] = 0;
+        if (this.apiErrorCounts[agentId] > 0) {
+          this.apiErrorCounts[agentId] = 0;
+          this._saveRuntimeState(agentId);
+        }
         
         if (mentions.length > 0) {
           console.log(`Found ${mentions.length} new mentions for agent ${agentId}`);
           
-          // Update last seen mention ID
-          lastMentionId = mentions[0].id;
-          
-          // Filter out self-mentions and process each real mention
-          const filteredMentions = mentions.filter(mention => {
+          // Filter out self-mentions and process each real mention, oldest first so the
+          // cursor only moves past mentions that have been handled
+          const batch = mentions.slice().reverse();
+          const filteredMentions = [];
+          for (const mention of batch) {
             // Check if this is a self-mention by comparing author username
             const isSelfMention = mention.authorUsername && 
                                   agentUsername && 
                                   mention.authorUsername.toLowerCase() === agentUsername;
             
-            if (isSelfMention) {
-              return false;
-            }
-            
             // Also filter out tweets we've already processed
-            if (this.processedTweetIds.has(mention.id)) {
-              return false;
+            if (!isSelfMention && !(await this.isTweetProcessed(mention.id))) {
+              filteredMentions.push(mention);
             }
-            
-            return true;
-          });
+          }
           
           // Log a summary instead of individual skipped mentions
           const skippedCount = mentions.length - filteredMentions.length;
@@ -1028,8 +2024,23 @@ class AgentManager {
           }
           
           console.log(`Processing ${filteredMentions.length} mentions after filtering out self-mentions and already processed tweets`);
+          this._trackPendingMentions(agentId, filteredMentions);
           
-          for (const mention of filteredMentions) {
+          // The cursor stops at the first mention that failed, so the next poll fetches it again
+          let cursorBlocked = false;
+          let rateLimitError = null;
+          for (const mention of batch) {
+            if (rateLimitError) {
+              this._untrackPendingMention(agentId, mention.id);
+              continue;
+            }
+            if (!filteredMentions.includes(mention)) {
+              if (!cursorBlocked) {
+                await this.stateStore.set(NAMESPACES.MENTION_CURSORS, agentId, mention.id);
+              }
+              continue;
+            }
+            
             // Add more details to the mention
             mention.isDirectMention = true;
             
@@ -1069,14 +2080,32 @@ class AgentManager {
               }
             }
             
-            await this.processAgentReaction(agentId, mention);
+            try {
+              await this.processAgentReaction(agentId, mention);
+              if (!cursorBlocked) {
+                await this.stateStore.set(NAMESPACES.MENTION_CURSORS, agentId, mention.id);
+              }
+            } catch (error) {
+              cursorBlocked = true;
+              if (error.code === 429) {
+                // The rest of the batch would hit the same limit
+                rateLimitError = error;
+              } else {
+                console.error(`Mention ${mention.id} for agent ${agentId} will be retried on the next poll`);
+              }
+            } finally {
+              this._untrackPendingMention(agentId, mention.id);
+            }
           }
           
-          // Save processed tweets after handling mentions
-          this.saveProcessedTweets();
+          if (rateLimitError) {
+            throw rateLimitError;
+          }
         }
       } catch (error) {
-        console.error(`Error checking mentions for agent ${agentId}:`, error);
+        if (!error.deferred) {
+          console.error(`Error checking mentions for agent ${agentId}:`, error);
+        }
         this._handleApiError(agentId, error);
       }
     }, intervalMs);
@@ -1087,38 +2116,58 @@ class AgentManager {
   }
   
   /**
-   * Handle API errors with progressive backoff
+   * Mentions waiting to be handled, oldest first, for every agent
+   */
+  getMentionQueue() {
+    return Object.entries(this.pendingMentions)
+      .flatMap(([agentId, mentions]) => mentions.map(mention => ({ agentId, ...mention })));
+  }
+  
+  /**
+   * Add mentions to an agent's pending list
+   * @private
+   */
+  _trackPendingMentions(agentId, mentions) {
+    const pending = this.pendingMentions[agentId] || [];
+    this.pendingMentions[agentId] = pending.concat(mentions.map(mention => ({
+      id: mention.id,
+      authorUsername: mention.authorUsername || null,
+      content: mention.content,
+      receivedAt: new Date().toISOString()
+    })));
+  }
+  
+  /**
+   * Drop a handled mention from an agent's pending list
+   * @private
+   */
+  _untrackPendingMention(agentId, mentionId) {
+    this.pendingMentions[agentId] = (this.pendingMentions[agentId] || [])
+      .filter(mention => mention.id !== mentionId);
+  }
+  
+  /**
+   * Pause an agent's mention polling after an API error
+   * Rate limits pause until the window the headers reported resets; other errors back off
+   * exponentially from 1 minute up to an hour
    * @private
    */
   _handleApiError(agentId, error) {
-    // Increment error count
     this.apiErrorCounts[agentId] = (this.apiErrorCounts[agentId] || 0) + 1;
+    const now = Date.now();
     
-    // Calculate backoff time based on number of consecutive errors
-    // Start with 1 minute, then 5, 15, 30, and max at 60 minutes
-    let backoffMinutes = 1;
-    
-    if (this.apiErrorCounts[agentId] >= 5) {
-      backoffMinutes = 60; // Maximum backoff of 1 hour
-    } else if (this.apiErrorCounts[agentId] >= 4) {
-      backoffMinutes = 30;
-    } else if (this.apiErrorCounts[agentId] >= 3) {
-      backoffMinutes = 15;
-    } else if (this.apiErrorCounts[agentId] >= 2) {
-      backoffMinutes = 5;
-    }
-    
-    // Apply longer backoff for rate limit errors
     if (error.code === 429 || (error.errors && error.errors.some(e => e.code === 88))) {
-      backoffMinutes = Math.max(backoffMinutes, 15);
-      console.log(`Rate limit exceeded for Twitter API. Applying extended cooldown.`);
+      // retryAt is set by the rate limit manager; the reset header is the fallback
+      const retryAt = error.retryAt || (error.rateLimit && error.rateLimit.reset * 1000) || now + 15 * 60 * 1000;
+      this.apiCooldowns[agentId] = Math.max(retryAt, now + 1000);
+      console.log(`Twitter API rate limit for agent ${agentId}, pausing until the window resets`);
+    } else {
+      const backoffMinutes = Math.min(60, Math.pow(2, this.apiErrorCounts[agentId] - 1));
+      this.apiCooldowns[agentId] = now + backoffMinutes * 60 * 1000;
+      console.log(`Twitter API error for agent ${agentId}. Setting cooldown for ${backoffMinutes} minutes.`);
     }
+    this._saveRuntimeState(agentId);
     
-    // Set cooldown end time
-    const cooldownMs = backoffMinutes * 60 * 1000;
-    this.apiCooldowns[agentId] = Date.now() + cooldownMs;
-    
-    console.log(`Twitter API error for agent ${agentId}. Setting cooldown for ${backoffMinutes} minutes.`);
     console.log(`API calls will resume after ${new Date(this.apiCooldowns[agentId]).toLocaleTimeString()}`);
   }
   
@@ -1157,54 +2206,75 @@ class AgentManager {
     }
   }
 
-  // Add a method to persist the processed tweets
-  saveProcessedTweets() {
-    try {
-      // Convert Set to Array for storage
-      const processedTweets = Array.from(this.processedTweetIds);
-      // Only keep the most recent 1000 tweets to avoid excessive memory usage
-      const recentTweets = processedTweets.slice(-1000);
-      
-      // Save to file
-      fs.writeFileSync(
-        path.join(process.cwd(), 'data', 'processed_tweets.json'), 
-        JSON.stringify(recentTweets),
-        'utf8'
-      );
-      console.log(`Saved ${recentTweets.length} processed tweet IDs`);
-    } catch (error) {
-      console.error('Error saving processed tweets:', error);
+  /**
+   * Whether a tweet has been handled (replied to, drafted for approval, or reacted to)
+   */
+  async isTweetProcessed(tweetId) {
+    return this.stateStore.has(NAMESPACES.PROCESSED_TWEETS, String(tweetId));
+  }
+  
+  /**
+   * Remember a tweet as handled; the ID is dropped after processedIdTtlMs, long after Twitter
+   * would return the tweet as a new mention
+   */
+  async markTweetProcessed(tweetId) {
+    await this.stateStore.set(NAMESPACES.PROCESSED_TWEETS, String(tweetId), true, { ttlMs: this.processedIdTtlMs });
+  }
+  
+  /**
+   * Import data/processed_tweets.json and the old mention handler's data/processed_mentions.json
+   * into the state store, once
+   * @private
+   */
+  _importLegacyState() {
+    if (!this.legacyStateImport) {
+      const options = { ttlMs: this.processedIdTtlMs };
+      this.legacyStateImport = Promise.all(['processed_tweets.json', 'processed_mentions.json'].map(file =>
+        importLegacyIds(this.stateStore, NAMESPACES.PROCESSED_TWEETS, path.join(process.cwd(), 'data', file), options)
+      )).catch(error => {
+        console.error('Error importing processed tweet IDs into the state store:', error);
+      });
     }
+    return this.legacyStateImport;
+  }
+  
+  /**
+   * Persist an agent's post timing and API cooldown so a restart carries on from them
+   * @private
+   */
+  _saveRuntimeState(agentId) {
+    const agent = this.agents[agentId];
+    this.stateStore.set(NAMESPACES.AGENT_RUNTIME, agentId, {
+      lastPostTime: agent && agent.lastPostTime ? agent.lastPostTime : null,
+      nextPostTime: this.nextPostTimes[agentId] || null,
+      cooldownUntil: this.apiCooldowns[agentId] || null,
+      errorCount: this.apiErrorCounts[agentId] || 0
+    }).catch(error => {
+      console.error(`Error saving runtime state for agent ${agentId}:`, error);
+    });
   }
   
-  // Add a method to load the processed tweets
-  loadProcessedTweets() {
+  /**
+   * @private
+   */
+  async _restoreRuntimeState(agent) {
     try {
-      const filePath = path.join(process.cwd(), 'data', 'processed_tweets.json');
-      
-      // Create directory if it doesn't exist
-      const dir = path.dirname(filePath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+      const state = await this.stateStore.get(NAMESPACES.AGENT_RUNTIME, agent.id);
+      if (!state) {
+        return;
       }
       
-      // Check if file exists
-      if (fs.existsSync(filePath)) {
-        const data = fs.readFileSync(filePath, 'utf8');
-        const processedTweets = JSON.parse(data);
-        
-        // Add to the Set
-        processedTweets.forEach(id => this.processedTweetIds.add(id));
-        console.log(`Loaded ${processedTweets.length} previously processed tweet IDs`);
-      } else {
-        console.log('No previous processed tweets found');
-        // Create an empty file
-        fs.writeFileSync(filePath, '[]', 'utf8');
+      agent.lastPostTime = state.lastPostTime;
+      if (state.nextPostTime) {
+        this.nextPostTimes[agent.id] = state.nextPostTime;
+      }
+      if (state.cooldownUntil && state.cooldownUntil > Date.now()) {
+        this.apiCooldowns[agent.id] = state.cooldownUntil;
+        this.apiErrorCounts[agent.id] = state.errorCount;
       }
+      console.log(`Restored runtime state for agent ${agent.id}`);
     } catch (error) {
-      console.error('Error loading processed tweets:', error);
-      // Initialize with empty set in case of error
-      this.processedTweetIds = new Set();
+      console.error(`Error restoring runtime state for agent ${agent.id}:`, error);
     }
   }
 }
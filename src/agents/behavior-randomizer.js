@@ -53,8 +53,8 @@ function getNextPostInterval(agent) {
 function randomizeInteractionPatterns(interactionPatterns) {
   const randomized = { ...interactionPatterns };
   
-  // Add/subtract up to 0.1 from each probability
-  Object.keys(randomized).forEach(key => {
+  // Add/subtract up to 0.1 from each probability (reply limits stay as configured)
+  Object.keys(randomized).filter(key => key.endsWith('Probability')).forEach(key => {
     const variation = (Math.random() * 0.2) - 0.1;
     randomized[key] = Math.max(0, Math.min(1, randomized[key] + variation));
   });
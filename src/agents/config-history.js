@@ -0,0 +1,151 @@
+/**
+ * Agent config history for Puppet Engine
+ * Keeps the last few configs applied to each agent so a persona change can be rolled back,
+ * including after a restart. Twitter credentials are never kept, in memory or on disk
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Config keys holding secrets, left out of every recorded version
+const SECRET_KEYS = ['twitter_credentials'];
+
+class ConfigHistory {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(process.cwd(), 'data', 'config_history');
+    this.maxVersions = options.maxVersions || 10;
+    this.versions = {}; // agentId -> versions, oldest first
+  }
+
+  /**
+   * Record a config as applied to an agent
+   * Applying the same config again doesn't add a version
+   * @param {string} agentId - The agent
+   * @param {Object} config - The raw config as written in the file, before defaults; secrets are dropped
+   * @param {Object} options - { source: file path or 'api', reason: 'load', 'reload' or 'rollback' }
+   * @returns {{entry: Object, changed: boolean}} - The current version, and whether it is new
+   */
+  record(agentId, config, options = {}) {
+    config = ConfigHistory.withoutSecrets(config);
+    const versions = this.list(agentId);
+    const hash = this.hash(config);
+    const latest = versions[versions.length - 1];
+
+    if (latest && latest.hash === hash) {
+      return { entry: latest, changed: false };
+    }
+
+    const entry = {
+      version: latest ? latest.version + 1 : 1,
+      hash,
+      source: options.source || null,
+      reason: options.reason || 'load',
+      appliedAt: new Date().toISOString(),
+      config
+    };
+
+    versions.push(entry);
+    this.versions[agentId] = versions.slice(-this.maxVersions);
+    this._save(agentId);
+
+    return { entry, changed: true };
+  }
+
+  /**
+   * Every kept version for an agent, oldest first
+   */
+  list(agentId) {
+    if (!this.versions[agentId]) {
+      this.versions[agentId] = this._load(agentId);
+    }
+    return this.versions[agentId];
+  }
+
+  /**
+   * A kept version by number
+   */
+  get(agentId, version) {
+    const entry = this.list(agentId).find(candidate => candidate.version === version);
+    if (!entry) {
+      throw new Error(`Config version ${version} not found for agent ${agentId}`);
+    }
+    return entry;
+  }
+
+  /**
+   * The version currently applied
+   */
+  latest(agentId) {
+    const versions = this.list(agentId);
+    return versions[versions.length - 1] || null;
+  }
+
+  /**
+   * Copy of a config without its secret keys
+   */
+  static withoutSecrets(config) {
+    const copy = { ...config };
+    SECRET_KEYS.forEach(key => {
+      delete copy[key];
+    });
+    return copy;
+  }
+
+  /**
+   * Fingerprint of a config, so saving a file without changes isn't a new version
+   */
+  hash(config) {
+    return crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * @private
+   */
+  _filePath(agentId) {
+    return path.join(this.directory, `${agentId}.json`);
+  }
+
+  /**
+   * @private
+   */
+  _load(agentId) {
+    try {
+      const filePath = this._filePath(agentId);
+      if (fs.existsSync(filePath)) {
+        const versions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        // Histories written before secrets were dropped are cleaned up on first read
+        if (versions.some(entry => SECRET_KEYS.some(key => key in entry.config))) {
+          this.versions[agentId] = versions.map(entry => ({ ...entry, config: ConfigHistory.withoutSecrets(entry.config) }));
+          this._save(agentId);
+          return this.versions[agentId];
+        }
+        return versions;
+      }
+    } catch (error) {
+      console.error(`Error loading config history for ${agentId}:`, error);
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   */
+  _save(agentId) {
+    try {
+      if (!fs.existsSync(this.directory)) {
+        fs.mkdirSync(this.directory, { recursive: true });
+      }
+
+      const filePath = this._filePath(agentId);
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.versions[agentId], null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`Error saving config history for ${agentId}:`, error);
+    }
+  }
+}
+
+module.exports = ConfigHistory;
@@ -0,0 +1,258 @@
+/**
+ * Prompt experiments for Puppet Engine
+ * Picks which system prompt variant an agent writes with, keeps each conversation on the variant it
+ * started with, and attributes engagement on posted tweets back to the variant that wrote them
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class PromptExperiments {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'prompt_experiments.json');
+    this.maxAssignments = options.maxAssignments || 5000; // Sticky conversation assignments kept, oldest dropped first
+    this.maxTweets = options.maxTweets || 2000; // Attributed tweets kept, oldest dropped first
+    this.random = options.random || Math.random;
+
+    this.assignments = {}; // `${agentId}:${conversationId}` -> { variantId, assignedAt }
+    this.tweets = []; // { tweetId, agentId, variantId, version, task, postedAt, metrics, metricsUpdatedAt }, oldest first
+
+    this.load();
+  }
+
+  /**
+   * Build an agent's prompt variants from its normalized config
+   * prompt_variants wins; otherwise each rotating_system_prompts entry becomes an evenly weighted variant
+   * for posts only, which is all rotating prompts have ever been used for
+   * @param {Object} config - Normalized agent config
+   * @returns {Array<{id: string, version: string, prompt: string, weight: number, tasks: Array<string>}>}
+   */
+  static variantsFromConfig(config) {
+    const variants = config.prompt_variants.length > 0
+      ? config.prompt_variants
+      : config.rotating_system_prompts.map((prompt, index) => ({ id: `rotating-${index + 1}`, prompt, tasks: ['post'] }));
+
+    return variants.map(variant => ({
+      id: variant.id,
+      version: PromptExperiments.versionOf(variant.prompt),
+      prompt: variant.prompt,
+      weight: variant.weight !== undefined ? variant.weight : 1,
+      tasks: variant.tasks || ['post', 'reply']
+    }));
+  }
+
+  /**
+   * Version of a prompt: a fingerprint of its text, so editing a variant starts a fresh set of results
+   */
+  static versionOf(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8);
+  }
+
+  /**
+   * Pick the variant an agent writes with
+   * Replies in a conversation that already has a variant keep it while that variant still exists
+   * @param {Object} agent - The agent, with promptVariants
+   * @param {Object} options - { task: 'post' or 'reply', conversationId }
+   * @returns {Object|null} - The variant, or null when the agent has none for this task
+   */
+  selectVariant(agent, options = {}) {
+    const task = options.task === 'reply' ? 'reply' : 'post';
+    const candidates = (agent.promptVariants || []).filter(variant => variant.tasks.includes(task) && variant.weight > 0);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const key = options.conversationId ? `${agent.id}:${options.conversationId}` : null;
+    if (key && this.assignments[key]) {
+      const assigned = candidates.find(variant => variant.id === this.assignments[key].variantId);
+      if (assigned) {
+        return assigned;
+      }
+    }
+
+    const variant = this._pickWeighted(candidates);
+    if (key) {
+      delete this.assignments[key]; // Re-insert so the newest assignments are kept when pruning
+      this.assignments[key] = { variantId: variant.id, assignedAt: new Date().toISOString() };
+      this.save();
+    }
+    return variant;
+  }
+
+  /**
+   * Remember which variant wrote a posted tweet so its engagement can be attributed
+   * @param {string} agentId - The agent that posted
+   * @param {string} tweetId - The posted tweet
+   * @param {Object} details - { variantId, version, task }
+   */
+  recordTweet(agentId, tweetId, details = {}) {
+    if (!tweetId || !details.variantId) {
+      return null;
+    }
+
+    const entry = {
+      tweetId,
+      agentId,
+      variantId: details.variantId,
+      version: details.version || null,
+      task: details.task === 'reply' ? 'reply' : 'post',
+      postedAt: new Date().toISOString(),
+      metrics: null,
+      metricsUpdatedAt: null
+    };
+
+    this.tweets.push(entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Attach the latest likes, replies, retweets and quotes to attributed tweets
+   * @param {Object} metrics - Tweet ID -> { likes, replies, retweets, quotes, impressions }, from the engagement collector
+   * @param {number} now - Current time in epoch milliseconds
+   * @returns {number} - How many attributed tweets were updated
+   */
+  applyMetrics(metrics, now = Date.now()) {
+    let updated = 0;
+    for (const entry of this.tweets) {
+      if (metrics[entry.tweetId]) {
+        entry.metrics = metrics[entry.tweetId];
+        entry.metricsUpdatedAt = new Date(now).toISOString();
+        updated++;
+      }
+    }
+
+    if (updated > 0) {
+      this.save();
+    }
+    return updated;
+  }
+
+  /**
+   * Engagement per variant version for an agent, best first
+   * @param {string} agentId - The agent
+   * @param {Object} options - { variants: the agent's current variants, listed even before they post; task; since }
+   * @returns {Array<Object>}
+   */
+  getResults(agentId, options = {}) {
+    const since = options.since ? Date.parse(options.since) : null;
+    const results = {};
+    const resultFor = (variantId, version) => {
+      const key = `${variantId}@${version}`;
+      if (!results[key]) {
+        results[key] = {
+          variantId,
+          version,
+          active: false,
+          weight: null,
+          tweets: 0,
+          measured: 0,
+          likes: 0,
+          replies: 0,
+          retweets: 0,
+          quotes: 0,
+          impressions: 0,
+          engagementsPerTweet: null,
+          engagementRate: null
+        };
+      }
+      return results[key];
+    };
+
+    for (const variant of options.variants || []) {
+      Object.assign(resultFor(variant.id, variant.version), { active: true, weight: variant.weight });
+    }
+
+    for (const entry of this.tweets) {
+      if (entry.agentId !== agentId || (options.task && entry.task !== options.task) ||
+          (since && Date.parse(entry.postedAt) < since)) {
+        continue;
+      }
+
+      const result = resultFor(entry.variantId, entry.version);
+      result.tweets++;
+      if (entry.metrics) {
+        result.measured++;
+        result.likes += entry.metrics.likes;
+        result.replies += entry.metrics.replies;
+        result.retweets += entry.metrics.retweets;
+        result.quotes += entry.metrics.quotes;
+        result.impressions += entry.metrics.impressions;
+      }
+    }
+
+    // Unmeasured variants sort last
+    const score = result => result.engagementsPerTweet === null ? -1 : result.engagementsPerTweet;
+    return Object.values(results)
+      .map(result => {
+        const engagements = result.likes + result.replies + result.retweets + result.quotes;
+        if (result.measured > 0) {
+          result.engagementsPerTweet = Math.round(engagements / result.measured * 100) / 100;
+        }
+        if (result.impressions > 0) {
+          result.engagementRate = Math.round(engagements / result.impressions * 10000) / 10000;
+        }
+        return result;
+      })
+      .sort((a, b) => score(b) - score(a) || b.tweets - a.tweets);
+  }
+
+  /**
+   * Weighted random choice
+   * @private
+   */
+  _pickWeighted(variants) {
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let roll = this.random() * total;
+
+    for (const variant of variants) {
+      roll -= variant.weight;
+      if (roll < 0) {
+        return variant;
+      }
+    }
+    return variants[variants.length - 1];
+  }
+
+  /**
+   * Load assignments and attributed tweets from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.assignments = state.assignments || {};
+        this.tweets = state.tweets || [];
+      }
+    } catch (error) {
+      console.error('Error loading prompt experiments:', error);
+    }
+  }
+
+  /**
+   * Save to disk, writing a temp file first so a crash never leaves half a file
+   */
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const keys = Object.keys(this.assignments);
+      for (const key of keys.slice(0, Math.max(0, keys.length - this.maxAssignments))) {
+        delete this.assignments[key];
+      }
+      this.tweets = this.tweets.slice(-this.maxTweets);
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ assignments: this.assignments, tweets: this.tweets }, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Error saving prompt experiments:', error);
+    }
+  }
+}
+
+module.exports = PromptExperiments;
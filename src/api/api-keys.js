@@ -0,0 +1,192 @@
+/**
+ * API key store for Puppet Engine
+ * Keeps hashed API keys with a role; the plain key is only shown once, when it is created
+ *
+ * Keys look like pcf_<id>_<secret>, so a request can be matched to its entry without scanning every hash
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Observers can read everything; operators can also change state and make agents post
+const ROLES = ['observer', 'operator'];
+const KEY_PATTERN = /^pcf_([a-f0-9]{12})_([A-Za-z0-9_-]{32,})$/;
+
+class ApiKeyStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.API_KEYS_FILE || path.join(process.cwd(), 'data', 'api_keys.json');
+    this.keys = this._load();
+  }
+
+  /**
+   * Create a key and store its hash
+   * @param {string} name - Who or what the key is for, shown in the audit log
+   * @param {string} role - 'observer' or 'operator'
+   * @returns {{key: string, entry: Object}} - The plain key (not stored anywhere) and its entry
+   */
+  createKey(name, role) {
+    if (!name) {
+      throw new Error('API key needs a name');
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid API key role '${role}', expected one of: ${ROLES.join(', ')}`);
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const entry = {
+      id,
+      name,
+      role,
+      hash: this._hash(secret),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    this.keys[id] = entry;
+    this._save();
+
+    return { key: `pcf_${id}_${secret}`, entry: this._publicEntry(entry) };
+  }
+
+  /**
+   * Check a presented key
+   * @returns {Object|null} - { id, name, role } for a valid, unrevoked key
+   */
+  verify(key) {
+    const match = KEY_PATTERN.exec(key || '');
+    if (!match) {
+      return null;
+    }
+
+    const entry = this.keys[match[1]];
+    if (!entry || entry.revokedAt) {
+      return null;
+    }
+
+    const expected = Buffer.from(entry.hash, 'hex');
+    const actual = Buffer.from(this._hash(match[2]), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    entry.lastUsedAt = new Date().toISOString();
+    return { id: entry.id, name: entry.name, role: entry.role };
+  }
+
+  /**
+   * Revoke a key by ID
+   * @returns {boolean} - Whether there was an active key to revoke
+   */
+  revokeKey(id) {
+    const entry = this.keys[id];
+    if (!entry || entry.revokedAt) {
+      return false;
+    }
+
+    entry.revokedAt = new Date().toISOString();
+    this._save();
+    return true;
+  }
+
+  /**
+   * Key entries without their hashes
+   */
+  listKeys() {
+    return Object.values(this.keys).map(entry => this._publicEntry(entry));
+  }
+
+  /**
+   * Whether any key can still be used
+   */
+  hasActiveKeys() {
+    return Object.values(this.keys).some(entry => !entry.revokedAt);
+  }
+
+  /**
+   * Persist last-used times, which verify() only updates in memory
+   */
+  flush() {
+    this._save();
+  }
+
+  /**
+   * @private
+   */
+  _hash(secret) {
+    // Secrets are 192 random bits, so a fast hash is enough; there is nothing to brute-force
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  _publicEntry(entry) {
+    const { hash, ...rest } = entry;
+    return rest;
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading API keys:', error);
+    }
+    return {};
+  }
+
+  /**
+   * Write the key file atomically, readable only by the owner
+   * @private
+   */
+  _save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.keys, null, 2), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Error saving API keys:', error);
+    }
+  }
+}
+
+ApiKeyStore.ROLES = ROLES;
+
+// Manage keys from the command line: node src/api/api-keys.js create <name> <role> | list | revoke <id>
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const store = new ApiKeyStore();
+
+  try {
+    if (command === 'create') {
+      const { key, entry } = store.createKey(args[0], args[1] || 'observer');
+      console.log(`Created ${entry.role} key ${entry.id} for ${entry.name}:`);
+      console.log(key);
+      console.log('Store it now - only its hash is kept.');
+    } else if (command === 'list') {
+      console.table(store.listKeys());
+    } else if (command === 'revoke') {
+      console.log(store.revokeKey(args[0]) ? `Revoked key ${args[0]}` : `No active key ${args[0]}`);
+    } else {
+      console.log('Usage: node src/api/api-keys.js create <name> <observer|operator> | list | revoke <id>');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = ApiKeyStore;
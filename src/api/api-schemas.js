@@ -0,0 +1,362 @@
+/**
+ * Shared schemas for the Puppet Engine HTTP API
+ * Route bodies and query strings are declared next to each route in ApiServer;
+ * these are the reusable pieces, published under components.schemas in /api/openapi.json
+ */
+
+const ApprovalQueue = require('../moderation/approval-queue');
+const Outbox = require('../twitter/outbox');
+const MentionTriage = require('../moderation/mention-triage');
+const IgnoreList = require('../moderation/ignore-list');
+const ReplyThrottle = require('../moderation/reply-throttle');
+const EventEngine = require('../events/event-engine');
+const { AGENT_CONFIG_SCHEMA, AGENT_ID_PATTERN } = require('../agents/agent-config');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const EVENT_PRIORITIES = ['low', 'normal', 'high', 'critical'];
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string', description: 'What went wrong' },
+      details: {
+        type: 'array',
+        description: 'One entry per invalid field, for validation errors',
+        items: {
+          type: 'object',
+          properties: {
+            location: { type: 'string', enum: ['body', 'query', 'params'] },
+            path: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  Mood: {
+    type: 'object',
+    properties: {
+      valence: { type: 'number', minimum: -1, maximum: 1 },
+      arousal: { type: 'number', minimum: 0, maximum: 1 },
+      dominance: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  },
+
+  Caller: {
+    type: 'object',
+    properties: {
+      id: { type: ['string', 'null'] },
+      name: { type: 'string' },
+      role: { type: 'string', enum: ['observer', 'operator'] },
+      authDisabled: { type: 'boolean' }
+    }
+  },
+
+  AgentSummary: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      lastPostTime: { type: ['string', 'null'], format: 'date-time' },
+      mood: ref('Mood')
+    }
+  },
+
+  Agent: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      personality: { type: 'object' },
+      styleGuide: { type: 'object' },
+      behavior: { type: 'object' },
+      currentMood: ref('Mood'),
+      lastPostTime: { type: ['string', 'null'], format: 'date-time' },
+      goals: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  AgentConfig: {
+    ...AGENT_CONFIG_SCHEMA,
+    description: 'Agent configuration as stored in config/agents/<id>.json'
+  },
+
+  ConfigVersion: {
+    type: 'object',
+    properties: {
+      version: { type: 'integer' },
+      hash: { type: 'string' },
+      source: { type: ['string', 'null'], description: "Config file path, or 'api'" },
+      reason: { type: 'string', enum: ['load', 'reload', 'rollback'] },
+      appliedAt: { type: 'string', format: 'date-time' },
+      changed: { type: 'boolean', description: 'False when the config was already live' },
+      restoredFrom: { type: 'integer', description: 'The version a rollback restored' },
+      config: ref('AgentConfig')
+    }
+  },
+
+  PromptVariantResult: {
+    type: 'object',
+    description: 'Engagement on tweets written with one version of a prompt variant',
+    properties: {
+      variantId: { type: 'string' },
+      version: { type: ['string', 'null'], description: 'Fingerprint of the prompt text; editing a prompt starts a new version' },
+      active: { type: 'boolean', description: "Whether this version is in the agent's current config" },
+      weight: { type: ['number', 'null'] },
+      tweets: { type: 'integer', description: 'Posted tweets written with it' },
+      measured: { type: 'integer', description: 'Tweets with engagement fetched so far' },
+      likes: { type: 'integer' },
+      replies: { type: 'integer' },
+      retweets: { type: 'integer' },
+      quotes: { type: 'integer' },
+      impressions: { type: 'integer' },
+      engagementsPerTweet: { type: ['number', 'null'], description: 'Likes, replies, retweets and quotes per measured tweet' },
+      engagementRate: { type: ['number', 'null'], description: 'Engagements per impression, when impressions are reported' }
+    }
+  },
+
+  EngagementMetrics: {
+    type: 'object',
+    properties: {
+      likes: { type: 'integer' },
+      replies: { type: 'integer' },
+      retweets: { type: 'integer' },
+      quotes: { type: 'integer' },
+      impressions: { type: 'integer' }
+    }
+  },
+
+  RankedPost: {
+    type: 'object',
+    properties: {
+      tweetId: { type: 'string' },
+      content: { type: 'string' },
+      postedAt: { type: 'string', format: 'date-time' },
+      isReply: { type: 'boolean' },
+      promptVariant: { type: ['string', 'null'] },
+      metrics: ref('EngagementMetrics'),
+      engagementScore: { type: 'number', description: "0 to 1; 0.5 is the agent's median tweet" },
+      importance: { type: 'number', description: 'Memory importance derived from the score' },
+      metricsUpdatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  EngagementSnapshot: {
+    type: 'object',
+    description: "A tweet's metrics when they last changed",
+    properties: {
+      agentId: { type: 'string' },
+      tweetId: { type: 'string' },
+      takenAt: { type: 'string', format: 'date-time' },
+      ageHours: { type: 'number' },
+      likes: { type: 'integer' },
+      replies: { type: 'integer' },
+      retweets: { type: 'integer' },
+      quotes: { type: 'integer' },
+      impressions: { type: 'integer' }
+    }
+  },
+
+  RateLimitAccount: {
+    type: 'object',
+    description: "One Twitter account's rate limit state ('app' is the bearer token, 'default' the shared user token)",
+    properties: {
+      account: { type: 'string' },
+      tweets: {
+        type: 'object',
+        properties: {
+          used: { type: 'integer', description: 'Tweets in the last 24 hours' },
+          limit: { type: 'integer' },
+          remaining: { type: 'integer' },
+          resetsAt: { type: ['string', 'null'], format: 'date-time', description: 'When the oldest counted tweet leaves the window' }
+        }
+      },
+      buckets: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            endpoint: { type: 'string', description: 'e.g. GET /2/users/:id/mentions' },
+            limit: { type: 'integer' },
+            remaining: { type: 'integer' },
+            resetsAt: { type: 'string', format: 'date-time' },
+            deferred: { type: 'boolean', description: 'Calls are held back until the reset' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  },
+
+  Tweet: {
+    type: 'object',
+    description: 'A posted (or dry-run) tweet, or a queued draft when approval is required',
+    properties: {
+      id: { type: 'string' },
+      content: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      tweetId: { type: ['string', 'null'] },
+      outboxId: { type: 'string', description: 'Outbox item; status pending means the first attempt failed and will be retried' },
+      status: { type: 'string' }
+    }
+  },
+
+  OutboxItem: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      key: { type: 'string', description: 'Idempotency key: agent, task and the tweet being answered' },
+      agentId: { type: 'string' },
+      task: { type: 'string', enum: ['post', 'reply'] },
+      content: { type: 'string' },
+      replyToTweetId: { type: ['string', 'null'] },
+      status: { type: 'string', enum: Outbox.STATUSES },
+      attempts: { type: 'integer' },
+      nextAttemptAt: { type: 'string', format: 'date-time' },
+      lastAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+      lastError: { type: ['string', 'null'] },
+      tweetId: { type: ['string', 'null'] },
+      createdAt: { type: 'string', format: 'date-time' },
+      sentAt: { type: ['string', 'null'], format: 'date-time' }
+    }
+  },
+
+  TriageDecision: {
+    type: 'object',
+    properties: {
+      timestamp: { type: 'string', format: 'date-time' },
+      agentId: { type: 'string' },
+      tweetId: { type: 'string' },
+      authorId: { type: ['string', 'null'] },
+      authorUsername: { type: ['string', 'null'] },
+      text: { type: 'string' },
+      intent: { type: 'string', enum: MentionTriage.INTENTS },
+      confidence: { type: ['number', 'null'], description: 'Null for throttled mentions that were not triaged' },
+      source: { type: 'string', enum: MentionTriage.SOURCES },
+      matched: { type: 'array', items: { type: 'string' }, description: 'Every intent whose rule matched' },
+      reason: { type: ['string', 'null'], description: 'The LLM\'s reason, the spam filter\'s signals, or the reply limit that was hit' },
+      action: { type: 'string', enum: MentionTriage.ACTIONS },
+      template: { type: ['string', 'null'] },
+      risk: {
+        type: 'object',
+        description: 'The spam detector\'s account risk, when it skipped the mention',
+        properties: {
+          score: { type: 'number' },
+          signals: { type: 'array', items: { type: 'string' } },
+          flagged: { type: 'boolean' }
+        }
+      },
+      throttle: {
+        type: 'object',
+        description: 'The reply limit that was hit, when the reply throttle skipped the mention',
+        properties: {
+          reason: { type: 'string', enum: ReplyThrottle.REASONS },
+          count: { type: 'number' },
+          limit: { type: ['number', 'null'] },
+          automated: { type: 'boolean', description: 'Whether the author looked automated' }
+        }
+      }
+    }
+  },
+
+  IgnoredUser: {
+    type: 'object',
+    properties: {
+      userId: { type: 'string' },
+      username: { type: ['string', 'null'] },
+      reason: { type: ['string', 'null'] },
+      score: { type: ['number', 'null'], description: 'Risk score, when the spam detector added the user' },
+      signals: { type: 'array', items: { type: 'string' } },
+      source: { type: 'string', enum: IgnoreList.SOURCES },
+      addedAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: ['string', 'null'], format: 'date-time' }
+    }
+  },
+
+  Memory: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      content: { type: 'string' },
+      type: { type: 'string' },
+      importance: { type: 'number' },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  Event: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string' },
+      data: { type: 'object' },
+      timestamp: { type: 'string', format: 'date-time' },
+      processedAt: { type: 'string', format: 'date-time' },
+      targetAgentIds: { type: ['array', 'null'], items: { type: 'string' } }
+    }
+  },
+
+  ScheduledEvent: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      kind: { type: 'string', enum: ['once', 'recurring'] },
+      cron: { type: ['string', 'null'] },
+      intervalMs: { type: ['integer', 'null'] },
+      scheduledTime: { type: 'integer', description: 'Epoch milliseconds of the next run' }
+    }
+  },
+
+  Draft: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      agentId: { type: 'string' },
+      status: { type: 'string', enum: ApprovalQueue.STATUSES },
+      task: { type: 'string' },
+      content: { type: 'string' },
+      originalContent: { type: 'string' },
+      confidence: { type: 'number' },
+      reasons: { type: 'array', items: { type: 'string' } },
+      createdAt: { type: 'string', format: 'date-time' },
+      decidedAt: { type: ['string', 'null'], format: 'date-time' },
+      tweetId: { type: ['string', 'null'] },
+      outboxId: { type: 'string', description: 'Outbox item sending an approved draft; status approved means it is still being retried' },
+      error: { type: ['string', 'null'] }
+    }
+  },
+
+  Success: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      id: { type: 'string' }
+    }
+  }
+};
+
+/**
+ * Query parameter for list routes that take a result limit
+ */
+function limitQuery(max, description = 'Most entries to return') {
+  return {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: max, description }
+    }
+  };
+}
+
+module.exports = {
+  schemas,
+  ref,
+  limitQuery,
+  AGENT_ID_PATTERN,
+  EVENT_PRIORITIES,
+  MISSED_POLICIES: EventEngine.MISSED_POLICIES
+};
@@ -6,6 +6,18 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const ApiKeyStore = require('./api-keys');
+const AuditLog = require('./audit-log');
+const ApprovalQueue = require('../moderation/approval-queue');
+const Outbox = require('../twitter/outbox');
+const MentionTriage = require('../moderation/mention-triage');
+const { validate, coerceQuery } = require('../utils/schema-validator');
+const { schemas, ref, limitQuery, AGENT_ID_PATTERN, EVENT_PRIORITIES, MISSED_POLICIES } = require('./api-schemas');
+const { version } = require('../../package.json');
+
+// Routes anyone who can reach the port may call, e.g. for health checks and client generation
+const PUBLIC_PATHS = ['/status', '/openapi.json'];
+const READ_METHODS = ['GET', 'HEAD'];
 
 class ApiServer {
   constructor(options = {}) {
@@ -15,9 +27,32 @@ class ApiServer {
     this.agentManager = options.agentManager;
     this.eventEngine = options.eventEngine;
     this.memoryManager = options.memoryManager;
+    this.approvalQueue = options.approvalQueue || (this.agentManager && this.agentManager.approvalQueue);
+    this.newsIngestor = options.newsIngestor || null;
+    this.marketPoller = options.marketPoller || null;
+    
+    // Callers authenticate with a hashed API key; observers can read, operators can also act
+    this.apiKeyStore = options.apiKeyStore || new ApiKeyStore();
+    this.auditLog = options.auditLog || new AuditLog();
+    this.authDisabled = options.authDisabled !== undefined ? options.authDisabled : process.env.API_AUTH_DISABLED === 'true';
+    this.corsOrigins = options.corsOrigins || (process.env.CORS_ORIGINS || '')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean);
+    
+    // Dashboard clients listening on Server-Sent Events
+    this.dashboardClients = new Set();
+    this.dashboardPushMs = options.dashboardPushMs || 1000; // How often state is diffed and pushed on change
+    this.dashboardInterval = null;
+    this.lastDashboardPayload = null;
+    this.lastDashboardPushAt = 0;
+    
+    // Route definitions, kept for the OpenAPI document
+    this.routes = [];
     
     this.setupMiddleware();
     this.setupRoutes();
+    this.setupErrorHandlers();
   }
   
   /**
@@ -26,11 +61,17 @@ class ApiServer {
   setupMiddleware() {
     this.app.use(express.json());
     
-    // CORS middleware
+    // CORS middleware - only origins listed in CORS_ORIGINS ('*' allows any)
     this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      const origin = req.headers.origin;
+      const allowAny = this.corsOrigins.includes('*');
+      
+      if (origin && (allowAny || this.corsOrigins.includes(origin))) {
+        res.header('Access-Control-Allow-Origin', allowAny ? '*' : origin);
+        res.header('Vary', 'Origin');
+        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      }
       
       if (req.method === 'OPTIONS') {
         return res.sendStatus(200);
@@ -44,14 +85,256 @@ class ApiServer {
       console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
       next();
     });
+    
+    // Audit every state-changing call, including ones that are refused
+    this.app.use('/api', (req, res, next) => {
+      if (!READ_METHODS.includes(req.method)) {
+        res.on('finish', () => {
+          this.auditLog.record({
+            caller: req.caller ? { id: req.caller.id, name: req.caller.name, role: req.caller.role } : null,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            body: req.body,
+            status: res.statusCode,
+            ip: req.ip
+          });
+        });
+      }
+      next();
+    });
+    
+    // Authentication and role checks
+    this.app.use('/api', (req, res, next) => this.authenticate(req, res, next));
+  }
+  
+  /**
+   * Identify the caller from an Authorization: Bearer or X-API-Key header and check its role
+   * GET requests may pass the key as ?api_key= instead, since EventSource can't set headers
+   */
+  authenticate(req, res, next) {
+    if (PUBLIC_PATHS.includes(req.path)) {
+      return next();
+    }
+    
+    if (this.authDisabled) {
+      req.caller = { id: null, name: 'anonymous', role: 'operator' };
+      return next();
+    }
+    
+    const header = req.headers.authorization || '';
+    const key = header.startsWith('Bearer ')
+      ? header.slice(7).trim()
+      : req.headers['x-api-key'] || (READ_METHODS.includes(req.method) ? req.query.api_key : null);
+    
+    if (!key) {
+      const hint = this.apiKeyStore.hasActiveKeys()
+        ? 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"'
+        : 'No API keys exist yet - create one with: npm run api-keys -- create <name> operator';
+      return res.status(401).json({ error: `Authentication required. ${hint}` });
+    }
+    
+    const caller = this.apiKeyStore.verify(key);
+    if (!caller) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+    req.caller = caller;
+    
+    if (caller.role !== 'operator' && !READ_METHODS.includes(req.method)) {
+      return res.status(403).json({ error: `The ${caller.role} role is read-only` });
+    }
+    
+    next();
+  }
+  
+  /**
+   * Refuse a request unless the caller is an operator, for reads that expose more than observers should see
+   * @private
+   */
+  _requireOperator(req, res) {
+    if (req.caller && req.caller.role === 'operator') {
+      return true;
+    }
+    res.status(403).json({ error: 'Operator role required' });
+    return false;
+  }
+  
+  /**
+   * Register a route along with its OpenAPI description
+   * The query string and body are checked against spec.query and spec.body before the handler runs
+   * @param {string} method - get, post, put or delete
+   * @param {string} routePath - Express path, e.g. /api/agents/:agentId
+   * @param {Object} spec - operationId, summary, tags, query, body, responses, public, role
+   * @param {Function} handler - Express handler
+   */
+  route(method, routePath, spec, handler) {
+    this.routes.push({ method, path: routePath, spec });
+    this.app[method](routePath, (req, res, next) => this._validateRequest(spec, req, res, next), handler);
+  }
+  
+  /**
+   * Reject a request whose query or body doesn't match its route's schemas
+   * @private
+   */
+  _validateRequest(spec, req, res, next) {
+    const details = [];
+    const root = { components: { schemas } };
+    
+    if (spec.query) {
+      req.query = coerceQuery(spec.query, req.query);
+      details.push(...validate(spec.query, req.query, { root, path: 'query' }).map(error => ({ location: 'query', ...error })));
+    }
+    if (spec.body) {
+      details.push(...validate(spec.body, req.body, { root, path: 'body' }).map(error => ({ location: 'body', ...error })));
+    }
+    
+    if (details.length > 0) {
+      const summary = details.map(detail => `${detail.path} ${detail.message}`).join('; ');
+      return res.status(400).json({ error: `Invalid request: ${summary}`, details });
+    }
+    next();
+  }
+  
+  /**
+   * OpenAPI 3 document built from the registered routes
+   */
+  getOpenApiDocument() {
+    const paths = {};
+    const jsonResponse = ({ description, schema, contentType }) => ({
+      description: description || 'OK',
+      content: { [contentType || 'application/json']: { schema } }
+    });
+    const errorResponse = description => jsonResponse({ description, schema: ref('Error') });
+    
+    for (const { method, path: routePath, spec } of this.routes) {
+      const pathParams = (routePath.match(/:\w+/g) || []).map(param => param.slice(1));
+      const parameters = [
+        ...pathParams.map(name => ({
+          name,
+          in: 'path',
+          required: true,
+          schema: name === 'agentId' ? { type: 'string', pattern: AGENT_ID_PATTERN } : { type: 'string' }
+        })),
+        ...Object.entries((spec.query && spec.query.properties) || {}).map(([name, schema]) => ({
+          name,
+          in: 'query',
+          required: ((spec.query && spec.query.required) || []).includes(name),
+          description: schema.description,
+          schema
+        }))
+      ];
+      
+      const responses = {};
+      for (const [status, response] of Object.entries(spec.responses || {})) {
+        responses[status] = jsonResponse(response);
+      }
+      if (spec.query || spec.body) {
+        responses[400] = errorResponse('Invalid query or body');
+      }
+      if (!spec.public) {
+        responses[401] = errorResponse('Missing or invalid API key');
+        if (method !== 'get' || spec.role === 'operator') {
+          responses[403] = errorResponse('Operator role required');
+        }
+      }
+      if (pathParams.length > 0) {
+        responses[404] = responses[404] || errorResponse('Not found');
+      }
+      responses.default = errorResponse('Unexpected error');
+      
+      const operation = {
+        operationId: spec.operationId,
+        summary: spec.summary,
+        tags: spec.tags,
+        parameters,
+        responses
+      };
+      if (spec.body) {
+        operation.requestBody = { required: true, content: { 'application/json': { schema: spec.body } } };
+      }
+      if (spec.public) {
+        operation.security = [];
+      } else if (method !== 'get' || spec.role === 'operator') {
+        operation['x-required-role'] = 'operator';
+      }
+      
+      const openApiPath = routePath.replace(/:(\w+)/g, '{$1}');
+      paths[openApiPath] = { ...paths[openApiPath], [method]: operation };
+    }
+    
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: 'Puppet Engine API',
+        version,
+        description: 'Monitor and control agents. Observer keys can call GET routes; operations marked x-required-role need an operator key.'
+      },
+      security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+      paths,
+      components: {
+        schemas,
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer' },
+          apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        }
+      }
+    };
+  }
+  
+  /**
+   * JSON errors for unknown routes, malformed bodies and anything a handler didn't catch
+   */
+  setupErrorHandlers() {
+    this.app.use('/api', (req, res) => {
+      res.status(404).json({ error: `No route for ${req.method} ${req.originalUrl.split('?')[0]}` });
+    });
+    
+    // Express only treats four-argument functions as error handlers
+    this.app.use((error, req, res, next) => {
+      if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+      }
+      if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body is too large' });
+      }
+      
+      console.error(`Unhandled error in ${req.method} ${req.path}:`, error);
+      res.status(500).json({ error: error.message });
+    });
   }
   
   /**
    * Set up API routes
    */
   setupRoutes() {
+    // Every :agentId route answers 404 for an unknown agent before validating the request
+    this.app.param('agentId', (req, res, next, agentId) => {
+      if (!this.agentManager.agents[agentId]) {
+        return res.status(404).json({ error: `Agent not found: ${agentId}` });
+      }
+      next();
+    });
+    
+    // Machine-readable description of every route, for generating clients
+    this.route('get', '/api/openapi.json', {
+      operationId: 'getOpenApiDocument',
+      summary: 'This OpenAPI document',
+      tags: ['system'],
+      public: true,
+      responses: { 200: { schema: { type: 'object' } } }
+    }, (req, res) => {
+      res.json(this.getOpenApiDocument());
+    });
+    
     // Status endpoint
-    this.app.get('/api/status', (req, res) => {
+    this.route('get', '/api/status', {
+      operationId: 'getStatus',
+      summary: 'Health check',
+      tags: ['system'],
+      public: true,
+      responses: {
+        200: { schema: { type: 'object', properties: { status: { type: 'string' }, agents: { type: 'integer' }, uptime: { type: 'number' } } } }
+      }
+    }, (req, res) => {
       res.json({
         status: 'online',
         agents: Object.keys(this.agentManager.agents).length,
@@ -59,8 +342,96 @@ class ApiServer {
       });
     });
     
+    // Who the caller is authenticated as
+    this.route('get', '/api/auth/me', {
+      operationId: 'getCaller',
+      summary: 'Who the API key belongs to',
+      tags: ['system'],
+      responses: { 200: { schema: ref('Caller') } }
+    }, (req, res) => {
+      res.json({ ...req.caller, authDisabled: this.authDisabled });
+    });
+    
+    // Recent state-changing calls and who made them
+    this.route('get', '/api/audit', {
+      operationId: 'listAuditEntries',
+      summary: 'Recent state-changing calls and who made them',
+      tags: ['system'],
+      role: 'operator',
+      query: limitQuery(200),
+      responses: { 200: { schema: { type: 'array', items: { type: 'object' } } } }
+    }, (req, res) => {
+      if (!this._requireOperator(req, res)) {
+        return;
+      }
+      res.json(this.auditLog.getRecentEntries(req.query.limit || 50));
+    });
+    
+    // Twitter rate limit buckets and daily tweet counts
+    this.route('get', '/api/rate-limits', {
+      operationId: 'getRateLimits',
+      summary: 'Twitter rate limit buckets and tweets left under the daily cap, per account',
+      tags: ['system'],
+      responses: { 200: { schema: { type: 'array', items: ref('RateLimitAccount') } } }
+    }, (req, res) => {
+      res.json(this.agentManager.twitterClient ? this.agentManager.twitterClient.getRateLimitState() : []);
+    });
+    
+    // Single-page dashboard, fed by the stream below
+    this.route('get', '/dashboard', {
+      operationId: 'getDashboardPage',
+      summary: 'Web dashboard',
+      tags: ['dashboard'],
+      public: true,
+      responses: { 200: { contentType: 'text/html', schema: { type: 'string' } } }
+    }, (req, res) => {
+      res.sendFile(path.join(__dirname, 'dashboard', 'index.html'));
+    });
+    
+    // Everything the dashboard shows, in one document
+    this.route('get', '/api/dashboard', {
+      operationId: 'getDashboardState',
+      summary: 'Everything the dashboard shows, in one document',
+      tags: ['dashboard'],
+      responses: { 200: { schema: { type: 'object' } } }
+    }, (req, res) => {
+      res.json(this.getDashboardState());
+    });
+    
+    // Dashboard state pushed over Server-Sent Events whenever it changes
+    this.route('get', '/api/dashboard/stream', {
+      operationId: 'streamDashboardState',
+      summary: 'Dashboard state as Server-Sent Events (event: state)',
+      tags: ['dashboard'],
+      query: {
+        type: 'object',
+        properties: {
+          api_key: { type: 'string', description: 'API key, for clients such as EventSource that cannot send headers' }
+        }
+      },
+      responses: { 200: { contentType: 'text/event-stream', schema: { type: 'string' } } }
+    }, (req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      res.write('retry: 5000\n\n');
+      res.write(`event: state\ndata: ${JSON.stringify(this.getDashboardState())}\n\n`);
+      
+      this.dashboardClients.add(res);
+      req.on('close', () => {
+        this.dashboardClients.delete(res);
+      });
+    });
+    
     // Get all agents
-    this.app.get('/api/agents', (req, res) => {
+    this.route('get', '/api/agents', {
+      operationId: 'listAgents',
+      summary: 'List agents',
+      tags: ['agents'],
+      responses: { 200: { schema: { type: 'array', items: ref('AgentSummary') } } }
+    }, (req, res) => {
       const agents = Object.values(this.agentManager.agents).map(agent => ({
         id: agent.id,
         name: agent.name,
@@ -73,7 +444,12 @@ class ApiServer {
     });
     
     // Get a specific agent
-    this.app.get('/api/agents/:agentId', (req, res) => {
+    this.route('get', '/api/agents/:agentId', {
+      operationId: 'getAgent',
+      summary: 'Get an agent',
+      tags: ['agents'],
+      responses: { 200: { schema: ref('Agent') } }
+    }, (req, res) => {
       try {
         const agent = this.agentManager.getAgent(req.params.agentId);
         
@@ -97,7 +473,12 @@ class ApiServer {
     });
     
     // Get agent memory
-    this.app.get('/api/agents/:agentId/memory', (req, res) => {
+    this.route('get', '/api/agents/:agentId/memory', {
+      operationId: 'getAgentMemory',
+      summary: "Get an agent's memory",
+      tags: ['memory'],
+      responses: { 200: { schema: { type: 'object' } } }
+    }, (req, res) => {
       try {
         const agentId = req.params.agentId;
         const memory = this.memoryManager.serializeAgentMemory(agentId);
@@ -107,8 +488,181 @@ class ApiServer {
       }
     });
     
+    // Twitter users the agent remembers, most recently seen first
+    this.route('get', '/api/agents/:agentId/users', {
+      operationId: 'listUserProfiles',
+      summary: 'Twitter users the agent remembers, most recently seen first',
+      tags: ['memory'],
+      responses: { 200: { schema: { type: 'array', items: { type: 'object' } } } }
+    }, async (req, res) => {
+      try {
+        const agentId = req.params.agentId;
+        this.agentManager.getAgent(agentId);
+        
+        const profiles = await this.memoryManager.listUserProfiles(agentId);
+        res.json(profiles.map(({ exchanges, ...profile }) => ({ ...profile, exchangeCount: exchanges.length })));
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+    
+    // Everything the agent remembers about one Twitter user
+    this.route('get', '/api/agents/:agentId/users/:userId', {
+      operationId: 'getUserProfile',
+      summary: 'Everything the agent remembers about one Twitter user',
+      tags: ['memory'],
+      responses: { 200: { schema: { type: 'object' } } }
+    }, async (req, res) => {
+      try {
+        const { agentId, userId } = req.params;
+        this.agentManager.getAgent(agentId);
+        
+        const profile = await this.memoryManager.getUserProfile(agentId, userId);
+        if (!profile) {
+          return res.status(404).json({ error: `No profile for user ${userId}` });
+        }
+        
+        res.json(profile);
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+    
+    // Forget a Twitter user
+    this.route('delete', '/api/agents/:agentId/users/:userId', {
+      operationId: 'deleteUserProfile',
+      summary: 'Forget a Twitter user',
+      tags: ['memory'],
+      responses: { 200: { schema: { type: 'object', properties: { success: { type: 'boolean' }, agentId: { type: 'string' }, userId: { type: 'string' } } } } }
+    }, async (req, res) => {
+      try {
+        const { agentId, userId } = req.params;
+        this.agentManager.getAgent(agentId);
+        
+        const removed = await this.memoryManager.resetUserProfile(agentId, userId);
+        if (!removed) {
+          return res.status(404).json({ error: `No profile for user ${userId}` });
+        }
+        
+        res.json({ success: true, agentId, userId });
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+    
+    // Users the agent no longer answers
+    this.route('get', '/api/agents/:agentId/ignored-users', {
+      operationId: 'listIgnoredUsers',
+      summary: 'Users the agent no longer answers, most recently added first',
+      tags: ['moderation'],
+      responses: { 200: { schema: { type: 'array', items: ref('IgnoredUser') } } }
+    }, async (req, res) => {
+      try {
+        const agentId = req.params.agentId;
+        this.agentManager.getAgent(agentId);
+        
+        res.json(await this.agentManager.ignoreList.list(agentId));
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+    
+    // Ignore a user until they are removed again
+    this.route('post', '/api/agents/:agentId/ignored-users', {
+      operationId: 'addIgnoredUser',
+      summary: 'Ignore a user until they are removed again',
+      tags: ['moderation'],
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['userId'],
+        properties: {
+          userId: { type: 'string', pattern: '^[0-9]{1,20}$' },
+          username: { type: 'string', pattern: '^[A-Za-z0-9_]{1,15}$' },
+          reason: { type: 'string', maxLength: 500 }
+        }
+      },
+      responses: { 201: { schema: ref('IgnoredUser') } }
+    }, async (req, res) => {
+      try {
+        const agentId = req.params.agentId;
+        this.agentManager.getAgent(agentId);
+      } catch (error) {
+        return res.status(404).json({ error: error.message });
+      }
+      
+      try {
+        const entry = await this.agentManager.ignoreList.add(req.params.agentId, req.body, { source: 'api' });
+        res.status(201).json(entry);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Answer a user again
+    this.route('delete', '/api/agents/:agentId/ignored-users/:userId', {
+      operationId: 'removeIgnoredUser',
+      summary: 'Answer a user again',
+      tags: ['moderation'],
+      responses: { 200: { schema: { type: 'object', properties: { success: { type: 'boolean' }, agentId: { type: 'string' }, userId: { type: 'string' } } } } }
+    }, async (req, res) => {
+      try {
+        const { agentId, userId } = req.params;
+        this.agentManager.getAgent(agentId);
+        
+        const removed = await this.agentManager.ignoreList.remove(agentId, userId);
+        if (!removed) {
+          return res.status(404).json({ error: `User ${userId} is not ignored` });
+        }
+        
+        res.json({ success: true, agentId, userId });
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+    
+    // Recent memory consolidation runs (what was merged and evicted)
+    this.route('get', '/api/agents/:agentId/memory/consolidations', {
+      operationId: 'listMemoryConsolidations',
+      summary: 'Recent memory consolidation runs (what was merged and evicted)',
+      tags: ['memory'],
+      query: limitQuery(100),
+      responses: { 200: { schema: { type: 'array', items: { type: 'object' } } } }
+    }, async (req, res) => {
+      try {
+        const limit = req.query.limit || 20;
+        const audits = await this.agentManager.memoryConsolidator.getAuditLog(req.params.agentId, limit);
+        res.json(audits);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Run memory consolidation now instead of waiting for the schedule
+    this.route('post', '/api/agents/:agentId/memory/consolidate', {
+      operationId: 'consolidateMemory',
+      summary: 'Run memory consolidation now',
+      tags: ['memory'],
+      responses: { 200: { schema: { type: 'object' } } }
+    }, async (req, res) => {
+      try {
+        const agentId = req.params.agentId;
+        this.agentManager.getAgent(agentId); // Throws if the agent doesn't exist
+        
+        const audit = await this.agentManager.consolidateAgentMemories(agentId);
+        res.json(audit);
+      } catch (error) {
+        res.status(error.message.includes('not found') ? 404 : 500).json({ error: error.message });
+      }
+    });
+    
     // DEBUG: Get agent prompt context
-    this.app.get('/api/agents/:agentId/context', (req, res) => {
+    this.route('get', '/api/agents/:agentId/context', {
+      operationId: 'getAgentContext',
+      summary: 'Debug: the prompt context the agent would post with',
+      tags: ['agents'],
+      responses: { 200: { schema: { type: 'object', properties: { context: { type: 'string' }, hasCustomPrompt: { type: 'boolean' } } } } }
+    }, (req, res) => {
       try {
         const agentId = req.params.agentId;
         const agent = this.agentManager.getAgent(agentId);
@@ -137,7 +691,24 @@ class ApiServer {
     });
     
     // Trigger agent to create a post
-    this.app.post('/api/agents/:agentId/post', async (req, res) => {
+    this.route('post', '/api/agents/:agentId/post', {
+      operationId: 'createPost',
+      summary: 'Make the agent post now',
+      tags: ['agents'],
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          topic: { type: 'string', minLength: 1, maxLength: 500 },
+          threadLength: { type: 'integer', minimum: 1, maximum: 10 },
+          force: { type: 'boolean', description: 'Post even if the agent posted recently' }
+        }
+      },
+      responses: {
+        200: { schema: ref('Tweet') },
+        429: { description: 'Too soon since the last post, or the daily tweet cap is reached', schema: ref('Error') }
+      }
+    }, async (req, res) => {
       try {
         const agentId = req.params.agentId;
         const options = req.body || {};
@@ -148,8 +719,14 @@ class ApiServer {
           ignoreTimeConstraint: options.force === true
         });
         
+        const postDelay = this.agentManager.getPostDelay(agentId);
         if (tweet) {
           res.json(tweet);
+        } else if (postDelay > 0) {
+          res.status(429).json({
+            error: 'Daily tweet cap reached',
+            retryAt: new Date(Date.now() + postDelay).toISOString()
+          });
         } else {
           res.status(429).json({ 
             error: 'Too soon since last post', 
@@ -162,15 +739,25 @@ class ApiServer {
     });
     
     // Create a reply to another tweet
-    this.app.post('/api/agents/:agentId/reply', async (req, res) => {
+    this.route('post', '/api/agents/:agentId/reply', {
+      operationId: 'createReply',
+      summary: 'Make the agent reply to a tweet',
+      tags: ['agents'],
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['tweetId'],
+        properties: {
+          tweetId: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' },
+          content: { type: 'string', maxLength: 2000, description: 'Text of the tweet being replied to' }
+        }
+      },
+      responses: { 200: { schema: ref('Tweet') } }
+    }, async (req, res) => {
       try {
         const agentId = req.params.agentId;
         const { tweetId, content } = req.body;
         
-        if (!tweetId) {
-          return res.status(400).json({ error: 'tweetId is required' });
-        }
-        
         // Create a tweet object for the target tweet
         // In a real implementation, this would fetch the tweet from Twitter
         const fakeTweet = {
@@ -193,49 +780,256 @@ class ApiServer {
     });
     
     // Create a new agent from a config file
-    this.app.post('/api/agents', async (req, res) => {
+    this.route('post', '/api/agents', {
+      operationId: 'createAgent',
+      summary: 'Load a new agent and save its config',
+      tags: ['agents'],
+      body: ref('AgentConfig'),
+      responses: {
+        201: { schema: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, message: { type: 'string' } } } }
+      }
+    }, async (req, res) => {
       try {
         const config = req.body;
-        
-        if (!config || !config.id) {
-          return res.status(400).json({ error: 'Valid agent configuration is required' });
-        }
-        
-        const agent = await this.agentManager.loadAgent(config);
+        const agent = await this.agentManager.loadAgent(config, 'api');
         
         // Save the config to disk
-        const configDir = path.join(process.cwd(), 'config/agents');
-        const configPath = path.join(configDir, `${config.id}.json`);
-        
-        fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+        this._saveAgentConfig(config);
         
         res.status(201).json({
           id: agent.id,
           name: agent.name,
           message: 'Agent created successfully'
         });
+      } catch (error) {
+        this._sendConfigError(res, error);
+      }
+    });
+    
+    // Re-apply an agent's config without a restart, from its file or from the body
+    this.route('post', '/api/agents/:agentId/reload', {
+      operationId: 'reloadAgent',
+      summary: "Re-apply an agent's persona, prompts, behavior and policies, keeping memory, mood and schedules",
+      tags: ['agents'],
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          config: { ...ref('AgentConfig'), description: 'New config to apply and save; the config file is re-read when omitted' }
+        }
+      },
+      responses: { 200: { schema: ref('ConfigVersion') } }
+    }, (req, res) => {
+      try {
+        const { config } = req.body;
+        const version = this.agentManager.reloadAgent(req.params.agentId, config || null, config ? { source: 'api' } : {});
+        if (config) {
+          this._saveAgentConfig(config);
+        }
+        res.json(version);
+      } catch (error) {
+        this._sendConfigError(res, error);
+      }
+    });
+    
+    // Configs applied to an agent, newest first
+    this.route('get', '/api/agents/:agentId/config/versions', {
+      operationId: 'listConfigVersions',
+      summary: 'Config versions kept for rollback, newest first',
+      tags: ['agents'],
+      responses: { 200: { schema: { type: 'array', items: ref('ConfigVersion') } } }
+    }, (req, res) => {
+      res.json(this.agentManager.getConfigVersions(req.params.agentId));
+    });
+    
+    // One kept config version, including the config itself (never its Twitter credentials)
+    this.route('get', '/api/agents/:agentId/config/versions/:version', {
+      operationId: 'getConfigVersion',
+      summary: 'A kept config version with its config, without Twitter credentials',
+      tags: ['agents'],
+      responses: { 200: { schema: { ...ref('ConfigVersion'), description: 'Includes config' } } }
+    }, (req, res) => {
+      try {
+        res.json(this.agentManager.configHistory.get(req.params.agentId, parseInt(req.params.version, 10)));
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+    
+    // Go back to an earlier config
+    this.route('post', '/api/agents/:agentId/rollback', {
+      operationId: 'rollbackAgent',
+      summary: 'Re-apply an earlier config version (the previous one by default) and write it to the config file',
+      tags: ['agents'],
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          version: { type: 'integer', minimum: 1 }
+        }
+      },
+      responses: {
+        200: { schema: ref('ConfigVersion') },
+        409: { description: 'No earlier version to roll back to', schema: ref('Error') }
+      }
+    }, (req, res) => {
+      try {
+        res.json(this.agentManager.rollbackAgent(req.params.agentId, req.body.version || null));
+      } catch (error) {
+        if (/not found/i.test(error.message)) {
+          return res.status(404).json({ error: error.message });
+        }
+        if (/no earlier/i.test(error.message)) {
+          return res.status(409).json({ error: error.message });
+        }
+        this._sendConfigError(res, error);
+      }
+    });
+    
+    // How each prompt variant's tweets are doing
+    this.route('get', '/api/agents/:agentId/prompt-variants', {
+      operationId: 'getPromptVariantResults',
+      summary: 'Engagement per prompt variant version, best first',
+      tags: ['experiments'],
+      query: {
+        type: 'object',
+        properties: {
+          task: { type: 'string', enum: ['post', 'reply'] },
+          since: { type: 'string', format: 'date-time', description: 'Only count tweets posted after this' }
+        }
+      },
+      responses: { 200: { schema: { type: 'array', items: ref('PromptVariantResult') } } }
+    }, (req, res) => {
+      res.json(this.agentManager.getPromptVariantResults(req.params.agentId, {
+        task: req.query.task,
+        since: req.query.since
+      }));
+    });
+    
+    // An agent's best and worst received tweets
+    this.route('get', '/api/agents/:agentId/engagement', {
+      operationId: 'getRankedPosts',
+      summary: "An agent's top or flop tweets by engagement score",
+      tags: ['engagement'],
+      query: {
+        type: 'object',
+        properties: {
+          order: { type: 'string', enum: ['top', 'flop'], description: 'Flops only include tweets at least a day old' },
+          task: { type: 'string', enum: ['post', 'reply'] },
+          limit: { type: 'integer', minimum: 1, maximum: 50 }
+        }
+      },
+      responses: { 200: { schema: { type: 'array', items: ref('RankedPost') } } }
+    }, async (req, res) => {
+      try {
+        res.json(await this.agentManager.engagementCollector.getRankedPosts(req.params.agentId, {
+          order: req.query.order,
+          task: req.query.task,
+          limit: req.query.limit
+        }));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
     
-    // Create a custom event
-    this.app.post('/api/events', (req, res) => {
+    // How one tweet's engagement grew
+    this.route('get', '/api/agents/:agentId/engagement/:tweetId', {
+      operationId: 'getEngagementSnapshots',
+      summary: "A tweet's engagement snapshots, oldest first",
+      tags: ['engagement'],
+      responses: { 200: { schema: { type: 'array', items: ref('EngagementSnapshot') } } }
+    }, async (req, res) => {
       try {
-        const { type, data, targetAgentIds, priority, delay } = req.body;
-        
-        if (!type || !data) {
-          return res.status(400).json({ error: 'Event type and data are required' });
+        res.json(await this.agentManager.engagementCollector.getSnapshots(req.params.agentId, req.params.tweetId));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Look up engagement now instead of waiting for the next scheduled run
+    this.route('post', '/api/engagement/collect', {
+      operationId: 'collectEngagement',
+      summary: "Look up likes, replies, retweets and quotes for every agent's recent tweets",
+      tags: ['engagement'],
+      responses: {
+        200: {
+          schema: {
+            type: 'object',
+            properties: {
+              lookedUp: { type: 'integer' },
+              updated: { type: 'integer' },
+              rateLimitedUntil: { type: ['string', 'null'], format: 'date-time' }
+            }
+          }
+        }
+      }
+    }, async (req, res) => {
+      try {
+        res.json(await this.agentManager.collectEngagement());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Create a custom event
+    this.route('post', '/api/events', {
+      operationId: 'createEvent',
+      summary: 'Queue, schedule or set up a recurring event',
+      tags: ['events'],
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type', 'data'],
+        properties: {
+          type: { type: 'string', pattern: '^[a-z][a-z0-9_]{0,63}$' },
+          data: { type: 'object' },
+          targetAgentIds: { type: 'array', items: { type: 'string', pattern: AGENT_ID_PATTERN }, uniqueItems: true },
+          priority: { type: 'string', enum: EVENT_PRIORITIES },
+          delay: { type: 'integer', minimum: 0, description: 'Milliseconds to wait before the event fires' },
+          cron: { type: 'string', minLength: 1, maxLength: 100, description: 'Recurring schedule, e.g. "0 9 * * *"' },
+          name: { type: 'string', minLength: 1, maxLength: 100, description: 'Keeps one recurring schedule per name across restarts' },
+          missedPolicy: { type: 'string', enum: MISSED_POLICIES }
         }
+      },
+      responses: { 200: { schema: { type: 'object', properties: { scheduled: { type: 'boolean' }, recurring: { type: 'boolean' }, id: { type: 'string' }, event: ref('Event') } } } }
+    }, (req, res) => {
+      try {
+        const { type, data, targetAgentIds, priority, delay, cron, name, missedPolicy } = req.body;
         
         let event;
         
-        if (delay && delay > 0) {
-          // Schedule for future
-          event = this.eventEngine.scheduleEvent(type, data, delay, {
-            targetAgentIds,
-            priority
+        if (cron) {
+          // Recurring schedule, e.g. "0 9 * * *"
+          let entry;
+          try {
+            entry = this.eventEngine.scheduleCronEvent(type, data, cron, {
+              name,
+              targetAgentIds,
+              priority,
+              missedPolicy
+            });
+          } catch (error) {
+            return res.status(400).json({ error: error.message });
+          }
+          
+          res.json({
+            scheduled: true,
+            recurring: true,
+            id: entry.id,
+            cron: entry.cron,
+            nextRunAt: new Date(entry.scheduledTime)
           });
+        } else if (delay && delay > 0) {
+          // Schedule for future
+          try {
+            event = this.eventEngine.scheduleEvent(type, data, delay, {
+              targetAgentIds,
+              priority,
+              missedPolicy
+            });
+          } catch (error) {
+            return res.status(400).json({ error: error.message });
+          }
           
           res.json({
             scheduled: true,
@@ -268,7 +1062,12 @@ class ApiServer {
     });
     
     // Get recent events
-    this.app.get('/api/events', (req, res) => {
+    this.route('get', '/api/events', {
+      operationId: 'listEvents',
+      summary: 'Recently processed events',
+      tags: ['events'],
+      responses: { 200: { schema: { type: 'array', items: ref('Event') } } }
+    }, (req, res) => {
       const events = this.eventEngine.eventHistory.map(item => ({
         id: item.event.id,
         type: item.event.type,
@@ -281,8 +1080,125 @@ class ApiServer {
       res.json(events);
     });
     
+    // Scheduled one-off and recurring events, soonest first
+    this.route('get', '/api/events/scheduled', {
+      operationId: 'listScheduledEvents',
+      summary: 'Scheduled one-off and recurring events, soonest first',
+      tags: ['events'],
+      responses: { 200: { schema: { type: 'array', items: ref('ScheduledEvent') } } }
+    }, (req, res) => {
+      res.json(this.eventEngine.listScheduledEvents());
+    });
+    
+    // Cancel a scheduled event
+    this.route('delete', '/api/events/scheduled/:eventId', {
+      operationId: 'cancelScheduledEvent',
+      summary: 'Cancel a scheduled event',
+      tags: ['events'],
+      responses: { 200: { schema: ref('Success') } }
+    }, (req, res) => {
+      if (!this.eventEngine.cancelScheduledEvent(req.params.eventId)) {
+        return res.status(404).json({ error: `Scheduled event not found: ${req.params.eventId}` });
+      }
+      res.json({ success: true, id: req.params.eventId });
+    });
+    
+    // Latest token market snapshot for an agent
+    this.route('get', '/api/agents/:agentId/token', {
+      operationId: 'getTokenState',
+      summary: 'Latest token market snapshot for an agent',
+      tags: ['market'],
+      responses: { 200: { schema: { type: 'object' } } }
+    }, async (req, res) => {
+      try {
+        this.agentManager.getAgent(req.params.agentId);
+        const tokenState = await this.memoryManager.getTokenState(req.params.agentId);
+        if (!tokenState) {
+          return res.status(404).json({ error: `No token state for agent ${req.params.agentId}` });
+        }
+        res.json(tokenState);
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+    
+    // Take a market snapshot now instead of waiting for the next scheduled poll
+    this.route('post', '/api/agents/:agentId/token/poll', {
+      operationId: 'pollTokenState',
+      summary: 'Take a market snapshot now',
+      tags: ['market'],
+      responses: { 200: { schema: { type: 'object', properties: { tokenState: { type: 'object' }, events: { type: 'array', items: ref('Event') } } } } }
+    }, async (req, res) => {
+      if (!this.marketPoller) {
+        return res.status(404).json({ error: 'Market data polling is not configured' });
+      }
+      
+      try {
+        this.agentManager.getAgent(req.params.agentId);
+      } catch (error) {
+        return res.status(404).json({ error: error.message });
+      }
+      
+      try {
+        const events = await this.marketPoller.pollAgent(req.params.agentId);
+        res.json({ tokenState: await this.marketPoller.getTokenState(req.params.agentId), events });
+      } catch (error) {
+        console.error('Error polling market data:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // News feed items recently queued as events
+    this.route('get', '/api/news', {
+      operationId: 'listNewsItems',
+      summary: 'News feed items recently queued as events',
+      tags: ['news'],
+      query: limitQuery(100),
+      responses: { 200: { schema: { type: 'array', items: { type: 'object' } } } }
+    }, (req, res) => {
+      if (!this.newsIngestor) {
+        return res.status(404).json({ error: 'News feeds are not configured (set NEWS_FEEDS)' });
+      }
+      res.json(this.newsIngestor.getRecentItems(req.query.limit || 50));
+    });
+    
+    // Poll the news feeds now instead of waiting for the next scheduled run
+    this.route('post', '/api/news/poll', {
+      operationId: 'pollNews',
+      summary: 'Poll the news feeds now',
+      tags: ['news'],
+      responses: { 200: { schema: { type: 'object', properties: { queued: { type: 'integer' }, events: { type: 'array', items: ref('Event') } } } } }
+    }, async (req, res) => {
+      if (!this.newsIngestor) {
+        return res.status(404).json({ error: 'News feeds are not configured (set NEWS_FEEDS)' });
+      }
+      
+      try {
+        const events = await this.newsIngestor.poll();
+        res.json({ queued: events.length, events });
+      } catch (error) {
+        console.error('Error polling news feeds:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
     // Update agent mood directly
-    this.app.post('/api/agents/:agentId/mood', (req, res) => {
+    this.route('post', '/api/agents/:agentId/mood', {
+      operationId: 'shiftMood',
+      summary: "Shift the agent's mood; the result is clamped to the mood ranges",
+      tags: ['agents'],
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        minProperties: 1,
+        properties: {
+          valenceShift: { type: 'number', minimum: -2, maximum: 2 },
+          arousalShift: { type: 'number', minimum: -1, maximum: 1 },
+          dominanceShift: { type: 'number', minimum: -1, maximum: 1 }
+        }
+      },
+      responses: { 200: { schema: { type: 'object', properties: { agent: { type: 'string' }, mood: ref('Mood') } } } }
+    }, (req, res) => {
       try {
         const agentId = req.params.agentId;
         const agent = this.agentManager.getAgent(agentId);
@@ -305,20 +1221,31 @@ class ApiServer {
     });
     
     // Add a memory to an agent
-    this.app.post('/api/agents/:agentId/memories', (req, res) => {
+    this.route('post', '/api/agents/:agentId/memories', {
+      operationId: 'addMemory',
+      summary: 'Add a memory to an agent',
+      tags: ['memory'],
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['content'],
+        properties: {
+          content: { type: 'string', minLength: 1, maxLength: 2000 },
+          type: { type: 'string', pattern: '^[a-z][a-z0-9_]{0,31}$', description: "'core', 'event' or any other type for long-term memory" },
+          importance: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      },
+      responses: { 201: { schema: ref('Memory') } }
+    }, async (req, res) => {
       try {
         const agentId = req.params.agentId;
         const { content, type, importance } = req.body;
         
-        if (!content) {
-          return res.status(400).json({ error: 'Memory content is required' });
-        }
-        
-        const memory = this.memoryManager.addMemory(
+        const memory = await this.memoryManager.addMemory(
           agentId,
           content,
           type || 'general',
-          { importance: importance || 0.5 }
+          { importance: importance !== undefined ? importance : 0.5 }
         );
         
         res.status(201).json(memory);
@@ -328,7 +1255,12 @@ class ApiServer {
     });
     
     // Get agent relationships
-    this.app.get('/api/agents/:agentId/relationships', (req, res) => {
+    this.route('get', '/api/agents/:agentId/relationships', {
+      operationId: 'getRelationships',
+      summary: "The agent's relationships with other agents",
+      tags: ['agents'],
+      responses: { 200: { schema: { type: 'object' } } }
+    }, (req, res) => {
       try {
         const agentId = req.params.agentId;
         const agent = this.agentManager.getAgent(agentId);
@@ -338,24 +1270,400 @@ class ApiServer {
         res.status(404).json({ error: error.message });
       }
     });
+    
+    // Recent content guard blocks (contract addresses, tickers) for review
+    this.route('get', '/api/content-guard/blocks', {
+      operationId: 'listContentGuardBlocks',
+      summary: 'Recent content guard blocks (contract addresses, tickers) for review',
+      tags: ['moderation'],
+      query: limitQuery(200),
+      responses: { 200: { schema: { type: 'array', items: { type: 'object' } } } }
+    }, (req, res) => {
+      res.json(this.agentManager.contentGuard.getRecentBlocks(req.query.limit || 50));
+    });
+    
+    // Recent mention triage decisions, to audit why mentions were answered or skipped
+    this.route('get', '/api/triage', {
+      operationId: 'listTriageDecisions',
+      summary: 'Recent mention triage decisions, newest first',
+      tags: ['moderation'],
+      query: {
+        type: 'object',
+        properties: {
+          agentId: { type: 'string', pattern: AGENT_ID_PATTERN },
+          intent: { type: 'string', enum: MentionTriage.INTENTS },
+          action: { type: 'string', enum: MentionTriage.ACTIONS },
+          source: { type: 'string', enum: MentionTriage.SOURCES },
+          limit: { type: 'integer', minimum: 1, maximum: 500 }
+        }
+      },
+      responses: { 200: { schema: { type: 'array', items: ref('TriageDecision') } } }
+    }, (req, res) => {
+      res.json(this.agentManager.mentionTriage.getRecentDecisions(req.query));
+    });
+    
+    // List drafts in the approval queue
+    this.route('get', '/api/drafts', {
+      operationId: 'listDrafts',
+      summary: 'List drafts in the approval queue, newest first',
+      tags: ['moderation'],
+      query: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ApprovalQueue.STATUSES },
+          agentId: { type: 'string', pattern: AGENT_ID_PATTERN }
+        }
+      },
+      responses: { 200: { schema: { type: 'array', items: ref('Draft') } } }
+    }, (req, res) => {
+      if (!this.approvalQueue) {
+        return res.status(404).json({ error: 'Approval queue is not enabled' });
+      }
+      
+      res.json(this.approvalQueue.listDrafts({
+        status: req.query.status,
+        agentId: req.query.agentId
+      }));
+    });
+    
+    // Get a single draft
+    this.route('get', '/api/drafts/:draftId', {
+      operationId: 'getDraft',
+      summary: 'Get a draft',
+      tags: ['moderation'],
+      responses: { 200: { schema: ref('Draft') } }
+    }, (req, res) => {
+      try {
+        res.json(this._getApprovalQueue().getDraft(req.params.draftId));
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+    
+    // Edit the text of a draft
+    this.route('put', '/api/drafts/:draftId', {
+      operationId: 'editDraft',
+      summary: 'Edit the text of a pending draft',
+      tags: ['moderation'],
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['content'],
+        properties: {
+          content: { type: 'string', minLength: 1, maxLength: 2000 }
+        }
+      },
+      responses: { 200: { schema: ref('Draft') }, 409: { description: 'Draft already decided', schema: ref('Error') } }
+    }, (req, res) => {
+      try {
+        res.json(this.agentManager.editDraft(req.params.draftId, req.body.content));
+      } catch (error) {
+        res.status(this._draftErrorStatus(error)).json({ error: error.message });
+      }
+    });
+    
+    // Approve a draft (optionally with edited content) and post it
+    this.route('post', '/api/drafts/:draftId/approve', {
+      operationId: 'approveDraft',
+      summary: 'Approve a draft (optionally with edited text) and send it through the outbox',
+      tags: ['moderation'],
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          content: { type: 'string', minLength: 1, maxLength: 2000 }
+        }
+      },
+      responses: { 200: { schema: ref('Draft') }, 409: { description: 'Draft already decided', schema: ref('Error') } }
+    }, async (req, res) => {
+      try {
+        const { content } = req.body || {};
+        res.json(await this.agentManager.approveDraft(req.params.draftId, { content }));
+      } catch (error) {
+        res.status(this._draftErrorStatus(error)).json({ error: error.message });
+      }
+    });
+    
+    // Reject a draft
+    this.route('post', '/api/drafts/:draftId/reject', {
+      operationId: 'rejectDraft',
+      summary: 'Reject a draft',
+      tags: ['moderation'],
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          reason: { type: 'string', maxLength: 500 }
+        }
+      },
+      responses: { 200: { schema: ref('Draft') }, 409: { description: 'Draft already decided', schema: ref('Error') } }
+    }, (req, res) => {
+      try {
+        const { reason } = req.body || {};
+        res.json(this.agentManager.rejectDraft(req.params.draftId, reason));
+      } catch (error) {
+        res.status(this._draftErrorStatus(error)).json({ error: error.message });
+      }
+    });
+    
+    // Generate new text for a draft, keeping its reply target
+    this.route('post', '/api/drafts/:draftId/regenerate', {
+      operationId: 'regenerateDraft',
+      summary: 'Generate new text for a pending draft, keeping its reply target',
+      tags: ['moderation'],
+      responses: { 200: { schema: ref('Draft') }, 409: { description: 'Draft already decided', schema: ref('Error') } }
+    }, async (req, res) => {
+      try {
+        res.json(await this.agentManager.regenerateDraft(req.params.draftId));
+      } catch (error) {
+        res.status(this._draftErrorStatus(error)).json({ error: error.message });
+      }
+    });
+    
+    // Tweets and replies waiting to be sent, sent, or given up on
+    this.route('get', '/api/outbox', {
+      operationId: 'listOutboxItems',
+      summary: 'List outbox items, newest first (status=dead for the dead-letter list)',
+      tags: ['outbox'],
+      query: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: Outbox.STATUSES },
+          agentId: { type: 'string', pattern: AGENT_ID_PATTERN },
+          limit: { type: 'integer', minimum: 1, maximum: 500 }
+        }
+      },
+      responses: { 200: { schema: { type: 'array', items: ref('OutboxItem') } } }
+    }, (req, res) => {
+      res.json(this.agentManager.outbox.listItems({
+        status: req.query.status,
+        agentId: req.query.agentId
+      }).slice(0, req.query.limit || 100));
+    });
+    
+    // Get a single outbox item
+    this.route('get', '/api/outbox/:itemId', {
+      operationId: 'getOutboxItem',
+      summary: 'Get an outbox item',
+      tags: ['outbox'],
+      responses: { 200: { schema: ref('OutboxItem') } }
+    }, (req, res) => {
+      try {
+        res.json(this.agentManager.outbox.getItem(req.params.itemId));
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+    
+    // Give a dead-lettered item a fresh set of attempts, starting with one right away
+    this.route('post', '/api/outbox/:itemId/retry', {
+      operationId: 'retryOutboxItem',
+      summary: 'Retry a dead-lettered tweet or reply',
+      tags: ['outbox'],
+      responses: { 200: { schema: ref('OutboxItem') }, 409: { description: 'Item is not dead-lettered', schema: ref('Error') } }
+    }, async (req, res) => {
+      try {
+        const item = this.agentManager.outbox.retry(req.params.itemId);
+        res.json(await this.agentManager.outbox.deliver(item));
+      } catch (error) {
+        res.status(this._draftErrorStatus(error)).json({ error: error.message });
+      }
+    });
+  }
+  
+  /**
+   * Write an agent config to the config directory, where a restart (or the config watcher) will find it
+   * @private
+   */
+  _saveAgentConfig(config) {
+    const configPath = this.agentManager.agentConfigPaths[config.id] ||
+      path.join(process.cwd(), 'config/agents', `${config.id}.json`);
+    const tempPath = `${configPath}.tmp`;
+    
+    fs.writeFileSync(tempPath, JSON.stringify(config, null, 2));
+    fs.renameSync(tempPath, configPath);
+    this.agentManager.agentConfigPaths[config.id] = configPath;
+  }
+  
+  /**
+   * 400 with one detail per problem for an invalid agent config, 500 for anything else
+   * @private
+   */
+  _sendConfigError(res, error) {
+    if (error.validationErrors) {
+      const details = error.validationErrors.map(detail => ({ location: 'body', ...detail, path: `body.${detail.path}` }));
+      return res.status(400).json({ error: error.message, details });
+    }
+    res.status(500).json({ error: error.message });
+  }
+  
+  /**
+   * Get the approval queue or throw if moderation is off
+   * @private
+   */
+  _getApprovalQueue() {
+    if (!this.approvalQueue) {
+      throw new Error('Approval queue is not enabled');
+    }
+    return this.approvalQueue;
+  }
+  
+  /**
+   * HTTP status for an approval queue or outbox error
+   * @private
+   */
+  _draftErrorStatus(error) {
+    if (/not found|not enabled/i.test(error.message)) {
+      return 404;
+    }
+    if (/is already/i.test(error.message)) {
+      return 409;
+    }
+    return 500;
   }
   
   /**
    * Start the API server
    */
   start() {
+    if (this.authDisabled) {
+      console.warn('API authentication is disabled (API_AUTH_DISABLED=true) - anyone who can reach the port can make agents post');
+    } else if (!this.apiKeyStore.hasActiveKeys()) {
+      console.warn('No API keys configured - every API call except /api/status will be refused. Create one with: npm run api-keys -- create <name> operator');
+    }
+    
+    this.dashboardInterval = setInterval(() => {
+      this.pushDashboardState();
+    }, this.dashboardPushMs);
+    
     return new Promise((resolve) => {
       this.server = this.app.listen(this.port, () => {
-        console.log(`Puppet Engine API server listening on port ${this.port}`);
+        console.log(`Puppet Engine API server listening on port ${this.port} (dashboard at /dashboard)`);
         resolve(this.server);
       });
     });
   }
   
+  /**
+   * Snapshot of agents, queues, schedules and error counts for the dashboard
+   * Times are absolute so the document only changes when something actually happens
+   */
+  getDashboardState() {
+    const agentManager = this.agentManager;
+    const eventEngine = this.eventEngine;
+    
+    const agents = Object.values(agentManager.agents).map(agent => {
+      const memory = agent.memory || {};
+      const relationships = Object.values(memory.relationships || {}).map(relationship => ({
+        targetAgentId: relationship.targetAgentId,
+        sentiment: relationship.sentiment,
+        familiarity: relationship.familiarity,
+        trust: relationship.trust,
+        lastInteractionDate: relationship.lastInteractionDate
+      }));
+      
+      return {
+        id: agent.id,
+        name: agent.name,
+        mood: agent.currentMood,
+        lastPostTime: agent.lastPostTime,
+        nextPostTime: agentManager.nextPostTimes[agent.id] || null,
+        apiCooldownUntil: agentManager.apiCooldowns[agent.id] || null,
+        apiErrorCount: agentManager.apiErrorCounts[agent.id] || 0,
+        relationships,
+        recentPosts: (memory.tweetHistory || []).slice(0, 15).map(post => ({
+          tweetId: post.metadata && post.metadata.tweetId,
+          content: post.metadata && post.metadata.fullText,
+          isReply: !!(post.metadata && post.metadata.isReply),
+          timestamp: post.timestamp
+        }))
+      };
+    });
+    
+    const summarizeEvent = event => ({
+      id: event.id,
+      type: event.type,
+      priority: event.priority,
+      targetAgentIds: event.targetAgentIds,
+      summary: event.data && (event.data.headline || event.data.description || event.data.topic) || null
+    });
+    
+    return {
+      startTime: agentManager.stats.startTime,
+      stats: {
+        tweetsPosted: agentManager.stats.tweetsPosted,
+        repliesPosted: agentManager.stats.repliesPosted,
+        errors: agentManager.stats.errors,
+        contentGuardBlocks: agentManager.contentGuard.getRecentBlocks().length,
+        pendingDrafts: this.approvalQueue ? this.approvalQueue.listDrafts({ status: 'pending' }).length : 0
+      },
+      agents,
+      mentionQueue: agentManager.getMentionQueue(),
+      eventQueue: eventEngine ? eventEngine.eventQueue.map(summarizeEvent) : [],
+      recentEvents: eventEngine
+        ? eventEngine.eventHistory.slice(-15).reverse().map(item => ({ ...summarizeEvent(item.event), processedAt: item.processedAt }))
+        : [],
+      scheduledEvents: eventEngine
+        ? eventEngine.listScheduledEvents().slice(0, 20).map(entry => ({
+          id: entry.id,
+          kind: entry.kind,
+          type: entry.generator || (entry.template && entry.template.type) || (entry.event && entry.event.type),
+          cron: entry.cron,
+          intervalMs: entry.intervalMs,
+          scheduledTime: entry.scheduledTime
+        }))
+        : [],
+      llmProviders: Object.values(agentManager.llmCircuitBreakers).map(breaker => breaker.getStatus()),
+      rateLimits: agentManager.twitterClient ? agentManager.twitterClient.getRateLimitState() : []
+    };
+  }
+  
+  /**
+   * Send the dashboard state to every stream client if it changed since the last push
+   */
+  pushDashboardState() {
+    if (this.dashboardClients.size === 0) {
+      this.lastDashboardPayload = null;
+      return;
+    }
+    
+    try {
+      const payload = JSON.stringify(this.getDashboardState());
+      if (payload === this.lastDashboardPayload) {
+        // Comment line so proxies don't drop an idle stream
+        if (Date.now() - this.lastDashboardPushAt > 15000) {
+          this.dashboardClients.forEach(client => client.write(': keep-alive\n\n'));
+          this.lastDashboardPushAt = Date.now();
+        }
+        return;
+      }
+      this.lastDashboardPayload = payload;
+      this.lastDashboardPushAt = Date.now();
+      
+      for (const client of this.dashboardClients) {
+        client.write(`event: state\ndata: ${payload}\n\n`);
+      }
+    } catch (error) {
+      console.error('Error pushing dashboard state:', error);
+    }
+  }
+  
   /**
    * Stop the API server
    */
   stop() {
+    clearInterval(this.dashboardInterval);
+    this.dashboardInterval = null;
+    
+    // Keep last-used times of API keys
+    this.apiKeyStore.flush();
+    
+    // Open streams would otherwise keep the server from closing
+    for (const client of this.dashboardClients) {
+      client.end();
+    }
+    this.dashboardClients.clear();
+    
     if (this.server) {
       return new Promise((resolve) => {
         this.server.close(() => {
@@ -0,0 +1,96 @@
+/**
+ * Audit log for Puppet Engine
+ * Records every state-changing API call with the identity of the caller
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Request body fields never written to the log
+const REDACTED_FIELDS = ['apiKey', 'apiKeySecret', 'accessToken', 'accessTokenSecret', 'bearerToken', 'password', 'key'];
+
+class AuditLog {
+  constructor(options = {}) {
+    this.logPath = options.logPath || path.join(process.cwd(), 'data', 'api_audit.jsonl');
+    this.maxRecentEntries = options.maxRecentEntries || 200;
+    this.maxBodyLength = options.maxBodyLength || 2000;
+    this.recentEntries = this._loadRecentEntries();
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - caller, method, path, params, body, status, ip
+   */
+  record(entry) {
+    const record = {
+      timestamp: new Date().toISOString(),
+      ...entry,
+      body: this._sanitizeBody(entry.body)
+    };
+
+    this.recentEntries.unshift(record);
+    if (this.recentEntries.length > this.maxRecentEntries) {
+      this.recentEntries.pop();
+    }
+
+    try {
+      const dir = path.dirname(this.logPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.appendFileSync(this.logPath, JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.error('Error writing API audit log:', error);
+    }
+
+    return record;
+  }
+
+  /**
+   * Most recent entries, newest first
+   */
+  getRecentEntries(limit = 50) {
+    return this.recentEntries.slice(0, limit);
+  }
+
+  /**
+   * Drop credentials and cap the size of a request body
+   * @private
+   */
+  _sanitizeBody(body) {
+    if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
+      return null;
+    }
+
+    const sanitized = JSON.parse(JSON.stringify(body, (key, value) =>
+      REDACTED_FIELDS.includes(key) ? '[redacted]' : value
+    ));
+
+    const text = JSON.stringify(sanitized);
+    return text.length > this.maxBodyLength ? { truncated: text.slice(0, this.maxBodyLength) } : sanitized;
+  }
+
+  /**
+   * Read the tail of the log so recent entries survive a restart
+   * @private
+   */
+  _loadRecentEntries() {
+    try {
+      if (!fs.existsSync(this.logPath)) {
+        return [];
+      }
+
+      return fs.readFileSync(this.logPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .slice(-this.maxRecentEntries)
+        .map(line => JSON.parse(line))
+        .reverse();
+    } catch (error) {
+      console.error('Error loading API audit log:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = AuditLog;
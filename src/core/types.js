@@ -47,6 +47,29 @@ class Relationship {
   notes = [];
 }
 
+/**
+ * What an agent remembers about a Twitter user who mentions it
+ */
+class UserProfile {
+  constructor(userId, username = null) {
+    this.userId = userId;
+    this.username = username;
+  }
+  
+  userId = '';
+  username = null;
+  firstSeen = null;
+  lastSeen = null;
+  interactionCount = 0;
+  exchanges = []; // recent { tweetId, text, reply, replyTweetId, timestamp }, newest first
+  sentiment = 0; // -1.0 to 1.0, running average of their tone toward the agent
+  topics = {}; // topic -> number of mentions it came up in
+  caRequests = 0; // times they asked for the contract address
+  lastCaRequestAt = null;
+  hostility = 0; // 0.0 to 1.0
+  spamScore = 0; // 0.0 to 1.0
+}
+
 /**
  * Memory item stored by an agent
  */
@@ -65,6 +88,8 @@ class MemoryItem {
   emotionalValence = 0; // -1.0 to 1.0
   associations = []; // array of memory IDs
   metadata = {};
+  embedding = null; // vector from the memory embedder, used by searchMemories
+  embeddingModel = null; // embedder model that produced the vector
 }
 
 /**
@@ -76,6 +101,7 @@ class AgentMemory {
   recentPosts = [];
   relationships = {};
   longTermMemories = [];
+  userProfiles = {}; // Twitter user ID -> UserProfile
   
   /**
    * Add a new memory item to the agent
@@ -115,6 +141,9 @@ class Tweet {
   authorId = '';
   replyToId = null;
   quoteTweetId = null;
+  conversationId = null; // ID of the tweet that started the thread
+  author = null; // The author's Twitter user object (created_at, public_metrics, verified...) when it was expanded
+  urls = []; // Expanded links, when the API returned entities
   isThread = false;
   threadIds = [];
   metadata = {};
@@ -132,6 +161,7 @@ class Agent {
   memory = new AgentMemory();
   customSystemPrompt = null;
   rotatingSystemPrompts = [];
+  promptVariants = []; // { id, version, prompt, weight, tasks } - see PromptExperiments.variantsFromConfig
   behavior = {
     postFrequency: {
       minHoursBetweenPosts: 3,
@@ -141,7 +171,13 @@ class Agent {
     interactionPatterns: {
       replyProbability: 0.5,
       quoteTweetProbability: 0.3,
-      likeProbability: 0.7
+      likeProbability: 0.7,
+      // Reply limits - see ReplyThrottle.DEFAULT_LIMITS
+      maxRepliesPerUserPerHour: 5,
+      maxRepliesPerConversation: 10,
+      maxBotExchangeDepth: 3,
+      botReplySeconds: 30,
+      loopSimilarity: 0.8
     },
     contentPreferences: {
       maxThreadLength: 3,
@@ -158,6 +194,12 @@ class Agent {
   
   goals = [];
   lastPostTime = null;
+  tokenPolicy = null; // Contract address and ticker rules enforced on generated text
+  approvalPolicy = null; // { require, minConfidence, tokenSymbols } - drafts matching it wait for a human
+  marketPolicy = null; // { enabled, source, mint, symbol, thresholds... } - see MarketPoller.policyFromConfig
+  newsPolicy = null; // { enabled, topics, minRelevance, maxEventsPerPoll } - which feed items become news events
+  triagePolicy = null; // { enabled, useLlm, actions, templates... } - see MentionTriage.policyFromConfig
+  spamPolicy = null; // { enabled, threshold, ignoreDays, windowMinutes } - see SpamDetector.policyFromConfig
   
   /**
    * Update the agent's mood based on a new event
@@ -194,6 +236,7 @@ module.exports = {
   AgentMemory,
   MemoryItem,
   Relationship,
+  UserProfile,
   Tweet,
   Event
 }; 
\ No newline at end of file
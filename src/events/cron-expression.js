@@ -0,0 +1,141 @@
+/**
+ * Cron expressions for Puppet Engine
+ * Parses standard five-field expressions (minute hour day-of-month month day-of-week) and finds run times
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+/**
+ * Parse a cron expression into sets of allowed values
+ * @param {string} expression - e.g. '0 4 * * *' or '*\/15 9-17 * * 1-5'
+ * @returns {Object} - minute, hour, dayOfMonth, month, dayOfWeek sets, plus which day fields were restricted
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression '${expression}': expected 5 fields, got ${parts.length}`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field, expression);
+  });
+
+  // Sunday can be written as 0 or 7
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+
+  schedule.dayOfMonthRestricted = parts[2] !== '*';
+  schedule.dayOfWeekRestricted = parts[4] !== '*';
+  return schedule;
+}
+
+/**
+ * Parse one field: *, n, a-b, lists and /step on any of them
+ * @private
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let start = field.min;
+    let end = field.max;
+
+    if (range !== '*') {
+      const bounds = range.split('-').map(value => parseInt(value, 10));
+      start = bounds[0];
+      end = bounds.length > 1 ? bounds[1] : (stepText === undefined ? start : field.max);
+    }
+
+    if ([start, end, step].some(Number.isNaN) || step < 1 || start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid ${field.name} field '${text}' in cron expression '${expression}'`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Check whether a cron expression is valid
+ */
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the first run time strictly after a given time, in local time
+ * @param {string|Object} expression - Cron expression or the result of parseCron
+ * @param {Date|number} after - Start searching after this time
+ * @returns {Date} - The next run time
+ */
+function nextCronTime(expression, after = Date.now()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const time = new Date(after);
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+
+  // Five years is enough to find any valid expression (Feb 29 included)
+  const limit = new Date(time).setFullYear(time.getFullYear() + 5);
+
+  while (time.getTime() <= limit) {
+    if (!schedule.month.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minute.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1);
+      continue;
+    }
+    return time;
+  }
+
+  throw new Error('Cron expression never matches');
+}
+
+/**
+ * Day-of-month and day-of-week match like classic cron: either one when both are restricted
+ * @private
+ */
+function matchesDay(schedule, time) {
+  const dayOfMonth = schedule.dayOfMonth.has(time.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(time.getDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  nextCronTime
+};
@@ -5,14 +5,82 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { Event } = require('../core/types');
+const EventStore = require('./event-store');
+const { parseCron, nextCronTime } = require('./cron-expression');
+
+// What to do with scheduled events that came due while the process was down
+const MISSED_POLICIES = ['fire', 'skip', 'coalesce'];
 
 class EventEngine {
-  constructor() {
+  constructor(options = {}) {
     this.eventListeners = {};
     this.eventQueue = [];
-    this.scheduledEvents = [];
+    this.scheduledEvents = []; // One-off and recurring entries, sorted by scheduledTime
     this.isProcessing = false;
     this.eventHistory = [];
+    
+    // Scheduled and queued events are persisted so pm2 restarts don't lose them
+    this.store = options.store || new EventStore({ useMongoDb: options.useMongoDb });
+    this.missedPolicy = options.missedPolicy || 'coalesce';
+    this.maxCatchUp = options.maxCatchUp || 10; // Most missed runs a recurring event replays under 'fire'
+    this.tickMs = options.tickMs || 10000;
+    this.tickInterval = null;
+    
+    // Recurring events can be produced by a named generator instead of fixed data
+    this.generators = {
+      news: () => this.generateRandomNewsEvent(),
+      mood: ({ agentId }) => this.generateMoodEvent(agentId),
+      interactions: ({ agentIds }) => this.generateRandomInteractions(agentIds)
+    };
+  }
+  
+  /**
+   * Load stored events, deal with anything missed while the process was down, and start the scheduler
+   */
+  async start() {
+    const entries = await this.store.load();
+    const now = Date.now();
+    
+    for (const entry of entries) {
+      if (entry.kind === 'queued') {
+        // Queued but never dispatched before the restart
+        this.eventQueue.push(this._deserializeEvent(entry.event));
+      } else if (entry.scheduledTime <= now) {
+        this._handleMissedEntry(entry, now);
+      } else {
+        this.scheduledEvents.push(entry);
+      }
+    }
+    
+    this.sortEventQueue();
+    this.sortScheduledEvents();
+    
+    this.tickInterval = setInterval(() => {
+      this.checkScheduledEvents();
+    }, this.tickMs);
+    
+    console.log(`Event engine started with ${this.scheduledEvents.length} scheduled and ${this.eventQueue.length} queued events`);
+    
+    if (this.eventQueue.length > 0) {
+      this.processEvents();
+    }
+  }
+  
+  /**
+   * Register a named generator for recurring events, e.g. a news feed poller
+   * Register before start() so stored schedules that use it can fire when missed runs are replayed
+   */
+  registerGenerator(name, generator) {
+    this.generators[name] = generator;
+    return this;
+  }
+  
+  /**
+   * Stop the scheduler; stored events are picked up again by the next start()
+   */
+  stop() {
+    clearInterval(this.tickInterval);
+    this.tickInterval = null;
   }
   
   /**
@@ -41,18 +109,7 @@ class EventEngine {
    * Create and queue a new event
    */
   createEvent(type, data, options = {}) {
-    const event = new Event(type, data);
-    event.id = uuidv4();
-    
-    // Set target agents if specified
-    if (options.targetAgentIds) {
-      event.targetAgentIds = options.targetAgentIds;
-    }
-    
-    // Set priority if specified
-    if (options.priority) {
-      event.priority = options.priority;
-    }
+    const event = this._buildEvent(type, data, options);
     
     // Add to queue
     this.queueEvent(event);
@@ -66,6 +123,7 @@ class EventEngine {
   queueEvent(event) {
     this.eventQueue.push(event);
     this.sortEventQueue();
+    this.store.save({ id: event.id, kind: 'queued', event: this._serializeEvent(event) });
     
     // Start processing if not already doing so
     if (!this.isProcessing) {
@@ -77,32 +135,104 @@ class EventEngine {
   
   /**
    * Schedule an event for the future
+   * @param {Object} options - targetAgentIds, priority, missedPolicy ('fire', 'skip' or 'coalesce')
    */
   scheduleEvent(type, data, delayMs, options = {}) {
-    const event = new Event(type, data);
-    event.id = uuidv4();
+    const event = this._buildEvent(type, data, options);
     
-    // Set target agents if specified
-    if (options.targetAgentIds) {
-      event.targetAgentIds = options.targetAgentIds;
-    }
+    // Schedule for future
+    this._addScheduledEntry({
+      id: event.id,
+      kind: 'once',
+      event: this._serializeEvent(event),
+      scheduledTime: Date.now() + delayMs,
+      missedPolicy: this._validateMissedPolicy(options.missedPolicy)
+    });
     
-    // Set priority if specified
-    if (options.priority) {
-      event.priority = options.priority;
+    return event;
+  }
+  
+  /**
+   * Schedule an event on a cron expression, e.g. '0 9 * * *' for every day at 09:00
+   * @param {Object} options - name (keeps one schedule per name across restarts), targetAgentIds, priority, missedPolicy
+   * @returns {Object} - The scheduled entry
+   */
+  scheduleCronEvent(type, data, cronExpression, options = {}) {
+    return this.scheduleRecurringEvent(options.name || uuidv4(), {
+      ...options,
+      type,
+      data,
+      cron: cronExpression
+    });
+  }
+  
+  /**
+   * Schedule a recurring event by cron expression or fixed interval
+   * Re-registering an existing name keeps its next run time, so restarts don't reset the clock
+   * @param {string} name - Stable identifier for the schedule
+   * @param {Object} options - cron or intervalMs; type and data, or generator and generatorArgs;
+   *                           targetAgentIds, priority, missedPolicy
+   * @returns {Object} - The scheduled entry
+   */
+  scheduleRecurringEvent(name, options = {}) {
+    if (!options.cron && !(options.intervalMs > 0)) {
+      throw new Error(`Recurring event '${name}' needs a cron expression or intervalMs`);
+    }
+    if (options.cron) {
+      parseCron(options.cron); // Throws on an invalid expression
+    }
+    if (options.generator && !this.generators[options.generator]) {
+      throw new Error(`Unknown event generator '${options.generator}'`);
     }
     
-    // Schedule for future
-    const scheduledTime = Date.now() + delayMs;
-    const scheduledEvent = {
-      event,
-      scheduledTime
+    const existing = this.scheduledEvents.find(entry => entry.id === name);
+    const entry = {
+      id: name,
+      kind: 'recurring',
+      cron: options.cron || null,
+      intervalMs: options.cron ? null : options.intervalMs,
+      generator: options.generator || null,
+      generatorArgs: options.generatorArgs || {},
+      template: options.generator ? null : {
+        type: options.type,
+        data: options.data,
+        targetAgentIds: options.targetAgentIds || [],
+        priority: options.priority || 'normal'
+      },
+      missedPolicy: this._validateMissedPolicy(options.missedPolicy),
+      scheduledTime: null
     };
     
-    this.scheduledEvents.push(scheduledEvent);
-    this.sortScheduledEvents();
+    const unchanged = existing && existing.cron === entry.cron && existing.intervalMs === entry.intervalMs;
+    entry.scheduledTime = unchanged ? existing.scheduledTime : this._nextRunTime(entry, Date.now());
     
-    return event;
+    this.scheduledEvents = this.scheduledEvents.filter(item => item.id !== name);
+    this._addScheduledEntry(entry);
+    
+    return entry;
+  }
+  
+  /**
+   * Scheduled entries, soonest first
+   */
+  listScheduledEvents() {
+    return this.scheduledEvents.map(entry => ({
+      ...entry,
+      scheduledTime: new Date(entry.scheduledTime)
+    }));
+  }
+  
+  /**
+   * Cancel a scheduled event
+   * @returns {boolean} - Whether there was an entry to cancel
+   */
+  cancelScheduledEvent(id) {
+    const found = this.scheduledEvents.some(entry => entry.id === id);
+    if (found) {
+      this.scheduledEvents = this.scheduledEvents.filter(entry => entry.id !== id);
+      this.store.remove(id);
+    }
+    return found;
   }
   
   /**
@@ -134,25 +264,34 @@ class EventEngine {
    */
   checkScheduledEvents() {
     const now = Date.now();
-    const dueEvents = [];
-    const futureEvents = [];
+    const dueEntries = [];
+    const futureEntries = [];
     
     // Split into due and future events
-    this.scheduledEvents.forEach(scheduledEvent => {
-      if (scheduledEvent.scheduledTime <= now) {
-        dueEvents.push(scheduledEvent.event);
+    this.scheduledEvents.forEach(entry => {
+      if (entry.scheduledTime <= now) {
+        dueEntries.push(entry);
       } else {
-        futureEvents.push(scheduledEvent);
+        futureEntries.push(entry);
       }
     });
     
     // Update scheduled events list
-    this.scheduledEvents = futureEvents;
-    
-    // Add due events to the queue
-    dueEvents.forEach(event => this.queueEvent(event));
+    this.scheduledEvents = futureEntries;
+    
+    // Add due events to the queue, and put recurring ones back for their next run
+    dueEntries.forEach(entry => {
+      if (entry.kind === 'recurring') {
+        this._fireRecurring(entry, 1);
+        entry.scheduledTime = this._nextRunTime(entry, now);
+        this._addScheduledEntry(entry);
+      } else {
+        // Stored as a queued event under the same ID until it has been dispatched
+        this.queueEvent(this._deserializeEvent(entry.event));
+      }
+    });
     
-    return dueEvents.length;
+    return dueEntries.length;
   }
   
   /**
@@ -171,6 +310,7 @@ class EventEngine {
       while (this.eventQueue.length > 0) {
         const event = this.eventQueue.shift();
         await this.dispatchEvent(event);
+        await this.store.remove(event.id);
         
         // Add to history
         this.eventHistory.push({
@@ -190,6 +330,166 @@ class EventEngine {
     }
   }
   
+  /**
+   * Apply the missed-event policy to an entry that came due while the process was down
+   * @private
+   */
+  _handleMissedEntry(entry, now) {
+    const policy = entry.missedPolicy || this.missedPolicy;
+    
+    if (entry.kind !== 'recurring') {
+      if (policy === 'skip') {
+        console.log(`Skipping ${entry.event.type} event ${entry.id} missed at ${new Date(entry.scheduledTime).toISOString()}`);
+        this.store.remove(entry.id);
+      } else {
+        this.eventQueue.push(this._deserializeEvent(entry.event));
+        this.store.save({ id: entry.id, kind: 'queued', event: entry.event });
+      }
+      return;
+    }
+    
+    const missedRuns = this._countRuns(entry, entry.scheduledTime, now);
+    console.log(`Recurring event ${entry.id} missed ${missedRuns} run(s) while down, policy: ${policy}`);
+    
+    if (policy === 'fire') {
+      for (let i = 0; i < Math.min(missedRuns, this.maxCatchUp); i++) {
+        this._fireRecurring(entry, 1);
+      }
+    } else if (policy === 'coalesce') {
+      this._fireRecurring(entry, missedRuns);
+    }
+    
+    entry.scheduledTime = this._nextRunTime(entry, now);
+    this.scheduledEvents.push(entry);
+    this.store.save(entry);
+  }
+  
+  /**
+   * Produce the event for one run of a recurring entry
+   * @param {number} runs - How many runs this event stands for (more than 1 when coalescing missed runs)
+   * @private
+   */
+  _fireRecurring(entry, runs) {
+    if (entry.generator) {
+      if (!this.generators[entry.generator]) {
+        console.warn(`No generator '${entry.generator}' registered for recurring event ${entry.id}, skipping run`);
+        return;
+      }
+      this.generators[entry.generator](entry.generatorArgs || {});
+      return;
+    }
+    
+    const data = runs > 1 ? { ...entry.template.data, missedRuns: runs } : entry.template.data;
+    this.createEvent(entry.template.type, data, entry.template);
+  }
+  
+  /**
+   * First run time of an entry strictly after a given time
+   * @private
+   */
+  _nextRunTime(entry, after) {
+    if (entry.cron) {
+      return nextCronTime(entry.cron, after).getTime();
+    }
+    
+    const start = entry.scheduledTime || after;
+    if (start > after) {
+      return start;
+    }
+    return start + (Math.floor((after - start) / entry.intervalMs) + 1) * entry.intervalMs;
+  }
+  
+  /**
+   * Count runs of a recurring entry between two times, inclusive, capped just past maxCatchUp
+   * @private
+   */
+  _countRuns(entry, from, to) {
+    if (!entry.cron) {
+      return Math.floor((to - from) / entry.intervalMs) + 1;
+    }
+    
+    let runs = 1;
+    let time = from;
+    while (runs <= this.maxCatchUp) {
+      time = nextCronTime(entry.cron, time).getTime();
+      if (time > to) {
+        break;
+      }
+      runs++;
+    }
+    return runs;
+  }
+  
+  /**
+   * Add an entry to the schedule and persist it
+   * @private
+   */
+  _addScheduledEntry(entry) {
+    this.scheduledEvents.push(entry);
+    this.sortScheduledEvents();
+    this.store.save(entry);
+  }
+  
+  /**
+   * Build an Event with an ID and options applied
+   * @private
+   */
+  _buildEvent(type, data, options = {}) {
+    const event = new Event(type, data);
+    event.id = uuidv4();
+    
+    // Set target agents if specified
+    if (options.targetAgentIds && options.targetAgentIds.length > 0) {
+      event.targetAgentIds = options.targetAgentIds;
+    }
+    
+    // Set priority if specified
+    if (options.priority) {
+      event.priority = options.priority;
+    }
+    
+    return event;
+  }
+  
+  /**
+   * Plain object form of an event for the store
+   * @private
+   */
+  _serializeEvent(event) {
+    return {
+      id: event.id,
+      type: event.type,
+      data: event.data,
+      timestamp: event.timestamp,
+      targetAgentIds: event.targetAgentIds,
+      priority: event.priority
+    };
+  }
+  
+  /**
+   * Rebuild an Event from its stored form
+   * @private
+   */
+  _deserializeEvent(doc) {
+    const event = new Event(doc.type, doc.data);
+    event.id = doc.id;
+    event.timestamp = doc.timestamp ? new Date(doc.timestamp) : new Date();
+    event.targetAgentIds = doc.targetAgentIds || [];
+    event.priority = doc.priority || 'normal';
+    return event;
+  }
+  
+  /**
+   * Make sure a missed-event policy is one we know, defaulting to the engine's policy
+   * @private
+   */
+  _validateMissedPolicy(policy) {
+    if (policy && !MISSED_POLICIES.includes(policy)) {
+      throw new Error(`Invalid missed-event policy '${policy}'. Use one of: ${MISSED_POLICIES.join(', ')}`);
+    }
+    return policy || this.missedPolicy;
+  }
+  
   /**
    * Dispatch an event to all relevant listeners
    */
@@ -360,55 +660,94 @@ class EventEngine {
     });
   }
   
+  /**
+   * Generate a few interaction prompts between random pairs of agents
+   */
+  generateRandomInteractions(agentIds) {
+    if (agentIds.length < 2) {
+      return;
+    }
+    
+    // Determine how many interactions to trigger (1-3)
+    const interactionCount = Math.floor(Math.random() * 3) + 1;
+    
+    // Generate multiple interactions
+    for (let i = 0; i < interactionCount; i++) {
+      // Don't generate too many at once if there are few agents
+      if (i > 0 && agentIds.length < 4) break;
+      
+      // Pick two random agents
+      const shuffled = [...agentIds].sort(() => 0.5 - Math.random());
+      const agent1 = shuffled[0];
+      const agent2 = shuffled[1];
+      
+      // Only proceed if we found two different agents
+      if (agent1 && agent2 && agent1 !== agent2) {
+        this.generateInteractionEvent(agent1, agent2);
+        
+        // Sometimes generate bi-directional interaction (agent2 also notices agent1)
+        if (Math.random() < 0.3) {
+          this.generateInteractionEvent(agent2, agent1);
+        }
+      }
+    }
+  }
+  
   /**
    * Setup periodic random events
+   * These are stored recurring schedules, so a restart continues the existing clock instead of starting over
+   * @param {Object} options - newsGenerator replaces the invented headlines with a registered
+   *                           generator (e.g. a feed poller) run every newsInterval
    */
   setupRandomEvents(agentIds, options = {}) {
     const newsInterval = options.newsInterval || 6 * 60 * 60 * 1000; // 6 hours
     const moodInterval = options.moodInterval || 4 * 60 * 60 * 1000; // 4 hours
     const interactionInterval = options.interactionInterval || 8 * 60 * 60 * 1000; // 8 hours
-    
-    // Schedule recurring news events
-    setInterval(() => {
-      this.generateRandomNewsEvent();
-    }, newsInterval);
+    const missedPolicy = options.missedPolicy || 'coalesce';
+    
+    // Schedule recurring news events, from real feeds when configured
+    if (options.newsGenerator) {
+      this.cancelScheduledEvent('random-news');
+      this.scheduleRecurringEvent('news-feeds', {
+        generator: options.newsGenerator,
+        intervalMs: newsInterval,
+        missedPolicy
+      });
+    } else {
+      this.cancelScheduledEvent('news-feeds');
+      this.scheduleRecurringEvent('random-news', {
+        generator: 'news',
+        intervalMs: newsInterval,
+        missedPolicy
+      });
+    }
     
     // Schedule recurring mood events for each agent
     agentIds.forEach(agentId => {
-      setInterval(() => {
-        this.generateMoodEvent(agentId);
-      }, moodInterval + Math.random() * 60 * 60 * 1000); // Add some randomness
+      const name = `random-mood:${agentId}`;
+      const existing = this.scheduledEvents.find(entry => entry.id === name);
+      
+      this.scheduleRecurringEvent(name, {
+        generator: 'mood',
+        generatorArgs: { agentId },
+        // Keep the stored interval so the randomness doesn't reset the clock on every restart
+        intervalMs: existing ? existing.intervalMs : moodInterval + Math.floor(Math.random() * 60 * 60 * 1000),
+        missedPolicy
+      });
     });
     
     // Schedule recurring interaction events between agents
     if (agentIds.length >= 2) {
-      setInterval(() => {
-        // Determine how many interactions to trigger (1-3)
-        const interactionCount = Math.floor(Math.random() * 3) + 1;
-        
-        // Generate multiple interactions
-        for (let i = 0; i < interactionCount; i++) {
-          // Don't generate too many at once if there are few agents
-          if (i > 0 && agentIds.length < 4) break;
-          
-          // Pick two random agents
-          const shuffled = [...agentIds].sort(() => 0.5 - Math.random());
-          const agent1 = shuffled[0];
-          const agent2 = shuffled[1];
-          
-          // Only proceed if we found two different agents
-          if (agent1 && agent2 && agent1 !== agent2) {
-            this.generateInteractionEvent(agent1, agent2);
-            
-            // Sometimes generate bi-directional interaction (agent2 also notices agent1)
-            if (Math.random() < 0.3) {
-              this.generateInteractionEvent(agent2, agent1);
-            }
-          }
-        }
-      }, interactionInterval);
+      this.scheduleRecurringEvent('random-interactions', {
+        generator: 'interactions',
+        generatorArgs: { agentIds },
+        intervalMs: interactionInterval,
+        missedPolicy
+      });
     }
   }
 }
 
-module.exports = EventEngine; 
\ No newline at end of file
+EventEngine.MISSED_POLICIES = MISSED_POLICIES;
+
+module.exports = EventEngine; 
@@ -0,0 +1,119 @@
+/**
+ * Event store for Puppet Engine
+ * Persists scheduled and queued events so they survive restarts
+ * Uses the MongoDB agent-events collection when connected, otherwise a JSON file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../utils/database');
+
+class EventStore {
+  constructor(options = {}) {
+    this.useMongoDb = options.useMongoDb === true;
+    this.mongoDbConnected = false;
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'events.json');
+    this.entries = {};
+  }
+
+  /**
+   * Connect to MongoDB if enabled and load every stored entry
+   * @returns {Promise<Array>} - Stored entries
+   */
+  async load() {
+    if (this.useMongoDb) {
+      try {
+        await db.connectToDatabase();
+        this.mongoDbConnected = true;
+
+        const eventCollection = await db.getCollection(db.COLLECTIONS.EVENTS);
+        const docs = await eventCollection.find({}).toArray();
+        this.entries = {};
+        docs.forEach(({ _id, ...entry }) => {
+          this.entries[entry.id] = entry;
+        });
+
+        console.log(`Loaded ${docs.length} stored events from MongoDB`);
+        return Object.values(this.entries);
+      } catch (error) {
+        console.error('Failed to load events from MongoDB, falling back to file storage:', error);
+        this.mongoDbConnected = false;
+      }
+    }
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.entries = {};
+        entries.forEach(entry => {
+          this.entries[entry.id] = entry;
+        });
+        console.log(`Loaded ${entries.length} stored events from file`);
+      }
+    } catch (error) {
+      console.error('Error loading stored events from file:', error);
+    }
+
+    return Object.values(this.entries);
+  }
+
+  /**
+   * Insert or update an entry
+   * @param {Object} entry - Must have an id
+   */
+  async save(entry) {
+    this.entries[entry.id] = entry;
+
+    if (this.mongoDbConnected) {
+      try {
+        const eventCollection = await db.getCollection(db.COLLECTIONS.EVENTS);
+        await eventCollection.updateOne({ id: entry.id }, { $set: entry }, { upsert: true });
+        return;
+      } catch (error) {
+        console.error(`Error saving event ${entry.id} to MongoDB:`, error);
+      }
+    }
+
+    this._writeFile();
+  }
+
+  /**
+   * Remove an entry
+   */
+  async remove(id) {
+    delete this.entries[id];
+
+    if (this.mongoDbConnected) {
+      try {
+        const eventCollection = await db.getCollection(db.COLLECTIONS.EVENTS);
+        await eventCollection.deleteOne({ id });
+        return;
+      } catch (error) {
+        console.error(`Error removing event ${id} from MongoDB:`, error);
+      }
+    }
+
+    this._writeFile();
+  }
+
+  /**
+   * Write every entry to the file store, through a temp file so a crash never leaves half a file
+   * @private
+   */
+  _writeFile() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.values(this.entries), null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Error writing stored events to file:', error);
+    }
+  }
+}
+
+module.exports = EventStore;
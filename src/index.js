@@ -1,164 +1,162 @@
 /**
- * PumpCantFun Bot - FINAL WORKING VERSION
- * Uses v2 mention timeline with production app credentials
+ * PumpCantFun Bot
+ * Boots the full Puppet Engine pipeline: agents, memory, events and LLM providers
  */
 
 require('dotenv').config();
 require('dotenv').config({ path: '.env.production' });
-const TwitterMentionHandler = require('./twitter/twitter-mention-handler');
-const { OpenAI } = require('openai');
-const fs = require('fs');
 const path = require('path');
+const AgentManager = require('./agents/agent-manager');
+const MemoryManager = require('./memory/memory-manager');
+const EventEngine = require('./events/event-engine');
+const TwitterClient = require('./twitter/twitter-client');
+const ApiServer = require('./api/api-server');
+const ApprovalQueue = require('./moderation/approval-queue');
+const NewsIngestor = require('./news/news-ingestor');
+const MarketPoller = require('./market/market-poller');
+const { createStateStore } = require('./state/state-store-registry');
 
 class PumpCantFunBot {
   constructor() {
-    // Use original app credentials (they work!)
-    this.twitter = new TwitterMentionHandler({
-      appKey: process.env.TWITTER_API_KEY,
-      appSecret: process.env.TWITTER_API_KEY_SECRET,
-      accessToken: process.env.TWITTER_ACCESS_TOKEN,
-      accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET
+    this.isDryRun = process.env.DRY_RUN === 'true';
+    this.configDir = path.join(__dirname, '../config/agents');
+
+    // Only use MongoDB when it has been configured explicitly
+    this.memoryManager = new MemoryManager({
+      useMongoDb: !!process.env.MONGODB_URI
     });
-    
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
+
+    // Scheduled events are stored in MongoDB when configured, otherwise in data/events.json
+    this.eventEngine = new EventEngine({
+      useMongoDb: !!process.env.MONGODB_URI,
+      missedPolicy: process.env.MISSED_EVENT_POLICY || 'coalesce'
     });
-    
-    this.agentConfig = JSON.parse(
-      fs.readFileSync(path.join(__dirname, '../config/agents/pumpcantfun-agent.json'), 'utf8')
-    );
-    
-    this.isDryRun = process.env.DRY_RUN === 'true';
-    this.stats = {
-      startTime: Date.now(),
-      tweetsPosted: 0,
-      mentionsProcessed: 0,
-      errors: 0
-    };
+
+    // Default client shared by every agent without its own credentials
+    this.twitterClient = new TwitterClient({
+      credentials: {
+        apiKey: process.env.TWITTER_API_KEY,
+        apiKeySecret: process.env.TWITTER_API_KEY_SECRET,
+        accessToken: process.env.TWITTER_ACCESS_TOKEN,
+        accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+        bearerToken: process.env.TWITTER_BEARER_TOKEN
+      }
+    });
+
+    // Drafts matching an agent's approval policy wait here for a human decision
+    this.approvalQueue = new ApprovalQueue();
+
+    // Processed tweet IDs, mention cursors and post timing; MongoDB by default when configured
+    this.stateStore = createStateStore(process.env.STATE_STORE || (process.env.MONGODB_URI ? 'mongo' : 'file'));
+
+    this.agentManager = new AgentManager({
+      memoryManager: this.memoryManager,
+      eventEngine: this.eventEngine,
+      twitterClient: this.twitterClient,
+      dryRun: this.isDryRun,
+      approvalQueue: this.approvalQueue,
+      stateStore: this.stateStore,
+      // e.g. APPROVAL_REQUIRE=replies,token_mentions for agents without an approval block
+      approvalPolicy: process.env.APPROVAL_REQUIRE ? {
+        require: process.env.APPROVAL_REQUIRE.split(',').map(rule => rule.trim())
+      } : null
+    });
+
+    // Real news from RSS/Atom/JSON feeds replaces the invented headlines when NEWS_FEEDS is set
+    const newsFeeds = NewsIngestor.feedsFromString(process.env.NEWS_FEEDS);
+    if (newsFeeds.length > 0) {
+      this.newsIngestor = new NewsIngestor({
+        feeds: newsFeeds,
+        agentManager: this.agentManager,
+        eventEngine: this.eventEngine
+      });
+      // Registered before eventEngine.start() so missed polls can be replayed
+      this.eventEngine.registerGenerator('news_feeds', () => this.newsIngestor.poll());
+    }
+
+    // Price, holder and large-trade events for agents with solana_integration.market_data enabled
+    this.marketPoller = new MarketPoller({
+      agentManager: this.agentManager,
+      memoryManager: this.memoryManager,
+      eventEngine: this.eventEngine
+    });
+    this.eventEngine.registerGenerator('market_data', () => this.marketPoller.poll());
+
+    // Likes, replies, retweets and quotes for recent tweets (failures are logged by the manager)
+    this.eventEngine.registerGenerator('engagement', () => this.agentManager.collectEngagement().catch(() => {}));
+
+    // The control API is opt-in so the bot never exposes it by accident
+    if (process.env.ENABLE_API_SERVER === 'true') {
+      this.apiServer = new ApiServer({
+        agentManager: this.agentManager,
+        eventEngine: this.eventEngine,
+        memoryManager: this.memoryManager,
+        approvalQueue: this.approvalQueue,
+        newsIngestor: this.newsIngestor,
+        marketPoller: this.marketPoller
+      });
+    }
   }
 
   async start() {
     console.log('🚀 Starting PumpCantFun Bot\n');
     console.log('Mode:', this.isDryRun ? 'DRY RUN' : 'LIVE');
-    console.log('Features:');
-    console.log('✅ Mention detection (v2 API)');
-    console.log('✅ Auto-reply to mentions');
-    console.log('✅ Scheduled tweets\n');
-    
-    // Initialize
-    const initialized = await this.twitter.initialize();
-    if (!initialized) {
-      console.error('Failed to initialize bot');
-      return;
-    }
-    
-    // Start mention polling
-    await this.twitter.startPolling(
-      (mention) => this.handleMention(mention),
-      120000 // Check every 2 minutes
-    );
-    
-    // Start scheduled tweets
-    this.startScheduledTweets();
-    
-    // Show dashboard
-    this.startDashboard();
-    
-    console.log('\n✅ Bot is running!');
-  }
 
-  async handleMention(mention) {
-    try {
-      console.log(`\n📨 New mention from @${mention.author_username}:`);
-      console.log(`   "${mention.text}"`);
-      
-      // Check reply probability
-      if (Math.random() > 0.9) { // 90% reply rate
-        console.log('   🎲 Skipping (probability)');
-        return;
-      }
-      
-      // Generate reply
-      const reply = await this.generateReply(mention.text);
-      console.log(`   💬 Reply: "${reply}"`);
-      
-      // Send reply
-      if (this.isDryRun) {
-        console.log('   [DRY RUN - not sending]');
-      } else {
-        await this.twitter.replyToMention(mention.id, reply);
-        console.log('   ✅ Reply sent!');
-      }
-      
-      this.stats.mentionsProcessed++;
-      
-    } catch (error) {
-      console.error('Error handling mention:', error);
-      this.stats.errors++;
+    // Load agents - this also schedules their posts from behavior.post_frequency
+    await this.agentManager.loadAgents(this.configDir);
+    const agentIds = Object.keys(this.agentManager.agents);
+
+    // Persona and prompt edits apply without a restart (the API can also reload and roll back)
+    if (process.env.AGENT_CONFIG_WATCH !== 'false') {
+      this.agentManager.watchAgentConfigs(this.configDir);
     }
-  }
 
-  async generateReply(mentionText) {
-    const promptIndex = Math.floor(Math.random() * this.agentConfig.rotating_system_prompts.length);
-    const systemPrompt = this.agentConfig.rotating_system_prompts[promptIndex];
-    
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-4-turbo',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `Reply to: "${mentionText}"` }
-      ],
-      max_tokens: 60,
-      temperature: 0.7
-    });
-    
-    return response.choices[0].message.content.trim();
-  }
+    // Compress and decay old memories instead of truncating them
+    this.agentManager.scheduleMemoryConsolidation(process.env.MEMORY_CONSOLIDATION_CRON || '0 4 * * *');
 
-  async generateTweet() {
-    const promptIndex = Math.floor(Math.random() * this.agentConfig.rotating_system_prompts.length);
-    const systemPrompt = this.agentConfig.rotating_system_prompts[promptIndex];
+    // Retries tweets and replies whose first attempt failed
+    this.agentManager.outbox.start();
     
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-4-turbo',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: 'Generate a tweet about being suspended' }
-      ],
-      max_tokens: 60,
-      temperature: 0.8
-    });
-    
-    return response.choices[0].message.content.trim();
-  }
+    // Mentions go through processAgentReaction (streaming with polling fallback)
+    await this.agentManager.startStreamingMentions();
 
-  startScheduledTweets() {
-    // Start posting after 3 minutes (no immediate tweet)
-    this.tweetInterval = setInterval(
-      () => this.postScheduledTweet(),
-      180000 // 3 minutes
-    );
-  }
+    // Reload stored events (after agents, so nothing is dispatched to an empty manager)
+    await this.eventEngine.start();
 
-  async postScheduledTweet() {
-    try {
-      console.log('\n📝 Posting scheduled tweet...');
-      const tweet = await this.generateTweet();
-      console.log(`   Tweet: "${tweet}"`);
-      
-      if (this.isDryRun) {
-        console.log('   [DRY RUN - not posting]');
-      } else {
-        await this.twitter.postTweet(tweet);
-        console.log('   ✅ Posted!');
-      }
-      
-      this.stats.tweetsPosted++;
-      
-    } catch (error) {
-      console.error('Error posting tweet:', error);
-      this.stats.errors++;
+    // Periodic news, mood and interaction events
+    this.eventEngine.setupRandomEvents(agentIds, this.newsIngestor ? {
+      newsGenerator: 'news_feeds',
+      newsInterval: (parseInt(process.env.NEWS_POLL_INTERVAL_MINUTES, 10) || 30) * 60 * 1000
+    } : {});
+
+    // Token market data, only while some agent tracks its token
+    if (this.marketPoller.getTrackedAgents().length > 0) {
+      this.eventEngine.scheduleRecurringEvent('market-data', {
+        generator: 'market_data',
+        intervalMs: (parseInt(process.env.MARKET_POLL_INTERVAL_MINUTES, 10) || 5) * 60 * 1000
+      });
+    } else {
+      this.eventEngine.cancelScheduledEvent('market-data');
+    }
+
+    // Engagement on recent tweets feeds post importance and the prompt variant results (nothing to look up in dry run)
+    if (!this.isDryRun) {
+      this.eventEngine.scheduleRecurringEvent('engagement', {
+        generator: 'engagement',
+        intervalMs: (parseInt(process.env.ENGAGEMENT_POLL_INTERVAL_MINUTES, 10) || 30) * 60 * 1000
+      });
+    } else {
+      this.eventEngine.cancelScheduledEvent('engagement');
+    }
+
+    if (this.apiServer) {
+      await this.apiServer.start();
     }
+
+    // Show dashboard
+    this.startDashboard();
+
+    console.log(`\n✅ Bot is running with ${agentIds.length} agent(s)!`);
   }
 
   startDashboard() {
@@ -166,28 +164,65 @@ class PumpCantFunBot {
     this.dashboardInterval = setInterval(() => {
       this.showDashboard();
     }, 30000);
-    
+
     // Show immediately
     this.showDashboard();
   }
 
   showDashboard() {
-    const uptime = Math.floor((Date.now() - this.stats.startTime) / 1000 / 60);
-    
+    const stats = this.agentManager.stats;
+    const uptime = Math.floor((Date.now() - stats.startTime) / 1000 / 60);
+
     console.log('\n📊 Dashboard Update');
     console.log('═══════════════════════════════════════');
     console.log(`⏱️  Uptime: ${uptime} minutes`);
-    console.log(`📤 Tweets posted: ${this.stats.tweetsPosted}`);
-    console.log(`💬 Mentions processed: ${this.stats.mentionsProcessed}`);
-    console.log(`❌ Errors: ${this.stats.errors}`);
+    console.log(`📤 Tweets posted: ${stats.tweetsPosted}`);
+    console.log(`💬 Replies posted: ${stats.repliesPosted}`);
+    console.log(`❌ Errors: ${stats.errors}`);
+    console.log(`📝 Drafts awaiting approval: ${this.approvalQueue.listDrafts({ status: 'pending' }).length}`);
+    console.log(`📮 Outbox: ${this.agentManager.outbox.listItems({ status: 'pending' }).length} waiting to retry, ${this.agentManager.outbox.listItems({ status: 'dead' }).length} dead-lettered`);
+
+    for (const agent of Object.values(this.agentManager.agents)) {
+      const nextPostTime = this.agentManager.nextPostTimes[agent.id];
+      const nextPostIn = nextPostTime
+        ? `${Math.max(0, Math.round((nextPostTime - Date.now()) / 60000))} minutes`
+        : 'not scheduled';
+      const mood = agent.currentMood;
+
+      console.log(`🤖 ${agent.name}: next post in ${nextPostIn}, mood v=${mood.valence.toFixed(2)} a=${mood.arousal.toFixed(2)} d=${mood.dominance.toFixed(2)}`);
+    }
+
+    // Tweets left under the daily cap, and endpoints held back until their window resets
+    for (const account of this.twitterClient.getRateLimitState()) {
+      const deferred = account.buckets.filter(bucket => bucket.deferred);
+      const deferredText = deferred.length > 0
+        ? `, waiting on ${deferred.map(bucket => `${bucket.endpoint} (${Math.ceil((Date.parse(bucket.resetsAt) - Date.now()) / 60000)}m)`).join(', ')}`
+        : '';
+      console.log(`🚦 ${account.account}: ${account.tweets.used}/${account.tweets.limit} tweets in 24h${deferredText}`);
+    }
     console.log('═══════════════════════════════════════');
   }
 
-  stop() {
+  async stop() {
     console.log('\n🛑 Stopping bot...');
-    this.twitter.stopPolling();
-    clearInterval(this.tweetInterval);
     clearInterval(this.dashboardInterval);
+    this.eventEngine.stop();
+    this.agentManager.outbox.stop();
+
+    await this.agentManager.stopStreamingMentions();
+    this.agentManager.stopWatchingAgentConfigs();
+    for (const schedule of Object.values(this.agentManager.postSchedules)) {
+      schedule.stop();
+    }
+    if (this.agentManager.consolidationSchedule) {
+      this.agentManager.consolidationSchedule.stop();
+    }
+
+    if (this.apiServer) {
+      await this.apiServer.stop();
+    }
+    await this.stateStore.close();
+
     this.showDashboard();
     console.log('\nBot stopped.');
   }
@@ -196,11 +231,11 @@ class PumpCantFunBot {
 // Handle graceful shutdown
 const bot = new PumpCantFunBot();
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\n\nReceived SIGINT...');
-  bot.stop();
+  await bot.stop();
   process.exit(0);
 });
 
 // Start the bot
-bot.start().catch(console.error);
\ No newline at end of file
+bot.start().catch(console.error);
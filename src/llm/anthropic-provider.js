@@ -0,0 +1,63 @@
+/**
+ * Anthropic-compatible provider for Puppet Engine
+ * Talks to any endpoint implementing the Anthropic Messages API
+ */
+
+const axios = require('axios');
+const BaseLLMProvider = require('./base-provider');
+
+class AnthropicProvider extends BaseLLMProvider {
+  constructor(options = {}) {
+    super({
+      name: 'anthropic',
+      ...options,
+      model: options.model || process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest'
+    });
+
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.baseUrl = (options.baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/$/, '');
+    this.apiVersion = options.apiVersion || '2023-06-01';
+  }
+
+  /**
+   * Send a request to the Messages API
+   * System messages go in the top-level system field, the rest stay in order
+   */
+  async complete(messages, options = {}) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/v1/messages`,
+        {
+          model: options.model || this.defaultModel,
+          system: system || undefined,
+          messages: messages.filter(message => message.role !== 'system'),
+          max_tokens: options.maxTokens || this.maxTokens,
+          // The Messages API only accepts temperatures between 0 and 1
+          temperature: Math.min(1, options.temperature !== undefined ? options.temperature : this.temperature)
+        },
+        {
+          headers: {
+            'x-api-key': this.apiKey,
+            'anthropic-version': this.apiVersion,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      return response.data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    } catch (error) {
+      console.error('Error calling Anthropic API:', error.message);
+      throw new Error(`Anthropic API error: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,100 @@
+/**
+ * Circuit breaker for LLM providers
+ * Opens after repeated failures and lets a single trial request through after a cool-off
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const DEFAULTS = {
+  failureThreshold: 3,
+  cooldownMs: 5 * 60 * 1000
+};
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.name = options.name || 'provider';
+    this.failureThreshold = options.failureThreshold || DEFAULTS.failureThreshold;
+    this.cooldownMs = options.cooldownMs || DEFAULTS.cooldownMs;
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may be sent right now
+   * An open breaker moves to half-open once the cool-off has passed, and a half-open breaker
+   * admits one trial request, refusing the rest until that one is recorded
+   */
+  canRequest() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = STATES.HALF_OPEN;
+      this.trialInFlight = false;
+      console.log(`Circuit for ${this.name} is half-open, trying it again`);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return this.state === STATES.CLOSED;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      console.log(`Circuit for ${this.name} closed again`);
+    }
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed request
+   * A failed trial request re-opens the breaker straight away
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error ? error.message : null;
+    this.trialInFlight = false;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+      console.log(`Circuit for ${this.name} opened after ${this.failures} failure(s), cooling off for ${Math.round(this.cooldownMs / 1000)}s`);
+    }
+  }
+
+  /**
+   * Current breaker state for status reporting
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+CircuitBreaker.DEFAULTS = DEFAULTS;
+
+module.exports = CircuitBreaker;
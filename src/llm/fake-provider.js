@@ -0,0 +1,110 @@
+/**
+ * Deterministic fake provider for Puppet Engine
+ * Returns canned completions without any network access, for tests and offline runs
+ */
+
+const BaseLLMProvider = require('./base-provider');
+
+const DEFAULT_TWEETS = [
+  'day 69 of being suspended: still can\'t fun',
+  'watching memecoins moon from twitter jail',
+  'remember when i could pump? me neither',
+  'suspended for having too much fun. classic.',
+  'new coin launched? must be nice'
+];
+
+const DEFAULT_REPLIES = [
+  'cant talk. suspended.',
+  'wish i could help. banned tho',
+  'tell that to the guy who suspended me'
+];
+
+class FakeProvider extends BaseLLMProvider {
+  constructor(options = {}) {
+    super({
+      name: 'fake',
+      ...options,
+      model: options.model || 'fake'
+    });
+
+    // Scripted completions are returned first, in order, before the canned ones
+    this.responses = [...(options.responses || [])];
+    this.tweets = options.tweets || DEFAULT_TWEETS;
+    this.replies = options.replies || DEFAULT_REPLIES;
+    this.calls = [];
+    this.counters = {};
+  }
+
+  /**
+   * Queue a completion to return on the next request
+   */
+  addResponse(response) {
+    this.responses.push(response);
+  }
+
+  /**
+   * Return the next scripted or canned completion
+   */
+  async complete(messages, options = {}) {
+    const task = options.task || 'tweet';
+    this.calls.push({ messages, options });
+
+    if (this.responses.length > 0) {
+      const response = this.responses.shift();
+      if (response instanceof Error) {
+        throw response;
+      }
+      return response;
+    }
+
+    switch (task) {
+      case 'reaction':
+        return [
+          'REACTION: mildly annoyed',
+          'ACTION: 1. Reply',
+          `CONTENT: ${this._next('reply', this.replies)}`,
+          'REASONING: they mentioned me'
+        ].join('\n');
+      case 'memory_update':
+        return [
+          'MEMORY: something happened while i was suspended',
+          'IMPORTANCE: 0.5',
+          'EMOTION: bitter',
+          'VALENCE_SHIFT: -0.1',
+          'AROUSAL_SHIFT: 0.1',
+          'DOMINANCE_SHIFT: 0'
+        ].join('\n');
+      case 'relationship_update':
+        return [
+          'SENTIMENT_CHANGE: 0.05',
+          'FAMILIARITY_CHANGE: 0.05',
+          'TRUST_CHANGE: 0',
+          'NOTE: talked while i was suspended'
+        ].join('\n');
+      case 'triage':
+        return [
+          'INTENT: banter',
+          'CONFIDENCE: 0.6',
+          'REASON: sounds friendly enough'
+        ].join('\n');
+      case 'memory_summary':
+        return 'SUMMARY: a few things happened while i was suspended and i remember all of them';
+      case 'reply':
+        return this._next('reply', this.replies);
+      default:
+        return this._next('tweet', this.tweets);
+    }
+  }
+
+  /**
+   * Cycle through a list of canned completions
+   * @private
+   */
+  _next(kind, list) {
+    const index = this.counters[kind] || 0;
+    this.counters[kind] = index + 1;
+    return list[index % list.length];
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,139 @@
+/**
+ * Fallback provider for Puppet Engine
+ * Tries an ordered list of providers, failing over on errors, timeouts and refusals
+ */
+
+const BaseLLMProvider = require('./base-provider');
+const CircuitBreaker = require('./circuit-breaker');
+
+// Model refusals, kept narrow so in-character "can't" tweets don't trip them
+const REFUSAL_PATTERNS = [
+  /^(i'?m sorry|i apologi[sz]e|sorry)[,.!]?\s+(but\s+)?i\s+(can(no|'|’)t|am unable to|won'?t)\s+(help|assist|comply|provide|create|generate|do that)/i,
+  /^i\s+(can(no|'|’)t|am unable to|won'?t)\s+(help|assist)\s+with\s+(that|this)/i,
+  /\bas an ai (language )?model\b/i
+];
+
+class FallbackProvider extends BaseLLMProvider {
+  /**
+   * @param {Object} options
+   * @param {Array<BaseLLMProvider>} options.providers - Providers in order of preference
+   * @param {Object} options.breakers - Shared map of breaker key to CircuitBreaker
+   * @param {number} options.timeoutMs - Per-request timeout for each provider
+   * @param {number} options.failureThreshold - Consecutive failures before a breaker opens
+   * @param {number} options.cooldownMs - How long an open breaker waits before a trial request
+   */
+  constructor(options = {}) {
+    if (!options.providers || options.providers.length === 0) {
+      throw new Error('FallbackProvider needs at least one provider');
+    }
+
+    super({
+      ...options,
+      name: options.name || options.providers.map(provider => provider.name).join('>')
+    });
+
+    this.providers = options.providers;
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.breakers = options.breakers || {};
+    this.failureThreshold = options.failureThreshold || CircuitBreaker.DEFAULTS.failureThreshold;
+    this.cooldownMs = options.cooldownMs || CircuitBreaker.DEFAULTS.cooldownMs;
+
+    for (const provider of this.providers) {
+      const key = this._breakerKey(provider);
+      if (!this.breakers[key]) {
+        this.breakers[key] = new CircuitBreaker({
+          name: key,
+          failureThreshold: this.failureThreshold,
+          cooldownMs: this.cooldownMs
+        });
+      }
+    }
+  }
+
+  /**
+   * The breaker this chain uses for one of its providers
+   */
+  getBreaker(provider) {
+    return this.breakers[this._breakerKey(provider)];
+  }
+
+  /**
+   * Send the request to the first healthy provider that answers
+   * options.trace, when given, receives the name of the provider that served the request
+   */
+  async complete(messages, options = {}) {
+    const errors = [];
+
+    for (const provider of this.providers) {
+      const breaker = this.getBreaker(provider);
+      if (!breaker.canRequest()) {
+        errors.push(`${provider.name}: circuit open`);
+        continue;
+      }
+
+      try {
+        const content = await this._withTimeout(provider.complete(messages, options));
+
+        if (!content || !content.trim()) {
+          throw new Error('empty response');
+        }
+        if (this.isRefusal(content)) {
+          throw new Error(`refused: ${content.trim().slice(0, 80)}`);
+        }
+
+        breaker.recordSuccess();
+        if (options.trace) {
+          options.trace.provider = provider.name;
+        }
+        return content;
+      } catch (error) {
+        breaker.recordFailure(error);
+        errors.push(`${provider.name}: ${error.message}`);
+        console.warn(`LLM provider ${provider.name} failed (${error.message}), trying next provider`);
+      }
+    }
+
+    throw new Error(`All LLM providers failed: ${errors.join('; ')}`);
+  }
+
+  /**
+   * Whether a completion is a model refusal rather than content
+   */
+  isRefusal(content) {
+    const text = content.trim();
+    return REFUSAL_PATTERNS.some(pattern => pattern.test(text));
+  }
+
+  /**
+   * Breaker state for every provider in the chain
+   */
+  getStatus() {
+    return this.providers.map(provider => this.getBreaker(provider).getStatus());
+  }
+
+  /**
+   * Breakers are shared by provider, endpoint and model, and by their settings, so a chain
+   * configured with another threshold or cool-off gets breakers of its own
+   * @private
+   */
+  _breakerKey(provider) {
+    return `${provider.getBreakerKey()}#${this.failureThreshold}/${this.cooldownMs}`;
+  }
+
+  /**
+   * Reject if a provider doesn't answer within timeoutMs
+   * @private
+   */
+  _withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+module.exports = FallbackProvider;
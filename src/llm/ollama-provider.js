@@ -0,0 +1,87 @@
+/**
+ * Local model provider for Puppet Engine
+ * Talks to an Ollama server (/api/chat) or a llama.cpp server (OpenAI-compatible /v1/chat/completions)
+ */
+
+const axios = require('axios');
+const BaseLLMProvider = require('./base-provider');
+
+const API_FORMATS = ['ollama', 'openai'];
+
+class OllamaProvider extends BaseLLMProvider {
+  constructor(options = {}) {
+    super({
+      name: 'ollama',
+      ...options,
+      model: options.model || process.env.OLLAMA_MODEL || 'llama3.1'
+    });
+
+    this.apiFormat = options.apiFormat || 'ollama';
+    if (!API_FORMATS.includes(this.apiFormat)) {
+      throw new Error(`Unknown apiFormat '${this.apiFormat}', expected one of: ${API_FORMATS.join(', ')}`);
+    }
+
+    this.baseUrl = (options.baseUrl || process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/$/, '');
+    this.timeout = options.timeout || 120000; // Local models can be slow on CPU
+  }
+
+  /**
+   * Send a chat request to the local server
+   */
+  async complete(messages, options = {}) {
+    const temperature = options.temperature !== undefined ? options.temperature : this.temperature;
+    const maxTokens = options.maxTokens || this.maxTokens;
+
+    try {
+      if (this.apiFormat === 'openai') {
+        const response = await axios.post(`${this.baseUrl}/v1/chat/completions`, {
+          model: options.model || this.defaultModel,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          presence_penalty: options.presencePenalty,
+          frequency_penalty: options.frequencyPenalty,
+          top_p: options.topP
+        }, { timeout: this.timeout });
+
+        return response.data.choices[0].message.content;
+      }
+
+      const response = await axios.post(`${this.baseUrl}/api/chat`, {
+        model: options.model || this.defaultModel,
+        messages,
+        stream: false,
+        options: {
+          num_predict: maxTokens,
+          temperature,
+          presence_penalty: options.presencePenalty,
+          frequency_penalty: options.frequencyPenalty,
+          top_p: options.topP
+        }
+      }, { timeout: this.timeout });
+
+      return response.data.message.content;
+    } catch (error) {
+      console.error(`Error calling ${this.name} at ${this.baseUrl}:`, error.message);
+      throw new Error(`${this.name} API error: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * llama.cpp's server speaks the OpenAI chat format on port 8080 by default
+ */
+class LlamaCppProvider extends OllamaProvider {
+  constructor(options = {}) {
+    super({
+      name: 'llamacpp',
+      apiFormat: 'openai',
+      ...options,
+      baseUrl: options.baseUrl || process.env.LLAMACPP_BASE_URL || 'http://localhost:8080',
+      model: options.model || process.env.LLAMACPP_MODEL || 'local'
+    });
+  }
+}
+
+module.exports = OllamaProvider;
+module.exports.LlamaCppProvider = LlamaCppProvider;
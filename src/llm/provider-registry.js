@@ -0,0 +1,67 @@
+/**
+ * LLM provider registry for Puppet Engine
+ * Maps the llm_provider name in an agent config to a provider factory
+ */
+
+const OpenAIProvider = require('./openai-provider');
+const GrokProvider = require('./grok-provider');
+const AnthropicProvider = require('./anthropic-provider');
+const OllamaProvider = require('./ollama-provider');
+const { LlamaCppProvider } = require('./ollama-provider');
+const FakeProvider = require('./fake-provider');
+
+const factories = {};
+
+/**
+ * Register a provider factory under a name
+ * @param {string} name - Name used by llm_provider in agent configs
+ * @param {Function} factory - Called with provider options, returns a BaseLLMProvider
+ */
+function registerProvider(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Provider factory for '${name}' must be a function`);
+  }
+  factories[name.toLowerCase()] = factory;
+}
+
+/**
+ * Check whether a provider name is registered
+ */
+function hasProvider(name) {
+  return !!name && name.toLowerCase() in factories;
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - Registered provider name
+ * @param {Object} options - Provider options (model, temperature, maxTokens, baseUrl, apiKey...)
+ * @returns {BaseLLMProvider} - The provider instance
+ */
+function createProvider(name, options = {}) {
+  if (!hasProvider(name)) {
+    throw new Error(`Unknown LLM provider '${name}'. Registered providers: ${listProviders().join(', ')}`);
+  }
+  return factories[name.toLowerCase()](options);
+}
+
+/**
+ * List registered provider names
+ */
+function listProviders() {
+  return Object.keys(factories);
+}
+
+// Built-in backends
+registerProvider('openai', options => new OpenAIProvider(options));
+registerProvider('grok', options => new GrokProvider(options));
+registerProvider('anthropic', options => new AnthropicProvider(options));
+registerProvider('ollama', options => new OllamaProvider(options));
+registerProvider('llamacpp', options => new LlamaCppProvider(options));
+registerProvider('fake', options => new FakeProvider(options));
+
+module.exports = {
+  registerProvider,
+  hasProvider,
+  createProvider,
+  listProviders
+};
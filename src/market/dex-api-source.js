@@ -0,0 +1,56 @@
+/**
+ * DEX API market-data source for Puppet Engine
+ * Reads price, market cap and liquidity from a DexScreener-compatible HTTP API
+ */
+
+const axios = require('axios');
+
+class DexApiSource {
+  constructor(options = {}) {
+    this.name = 'dexscreener';
+    this.baseUrl = (options.baseUrl || process.env.DEX_API_BASE_URL || 'https://api.dexscreener.com').replace(/\/$/, '');
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  /**
+   * Latest market snapshot for a mint, from its most liquid pair
+   * The API has no holder or per-trade data, so those stay empty
+   * @param {Object} token - { mint, symbol }
+   */
+  async fetchSnapshot(token) {
+    const response = await axios.get(`${this.baseUrl}/latest/dex/tokens/${token.mint}`, {
+      timeout: this.timeoutMs
+    });
+
+    const pairs = (response.data && response.data.pairs || [])
+      .filter(pair => pair.baseToken && pair.baseToken.address === token.mint);
+    if (pairs.length === 0) {
+      throw new Error(`No DEX pairs found for ${token.mint}`);
+    }
+
+    const pair = pairs.sort((a, b) => ((b.liquidity && b.liquidity.usd) || 0) - ((a.liquidity && a.liquidity.usd) || 0))[0];
+    const quoteIsSol = pair.quoteToken && pair.quoteToken.symbol === 'SOL';
+
+    return {
+      priceUsd: toNumber(pair.priceUsd),
+      priceSol: quoteIsSol ? toNumber(pair.priceNative) : null,
+      marketCapUsd: toNumber(pair.marketCap || pair.fdv),
+      liquidityUsd: toNumber(pair.liquidity && pair.liquidity.usd),
+      volume24hUsd: toNumber(pair.volume && pair.volume.h24),
+      holderCount: null,
+      supply: null,
+      trades: [],
+      pairAddress: pair.pairAddress || null
+    };
+  }
+}
+
+/**
+ * @private
+ */
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+module.exports = DexApiSource;
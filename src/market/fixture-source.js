@@ -0,0 +1,49 @@
+/**
+ * Fixture market-data source for Puppet Engine
+ * Replays recorded snapshots from a JSON file, one per poll, so token events can be tested offline
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FixtureSource {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.filePath = path.resolve(options.path || path.join(__dirname, '../../config/market/fixtures/cant-replay.json'));
+    this.loop = options.loop !== false;
+    this.position = 0;
+
+    const fixture = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.snapshots = Array.isArray(fixture) ? fixture : fixture.snapshots;
+    if (!this.snapshots || this.snapshots.length === 0) {
+      throw new Error(`Market fixture ${this.filePath} has no snapshots`);
+    }
+  }
+
+  /**
+   * Next recorded snapshot; trades are stamped with the current time
+   */
+  async fetchSnapshot() {
+    if (this.position >= this.snapshots.length) {
+      if (!this.loop) {
+        throw new Error(`Market fixture ${this.filePath} is exhausted`);
+      }
+      this.position = 0;
+    }
+
+    const snapshot = this.snapshots[this.position++];
+    const now = new Date().toISOString();
+
+    return {
+      priceUsd: null,
+      priceSol: null,
+      marketCapUsd: null,
+      holderCount: null,
+      supply: null,
+      ...snapshot,
+      trades: (snapshot.trades || []).map(trade => ({ timestamp: now, ...trade }))
+    };
+  }
+}
+
+module.exports = FixtureSource;
@@ -0,0 +1,322 @@
+/**
+ * Market poller for Puppet Engine
+ * Tracks an agent's token through a market-data source, stores snapshots and emits token events
+ */
+
+const { createMarketSource } = require('./source-registry');
+
+const DEFAULT_POLICY = {
+  enabled: false,
+  source: 'dexscreener',
+  mint: null, // Defaults to the token_policy contract address
+  symbol: null, // Defaults to the token_policy symbol
+  sourceOptions: {},
+  pumpThreshold: 0.25, // Rise from the window low that counts as a pump
+  dumpThreshold: 0.25, // Fall from the window high that counts as a dump
+  windowMinutes: 60,
+  athMinGain: 0.1, // Rise over the first tracked price before new highs count, so early noise isn't an ATH
+  largeTradeUsd: 2500,
+  largeTradeSol: 15,
+  alertCooldownMinutes: 60 // Per event type, so a slow rally doesn't fire every poll
+};
+
+class MarketPoller {
+  /**
+   * @param {Object} options
+   * @param {AgentManager} options.agentManager - Source of agents and their market policies
+   * @param {MemoryManager} options.memoryManager - Stores token state through saveTokenState
+   * @param {EventEngine} options.eventEngine - Where token events are queued
+   */
+  constructor(options = {}) {
+    this.agentManager = options.agentManager;
+    this.memoryManager = options.memoryManager;
+    this.eventEngine = options.eventEngine;
+    this.maxHistory = options.maxHistory || 500; // Price points kept in token state
+    this.maxLargeTrades = options.maxLargeTrades || 20;
+
+    this.sources = {}; // agentId -> { key, source }, the key being the source name and options it was made with
+    this.states = {}; // agentId -> last saved token state
+  }
+
+  /**
+   * Build a policy from an agent's solana_integration.market_data config block
+   * @param {Object} config - The market_data block
+   * @param {Object} tokenPolicy - The agent's token policy, for the default mint and symbol
+   */
+  static policyFromConfig(config = {}, tokenPolicy = {}) {
+    const pick = (key, fallback) => config[key] !== undefined ? config[key] : fallback;
+
+    return {
+      enabled: pick('enabled', DEFAULT_POLICY.enabled),
+      source: pick('source', DEFAULT_POLICY.source),
+      mint: config.mint || tokenPolicy.contractAddress || DEFAULT_POLICY.mint,
+      symbol: config.symbol || tokenPolicy.symbol || DEFAULT_POLICY.symbol,
+      sourceOptions: {
+        rpcUrl: config.rpc_url,
+        baseUrl: config.api_base_url,
+        path: config.fixture_path,
+        solPriceUsd: config.sol_price_usd,
+        countHolders: config.count_holders
+      },
+      pumpThreshold: pick('pump_threshold', DEFAULT_POLICY.pumpThreshold),
+      dumpThreshold: pick('dump_threshold', DEFAULT_POLICY.dumpThreshold),
+      windowMinutes: pick('window_minutes', DEFAULT_POLICY.windowMinutes),
+      athMinGain: pick('ath_min_gain', DEFAULT_POLICY.athMinGain),
+      largeTradeUsd: pick('large_trade_usd', DEFAULT_POLICY.largeTradeUsd),
+      largeTradeSol: pick('large_trade_sol', DEFAULT_POLICY.largeTradeSol),
+      alertCooldownMinutes: pick('alert_cooldown_minutes', DEFAULT_POLICY.alertCooldownMinutes)
+    };
+  }
+
+  /**
+   * Agents with market data enabled and a mint to track
+   */
+  getTrackedAgents() {
+    return Object.values(this.agentManager.agents)
+      .filter(agent => agent.marketPolicy && agent.marketPolicy.enabled && agent.marketPolicy.mint);
+  }
+
+  /**
+   * Poll every tracked agent's token; errors are logged per agent
+   * @returns {Promise<Array>} - The events that were queued
+   */
+  async poll() {
+    const events = [];
+
+    for (const agent of this.getTrackedAgents()) {
+      try {
+        events.push(...await this.pollAgent(agent.id));
+      } catch (error) {
+        console.error(`Error polling market data for ${agent.id}:`, error.message);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Take a snapshot of one agent's token, store it and queue any token events
+   * The first snapshot only sets the baseline
+   * @returns {Promise<Array>} - The events that were queued
+   */
+  async pollAgent(agentId) {
+    const agent = this.agentManager.getAgent(agentId);
+    const policy = agent.marketPolicy;
+    if (!policy || !policy.mint) {
+      throw new Error(`Agent ${agentId} has no token to track`);
+    }
+
+    const snapshot = await this._getSource(agentId, policy).fetchSnapshot({ mint: policy.mint, symbol: policy.symbol });
+    const previous = await this.getTokenState(agentId);
+    const now = new Date();
+
+    const priceCurrency = snapshot.priceUsd !== null && snapshot.priceUsd !== undefined ? 'USD' : 'SOL';
+    const price = priceCurrency === 'USD' ? snapshot.priceUsd : snapshot.priceSol;
+    const state = this._nextState(previous, snapshot, policy, { price, priceCurrency, now });
+
+    const events = previous && typeof price === 'number'
+      ? this._detectEvents(agentId, previous, state, snapshot, policy, now)
+      : [];
+
+    await this.memoryManager.saveTokenState(agentId, state);
+    this.states[agentId] = state;
+
+    if (typeof price === 'number') {
+      console.log(`Market ${policy.symbol || policy.mint}: ${this._formatPrice(price, priceCurrency)}, ${events.length} event(s)`);
+    }
+    return events;
+  }
+
+  /**
+   * Last stored token state for an agent
+   */
+  async getTokenState(agentId) {
+    if (!this.states[agentId]) {
+      this.states[agentId] = await this.memoryManager.getTokenState(agentId);
+    }
+    return this.states[agentId];
+  }
+
+  /**
+   * Merge a snapshot into the stored state
+   * @private
+   */
+  _nextState(previous, snapshot, policy, { price, priceCurrency, now }) {
+    const windowStart = now.getTime() - policy.windowMinutes * 60 * 1000;
+    // A currency switch (e.g. USD quotes going missing) would make old points incomparable
+    const sameCurrency = previous && previous.priceCurrency === priceCurrency;
+
+    let priceHistory = sameCurrency ? (previous.priceHistory || []) : [];
+    if (typeof price === 'number') {
+      priceHistory = [...priceHistory, { timestamp: now.toISOString(), price }];
+    }
+    priceHistory = priceHistory
+      .filter((point, index) => index === priceHistory.length - 1 || Date.parse(point.timestamp) >= windowStart)
+      .slice(-this.maxHistory);
+
+    const previousAth = sameCurrency ? previous.athPrice : null;
+    const isNewHigh = typeof price === 'number' && (previousAth === null || previousAth === undefined || price > previousAth);
+
+    return {
+      mint: policy.mint,
+      symbol: policy.symbol,
+      source: policy.source,
+      price,
+      priceCurrency,
+      priceUsd: snapshot.priceUsd,
+      priceSol: snapshot.priceSol,
+      marketCapUsd: snapshot.marketCapUsd,
+      holderCount: snapshot.holderCount !== null && snapshot.holderCount !== undefined
+        ? snapshot.holderCount
+        : (previous && previous.holderCount) || null,
+      supply: snapshot.supply || (previous && previous.supply) || null,
+      liquidityUsd: snapshot.liquidityUsd || null,
+      volume24hUsd: snapshot.volume24hUsd || null,
+      trackedFromPrice: sameCurrency ? previous.trackedFromPrice : price,
+      athPrice: isNewHigh ? price : previousAth,
+      athAt: isNewHigh ? now.toISOString() : (previous && previous.athAt) || null,
+      priceHistory,
+      largeTrades: (previous && previous.largeTrades) || [],
+      lastAlerts: { ...((previous && previous.lastAlerts) || {}) },
+      updatedAt: now.toISOString()
+    };
+  }
+
+  /**
+   * Compare the new state with the old one and queue token events
+   * @private
+   */
+  _detectEvents(agentId, previous, state, snapshot, policy, now) {
+    const events = [];
+    const label = policy.symbol || 'the token';
+    const price = state.price;
+    const common = {
+      symbol: policy.symbol,
+      mint: policy.mint,
+      price,
+      priceCurrency: state.priceCurrency,
+      marketCapUsd: state.marketCapUsd,
+      holderCount: state.holderCount,
+      source: policy.source
+    };
+
+    const windowPrices = state.priceHistory.map(point => point.price);
+    const low = Math.min(...windowPrices);
+    const high = Math.max(...windowPrices);
+    const rise = low > 0 ? (price - low) / low : 0;
+    const fall = high > 0 ? (high - price) / high : 0;
+
+    const isAth = previous.priceCurrency === state.priceCurrency &&
+      typeof previous.athPrice === 'number' && price > previous.athPrice &&
+      price >= (previous.trackedFromPrice || previous.athPrice) * (1 + policy.athMinGain);
+
+    if (isAth) {
+      // A new high already says it pumped, so no token_pump goes with it
+      if (this._offCooldown(state, 'ath', policy, now)) {
+        events.push(this._emit(agentId, state, 'ath', {
+          ...common,
+          previousAth: previous.athPrice,
+          changePct: this._percent(rise),
+          description: `${label} hit a new all-time high of ${this._formatPrice(price, state.priceCurrency)} (previous high ${this._formatPrice(previous.athPrice, state.priceCurrency)})`
+        }, now));
+      }
+    } else if (rise >= policy.pumpThreshold && this._offCooldown(state, 'token_pump', policy, now)) {
+      events.push(this._emit(agentId, state, 'token_pump', {
+        ...common,
+        previousPrice: low,
+        changePct: this._percent(rise),
+        windowMinutes: policy.windowMinutes,
+        description: `${label} pumped ${this._percent(rise)}% in the last ${policy.windowMinutes} minutes, now ${this._formatPrice(price, state.priceCurrency)}`
+      }, now));
+    }
+
+    if (fall >= policy.dumpThreshold && this._offCooldown(state, 'token_dump', policy, now)) {
+      events.push(this._emit(agentId, state, 'token_dump', {
+        ...common,
+        previousPrice: high,
+        changePct: -this._percent(fall),
+        windowMinutes: policy.windowMinutes,
+        description: `${label} dumped ${this._percent(fall)}% in the last ${policy.windowMinutes} minutes, now ${this._formatPrice(price, state.priceCurrency)}`
+      }, now));
+    }
+
+    for (const trade of snapshot.trades || []) {
+      const isLarge = (typeof trade.amountUsd === 'number' && trade.amountUsd >= policy.largeTradeUsd) ||
+        (typeof trade.amountSol === 'number' && trade.amountSol >= policy.largeTradeSol);
+      if (!isLarge) {
+        continue;
+      }
+
+      state.largeTrades = [{ ...trade }, ...state.largeTrades].slice(0, this.maxLargeTrades);
+      const value = typeof trade.amountUsd === 'number'
+        ? `$${Math.round(trade.amountUsd).toLocaleString('en-US')}`
+        : `${Math.round(trade.amountSol * 100) / 100} SOL`;
+
+      events.push(this._emit(agentId, state, 'token_large_trade', {
+        ...common,
+        side: trade.side,
+        wallet: trade.wallet,
+        amountUsd: trade.amountUsd,
+        amountSol: trade.amountSol,
+        tokenAmount: trade.tokenAmount,
+        signature: trade.signature,
+        description: `Someone ${trade.side === 'buy' ? 'bought' : 'sold'} ${value} worth of ${label} in one trade`
+      }, now, 'normal'));
+    }
+
+    return events;
+  }
+
+  /**
+   * Queue a token event for the agent and remember when it fired
+   * @private
+   */
+  _emit(agentId, state, type, data, now, priority = 'high') {
+    state.lastAlerts[type] = now.toISOString();
+    console.log(`Token event ${type} for ${agentId}: ${data.description}`);
+
+    return this.eventEngine.createEvent(type, data, {
+      targetAgentIds: [agentId],
+      priority
+    });
+  }
+
+  /**
+   * @private
+   */
+  _offCooldown(state, type, policy, now) {
+    const last = state.lastAlerts[type];
+    return !last || now.getTime() - Date.parse(last) >= policy.alertCooldownMinutes * 60 * 1000;
+  }
+
+  /**
+   * @private
+   */
+  _getSource(agentId, policy) {
+    // A reloaded config may point the agent at another source
+    const key = JSON.stringify([policy.source, policy.sourceOptions]);
+    if (!this.sources[agentId] || this.sources[agentId].key !== key) {
+      this.sources[agentId] = { key, source: createMarketSource(policy.source, policy.sourceOptions) };
+    }
+    return this.sources[agentId].source;
+  }
+
+  /**
+   * @private
+   */
+  _percent(fraction) {
+    return Math.round(fraction * 1000) / 10;
+  }
+
+  /**
+   * @private
+   */
+  _formatPrice(price, currency) {
+    const value = Number(price.toPrecision(3));
+    return currency === 'USD' ? `$${value}` : `${value} SOL`;
+  }
+}
+
+MarketPoller.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = MarketPoller;
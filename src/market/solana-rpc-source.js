@@ -0,0 +1,158 @@
+/**
+ * Solana JSON-RPC market-data source for Puppet Engine
+ * Reads supply, recent swaps and (optionally) holder count straight from the chain
+ */
+
+const axios = require('axios');
+
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAXPXsVRw5W9Jx5h2WB1tJ2Q2z1J';
+const LAMPORTS_PER_SOL = 1e9;
+
+class SolanaRpcSource {
+  constructor(options = {}) {
+    this.name = 'solana-rpc';
+    this.rpcUrl = options.rpcUrl || process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.maxTransactions = options.maxTransactions || 10; // Per poll, public RPCs rate-limit hard
+    this.countHolders = !!options.countHolders; // getProgramAccounts is too heavy for most public RPCs
+    this.solPriceUsd = options.solPriceUsd || null; // Converts SOL prices to USD when set
+    this.tokenProgramId = options.tokenProgramId || TOKEN_PROGRAM_ID; // Token-2022 mints live under a different program
+    this.lastSignature = null;
+  }
+
+  /**
+   * Snapshot built from token supply and the swaps since the last poll
+   * Price comes from the newest swap, in SOL
+   * @param {Object} token - { mint, symbol }
+   */
+  async fetchSnapshot(token) {
+    const supply = await this._rpc('getTokenSupply', [token.mint]);
+    const trades = await this._fetchTrades(token.mint);
+
+    const latest = trades.find(trade => trade.priceSol);
+    const priceSol = latest ? latest.priceSol : null;
+    const totalSupply = supply.value.uiAmount;
+
+    return {
+      priceSol,
+      priceUsd: priceSol !== null && this.solPriceUsd ? priceSol * this.solPriceUsd : null,
+      marketCapUsd: priceSol !== null && this.solPriceUsd ? priceSol * this.solPriceUsd * totalSupply : null,
+      holderCount: this.countHolders ? await this._countHolders(token.mint) : null,
+      supply: totalSupply,
+      trades
+    };
+  }
+
+  /**
+   * Swaps touching the mint since the last poll, newest first
+   * @private
+   */
+  async _fetchTrades(mint) {
+    const signatures = await this._rpc('getSignaturesForAddress', [
+      mint,
+      { limit: this.maxTransactions, ...(this.lastSignature ? { until: this.lastSignature } : {}) }
+    ]);
+    if (signatures.length > 0) {
+      this.lastSignature = signatures[0].signature;
+    }
+
+    const trades = [];
+    for (const { signature, err, blockTime } of signatures) {
+      if (err) {
+        continue;
+      }
+
+      const transaction = await this._rpc('getTransaction', [
+        signature,
+        { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }
+      ]);
+      const trade = transaction && this._parseTrade(transaction, mint);
+      if (trade) {
+        trades.push({
+          ...trade,
+          signature,
+          timestamp: blockTime ? new Date(blockTime * 1000).toISOString() : null
+        });
+      }
+    }
+
+    return trades;
+  }
+
+  /**
+   * Read a swap from the fee payer's token and SOL balance changes
+   * @private
+   */
+  _parseTrade(transaction, mint) {
+    const meta = transaction.meta;
+    if (!meta) {
+      return null;
+    }
+
+    const accountKeys = transaction.transaction.message.accountKeys.map(key => key.pubkey || key);
+    const wallet = accountKeys[0];
+    const balanceOf = balances => (balances || [])
+      .filter(balance => balance.mint === mint && balance.owner === wallet)
+      .reduce((sum, balance) => sum + (balance.uiTokenAmount.uiAmount || 0), 0);
+
+    const tokenDelta = balanceOf(meta.postTokenBalances) - balanceOf(meta.preTokenBalances);
+    if (tokenDelta === 0) {
+      return null;
+    }
+
+    // The fee is paid either way, so it is not part of the trade value
+    const solDelta = (meta.postBalances[0] - meta.preBalances[0] + (meta.fee || 0)) / LAMPORTS_PER_SOL;
+    const amountSol = Math.abs(solDelta);
+
+    return {
+      side: tokenDelta > 0 ? 'buy' : 'sell',
+      wallet,
+      tokenAmount: Math.abs(tokenDelta),
+      amountSol,
+      amountUsd: this.solPriceUsd ? amountSol * this.solPriceUsd : null,
+      priceSol: amountSol > 0 ? amountSol / Math.abs(tokenDelta) : null
+    };
+  }
+
+  /**
+   * Token accounts for the mint with a non-zero balance
+   * @private
+   */
+  async _countHolders(mint) {
+    const accounts = await this._rpc('getProgramAccounts', [
+      this.tokenProgramId,
+      {
+        encoding: 'base64',
+        dataSlice: { offset: 64, length: 8 }, // Just the u64 amount
+        filters: [{ dataSize: 165 }, { memcmp: { offset: 0, bytes: mint } }]
+      }
+    ]);
+
+    return accounts.filter(account => {
+      const amount = Buffer.from(account.account.data[0], 'base64');
+      return amount.some(byte => byte !== 0);
+    }).length;
+  }
+
+  /**
+   * Make a JSON-RPC call and unwrap the result
+   * @private
+   */
+  async _rpc(method, params) {
+    const response = await axios.post(this.rpcUrl, {
+      jsonrpc: '2.0',
+      id: 1,
+      method,
+      params
+    }, {
+      timeout: this.timeoutMs
+    });
+
+    if (response.data.error) {
+      throw new Error(`Solana RPC ${method} failed: ${response.data.error.message}`);
+    }
+    return response.data.result;
+  }
+}
+
+module.exports = SolanaRpcSource;
@@ -0,0 +1,60 @@
+/**
+ * Market-data source registry for Puppet Engine
+ * Maps the solana_integration.market_data.source name in an agent config to a source factory
+ */
+
+const SolanaRpcSource = require('./solana-rpc-source');
+const DexApiSource = require('./dex-api-source');
+const FixtureSource = require('./fixture-source');
+
+const factories = {};
+
+/**
+ * Register a market-data source factory under a name
+ * @param {string} name - Name used by market_data.source in agent configs
+ * @param {Function} factory - Called with source options, returns an object with name and fetchSnapshot(token)
+ */
+function registerMarketSource(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Market source factory for '${name}' must be a function`);
+  }
+  factories[name.toLowerCase()] = factory;
+}
+
+/**
+ * Check whether a market-data source name is registered
+ */
+function hasMarketSource(name) {
+  return !!name && name.toLowerCase() in factories;
+}
+
+/**
+ * Create a market-data source by name
+ * @param {string} name - Registered source name
+ * @param {Object} options - Source options (rpcUrl, baseUrl, path, solPriceUsd...)
+ */
+function createMarketSource(name, options = {}) {
+  if (!hasMarketSource(name)) {
+    throw new Error(`Unknown market source '${name}'. Registered sources: ${listMarketSources().join(', ')}`);
+  }
+  return factories[name.toLowerCase()](options);
+}
+
+/**
+ * List registered market-data source names
+ */
+function listMarketSources() {
+  return Object.keys(factories);
+}
+
+// Built-in sources
+registerMarketSource('solana-rpc', options => new SolanaRpcSource(options));
+registerMarketSource('dexscreener', options => new DexApiSource(options));
+registerMarketSource('fixture', options => new FixtureSource(options));
+
+module.exports = {
+  registerMarketSource,
+  hasMarketSource,
+  createMarketSource,
+  listMarketSources
+};
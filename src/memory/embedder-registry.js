@@ -0,0 +1,58 @@
+/**
+ * Embedder registry for Puppet Engine
+ * Maps the MEMORY_EMBEDDER name to an embedding backend used for memory search
+ */
+
+const HashingEmbedder = require('./hashing-embedder');
+const OpenAIEmbedder = require('./openai-embedder');
+
+const factories = {};
+
+/**
+ * Register an embedder factory under a name
+ * @param {string} name - Name used by MEMORY_EMBEDDER
+ * @param {Function} factory - Called with embedder options, returns an object with name, model and embed(texts)
+ */
+function registerEmbedder(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Embedder factory for '${name}' must be a function`);
+  }
+  factories[name.toLowerCase()] = factory;
+}
+
+/**
+ * Check whether an embedder name is registered
+ */
+function hasEmbedder(name) {
+  return !!name && name.toLowerCase() in factories;
+}
+
+/**
+ * Create an embedder by name
+ * @param {string} name - Registered embedder name
+ * @param {Object} options - Embedder options (model, dimensions, baseUrl, apiKey...)
+ */
+function createEmbedder(name, options = {}) {
+  if (!hasEmbedder(name)) {
+    throw new Error(`Unknown embedder '${name}'. Registered embedders: ${listEmbedders().join(', ')}`);
+  }
+  return factories[name.toLowerCase()](options);
+}
+
+/**
+ * List registered embedder names
+ */
+function listEmbedders() {
+  return Object.keys(factories);
+}
+
+// Built-in backends
+registerEmbedder('hashing', options => new HashingEmbedder(options));
+registerEmbedder('openai', options => new OpenAIEmbedder(options));
+
+module.exports = {
+  registerEmbedder,
+  hasEmbedder,
+  createEmbedder,
+  listEmbedders
+};
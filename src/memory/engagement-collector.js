@@ -0,0 +1,274 @@
+/**
+ * Engagement collector for Puppet Engine
+ * Periodically looks up likes, replies, retweets and quotes for an agent's recent tweets, keeps a time series
+ * of them and feeds a normalized engagement score back into each post memory's importance,
+ * so the tweets that landed are the ones the agent remembers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../utils/database');
+
+// Twitter's tweet lookup takes at most this many IDs per request
+const LOOKUP_BATCH_SIZE = 100;
+
+// Replies, retweets and quotes take more effort than a like, so they count for more
+const ENGAGEMENT_WEIGHTS = { likes: 1, replies: 2, retweets: 3, quotes: 3 };
+
+class EngagementCollector {
+  /**
+   * @param {Object} options
+   * @param {MemoryManager} options.memoryManager - Where the post memories live
+   * @param {TwitterClient} options.twitterClient - Used for the metrics lookups
+   * @param {number} options.windowHours - Tweets older than this are no longer looked up
+   * @param {number} options.minRefreshMinutes - A tweet isn't looked up again sooner than this
+   * @param {number} options.maxLookupsPerRun - Lookup requests (of up to 100 tweets) per run
+   * @param {number} options.minFlopAgeHours - Tweets younger than this can be top posts but not flops yet
+   */
+  constructor(options = {}) {
+    this.memoryManager = options.memoryManager;
+    this.twitterClient = options.twitterClient;
+    this.windowHours = options.windowHours || 72;
+    this.minRefreshMinutes = options.minRefreshMinutes !== undefined ? options.minRefreshMinutes : 25;
+    this.maxLookupsPerRun = options.maxLookupsPerRun || 3;
+    this.minFlopAgeHours = options.minFlopAgeHours !== undefined ? options.minFlopAgeHours : 24;
+    this.snapshotPath = options.snapshotPath || path.join(process.cwd(), 'data', 'engagement_snapshots.jsonl');
+    this.rateLimitedUntil = 0; // Set from the reset time of a 429
+  }
+
+  /**
+   * Weighted engagement count of a metrics record
+   */
+  static weightedEngagement(metrics) {
+    return Object.entries(ENGAGEMENT_WEIGHTS)
+      .reduce((sum, [key, weight]) => sum + (metrics[key] || 0) * weight, 0);
+  }
+
+  /**
+   * Look up metrics for the agents' recent tweets and update their post memories
+   * @param {Array<string>} agentIds - Agents whose tweets to look up
+   * @param {number} now - Current time in ms, for tests
+   * @returns {Promise<Object>} - { metrics: tweet ID -> metrics, looked up, updated, rateLimitedUntil }
+   */
+  async collect(agentIds, now = Date.now()) {
+    const result = { metrics: {}, lookedUp: 0, updated: 0, rateLimitedUntil: null };
+
+    if (now < this.rateLimitedUntil) {
+      console.log(`Skipping engagement collection, tweet lookups are rate limited until ${new Date(this.rateLimitedUntil).toISOString()}`);
+      result.rateLimitedUntil = new Date(this.rateLimitedUntil).toISOString();
+      return result;
+    }
+
+    // Least recently measured first, so a capped run still gets round to every tweet
+    const due = [];
+    for (const agentId of agentIds) {
+      for (const post of await this._recentPosts(agentId, now)) {
+        const measuredAt = post.metadata.metricsUpdatedAt ? Date.parse(post.metadata.metricsUpdatedAt) : 0;
+        if (now - measuredAt >= this.minRefreshMinutes * 60 * 1000) {
+          due.push({ agentId, post, measuredAt });
+        }
+      }
+    }
+    due.sort((a, b) => a.measuredAt - b.measuredAt);
+    const batch = due.slice(0, this.maxLookupsPerRun * LOOKUP_BATCH_SIZE);
+
+    for (let i = 0; i < batch.length; i += LOOKUP_BATCH_SIZE) {
+      const ids = batch.slice(i, i + LOOKUP_BATCH_SIZE).map(entry => entry.post.metadata.tweetId);
+      try {
+        Object.assign(result.metrics, await this.twitterClient.getTweetMetrics(ids));
+        result.lookedUp += ids.length;
+      } catch (error) {
+        if (error.code !== 429) {
+          throw error;
+        }
+        // Keep what was fetched and pick up the rest once the window resets
+        this.rateLimitedUntil = error.rateLimit && error.rateLimit.reset
+          ? error.rateLimit.reset * 1000
+          : now + 15 * 60 * 1000;
+        result.rateLimitedUntil = new Date(this.rateLimitedUntil).toISOString();
+        console.log(`Tweet lookups rate limited, collecting engagement again after ${result.rateLimitedUntil}`);
+        break;
+      }
+    }
+
+    const snapshots = [];
+    const changedAgents = new Set();
+    for (const { agentId, post } of batch) {
+      const metrics = result.metrics[post.metadata.tweetId];
+      if (!metrics) {
+        continue;
+      }
+
+      // Only changes are stored, so a tweet that has gone quiet doesn't keep adding identical points
+      const previous = post.metadata.metrics;
+      if (!previous || Object.keys(metrics).some(key => metrics[key] !== previous[key])) {
+        snapshots.push({
+          agentId,
+          tweetId: post.metadata.tweetId,
+          takenAt: new Date(now).toISOString(),
+          ageHours: Math.round((now - new Date(post.timestamp).getTime()) / (60 * 60 * 1000) * 10) / 10,
+          ...metrics
+        });
+      }
+
+      post.metadata.metrics = metrics;
+      post.metadata.metricsUpdatedAt = new Date(now).toISOString();
+      changedAgents.add(agentId);
+      result.updated++;
+    }
+
+    for (const agentId of changedAgents) {
+      await this._scorePosts(agentId);
+    }
+    await this._saveSnapshots(snapshots);
+
+    console.log(`Collected engagement for ${result.updated} of ${due.length} tweets due (${snapshots.length} changed)`);
+    return result;
+  }
+
+  /**
+   * Best or worst measured posts for an agent
+   * @param {string} agentId - The agent
+   * @param {Object} options - { order: 'top' or 'flop', limit, task: 'post' or 'reply' }
+   * @returns {Promise<Array<Object>>}
+   */
+  async getRankedPosts(agentId, options = {}) {
+    const order = options.order === 'flop' ? 'flop' : 'top';
+    const limit = options.limit || 10;
+    const now = Date.now();
+
+    let posts = (await this._allPosts(agentId)).filter(post => post.metadata.metrics);
+    if (options.task) {
+      posts = posts.filter(post => !!post.metadata.isReply === (options.task === 'reply'));
+    }
+    // A tweet nobody has seen yet isn't a flop
+    if (order === 'flop') {
+      posts = posts.filter(post => now - new Date(post.timestamp).getTime() >= this.minFlopAgeHours * 60 * 60 * 1000);
+    }
+
+    const sign = order === 'top' ? 1 : -1;
+    return posts
+      .sort((a, b) => sign * (b.metadata.engagementScore - a.metadata.engagementScore))
+      .slice(0, limit)
+      .map(post => ({
+        tweetId: post.metadata.tweetId,
+        content: post.metadata.fullText,
+        postedAt: post.timestamp,
+        isReply: !!post.metadata.isReply,
+        promptVariant: post.metadata.promptVariant || null,
+        metrics: post.metadata.metrics,
+        engagementScore: post.metadata.engagementScore,
+        importance: post.importance,
+        metricsUpdatedAt: post.metadata.metricsUpdatedAt
+      }));
+  }
+
+  /**
+   * Metrics snapshots for one tweet, oldest first
+   */
+  async getSnapshots(agentId, tweetId) {
+    if (this.memoryManager.mongoDbConnected) {
+      try {
+        const snapshotCollection = await db.getCollection(db.COLLECTIONS.TWEET_METRICS);
+        const snapshots = await snapshotCollection.find({ agentId, tweetId }).sort({ takenAt: 1 }).toArray();
+        return snapshots.map(({ _id, ...snapshot }) => ({ ...snapshot, takenAt: new Date(snapshot.takenAt).toISOString() }));
+      } catch (error) {
+        console.error(`Error loading engagement snapshots from MongoDB for tweet ${tweetId}:`, error);
+      }
+    }
+
+    if (!fs.existsSync(this.snapshotPath)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.snapshotPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .filter(snapshot => snapshot.agentId === agentId && snapshot.tweetId === tweetId);
+  }
+
+  /**
+   * Set each measured post's engagement score and importance against the agent's typical tweet
+   * A tweet at the agent's median scores 0.5 (importance 0.5), a zero scores 0, and a hit approaches 1
+   * @private
+   */
+  async _scorePosts(agentId) {
+    const posts = (await this._allPosts(agentId)).filter(post => post.metadata.metrics);
+    const weighted = posts.map(post => EngagementCollector.weightedEngagement(post.metadata.metrics)).sort((a, b) => a - b);
+    const median = Math.max(1, weighted[Math.floor(weighted.length / 2)] || 0);
+
+    for (const post of posts) {
+      const engagement = EngagementCollector.weightedEngagement(post.metadata.metrics);
+      post.metadata.engagementScore = Math.round(engagement / (engagement + median) * 1000) / 1000;
+      post.importance = Math.round((0.1 + 0.8 * post.metadata.engagementScore) * 1000) / 1000;
+    }
+
+    await this.memoryManager.saveMemory(agentId);
+  }
+
+  /**
+   * Posted tweets still inside the lookup window
+   * @private
+   */
+  async _recentPosts(agentId, now) {
+    const cutoff = now - this.windowHours * 60 * 60 * 1000;
+    return (await this._allPosts(agentId)).filter(post => new Date(post.timestamp).getTime() >= cutoff);
+  }
+
+  /**
+   * Every post memory with a tweet ID, once each
+   * recordPost puts the same item in recentPosts and tweetHistory; after a reload from storage they are
+   * separate copies, so recentPosts is pointed back at the tweetHistory items before they are updated
+   * @private
+   */
+  async _allPosts(agentId) {
+    const memory = await this.memoryManager.getAgentMemory(agentId);
+    const byTweetId = new Map();
+
+    for (const post of [...(memory.tweetHistory || []), ...memory.recentPosts]) {
+      const tweetId = post.metadata && post.metadata.tweetId;
+      if (tweetId && !byTweetId.has(tweetId)) {
+        byTweetId.set(tweetId, post);
+      }
+    }
+
+    memory.recentPosts = memory.recentPosts.map(post =>
+      (post.metadata && byTweetId.get(post.metadata.tweetId)) || post);
+
+    return [...byTweetId.values()];
+  }
+
+  /**
+   * Store snapshots in MongoDB if connected, otherwise append them to a JSONL file
+   * @private
+   */
+  async _saveSnapshots(snapshots) {
+    if (snapshots.length === 0) {
+      return;
+    }
+
+    if (this.memoryManager.mongoDbConnected) {
+      try {
+        const snapshotCollection = await db.getCollection(db.COLLECTIONS.TWEET_METRICS);
+        await snapshotCollection.insertMany(snapshots.map(snapshot => ({ ...snapshot, takenAt: new Date(snapshot.takenAt) })));
+        return;
+      } catch (error) {
+        console.error('Error saving engagement snapshots to MongoDB:', error);
+        // Fall through to file storage as backup
+      }
+    }
+
+    try {
+      const dir = path.dirname(this.snapshotPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.appendFileSync(this.snapshotPath, snapshots.map(snapshot => JSON.stringify(snapshot)).join('\n') + '\n');
+    } catch (error) {
+      console.error('Error writing engagement snapshots:', error);
+    }
+  }
+}
+
+module.exports = EngagementCollector;
@@ -0,0 +1,75 @@
+/**
+ * Hashing embedder for Puppet Engine
+ * Deterministic bag-of-words embeddings that need no network or model, for offline use and tests
+ */
+
+const STOP_WORDS = new Set(['the', 'and', 'a', 'an', 'in', 'on', 'at', 'to', 'for', 'of', 'is', 'are', 'was', 'were', 'be', 'it', 'its', 'i', 'you', 'my', 'your', 'me', 'this', 'that', 'with', 'so', 'just']);
+
+class HashingEmbedder {
+  constructor(options = {}) {
+    this.name = 'hashing';
+    this.dimensions = options.dimensions || 512;
+    this.model = `hashing-${this.dimensions}`;
+  }
+
+  /**
+   * Embed a list of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - One unit-length vector per text
+   */
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  /**
+   * Embed one text by hashing its words and word pairs into a fixed-size vector
+   */
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = (text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9$\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !STOP_WORDS.has(word));
+
+    const features = words.map(word => [word, 1]);
+    for (let i = 1; i < words.length; i++) {
+      features.push([`${words[i - 1]} ${words[i]}`, 1]);
+    }
+    // Character trigrams give partial credit to related word forms (scam, scammer)
+    for (const word of words) {
+      const padded = `<${word}>`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        features.push([padded.slice(i, i + 3), 0.2]);
+      }
+    }
+
+    for (const [feature, weight] of features) {
+      const hash = this._hash(feature);
+      vector[hash % this.dimensions] += weight;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  /**
+   * 32-bit FNV-1a hash with a murmur3 finalizer, so the low bits used for buckets are well mixed
+   * @private
+   */
+  _hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+  }
+}
+
+module.exports = HashingEmbedder;
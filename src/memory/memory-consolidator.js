@@ -0,0 +1,215 @@
+/**
+ * Memory consolidator for Puppet Engine
+ * Periodically decays, merges and evicts an agent's memories so old context is compressed instead of dropped
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { MemoryItem } = require('../core/types');
+const db = require('../utils/database');
+
+class MemoryConsolidator {
+  /**
+   * @param {Object} options
+   * @param {MemoryManager} options.memoryManager - Where the memories live
+   * @param {number} options.similarityThreshold - Minimum cosine similarity to join a cluster
+   * @param {number} options.minClusterSize - Smallest group worth summarizing
+   * @param {number} options.maxClusterSize - Largest group sent to the LLM at once
+   * @param {number} options.minAgeHours - Memories younger than this are left alone
+   */
+  constructor(options = {}) {
+    this.memoryManager = options.memoryManager;
+    this.similarityThreshold = options.similarityThreshold || 0.3;
+    this.minClusterSize = options.minClusterSize || 2;
+    this.maxClusterSize = options.maxClusterSize || 6;
+    this.minAgeHours = options.minAgeHours !== undefined ? options.minAgeHours : 24;
+    this.auditPath = options.auditPath || path.join(process.cwd(), 'data', 'memory_consolidation_audit.jsonl');
+  }
+
+  /**
+   * Run one consolidation pass for an agent
+   * @param {Object} agent - The agent
+   * @param {BaseLLMProvider} llmProvider - The agent's provider, used for the summaries
+   * @returns {Promise<Object>} - The audit record for this run
+   */
+  async consolidate(agent, llmProvider) {
+    const memoryManager = this.memoryManager;
+    const memory = await memoryManager.getAgentMemory(agent.id);
+    const audit = {
+      id: uuidv4(),
+      agentId: agent.id,
+      startedAt: new Date(),
+      decayed: 0,
+      merges: [],
+      evicted: [],
+      errors: []
+    };
+
+    try {
+      audit.decayed = await memoryManager.applyDecay(agent.id);
+
+      // Recent memories stay as they are until they have had a chance to matter on their own
+      const cutoff = Date.now() - this.minAgeHours * 60 * 60 * 1000;
+      const candidates = [...memory.recentEvents, ...memory.longTermMemories]
+        .filter(item => new Date(item.timestamp).getTime() <= cutoff);
+      await memoryManager.embedMemoryItems(candidates);
+
+      for (const cluster of this.clusterMemories(candidates)) {
+        try {
+          const summary = await llmProvider.generateMemorySummary(agent, cluster);
+          const merged = this._mergeCluster(summary, cluster);
+          await memoryManager.embedMemoryItems([merged]);
+
+          const mergedIds = new Set(cluster.map(item => item.id));
+          memory.recentEvents = memory.recentEvents.filter(item => !mergedIds.has(item.id));
+          memory.longTermMemories = memory.longTermMemories.filter(item => !mergedIds.has(item.id));
+          memory.longTermMemories.push(merged);
+
+          audit.merges.push({
+            summaryId: merged.id,
+            summary: merged.content,
+            importance: merged.importance,
+            merged: cluster.map(item => ({ id: item.id, content: item.content, importance: item.importance }))
+          });
+        } catch (error) {
+          audit.errors.push(`cluster of ${cluster.length}: ${error.message}`);
+        }
+      }
+
+      // Evict by retention score rather than insertion order
+      const events = memoryManager.trimMemories(memory.recentEvents, memoryManager.memoryLimit / 2);
+      const longTerm = memoryManager.trimMemories(memory.longTermMemories, memoryManager.memoryLimit);
+      memory.recentEvents = events.kept;
+      memory.longTermMemories = longTerm.kept;
+      audit.evicted = [...events.evicted, ...longTerm.evicted].map(item => ({
+        id: item.id,
+        content: item.content,
+        score: Math.round(memoryManager.retentionScore(item) * 1000) / 1000
+      }));
+
+      await memoryManager.saveMemory(agent.id);
+    } catch (error) {
+      console.error(`Error consolidating memories for agent ${agent.id}:`, error);
+      audit.errors.push(error.message);
+    }
+
+    audit.finishedAt = new Date();
+    await this.recordAudit(audit);
+
+    console.log(`Consolidated memories for agent ${agent.id}: ${audit.merges.length} merges, ${audit.evicted.length} evicted, ${audit.decayed} decayed`);
+    return audit;
+  }
+
+  /**
+   * Group memories whose embeddings are close to each other
+   * Greedy: the most important unclaimed memory seeds a cluster and pulls in its nearest neighbours
+   * @param {Array} items - Embedded memory items
+   * @returns {Array<Array>} - Clusters of at least minClusterSize items
+   */
+  clusterMemories(items) {
+    const unclaimed = items
+      .filter(item => item.embedding)
+      .sort((a, b) => b.importance - a.importance);
+    const clusters = [];
+
+    while (unclaimed.length > 0) {
+      const seed = unclaimed.shift();
+      const neighbours = unclaimed
+        .map(item => ({ item, similarity: this.memoryManager.cosineSimilarity(seed.embedding, item.embedding) }))
+        .filter(({ similarity }) => similarity >= this.similarityThreshold)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, this.maxClusterSize - 1)
+        .map(({ item }) => item);
+
+      if (neighbours.length + 1 < this.minClusterSize) {
+        continue;
+      }
+
+      neighbours.forEach(item => unclaimed.splice(unclaimed.indexOf(item), 1));
+      clusters.push([seed, ...neighbours]);
+    }
+
+    return clusters;
+  }
+
+  /**
+   * Store an audit record in MongoDB if connected, otherwise in the JSONL audit file
+   */
+  async recordAudit(audit) {
+    if (this.memoryManager.mongoDbConnected) {
+      try {
+        const auditCollection = await db.getCollection(db.COLLECTIONS.MEMORY_AUDITS);
+        await auditCollection.insertOne({ ...audit });
+        return;
+      } catch (error) {
+        console.error(`Error saving memory audit to MongoDB for agent ${audit.agentId}:`, error);
+      }
+    }
+
+    try {
+      const dir = path.dirname(this.auditPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.appendFileSync(this.auditPath, JSON.stringify(audit) + '\n');
+    } catch (error) {
+      console.error(`Error writing memory audit for agent ${audit.agentId}:`, error);
+    }
+  }
+
+  /**
+   * Most recent consolidation runs for an agent, newest first
+   */
+  async getAuditLog(agentId, limit = 20) {
+    if (this.memoryManager.mongoDbConnected) {
+      try {
+        const auditCollection = await db.getCollection(db.COLLECTIONS.MEMORY_AUDITS);
+        const audits = await auditCollection.find({ agentId })
+          .sort({ startedAt: -1 })
+          .limit(limit)
+          .toArray();
+        return audits.map(({ _id, ...audit }) => audit);
+      } catch (error) {
+        console.error(`Error loading memory audits from MongoDB for agent ${agentId}:`, error);
+      }
+    }
+
+    if (!fs.existsSync(this.auditPath)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.auditPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .filter(audit => audit.agentId === agentId)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Build the summary memory for a cluster
+   * Importance starts from the strongest member and grows a little with each memory it absorbs
+   * @private
+   */
+  _mergeCluster(summary, cluster) {
+    const mergedIds = new Set(cluster.map(item => item.id));
+    const merged = new MemoryItem(summary, 'consolidated');
+    merged.id = uuidv4();
+    merged.importance = Math.min(1, Math.max(...cluster.map(item => item.importance)) + 0.05 * (cluster.length - 1));
+    merged.emotionalValence = cluster.reduce((sum, item) => sum + (item.emotionalValence || 0), 0) / cluster.length;
+    merged.associations = [...new Set(cluster.flatMap(item => item.associations || []))]
+      .filter(id => !mergedIds.has(id));
+    merged.timestamp = new Date(Math.max(...cluster.map(item => new Date(item.timestamp).getTime())));
+    merged.lastDecayedAt = new Date(); // Members were already decayed, don't decay them twice
+    merged.metadata = {
+      consolidatedFrom: cluster.map(item => item.id),
+      consolidatedAt: new Date()
+    };
+
+    return merged;
+  }
+}
+
+module.exports = MemoryConsolidator;
@@ -5,20 +5,35 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
-const { AgentMemory, MemoryItem, Relationship } = require('../core/types');
+const { AgentMemory, MemoryItem, Relationship, UserProfile } = require('../core/types');
 const fs = require('fs');
 const path = require('path');
 const db = require('../utils/database');
+const { createEmbedder } = require('./embedder-registry');
+
+// Word lists for reading the tone of a mention; deliberately small and crypto-twitter flavoured
+const POSITIVE_WORDS = ['love', 'lol', 'lmao', 'haha', 'gm', 'based', 'nice', 'great', 'thanks', 'thank', 'legend', 'goat', 'bullish', 'fun', 'funny', 'king', 'wagmi'];
+const NEGATIVE_WORDS = ['hate', 'scam', 'scammer', 'rug', 'rugged', 'trash', 'dead', 'sucks', 'worst', 'fraud', 'bearish', 'ngmi', 'boring', 'cringe'];
+const HOSTILE_PATTERN = /\b(idiot|stupid|moron|loser|clown|retard(ed)?|kys|shut up|f+u+c+k+ (you|off)|piece of shit)\b/i;
+const SPAM_PATTERN = /\b(airdrop|giveaway|dm me|check dm|claim (now|your)|free (tokens?|crypto|mint)|promo|whitelist spots?|100x gem)\b/i;
+const CA_REQUEST_PATTERN = /\b(ca|contract( address)?|mint( address)?|token address)\b/i;
 
 class MemoryManager {
   constructor(options = {}) {
     this.agentMemories = {};
     this.memoryLimit = options.memoryLimit || process.env.DEFAULT_AGENT_MEMORY_LIMIT || 100;
     this.dataDirectory = options.dataDirectory || 'data/memories';
+    this.tokenStateDirectory = options.tokenStateDirectory || 'data/tokens';
     this.maxMemoryItems = options.maxMemoryItems || 100;
     this.maxTweetHistory = options.maxTweetHistory || 50; // Track last 50 tweets per agent
+    this.decayHalfLifeDays = options.decayHalfLifeDays || 30; // Importance of events and long-term memories halves this often
+    this.maxUserExchanges = options.maxUserExchanges || 10; // Exchanges kept per Twitter user profile
+    this.maxUserProfiles = options.maxUserProfiles || 1000; // Least recently seen profiles are dropped beyond this
     this.persistenceEnabled = options.persistenceEnabled !== false;
     
+    // Memories are embedded when stored so searchMemories can rank them by meaning
+    this.embedder = options.embedder || createEmbedder(process.env.MEMORY_EMBEDDER || 'hashing');
+    
     // Storage preference - try MongoDB first, then file
     this.useMongoDb = options.useMongoDb !== false;
     this.mongoDbConnected = false;
@@ -55,9 +70,13 @@ class MemoryManager {
   async initializeAgentMemory(agentId, initialMemory = {}) {
     const memory = new AgentMemory();
     
+    // Agent config files use snake_case keys
+    const coreMemories = initialMemory.coreMemories || initialMemory.core_memories;
+    const recentEvents = initialMemory.recentEvents || initialMemory.recent_events;
+    
     // Add core memories
-    if (initialMemory.coreMemories && Array.isArray(initialMemory.coreMemories)) {
-      initialMemory.coreMemories.forEach(content => {
+    if (coreMemories && Array.isArray(coreMemories)) {
+      coreMemories.forEach(content => {
         const memoryItem = new MemoryItem(content, 'core');
         memoryItem.id = uuidv4();
         memoryItem.importance = 1.0; // Core memories are maximally important
@@ -79,8 +98,8 @@ class MemoryManager {
     }
     
     // Add recent events
-    if (initialMemory.recentEvents && Array.isArray(initialMemory.recentEvents)) {
-      initialMemory.recentEvents.forEach(event => {
+    if (recentEvents && Array.isArray(recentEvents)) {
+      recentEvents.forEach(event => {
         const memoryItem = new MemoryItem(event.content || event, 'event');
         memoryItem.id = uuidv4();
         memoryItem.timestamp = event.timestamp ? new Date(event.timestamp) : new Date();
@@ -90,6 +109,7 @@ class MemoryManager {
     }
     
     // Add tweet history tracking
+    memory.tweetHistory = [];
     if (initialMemory.tweetHistory && Array.isArray(initialMemory.tweetHistory)) {
       initialMemory.tweetHistory.forEach(tweet => {
         const tweetMemory = new MemoryItem(tweet.content, 'tweet');
@@ -101,6 +121,7 @@ class MemoryManager {
     }
     
     this.agentMemories[agentId] = memory;
+    await this.embedMemoryItems([...memory.coreMemories, ...memory.recentEvents]);
     
     // Save to MongoDB if connected, otherwise save to disk
     await this.saveMemory(agentId);
@@ -110,8 +131,10 @@ class MemoryManager {
   
   /**
    * Get agent memory, initializing if necessary
+   * @param {string} agentId - The agent ID
+   * @param {Object} initialMemory - Memory to seed with if nothing is stored yet
    */
-  async getAgentMemory(agentId) {
+  async getAgentMemory(agentId, initialMemory = {}) {
     // Try to get from memory cache first
     if (this.agentMemories[agentId]) {
       return this.agentMemories[agentId];
@@ -138,7 +161,9 @@ class MemoryManager {
       const memoryPath = path.join(this.dataDirectory, `${agentId}.json`);
       
       if (fs.existsSync(memoryPath)) {
-        const memory = JSON.parse(fs.readFileSync(memoryPath, 'utf8'));
+        const memory = this._deserializeMemoryDocument(
+          JSON.parse(fs.readFileSync(memoryPath, 'utf8'))
+        );
         this.agentMemories[agentId] = memory;
         
         // Make sure tweetHistory exists (backward compatibility)
@@ -154,7 +179,7 @@ class MemoryManager {
     }
     
     // If not found, initialize a new memory
-    return this.initializeAgentMemory(agentId);
+    return this.initializeAgentMemory(agentId, initialMemory);
   }
   
   /**
@@ -171,23 +196,19 @@ class MemoryManager {
     if (options.associations) memoryItem.associations = options.associations;
     if (options.metadata) memoryItem.metadata = options.metadata;
     
+    await this.embedMemoryItems([memoryItem]);
+    
     // Store in appropriate collection
     if (type === 'core') {
       memory.coreMemories.push(memoryItem);
     } else if (type === 'event') {
       memory.recentEvents.push(memoryItem);
       // Trim events if needed
-      if (memory.recentEvents.length > this.memoryLimit / 2) {
-        memory.recentEvents.sort((a, b) => b.importance - a.importance);
-        memory.recentEvents = memory.recentEvents.slice(0, this.memoryLimit / 2);
-      }
+      memory.recentEvents = this.trimMemories(memory.recentEvents, this.memoryLimit / 2).kept;
     } else {
       memory.longTermMemories.push(memoryItem);
       // Trim long-term memories if needed
-      if (memory.longTermMemories.length > this.memoryLimit) {
-        memory.longTermMemories.sort((a, b) => b.importance - a.importance);
-        memory.longTermMemories = memory.longTermMemories.slice(0, this.memoryLimit);
-      }
+      memory.longTermMemories = this.trimMemories(memory.longTermMemories, this.memoryLimit).kept;
     }
     
     // Save to MongoDB or disk
@@ -208,6 +229,7 @@ class MemoryManager {
       fullText: tweetContent,
       ...metadata
     };
+    await this.embedMemoryItems([postMemory]);
     
     memory.recentPosts.push(postMemory);
     
@@ -238,7 +260,9 @@ class MemoryManager {
           tweetId,
           content: tweetContent,
           timestamp: new Date(),
-          metadata
+          metadata,
+          embedding: postMemory.embedding,
+          embeddingModel: postMemory.embeddingModel
         });
         console.log(`Saved tweet ${tweetId} to MongoDB for agent ${agentId}`);
       } catch (error) {
@@ -289,32 +313,213 @@ class MemoryManager {
     return relationship;
   }
   
+  /**
+   * Get what an agent remembers about a Twitter user
+   * @returns {Promise<UserProfile|null>} - null if the user has never mentioned the agent
+   */
+  async getUserProfile(agentId, userId) {
+    const memory = await this.getAgentMemory(agentId);
+    return (memory.userProfiles && memory.userProfiles[userId]) || null;
+  }
+  
+  /**
+   * List an agent's user profiles, most recently seen first
+   */
+  async listUserProfiles(agentId) {
+    const memory = await this.getAgentMemory(agentId);
+    return Object.values(memory.userProfiles || {})
+      .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+  }
+  
+  /**
+   * Update a user's profile from a mention they sent
+   * @param {string} agentId - The agent that was mentioned
+   * @param {Object} tweet - The mention (id, content, authorId, authorUsername)
+   * @returns {Promise<UserProfile>} - The updated profile
+   */
+  async recordUserMention(agentId, tweet) {
+    const memory = await this.getAgentMemory(agentId);
+    if (!memory.userProfiles) {
+      memory.userProfiles = {};
+    }
+    
+    const profile = memory.userProfiles[tweet.authorId] || new UserProfile(tweet.authorId, tweet.authorUsername || null);
+    const signals = this._readUserTweet(tweet.content, profile);
+    const now = new Date();
+    
+    profile.username = tweet.authorUsername || profile.username;
+    profile.firstSeen = profile.firstSeen || now;
+    profile.lastSeen = now;
+    profile.interactionCount++;
+    
+    // Running averages so one odd tweet doesn't define someone
+    profile.sentiment = this._blend(profile.sentiment, signals.sentiment);
+    profile.hostility = this._blend(profile.hostility, signals.hostile ? 1 : 0);
+    profile.spamScore = this._blend(profile.spamScore, signals.spammy ? 1 : 0);
+    
+    if (signals.askedForCa) {
+      profile.caRequests++;
+      profile.lastCaRequestAt = now;
+    }
+    
+    signals.topics.forEach(topic => {
+      profile.topics[topic] = (profile.topics[topic] || 0) + 1;
+    });
+    profile.topics = Object.fromEntries(
+      Object.entries(profile.topics).sort((a, b) => b[1] - a[1]).slice(0, 20)
+    );
+    
+    profile.exchanges.unshift({ tweetId: tweet.id, text: tweet.content, reply: null, replyTweetId: null, timestamp: now });
+    profile.exchanges = profile.exchanges.slice(0, this.maxUserExchanges);
+    
+    memory.userProfiles[tweet.authorId] = profile;
+    this._pruneUserProfiles(memory);
+    
+    await this.saveMemory(agentId);
+    return profile;
+  }
+  
+  /**
+   * Attach the agent's reply to the exchange it answered
+   * @param {string} agentId - The agent ID
+   * @param {string} userId - Who the reply went to
+   * @param {string} tweetId - The mention that was answered
+   * @param {string} reply - The reply text
+   * @param {string} replyTweetId - ID of the posted reply, null in dry run
+   */
+  async recordUserReply(agentId, userId, tweetId, reply, replyTweetId = null) {
+    const profile = await this.getUserProfile(agentId, userId);
+    if (!profile) {
+      return null;
+    }
+    
+    const exchange = profile.exchanges.find(item => item.tweetId === tweetId);
+    if (exchange) {
+      exchange.reply = reply;
+      exchange.replyTweetId = replyTweetId;
+    } else {
+      profile.exchanges.unshift({ tweetId, text: null, reply, replyTweetId, timestamp: new Date() });
+      profile.exchanges = profile.exchanges.slice(0, this.maxUserExchanges);
+    }
+    
+    await this.saveMemory(agentId);
+    return profile;
+  }
+  
+  /**
+   * Forget everything about a Twitter user
+   * @returns {Promise<boolean>} - Whether there was a profile to remove
+   */
+  async resetUserProfile(agentId, userId) {
+    const memory = await this.getAgentMemory(agentId);
+    if (!memory.userProfiles || !memory.userProfiles[userId]) {
+      return false;
+    }
+    
+    delete memory.userProfiles[userId];
+    await this.saveMemory(agentId);
+    return true;
+  }
+  
+  /**
+   * Pull tone, intent and topics out of a user's tweet
+   * @private
+   */
+  _readUserTweet(text, profile) {
+    const content = (text || '').replace(/@\w+/g, ' ');
+    const words = content.toLowerCase().replace(/[^\w\s$]/g, ' ').split(/\s+/).filter(Boolean);
+    
+    const positive = words.filter(word => POSITIVE_WORDS.includes(word)).length;
+    const negative = words.filter(word => NEGATIVE_WORDS.includes(word)).length;
+    const hostile = HOSTILE_PATTERN.test(content);
+    
+    // Links, mention storms, shill phrases or the same text again
+    const repeated = profile.exchanges.some(exchange => exchange.text && exchange.text === text);
+    const spammy = SPAM_PATTERN.test(content) ||
+      /https?:\/\//i.test(content) ||
+      ((text || '').match(/@\w+/g) || []).length >= 4 ||
+      repeated;
+    
+    let sentiment = positive + negative > 0 ? (positive - negative) / (positive + negative) : 0;
+    if (hostile) {
+      sentiment = -1;
+    }
+    
+    const commonWords = new Set(['that', 'this', 'with', 'what', 'your', 'have', 'just', 'when', 'like', 'from', 'they', 'will', 'about', 'been', 'were', 'there', 'their', 'would', 'could', 'should', 'does', 'dont', 'cant', 'still', 'really', 'much']);
+    const topics = [...new Set(words.filter(word => word.length > 3 && !commonWords.has(word) && !/^\d+$/.test(word)))];
+    
+    return {
+      sentiment,
+      hostile,
+      spammy,
+      askedForCa: CA_REQUEST_PATTERN.test(content),
+      topics
+    };
+  }
+  
+  /**
+   * Move a running average a third of the way toward a new value
+   * @private
+   */
+  _blend(current, value) {
+    return Math.round((current * 2 / 3 + value / 3) * 1000) / 1000;
+  }
+  
+  /**
+   * Drop the least recently seen profiles beyond maxUserProfiles
+   * @private
+   */
+  _pruneUserProfiles(memory) {
+    const profiles = Object.values(memory.userProfiles);
+    if (profiles.length <= this.maxUserProfiles) {
+      return;
+    }
+    
+    profiles
+      .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen))
+      .slice(this.maxUserProfiles)
+      .forEach(profile => {
+        delete memory.userProfiles[profile.userId];
+      });
+  }
+  
   /**
    * Search for relevant memories based on a query
+   * Ranks by cosine similarity between embeddings, weighted by importance
+   * @param {string} agentId - The agent ID
+   * @param {string} query - Text to find related memories for, e.g. the mention being answered
+   * @param {Object} options - limit, threshold
    */
   async searchMemories(agentId, query, options = {}) {
     const memory = await this.getAgentMemory(agentId);
     const limit = options.limit || 10;
-    const threshold = options.threshold || 0.3;
-    
-    // Simple keyword-based relevance for now
-    // In a real implementation, this would use semantic search or embeddings
-    const relevanceScore = (memoryItem) => {
-      const content = memoryItem.content.toLowerCase();
-      const queryTerms = query.toLowerCase().split(' ');
-      
-      // Count matching terms
-      const matches = queryTerms.filter(term => content.includes(term)).length;
-      return matches / queryTerms.length;
-    };
+    const threshold = options.threshold !== undefined ? options.threshold : 0.08;
     
     // Combine all memories
     const allMemories = [
       ...memory.coreMemories,
       ...memory.recentEvents,
-      ...memory.longTermMemories
+      ...memory.longTermMemories,
+      ...memory.recentPosts
     ];
     
+    // Memories stored before embeddings existed, or by a different embedder, are embedded now
+    const embeddedCount = await this.embedMemoryItems(allMemories);
+    if (embeddedCount > 0) {
+      await this.saveMemory(agentId);
+    }
+    
+    let relevanceScore;
+    try {
+      const [queryEmbedding] = await this.embedder.embed([query]);
+      relevanceScore = (memoryItem) => memoryItem.embedding
+        ? this.cosineSimilarity(queryEmbedding, memoryItem.embedding)
+        : this._keywordScore(memoryItem, query);
+    } catch (error) {
+      console.error(`Error embedding memory search query for agent ${agentId}, using keyword matching:`, error);
+      relevanceScore = (memoryItem) => this._keywordScore(memoryItem, query);
+    }
+    
     // Score and filter memories
     const scoredMemories = allMemories
       .map(item => ({ 
@@ -328,6 +533,123 @@ class MemoryManager {
     return scoredMemories.map(({ item }) => item);
   }
   
+  /**
+   * Embed memory items that have no embedding from the current embedder
+   * @returns {Promise<number>} - How many items were embedded
+   */
+  async embedMemoryItems(items) {
+    const pending = items.filter(item => item.content && (!item.embedding || item.embeddingModel !== this.embedder.model));
+    if (pending.length === 0) {
+      return 0;
+    }
+    
+    try {
+      const embeddings = await this.embedder.embed(pending.map(item => item.content));
+      pending.forEach((item, index) => {
+        item.embedding = embeddings[index];
+        item.embeddingModel = this.embedder.model;
+      });
+      return pending.length;
+    } catch (error) {
+      console.error(`Error embedding ${pending.length} memories with ${this.embedder.name}:`, error);
+      return 0;
+    }
+  }
+  
+  /**
+   * Cosine similarity between two vectors
+   */
+  cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) {
+      return 0;
+    }
+    
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+  
+  /**
+   * Share of query terms found in a memory, used when embeddings are unavailable
+   * @private
+   */
+  _keywordScore(memoryItem, query) {
+    const content = memoryItem.content.toLowerCase();
+    const queryTerms = query.toLowerCase().split(' ');
+    
+    // Count matching terms
+    const matches = queryTerms.filter(term => content.includes(term)).length;
+    return matches / queryTerms.length;
+  }
+  
+  /**
+   * Decay the importance of events and long-term memories by the time since they were last decayed
+   * Core memories never decay
+   * @param {string} agentId - The agent ID
+   * @param {number} now - Current time in ms, for tests
+   * @returns {Promise<number>} - How many memories were decayed
+   */
+  async applyDecay(agentId, now = Date.now()) {
+    const memory = await this.getAgentMemory(agentId);
+    let decayed = 0;
+    
+    [...memory.recentEvents, ...memory.longTermMemories].forEach(item => {
+      const since = new Date(item.lastDecayedAt || item.timestamp || now).getTime();
+      const days = (now - since) / (24 * 60 * 60 * 1000);
+      if (days <= 0) {
+        return;
+      }
+      
+      item.importance = item.importance * Math.pow(0.5, days / this.decayHalfLifeDays);
+      item.lastDecayedAt = new Date(now);
+      decayed++;
+    });
+    
+    return decayed;
+  }
+  
+  /**
+   * Score used to decide which memories to keep: importance, recency and how connected the memory is
+   * @param {Object} item - Memory item
+   * @param {number} now - Current time in ms
+   * @returns {number} - Score from 0 to 1
+   */
+  retentionScore(item, now = Date.now()) {
+    const ageDays = Math.max(0, (now - new Date(item.timestamp || now).getTime()) / (24 * 60 * 60 * 1000));
+    const recency = Math.pow(0.5, ageDays / this.decayHalfLifeDays);
+    const connectedness = Math.min(1, (item.associations || []).length / 5);
+    
+    return 0.6 * item.importance + 0.3 * recency + 0.1 * connectedness;
+  }
+  
+  /**
+   * Keep the best-scoring memories up to a limit
+   * @param {Array} items - Memory items
+   * @param {number} limit - How many to keep
+   * @returns {{kept: Array, evicted: Array}} - kept stays in its original order
+   */
+  trimMemories(items, limit) {
+    if (items.length <= limit) {
+      return { kept: items, evicted: [] };
+    }
+    
+    const now = Date.now();
+    const ranked = [...items].sort((a, b) => this.retentionScore(b, now) - this.retentionScore(a, now));
+    const evicted = new Set(ranked.slice(limit));
+    
+    return {
+      kept: items.filter(item => !evicted.has(item)),
+      evicted: ranked.slice(limit)
+    };
+  }
+  
   /**
    * Get all memories to serialize for an agent
    */
@@ -341,6 +663,7 @@ class MemoryManager {
       relationships: memory.relationships,
       longTermMemories: memory.longTermMemories,
       tweetHistory: memory.tweetHistory,
+      userProfiles: memory.userProfiles,
       lastUpdated: new Date()
     };
   }
@@ -358,6 +681,7 @@ class MemoryManager {
     if (doc.relationships) memory.relationships = doc.relationships;
     if (doc.longTermMemories) memory.longTermMemories = doc.longTermMemories;
     if (doc.tweetHistory) memory.tweetHistory = doc.tweetHistory;
+    if (doc.userProfiles) memory.userProfiles = doc.userProfiles;
     
     return memory;
   }
@@ -427,9 +751,25 @@ class MemoryManager {
         );
         
         console.log(`Saved token state for agent ${agentId} to MongoDB`);
+        return;
       } catch (error) {
         console.error(`Error saving token state to MongoDB for agent ${agentId}:`, error);
+        // Fall through to file storage as backup
+      }
+    }
+    
+    // Fall back to file storage, via a temp file so a crash never leaves half a snapshot
+    try {
+      if (!fs.existsSync(this.tokenStateDirectory)) {
+        fs.mkdirSync(this.tokenStateDirectory, { recursive: true });
       }
+      
+      const tokenPath = path.join(this.tokenStateDirectory, `${agentId}.json`);
+      const tempPath = `${tokenPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ ...tokenState, agentId, lastUpdated: new Date() }));
+      fs.renameSync(tempPath, tokenPath);
+    } catch (error) {
+      console.error(`Error saving token state for agent ${agentId} to file:`, error);
     }
   }
   
@@ -454,6 +794,16 @@ class MemoryManager {
       }
     }
     
+    // Fallback to file storage
+    try {
+      const tokenPath = path.join(this.tokenStateDirectory, `${agentId}.json`);
+      if (fs.existsSync(tokenPath)) {
+        return JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`Error loading token state for agent ${agentId} from file:`, error);
+    }
+    
     return null;
   }
   
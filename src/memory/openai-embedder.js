@@ -0,0 +1,36 @@
+/**
+ * OpenAI embedder for Puppet Engine
+ * Embeds memories with the OpenAI embeddings API (or any compatible server via baseUrl)
+ */
+
+const { OpenAI } = require('openai');
+
+class OpenAIEmbedder {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+
+    this.client = new OpenAI({
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+      baseURL: options.baseUrl || process.env.OPENAI_BASE_URL || undefined
+    });
+  }
+
+  /**
+   * Embed a list of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - One vector per text, in order
+   */
+  async embed(texts) {
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIEmbedder;
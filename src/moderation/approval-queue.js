@@ -0,0 +1,231 @@
+/**
+ * Approval queue for Puppet Engine
+ * Holds drafted tweets and replies until a human approves, edits or rejects them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const ContentGuard = require('./content-guard');
+
+const STATUSES = ['pending', 'approved', 'posted', 'rejected', 'failed'];
+const REQUIRE_RULES = ['all', 'posts', 'replies', 'token_mentions'];
+
+class ApprovalQueue {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'approval_queue.json');
+    this.maxDecidedDrafts = options.maxDecidedDrafts || 500; // Keep this many approved/rejected drafts for review
+    this.drafts = {};
+
+    this.loadDrafts();
+  }
+
+  /**
+   * Load drafts from disk
+   */
+  loadDrafts() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const drafts = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        drafts.forEach(draft => {
+          this.drafts[draft.id] = draft;
+        });
+        console.log(`Loaded ${drafts.length} drafts from approval queue`);
+      }
+    } catch (error) {
+      console.error('Error loading approval queue:', error);
+    }
+  }
+
+  /**
+   * Save drafts to disk, writing a temp file first so a crash never leaves half a queue
+   */
+  saveDrafts() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      this._pruneDecidedDrafts();
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.values(this.drafts), null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Error saving approval queue:', error);
+    }
+  }
+
+  /**
+   * Work out why a draft needs approval under an agent's policy
+   * @param {Object} policy - The agent's approval policy ({ require, minConfidence, tokenSymbols })
+   * @param {Object} draft - { content, task, confidence }
+   * @param {Object} tokenPolicy - The agent's content guard policy; its symbol counts as a token mention
+   * @returns {Array<string>} - The matching rules, empty if the draft can be posted directly
+   */
+  getApprovalReasons(policy, draft, tokenPolicy = null) {
+    if (!policy) {
+      return [];
+    }
+
+    const reasons = [];
+    const require = policy.require || [];
+    const isReply = draft.task === 'reply';
+
+    if (require.includes('all')) {
+      reasons.push('all');
+    }
+    if (require.includes('posts') && !isReply) {
+      reasons.push('posts');
+    }
+    if (require.includes('replies') && isReply) {
+      reasons.push('replies');
+    }
+    const tokenSymbols = [...(policy.tokenSymbols || []), tokenPolicy && tokenPolicy.symbol].filter(Boolean);
+    if (require.includes('token_mentions') && this.mentionsToken(draft.content, tokenSymbols)) {
+      reasons.push('token_mentions');
+    }
+    if (typeof policy.minConfidence === 'number' && draft.confidence < policy.minConfidence) {
+      reasons.push('low_confidence');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Whether text mentions one of the token symbols or anything that looks like a contract address
+   */
+  mentionsToken(content, tokenSymbols = []) {
+    const text = content || '';
+    const lower = text.toLowerCase();
+
+    return tokenSymbols.some(symbol => lower.includes(symbol.toLowerCase())) ||
+      ContentGuard.findAddresses(text).some(address => ContentGuard.looksLikeAddress(address));
+  }
+
+  /**
+   * Rough confidence score for generated text, from 0 to 1
+   * @param {string} content - The generated text
+   * @param {Object} context - { fellBack: true when a fallback provider served it }
+   */
+  estimateConfidence(content, context = {}) {
+    const text = (content || '').trim();
+    if (!text) {
+      return 0;
+    }
+
+    let confidence = 1;
+    if (text.length > 280) {
+      confidence -= 0.5; // Would be rejected by Twitter anyway
+    }
+    if (/\bas an ai\b|\blanguage model\b/i.test(text)) {
+      confidence -= 0.5; // Broke character
+    }
+    if (/https?:\/\//i.test(text)) {
+      confidence -= 0.2;
+    }
+    if (/@\w+/.test(text)) {
+      confidence -= 0.1;
+    }
+    if (context.fellBack) {
+      confidence -= 0.2; // Backup models are less reliable at staying in character
+    }
+
+    return Math.max(0, Math.round(confidence * 100) / 100);
+  }
+
+  /**
+   * Add a draft to the queue
+   * @param {Object} draft - agentId, content, task, replyTo, confidence, reasons, metadata
+   * @returns {Object} - The stored draft
+   */
+  addDraft(draft) {
+    const now = new Date().toISOString();
+    const stored = {
+      id: uuidv4(),
+      agentId: draft.agentId,
+      status: 'pending',
+      task: draft.task || 'post',
+      content: draft.content,
+      originalContent: draft.content,
+      replyTo: draft.replyTo || null,
+      confidence: draft.confidence,
+      reasons: draft.reasons || [],
+      metadata: draft.metadata || {},
+      createdAt: now,
+      updatedAt: now,
+      decidedAt: null,
+      tweetId: null,
+      error: null
+    };
+
+    this.drafts[stored.id] = stored;
+    this.saveDrafts();
+
+    console.log(`Queued ${stored.task} draft ${stored.id} for ${stored.agentId} (${stored.reasons.join(', ')}): ${stored.content}`);
+    return stored;
+  }
+
+  /**
+   * Get a draft by ID
+   */
+  getDraft(draftId) {
+    const draft = this.drafts[draftId];
+    if (!draft) {
+      throw new Error(`Draft not found: ${draftId}`);
+    }
+    return draft;
+  }
+
+  /**
+   * List drafts, newest first
+   * @param {Object} filter - Optional status and agentId
+   */
+  listDrafts(filter = {}) {
+    return Object.values(this.drafts)
+      .filter(draft => !filter.status || draft.status === filter.status)
+      .filter(draft => !filter.agentId || draft.agentId === filter.agentId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Update a pending draft
+   * @param {string} draftId - The draft ID
+   * @param {Object} changes - Fields to change (content, status, tweetId, error, metadata...)
+   */
+  updateDraft(draftId, changes = {}) {
+    const draft = this.getDraft(draftId);
+
+    if (changes.status && !STATUSES.includes(changes.status)) {
+      throw new Error(`Invalid draft status: ${changes.status}`);
+    }
+
+    Object.assign(draft, changes, { updatedAt: new Date().toISOString() });
+    if (changes.status && changes.status !== 'pending' && !draft.decidedAt) {
+      draft.decidedAt = draft.updatedAt;
+    }
+
+    this.saveDrafts();
+    return draft;
+  }
+
+  /**
+   * Drop the oldest decided drafts beyond maxDecidedDrafts
+   * @private
+   */
+  _pruneDecidedDrafts() {
+    const decided = Object.values(this.drafts)
+      .filter(draft => draft.status !== 'pending')
+      .sort((a, b) => (b.decidedAt || b.updatedAt).localeCompare(a.decidedAt || a.updatedAt));
+
+    decided.slice(this.maxDecidedDrafts).forEach(draft => {
+      delete this.drafts[draft.id];
+    });
+  }
+}
+
+ApprovalQueue.STATUSES = STATUSES;
+ApprovalQueue.REQUIRE_RULES = REQUIRE_RULES;
+
+module.exports = ApprovalQueue;
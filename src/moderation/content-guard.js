@@ -0,0 +1,294 @@
+/**
+ * Content guard for Puppet Engine
+ * Checks generated text for contract addresses and token tickers before it is posted
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Solana addresses are 32-44 base58 characters (no 0, O, I or l). Candidates are matched more widely,
+// with any alphanumerics, underscores and Greek or Cyrillic letters, any length from 32 up and no word
+// boundaries, so look-alikes padded with extra characters or using excluded characters are still caught.
+// Zero-width and other format characters inside a run don't break it
+const ADDRESS_PATTERN = /(?:[0-9A-Za-z_\u0370-\u03FF\u0400-\u04FF]\p{Cf}*){32,}/gu;
+const ADDRESS_CHAR = /[0-9A-Za-z\u0370-\u03FF\u0400-\u04FF]/;
+// What a copy of the CA can be split with: spaces, dots, hyphens, underscores and format characters
+const SEPARATOR = /[\s.\-_\p{Cf}]/u;
+const SEPARATORS = /[\s.\-_\p{Cf}]/gu;
+
+// Characters a reader takes for one another, mapped after lowercasing to one representative
+const HOMOGLYPHS = {
+  '0': 'o', '1': 'l', 'i': 'l',
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'е': 'e', 'і': 'l', 'ј': 'j', 'к': 'k', 'м': 'm', 'н': 'h',
+  'о': 'o', 'р': 'p', 'с': 'c', 'ѕ': 's', 'т': 't', 'у': 'y', 'х': 'x',
+  // Greek
+  'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'l', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x'
+};
+const TICKER_PATTERN = /\$[A-Za-z][A-Za-z0-9]{1,9}\b/g;
+
+const DEFAULT_POLICY = {
+  symbol: null,
+  contractAddress: null,
+  caIntentPatterns: ['\\bca\\b', '\\bcontract\\b', '\\baddress\\b', '\\bmint\\b'],
+  tickerIntentPatterns: ['\\$[a-z][a-z0-9]{1,9}\\b', '\\btoken\\b', '\\bcoin\\b', '\\bticker\\b'],
+  onViolation: 'strip', // 'strip' or 'regenerate'
+  maxRegenerations: 2
+};
+
+class ContentGuard {
+  constructor(options = {}) {
+    this.logPath = options.logPath || path.join(process.cwd(), 'data', 'content_guard_blocks.jsonl');
+    this.maxRecentBlocks = options.maxRecentBlocks || 200;
+    this.recentBlocks = this._loadRecentBlocks();
+  }
+
+  /**
+   * Build a policy from an agent's token_policy config block
+   */
+  static policyFromConfig(config = {}) {
+    return {
+      symbol: config.symbol || DEFAULT_POLICY.symbol,
+      contractAddress: config.contract_address || DEFAULT_POLICY.contractAddress,
+      caIntentPatterns: config.ca_intent_patterns || DEFAULT_POLICY.caIntentPatterns,
+      tickerIntentPatterns: config.ticker_intent_patterns || DEFAULT_POLICY.tickerIntentPatterns,
+      onViolation: config.on_violation || DEFAULT_POLICY.onViolation,
+      maxRegenerations: config.max_regenerations !== undefined ? config.max_regenerations : DEFAULT_POLICY.maxRegenerations
+    };
+  }
+
+  /**
+   * Find policy violations in generated text
+   * @param {string} content - The generated text
+   * @param {Object} policy - Policy from policyFromConfig
+   * @param {Object} context - { triggerText: the mention being answered, hardOnly: only check never-allowed addresses }
+   * @returns {{violations: Array, cleanContent: string}}
+   */
+  inspect(content, policy = DEFAULT_POLICY, context = {}) {
+    const text = content || '';
+    const triggerText = context.triggerText || '';
+    const violations = [];
+
+    const askedForCa = this._matchesIntent(triggerText, policy.caIntentPatterns);
+    const askedForTicker = askedForCa || this._matchesIntent(triggerText, policy.tickerIntentPatterns);
+
+    // Copies of the official CA first, split up or not; whatever is left is checked run by run
+    let remaining = text;
+    for (const copy of new Set(ContentGuard.findCopies(text, policy.contractAddress))) {
+      if (copy.replace(SEPARATORS, '') !== policy.contractAddress) {
+        violations.push({ type: 'lookalike_address', value: copy });
+      } else if (!context.hardOnly && !askedForCa) {
+        violations.push({ type: 'contract_address', value: copy });
+      }
+      remaining = remaining.split(copy).join(' ');
+    }
+
+    for (const address of new Set(ContentGuard.findAddresses(remaining))) {
+      if (policy.contractAddress && this.isLookAlike(address, policy.contractAddress)) {
+        violations.push({ type: 'lookalike_address', value: address });
+      } else if (ContentGuard.looksLikeAddress(address)) {
+        violations.push({ type: 'unknown_address', value: address });
+      }
+    }
+
+    if (!context.hardOnly && !askedForTicker) {
+      for (const ticker of new Set(text.match(TICKER_PATTERN) || [])) {
+        violations.push({ type: 'ticker', value: ticker });
+      }
+    }
+
+    let cleanContent = text;
+    for (const violation of violations) {
+      cleanContent = cleanContent.split(violation.value).join('');
+    }
+    cleanContent = cleanContent
+      .replace(/\b(CA|contract|address)\s*:\s*(?=\s|$)/gi, '') // Labels left without a value
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+
+    return { violations, cleanContent };
+  }
+
+  /**
+   * Address-like runs in text, whether or not they are valid base58
+   * @returns {Array<string>}
+   */
+  static findAddresses(text) {
+    return (text || '').match(ADDRESS_PATTERN) || [];
+  }
+
+  /**
+   * Spans of text that copy the official CA once separators between its characters are dropped and
+   * homoglyphs folded, e.g. split by spaces, hyphens, dots or zero-width characters. A copy that runs
+   * straight on into more address characters is left to findAddresses, as a padded look-alike
+   * @returns {Array<string>}
+   */
+  static findCopies(text, contractAddress) {
+    if (!contractAddress) {
+      return [];
+    }
+
+    const source = text || '';
+    const official = ContentGuard.normalizeAddress(contractAddress);
+    const copies = [];
+    let units = []; // Address characters since the last character that is neither one nor a separator
+    const runsOn = char => !!char && (ADDRESS_CHAR.test(char) || char === '_');
+
+    const flush = () => {
+      let normalized = '';
+      const owners = []; // Unit behind each normalized character
+      units.forEach((unit, i) => {
+        for (const char of ContentGuard.normalizeAddress(unit.char)) {
+          normalized += char;
+          owners.push(i);
+        }
+      });
+
+      for (let from = normalized.indexOf(official); from !== -1; from = normalized.indexOf(official, from + 1)) {
+        const first = units[owners[from]];
+        const last = units[owners[from + official.length - 1]];
+        const start = first.index;
+        const end = last.index + last.char.length;
+        if (!runsOn(source[start - 1]) && !runsOn(source[end])) {
+          copies.push(source.slice(start, end));
+        }
+      }
+      units = [];
+    };
+
+    for (const { 0: char, index } of source.matchAll(/[\s\S]/gu)) {
+      if (ADDRESS_CHAR.test(char)) {
+        units.push({ char, index });
+      } else if (!SEPARATOR.test(char)) {
+        flush();
+      }
+    }
+    flush();
+
+    return copies;
+  }
+
+  /**
+   * Whether a run found by findAddresses reads as an address rather than a long word or hashtag
+   * Addresses mix in digits or capitals; a run of lowercase letters only counts when it copies the official CA
+   */
+  static looksLikeAddress(candidate) {
+    return /[0-9A-Z_]/.test(candidate) || /[^\x00-\x7F]/.test(candidate);
+  }
+
+  /**
+   * Fold case and homoglyphs and drop separators, so look-alikes compare equal to what they imitate
+   */
+  static normalizeAddress(address) {
+    return [...address.normalize('NFKC').toLowerCase()]
+      .filter(char => !SEPARATOR.test(char))
+      .map(char => HOMOGLYPHS[char] || char)
+      .join('');
+  }
+
+  /**
+   * Whether an address is close enough to the official one to fool a reader
+   */
+  isLookAlike(address, contractAddress) {
+    const candidate = ContentGuard.normalizeAddress(address);
+    const official = ContentGuard.normalizeAddress(contractAddress);
+
+    if (candidate.includes(official) || official.includes(candidate)) {
+      return true; // Same characters, or the official CA padded or cut short
+    }
+    if (candidate.slice(0, 4) === official.slice(0, 4) || candidate.slice(-4) === official.slice(-4)) {
+      return true;
+    }
+    return this._editDistance(candidate, official) <= Math.ceil(official.length / 4);
+  }
+
+  /**
+   * Record a block for review, both in memory and in the JSONL log
+   * @param {Object} entry - agentId, source, action, violations, originalContent, finalContent, triggerTweetId
+   */
+  logBlock(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+
+    this.recentBlocks.unshift(record);
+    if (this.recentBlocks.length > this.maxRecentBlocks) {
+      this.recentBlocks.pop();
+    }
+
+    console.warn(`Content guard ${record.action} ${record.source || 'post'} for ${record.agentId}: ${record.violations.map(v => `${v.type} ${v.value}`).join(', ')}`);
+
+    try {
+      const dir = path.dirname(this.logPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.appendFileSync(this.logPath, JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.error('Error writing content guard log:', error);
+    }
+
+    return record;
+  }
+
+  /**
+   * Most recent blocks, newest first
+   */
+  getRecentBlocks(limit = 50) {
+    return this.recentBlocks.slice(0, limit);
+  }
+
+  /**
+   * Read the tail of the block log so reviews survive a restart
+   * @private
+   */
+  _loadRecentBlocks() {
+    try {
+      if (!fs.existsSync(this.logPath)) {
+        return [];
+      }
+      
+      return fs.readFileSync(this.logPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .slice(-this.maxRecentBlocks)
+        .map(line => JSON.parse(line))
+        .reverse();
+    } catch (error) {
+      console.error('Error loading content guard log:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Check text against a list of case-insensitive regex sources
+   * @private
+   */
+  _matchesIntent(text, patterns = []) {
+    return !!text && patterns.some(pattern => new RegExp(pattern, 'i').test(text));
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   * @private
+   */
+  _editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+}
+
+ContentGuard.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = ContentGuard;
@@ -0,0 +1,90 @@
+/**
+ * Per-agent ignore list for Puppet Engine
+ * Twitter users an agent no longer answers, kept in the shared state store so the agent manager,
+ * the standalone mention handler and the API all see the same list. Authors flagged by the spam
+ * detector are ignored for a while; users added by hand stay until they are removed
+ */
+
+const { NAMESPACES } = require('../state/state-store-registry');
+
+const SOURCES = ['auto', 'api'];
+
+class IgnoreList {
+  /**
+   * @param {Object} stateStore - Any registered state store
+   */
+  constructor(stateStore) {
+    this.stateStore = stateStore;
+  }
+
+  /**
+   * Whether an agent ignores a user
+   */
+  async has(agentId, userId) {
+    if (!userId) {
+      return false;
+    }
+    return this.stateStore.has(NAMESPACES.IGNORED_USERS, this._key(agentId, userId));
+  }
+
+  /**
+   * Ignore a user, replacing any earlier entry
+   * @param {string} agentId - The agent that stops answering
+   * @param {Object} entry - userId, and optionally username, reason, score and signals
+   * @param {Object} options - source ('auto' or 'api') and ttlMs (kept until removed without it)
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async add(agentId, entry, options = {}) {
+    const now = Date.now();
+    const value = {
+      userId: String(entry.userId),
+      username: entry.username || null,
+      reason: entry.reason || null,
+      score: entry.score !== undefined ? entry.score : null,
+      signals: entry.signals || [],
+      source: options.source || 'api',
+      addedAt: new Date(now).toISOString(),
+      expiresAt: options.ttlMs ? new Date(now + options.ttlMs).toISOString() : null
+    };
+
+    await this.stateStore.set(NAMESPACES.IGNORED_USERS, this._key(agentId, value.userId), value, { ttlMs: options.ttlMs });
+    console.log(`Agent ${agentId} now ignores user ${value.username || value.userId} (${value.source}: ${value.reason || 'no reason given'})`);
+    return value;
+  }
+
+  /**
+   * Stop ignoring a user
+   * @returns {Promise<boolean>} - False if the user wasn't ignored
+   */
+  async remove(agentId, userId) {
+    const key = this._key(agentId, userId);
+    if (!(await this.stateStore.has(NAMESPACES.IGNORED_USERS, key))) {
+      return false;
+    }
+    await this.stateStore.delete(NAMESPACES.IGNORED_USERS, key);
+    return true;
+  }
+
+  /**
+   * Every user an agent ignores, most recently added first
+   */
+  async list(agentId) {
+    const prefix = `${agentId}:`;
+    const entries = await this.stateStore.list(NAMESPACES.IGNORED_USERS);
+    return entries
+      .filter(entry => entry.key.startsWith(prefix))
+      .map(entry => entry.value)
+      .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+  }
+
+  /**
+   * @private
+   */
+  _key(agentId, userId) {
+    return `${agentId}:${userId}`;
+  }
+}
+
+IgnoreList.SOURCES = SOURCES;
+
+module.exports = IgnoreList;
@@ -0,0 +1,216 @@
+/**
+ * Mention triage for Puppet Engine
+ * Labels each mention by intent before any reply is generated, then looks up what the agent's policy
+ * does with that intent: ignore it, like it, answer with a template, or generate a reply.
+ * Rules label most mentions; an optional LLM call settles the ones the rules are unsure about.
+ * Every decision is logged for audit
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INTENTS = ['token_question', 'ca_request', 'banter', 'hostile', 'spam', 'scam_bait', 'tag_storm', 'other'];
+const ACTIONS = ['ignore', 'like', 'template', 'reply'];
+// Who made a decision: the rules, the LLM, or the spam filter and reply throttle that skip mentions before a reply
+const SOURCES = ['rules', 'llm', 'spam_filter', 'throttle'];
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  useLlm: false,
+  llmMinConfidence: 0.7, // Rule labels below this are checked with the LLM when useLlm is on
+  tagStormMentions: 5, // @handles (or half as many cashtags) that make a mention a tag storm
+  actions: {
+    token_question: 'reply',
+    ca_request: 'reply',
+    banter: 'reply',
+    hostile: 'ignore',
+    spam: 'ignore',
+    scam_bait: 'ignore',
+    tag_storm: 'ignore',
+    other: 'reply'
+  },
+  templates: {}
+};
+
+const SCAM_PATTERN = /\b(giveaway|airdrop|claim (now|yours?|your \w+)|free (tokens?|crypto|mint|sol)|connect (your )?wallet|double your|send \d+(\.\d+)? ?sol|whitelist spots?|dm me|check (your )?dms?|seed phrase)\b/i;
+const SPAM_PATTERN = /(https?:\/\/|\b(promo|100x gem|next 100x|follow (me|back)|f4f|check (out )?my (bio|profile|pinned)|join (my|our) (telegram|discord|tg))\b)/i;
+const HOSTILE_PATTERN = /\b(idiot|stupid|moron|loser|clown|retard(ed)?|kys|shut up|f+u+c+k+ (you|off)|piece of shit|scammers?|rug ?pull(ers?)?)\b/i;
+const TOKEN_PATTERN = /\b(token|coin|price|chart|holders?|pump|dump|market ?cap|mcap|buy|sell|launch|listing|dex|liquidity)\b/i;
+const QUESTION_PATTERN = /\?|^\s*(what|when|where|why|how|who|is|are|can|will|should|does|do)\b/i;
+const BANTER_PATTERN = /\b(gm|gn|lol|lmao|lmfao|haha+|based|legend|king|goat|love (you|this|it)|free pump|miss (you|u)|rip|wagmi|ser|fren)\b|😂|🤣|💀|😭|🫡|❤️/i;
+
+class MentionTriage {
+  /**
+   * @param {Object} options
+   * @param {string} options.logPath - JSONL log of every decision
+   * @param {number} options.maxRecentDecisions - Decisions kept in memory for the API
+   */
+  constructor(options = {}) {
+    this.logPath = options.logPath || path.join(process.cwd(), 'data', 'mention_triage.jsonl');
+    this.maxRecentDecisions = options.maxRecentDecisions || 500;
+    this.recentDecisions = this._loadRecentDecisions();
+  }
+
+  /**
+   * Build a policy from an agent's triage config block
+   */
+  static policyFromConfig(config = {}) {
+    return {
+      enabled: config.enabled !== undefined ? config.enabled : DEFAULT_POLICY.enabled,
+      useLlm: config.use_llm !== undefined ? config.use_llm : DEFAULT_POLICY.useLlm,
+      llmMinConfidence: config.llm_min_confidence !== undefined ? config.llm_min_confidence : DEFAULT_POLICY.llmMinConfidence,
+      tagStormMentions: config.tag_storm_mentions || DEFAULT_POLICY.tagStormMentions,
+      actions: { ...DEFAULT_POLICY.actions, ...(config.actions || {}) },
+      templates: { ...DEFAULT_POLICY.templates, ...(config.templates || {}) }
+    };
+  }
+
+  /**
+   * Label a mention with the rules alone
+   * The first matching rule wins; every rule that matched is kept for the audit log
+   * @param {Object} tweet - The mention (content)
+   * @param {Object} policy - Policy from policyFromConfig
+   * @param {Object} context - { tokenPolicy: the agent's content guard policy, for the symbol and CA patterns }
+   * @returns {{intent: string, confidence: number, matched: Array<string>}}
+   */
+  classify(tweet, policy = DEFAULT_POLICY, context = {}) {
+    const raw = tweet.content || '';
+    const text = raw.replace(/@\w+/g, ' ').trim();
+    const tokenPolicy = context.tokenPolicy || {};
+
+    const handles = (raw.match(/@\w+/g) || []).length;
+    const cashtags = new Set((raw.match(/\$[a-z][a-z0-9]{1,9}\b/gi) || []).map(tag => tag.toLowerCase())).size;
+    const symbol = tokenPolicy.symbol ? tokenPolicy.symbol.toLowerCase() : null;
+    const mentionsToken = (symbol && text.toLowerCase().includes(symbol)) || TOKEN_PATTERN.test(text);
+
+    const rules = [
+      ['tag_storm', 0.9, handles >= policy.tagStormMentions || cashtags >= Math.ceil(policy.tagStormMentions / 2)],
+      ['scam_bait', 0.9, SCAM_PATTERN.test(text)],
+      ['spam', 0.8, SPAM_PATTERN.test(text)],
+      ['hostile', 0.85, HOSTILE_PATTERN.test(text)],
+      ['ca_request', 0.9, (tokenPolicy.caIntentPatterns || []).some(pattern => new RegExp(pattern, 'i').test(text))],
+      ['token_question', 0.8, mentionsToken && QUESTION_PATTERN.test(text)],
+      ['token_question', 0.6, mentionsToken],
+      ['banter', 0.6, BANTER_PATTERN.test(text) || (text.length > 0 && text.length <= 40)]
+    ];
+
+    const matched = [...new Set(rules.filter(([, , hit]) => hit).map(([intent]) => intent))];
+    const first = rules.find(([, , hit]) => hit);
+
+    return first
+      ? { intent: first[0], confidence: first[1], matched }
+      : { intent: 'other', confidence: 0.3, matched };
+  }
+
+  /**
+   * Decide what to do with a mention and log the decision
+   * @param {Object} agent - The mentioned agent (id, tokenPolicy, triagePolicy)
+   * @param {Object} tweet - The mention
+   * @param {Object} options - { llmProvider: used when the policy allows and the rules are unsure }
+   * @returns {Promise<Object>} - The logged decision: intent, confidence, source, matched, action, template
+   */
+  async triage(agent, tweet, options = {}) {
+    const policy = agent.triagePolicy || DEFAULT_POLICY;
+    const label = { ...this.classify(tweet, policy, { tokenPolicy: agent.tokenPolicy }), source: 'rules', reason: null };
+
+    if (policy.useLlm && label.confidence < policy.llmMinConfidence && options.llmProvider) {
+      try {
+        const result = await options.llmProvider.classifyMention(agent, tweet, INTENTS);
+        if (result.intent) {
+          Object.assign(label, { intent: result.intent, confidence: result.confidence, source: 'llm', reason: result.reason });
+        }
+      } catch (error) {
+        // The rule label stands; the provider already logged the failure
+      }
+    }
+
+    let action = policy.actions[label.intent] || 'reply';
+    let template = null;
+    if (action === 'template') {
+      const templates = policy.templates[label.intent] || [];
+      if (templates.length > 0) {
+        template = templates[Math.floor(Math.random() * templates.length)];
+      } else {
+        action = 'reply'; // Nothing to send, so write one
+      }
+    }
+
+    return this.logDecision({
+      agentId: agent.id,
+      tweetId: tweet.id,
+      authorId: tweet.authorId || null,
+      authorUsername: tweet.authorUsername || null,
+      text: (tweet.content || '').substring(0, 280),
+      ...label,
+      action,
+      template
+    });
+  }
+
+  /**
+   * Record a decision, both in memory and in the JSONL log
+   */
+  logDecision(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+
+    this.recentDecisions.unshift(record);
+    if (this.recentDecisions.length > this.maxRecentDecisions) {
+      this.recentDecisions.pop();
+    }
+
+    console.log(`Triage ${record.agentId} mention ${record.tweetId}: ${record.intent} (${record.source}, ${record.confidence}) -> ${record.action}`);
+
+    try {
+      const dir = path.dirname(this.logPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.appendFileSync(this.logPath, JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.error('Error writing triage log:', error);
+    }
+
+    return record;
+  }
+
+  /**
+   * Most recent decisions, newest first
+   * @param {Object} filter - Optional agentId, intent, action, source and limit
+   */
+  getRecentDecisions(filter = {}) {
+    return this.recentDecisions
+      .filter(record => !filter.agentId || record.agentId === filter.agentId)
+      .filter(record => !filter.intent || record.intent === filter.intent)
+      .filter(record => !filter.action || record.action === filter.action)
+      .filter(record => !filter.source || record.source === filter.source)
+      .slice(0, filter.limit || 50);
+  }
+
+  /**
+   * Read the tail of the decision log so audits survive a restart
+   * @private
+   */
+  _loadRecentDecisions() {
+    try {
+      if (!fs.existsSync(this.logPath)) {
+        return [];
+      }
+      return fs.readFileSync(this.logPath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .slice(-this.maxRecentDecisions)
+        .map(line => JSON.parse(line))
+        .reverse();
+    } catch (error) {
+      console.error('Error reading triage log:', error);
+      return [];
+    }
+  }
+}
+
+MentionTriage.INTENTS = INTENTS;
+MentionTriage.ACTIONS = ACTIONS;
+MentionTriage.SOURCES = SOURCES;
+MentionTriage.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = MentionTriage;
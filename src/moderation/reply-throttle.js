@@ -0,0 +1,236 @@
+/**
+ * Reply throttling for Puppet Engine
+ * Keeps an agent from replying to one person over and over, from running a conversation forever,
+ * and from getting stuck talking to another bot. Replies per user per hour and per conversation are
+ * counted in the shared state store; when the other party looks automated, the exchange is capped
+ * at a depth and stopped as soon as either side starts repeating itself
+ */
+
+const { NAMESPACES } = require('../state/state-store-registry');
+
+const REASONS = ['user_hourly_limit', 'conversation_limit', 'bot_exchange_depth', 'reply_loop'];
+
+const DEFAULT_LIMITS = {
+  maxRepliesPerUserPerHour: 5,
+  maxRepliesPerConversation: 10,
+  maxBotExchangeDepth: 3, // Replies to an automated account within one conversation
+  botReplySeconds: 30, // Answering our reply faster than this, twice, marks the other party as automated
+  loopSimilarity: 0.8 // Word overlap at which a message counts as a repeat of an earlier one
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_MESSAGES = 20;
+const AUTOMATED_USERNAME = /(bot|_ai)$/i;
+const AUTOMATED_DESCRIPTION = /\b(bot|automated( account)?|ai agent|autonomous agent)\b/i;
+
+class ReplyThrottle {
+  /**
+   * @param {Object} stateStore - Any registered state store
+   * @param {Object} options
+   * @param {number} options.conversationTtlMs - How long a quiet conversation's history is kept
+   */
+  constructor(stateStore, options = {}) {
+    this.stateStore = stateStore;
+    this.conversationTtlMs = options.conversationTtlMs || 3 * 24 * HOUR_MS;
+  }
+
+  /**
+   * Check whether the agent may reply to a mention, and remember the mention as part of its conversation
+   * @param {string} agentId - The mentioned agent
+   * @param {Object} tweet - The mention (id, authorId, conversationId, content, createdAt, author)
+   * @param {Object} limits - The agent's interaction patterns; missing limits use DEFAULT_LIMITS
+   * @returns {Promise<{allowed: boolean, reason: string|null, count: number, limit: number|null, automated: boolean}>}
+   */
+  async check(agentId, tweet, limits = {}) {
+    const policy = { ...DEFAULT_LIMITS, ...this._defined(limits) };
+    const conversationKey = this._conversationKey(agentId, tweet);
+    const conversation = await this._getConversation(conversationKey);
+    const text = this._normalize(tweet.content);
+    const automated = this.isAutomated(tweet, conversation, policy);
+
+    const verdict = (reason, count, limit) => ({ allowed: !reason, reason, count, limit, automated });
+    let result = verdict(null, 0, null);
+
+    const userReplies = await this._recentUserReplies(agentId, tweet.authorId);
+    const botDepth = conversation.repliesTo[tweet.authorId] || 0;
+    const repeats = automated && text
+      ? conversation.messages
+        .filter(message => message.tweetId !== tweet.id && this._similarity(message.text, text) >= policy.loopSimilarity)
+        .length
+      : 0;
+
+    if (userReplies.length >= policy.maxRepliesPerUserPerHour) {
+      result = verdict('user_hourly_limit', userReplies.length, policy.maxRepliesPerUserPerHour);
+    } else if (conversation.replies >= policy.maxRepliesPerConversation) {
+      result = verdict('conversation_limit', conversation.replies, policy.maxRepliesPerConversation);
+    } else if (automated && botDepth >= policy.maxBotExchangeDepth) {
+      result = verdict('bot_exchange_depth', botDepth, policy.maxBotExchangeDepth);
+    } else if (repeats > 0) {
+      result = verdict('reply_loop', repeats, null);
+    }
+
+    // The mention joins the history either way, so a bot's next repeat is still caught
+    if (!conversation.messages.some(message => message.tweetId === tweet.id)) {
+      this._push(conversation, {
+        tweetId: tweet.id,
+        authorId: tweet.authorId || null,
+        text,
+        at: tweet.createdAt ? new Date(tweet.createdAt).getTime() : Date.now(),
+        fromAgent: false
+      });
+      await this.stateStore.set(NAMESPACES.REPLY_HISTORY, conversationKey, conversation, { ttlMs: this.conversationTtlMs });
+    }
+
+    return result;
+  }
+
+  /**
+   * Count a reply the agent sent (or queued) to a mention
+   * @param {string} agentId - The replying agent
+   * @param {Object} tweet - The mention that was answered
+   * @param {string} content - The reply text
+   */
+  async recordReply(agentId, tweet, content) {
+    const now = Date.now();
+
+    if (tweet.authorId) {
+      const userReplies = await this._recentUserReplies(agentId, tweet.authorId);
+      userReplies.push(now);
+      await this.stateStore.set(NAMESPACES.REPLY_HISTORY, this._userKey(agentId, tweet.authorId), userReplies, { ttlMs: HOUR_MS });
+    }
+
+    const conversationKey = this._conversationKey(agentId, tweet);
+    const conversation = await this._getConversation(conversationKey);
+    conversation.replies++;
+    if (tweet.authorId) {
+      conversation.repliesTo[tweet.authorId] = (conversation.repliesTo[tweet.authorId] || 0) + 1;
+    }
+    this._push(conversation, {
+      tweetId: null,
+      authorId: agentId,
+      text: this._normalize(content),
+      at: now,
+      fromAgent: true
+    });
+    await this.stateStore.set(NAMESPACES.REPLY_HISTORY, conversationKey, conversation, { ttlMs: this.conversationTtlMs });
+  }
+
+  /**
+   * Whether a mention's author looks automated: a bot-like handle or bio, or twice answering the
+   * agent's reply within botReplySeconds in this conversation
+   * @param {Object} tweet - The mention, with the author's user object when it was expanded
+   * @param {Object} conversation - The conversation history from the state store
+   * @param {Object} limits - Limits with botReplySeconds
+   */
+  isAutomated(tweet, conversation, limits = DEFAULT_LIMITS) {
+    const author = tweet.author || {};
+    const username = author.username || tweet.authorUsername || '';
+    if (AUTOMATED_USERNAME.test(username) || AUTOMATED_DESCRIPTION.test(author.description || '')) {
+      return true;
+    }
+
+    const messages = [...conversation.messages, {
+      authorId: tweet.authorId,
+      at: tweet.createdAt ? new Date(tweet.createdAt).getTime() : Date.now(),
+      fromAgent: false
+    }];
+    let quickAnswers = 0;
+    for (let i = 1; i < messages.length; i++) {
+      const previous = messages[i - 1];
+      const message = messages[i];
+      if (previous.fromAgent && !message.fromAgent && message.authorId === tweet.authorId &&
+          message.at - previous.at < limits.botReplySeconds * 1000) {
+        quickAnswers++;
+      }
+    }
+    return quickAnswers >= 2;
+  }
+
+  /**
+   * Reply timestamps to a user within the last hour
+   * @private
+   */
+  async _recentUserReplies(agentId, userId) {
+    if (!userId) {
+      return [];
+    }
+    const timestamps = await this.stateStore.get(NAMESPACES.REPLY_HISTORY, this._userKey(agentId, userId)) || [];
+    return timestamps.filter(at => at > Date.now() - HOUR_MS);
+  }
+
+  /**
+   * Reply counts (in total and per author) and the most recent messages of a conversation
+   * @private
+   */
+  async _getConversation(key) {
+    return await this.stateStore.get(NAMESPACES.REPLY_HISTORY, key) || { replies: 0, repliesTo: {}, messages: [] };
+  }
+
+  /**
+   * Append a message, keeping the most recent ones in time order
+   * @private
+   */
+  _push(conversation, message) {
+    conversation.messages.push(message);
+    conversation.messages.sort((a, b) => a.at - b.at);
+    if (conversation.messages.length > MAX_MESSAGES) {
+      conversation.messages.splice(0, conversation.messages.length - MAX_MESSAGES);
+    }
+  }
+
+  /**
+   * Share of words two texts have in common (Jaccard), 0 when either is empty
+   * @private
+   */
+  _similarity(a, b) {
+    const wordsA = new Set(a.split(' ').filter(Boolean));
+    const wordsB = new Set(b.split(' ').filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) {
+      return 0;
+    }
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+  }
+
+  /**
+   * Text without @handles, links and punctuation, lowercased
+   * @private
+   */
+  _normalize(text) {
+    return (text || '')
+      .replace(/@\w+/g, ' ')
+      .replace(/https?:\/\/\S+/g, ' ')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}$\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Limits that are actually set, so undefined ones fall back to the defaults
+   * @private
+   */
+  _defined(limits) {
+    return Object.fromEntries(Object.entries(limits).filter(([, value]) => value !== undefined && value !== null));
+  }
+
+  /**
+   * @private
+   */
+  _userKey(agentId, userId) {
+    return `${agentId}:user:${userId}`;
+  }
+
+  /**
+   * Mentions without a conversation ID are their own conversation
+   * @private
+   */
+  _conversationKey(agentId, tweet) {
+    return `${agentId}:conversation:${tweet.conversationId || tweet.id}`;
+  }
+}
+
+ReplyThrottle.REASONS = REASONS;
+ReplyThrottle.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+module.exports = ReplyThrottle;
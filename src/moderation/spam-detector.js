@@ -0,0 +1,222 @@
+/**
+ * Spam and bot-account detection for Puppet Engine
+ * Scores each mention's author on how their account looks (age, followers, follow ratio, profile)
+ * and on what the recent mentions look like together: the same text posted over and over,
+ * cashtag floods and link farms. Mentions scoring at or above the agent's threshold are skipped
+ * and their authors go on the agent's ignore list
+ */
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  threshold: 0.7, // Risk score at which a mention is skipped and its author ignored
+  ignoreDays: 30, // How long an automatically ignored author stays ignored
+  windowMinutes: 360 // How far back repeated texts and shared link domains are counted
+};
+
+// Risk added by each signal; the total is capped at 1
+const WEIGHTS = {
+  newAccount: 0.3, // Created within the last week
+  youngAccount: 0.15, // Created within the last month
+  fewFollowers: 0.2,
+  followRatio: 0.2, // Follows far more accounts than follow it back
+  defaultImage: 0.1,
+  noDescription: 0.1,
+  digitUsername: 0.15, // Generated handles like name83920174
+  verified: -0.3,
+  repeatedText: 0.25, // Identical text seen once before in the window
+  repeatedTextFlood: 0.45, // Seen twice or more
+  cashtagFlood: 0.3,
+  multipleLinks: 0.2,
+  linkFarm: 0.35 // A link domain several authors are posting
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CASHTAG_FLOOD = 3;
+const LINK_FARM_AUTHORS = 3;
+const MIN_REPEAT_LENGTH = 20; // Shorter texts (gm, lol) repeat naturally
+const MAX_WINDOW_ENTRIES = 1000;
+
+class SpamDetector {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxWindowEntries - Recent mentions kept per agent for the cross-mention signals
+   */
+  constructor(options = {}) {
+    this.maxWindowEntries = options.maxWindowEntries || MAX_WINDOW_ENTRIES;
+    this.recentMentions = {}; // Agent ID -> [{ tweetId, authorId, text, domains, at }], oldest first
+  }
+
+  /**
+   * Build a policy from an agent's spam_filter config block
+   */
+  static policyFromConfig(config = {}) {
+    return {
+      enabled: config.enabled !== undefined ? config.enabled : DEFAULT_POLICY.enabled,
+      threshold: config.threshold !== undefined ? config.threshold : DEFAULT_POLICY.threshold,
+      ignoreDays: config.ignore_days !== undefined ? config.ignore_days : DEFAULT_POLICY.ignoreDays,
+      windowMinutes: config.window_minutes || DEFAULT_POLICY.windowMinutes
+    };
+  }
+
+  /**
+   * Risk signals from the author's account alone
+   * @param {Object} user - Twitter v2 user object (created_at, public_metrics, verified, description, profile_image_url)
+   * @returns {Array<{signal: string, weight: number}>}
+   */
+  scoreAccount(user) {
+    if (!user) {
+      return [];
+    }
+
+    const signals = [];
+    const add = (signal, hit) => hit && signals.push({ signal, weight: WEIGHTS[signal] });
+
+    if (user.created_at) {
+      const ageMs = Date.now() - new Date(user.created_at).getTime();
+      add('newAccount', ageMs < 7 * DAY_MS);
+      add('youngAccount', ageMs >= 7 * DAY_MS && ageMs < 30 * DAY_MS);
+    }
+
+    if (user.public_metrics) {
+      const followers = user.public_metrics.followers_count || 0;
+      const following = user.public_metrics.following_count || 0;
+      add('fewFollowers', followers < 10);
+      add('followRatio', following >= 100 && following > followers * 20);
+    }
+
+    add('defaultImage', !!user.profile_image_url && user.profile_image_url.includes('default_profile'));
+    add('noDescription', user.description !== undefined && !user.description.trim());
+    add('digitUsername', /\d{5,}$/.test(user.username || ''));
+    add('verified', user.verified === true);
+
+    return signals;
+  }
+
+  /**
+   * Risk signals from a mention's text, compared with the agent's other recent mentions
+   * @param {string} agentId - Whose window to compare against
+   * @param {Object} tweet - The mention (id, content, authorId)
+   * @param {Object} policy - Policy from policyFromConfig
+   * @returns {Array<{signal: string, weight: number}>}
+   */
+  scoreContent(agentId, tweet, policy = DEFAULT_POLICY) {
+    const signals = [];
+    const add = (signal, hit) => hit && signals.push({ signal, weight: WEIGHTS[signal] });
+
+    const raw = tweet.content || '';
+    const text = this._normalize(raw);
+    const links = this._links(tweet);
+    const domains = this._domains(links);
+    const window = this._window(agentId, policy).filter(entry => entry.tweetId !== tweet.id);
+
+    const repeats = text.length >= MIN_REPEAT_LENGTH ? window.filter(entry => entry.text === text).length : 0;
+    add('repeatedText', repeats === 1);
+    add('repeatedTextFlood', repeats >= 2);
+
+    const cashtags = new Set((raw.match(/\$[a-z][a-z0-9]{1,9}\b/gi) || []).map(tag => tag.toLowerCase()));
+    add('cashtagFlood', cashtags.size >= CASHTAG_FLOOD);
+
+    add('multipleLinks', links.length >= 2);
+    add('linkFarm', domains.some(domain => {
+      const authors = new Set(window.filter(entry => entry.domains.includes(domain)).map(entry => entry.authorId));
+      authors.add(tweet.authorId);
+      return authors.size >= LINK_FARM_AUTHORS;
+    }));
+
+    return signals;
+  }
+
+  /**
+   * Score a mention and add it to the agent's window
+   * @param {string} agentId - The mentioned agent (or another key for a separate window)
+   * @param {Object} tweet - The mention, with the author's user object as tweet.author when it was expanded
+   * @param {Object} policy - Policy from policyFromConfig
+   * @returns {{score: number, signals: Array<string>, flagged: boolean}}
+   */
+  assess(agentId, tweet, policy = DEFAULT_POLICY) {
+    const signals = [...this.scoreAccount(tweet.author), ...this.scoreContent(agentId, tweet, policy)];
+    const total = signals.reduce((sum, { weight }) => sum + weight, 0);
+    const score = Math.round(Math.min(1, Math.max(0, total)) * 100) / 100;
+
+    this._remember(agentId, tweet);
+
+    return {
+      score,
+      signals: signals.map(({ signal }) => signal),
+      flagged: score >= policy.threshold
+    };
+  }
+
+  /**
+   * Entries inside the policy's window, dropping older ones
+   * @private
+   */
+  _window(agentId, policy) {
+    const cutoff = Date.now() - policy.windowMinutes * 60 * 1000;
+    const entries = (this.recentMentions[agentId] || []).filter(entry => entry.at >= cutoff);
+    this.recentMentions[agentId] = entries;
+    return entries;
+  }
+
+  /**
+   * @private
+   */
+  _remember(agentId, tweet) {
+    const entries = this.recentMentions[agentId] || (this.recentMentions[agentId] = []);
+    if (entries.some(entry => entry.tweetId === tweet.id)) {
+      return;
+    }
+
+    entries.push({
+      tweetId: tweet.id,
+      authorId: tweet.authorId || null,
+      text: this._normalize(tweet.content || ''),
+      domains: this._domains(this._links(tweet)),
+      at: Date.now()
+    });
+    if (entries.length > this.maxWindowEntries) {
+      entries.shift();
+    }
+  }
+
+  /**
+   * Text without @handles, links, case and spacing, so copies with different tags still match
+   * @private
+   */
+  _normalize(text) {
+    return text
+      .replace(/@\w+/g, ' ')
+      .replace(/https?:\/\/\S+/g, ' ')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Links in a mention: the expanded URLs when the API returned them, since the text only has t.co links
+   * @private
+   */
+  _links(tweet) {
+    if (tweet.urls && tweet.urls.length > 0) {
+      return tweet.urls;
+    }
+    return (tweet.content || '').match(/https?:\/\/\S+/gi) || [];
+  }
+
+  /**
+   * Distinct domains of a list of links
+   * @private
+   */
+  _domains(links) {
+    const domains = links
+      .map(url => (url.match(/^https?:\/\/([^\s/?#]+)/i) || [])[1])
+      .filter(Boolean)
+      .map(domain => domain.replace(/^www\./i, '').toLowerCase());
+    return [...new Set(domains)];
+  }
+}
+
+SpamDetector.DEFAULT_POLICY = DEFAULT_POLICY;
+SpamDetector.WEIGHTS = WEIGHTS;
+
+module.exports = SpamDetector;
@@ -0,0 +1,154 @@
+/**
+ * Feed parser for Puppet Engine
+ * Turns RSS 2.0, Atom and JSON feeds into a common item shape without an XML dependency
+ */
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Parse a feed document
+ * @param {string} text - Raw feed body
+ * @returns {Array<{id: string, title: string, link: string, summary: string, publishedAt: Date|null}>}
+ */
+function parseFeed(text) {
+  const body = (text || '').trim();
+
+  if (body.startsWith('{') || body.startsWith('[')) {
+    return parseJsonFeed(JSON.parse(body));
+  }
+  if (/<feed[\s>]/i.test(body)) {
+    return parseAtom(body);
+  }
+  if (/<rss[\s>]|<rdf:RDF[\s>]|<channel[\s>]/i.test(body)) {
+    return parseRss(body);
+  }
+
+  throw new Error('Unrecognized feed format (expected RSS, Atom or JSON)');
+}
+
+/**
+ * RSS 2.0 (and RSS 1.0) items
+ */
+function parseRss(xml) {
+  return getBlocks(xml, 'item').map(item => {
+    const link = getText(item, 'link');
+    return normalizeItem({
+      id: getText(item, 'guid') || link,
+      title: getText(item, 'title'),
+      link,
+      summary: getText(item, 'description') || getText(item, 'content:encoded'),
+      published: getText(item, 'pubDate') || getText(item, 'dc:date')
+    });
+  });
+}
+
+/**
+ * Atom entries
+ */
+function parseAtom(xml) {
+  return getBlocks(xml, 'entry').map(entry => {
+    // Prefer the alternate link, which points at the article itself
+    const links = [...entry.matchAll(/<link\b([^>]*)\/?>/gi)].map(match => match[1]);
+    const alternate = links.find(attrs => !/rel=["']/.test(attrs) || /rel=["']alternate["']/.test(attrs)) || links[0] || '';
+    const href = (alternate.match(/href=["']([^"']+)["']/) || [])[1] || '';
+
+    return normalizeItem({
+      id: getText(entry, 'id') || href,
+      title: getText(entry, 'title'),
+      link: decodeEntities(href),
+      summary: getText(entry, 'summary') || getText(entry, 'content'),
+      published: getText(entry, 'published') || getText(entry, 'updated')
+    });
+  });
+}
+
+/**
+ * JSON Feed (jsonfeed.org) or a plain array of { title, link/url, summary, published }
+ */
+function parseJsonFeed(json) {
+  const items = Array.isArray(json) ? json : (json.items || []);
+
+  return items.map(item => normalizeItem({
+    id: item.id || item.guid || item.url || item.link,
+    title: item.title || '',
+    link: item.url || item.link || item.external_url || '',
+    summary: item.summary || item.content_text || item.description || stripTags(item.content_html || ''),
+    published: item.date_published || item.published || item.pubDate || item.date
+  }));
+}
+
+/**
+ * Clean up a parsed item and drop ones without a title
+ * @private
+ */
+function normalizeItem(item) {
+  const published = item.published ? new Date(item.published) : null;
+
+  return {
+    id: String(item.id || item.link || item.title || '').trim(),
+    title: stripTags(item.title || '').trim(),
+    link: (item.link || '').trim(),
+    summary: stripTags(item.summary || '').replace(/\s+/g, ' ').trim().slice(0, 500),
+    publishedAt: published && !isNaN(published) ? published : null
+  };
+}
+
+/**
+ * Inner XML of every <tag>...</tag> block
+ * @private
+ */
+function getBlocks(xml, tag) {
+  const pattern = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'gi');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+/**
+ * Decoded text of the first <tag> in a block
+ * @private
+ */
+function getText(xml, tag) {
+  const escaped = tag.replace(':', '\\:');
+  const match = xml.match(new RegExp(`<${escaped}\\b[^>]*>([\\s\\S]*?)<\\/${escaped}>`, 'i'));
+  if (!match) {
+    return '';
+  }
+
+  const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return cdata ? cdata[1].trim() : decodeEntities(match[1]).trim();
+}
+
+/**
+ * Remove HTML tags, including escaped ones from feeds that double-encode
+ * @private
+ */
+function stripTags(text) {
+  return decodeEntities(text.replace(/<[^>]*>/g, ' ')).replace(/<[^>]*>/g, ' ');
+}
+
+/**
+ * Decode named and numeric XML entities
+ * @private
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return isNaN(value) ? entity : String.fromCodePoint(value);
+    }
+    return ENTITIES[code.toLowerCase()] || entity;
+  });
+}
+
+module.exports = {
+  parseFeed,
+  parseRss,
+  parseAtom,
+  parseJsonFeed
+};
@@ -0,0 +1,306 @@
+/**
+ * News ingestor for Puppet Engine
+ * Polls RSS/Atom/JSON feeds and queues relevant items as 'news' events for each agent
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const axios = require('axios');
+const { parseFeed } = require('./feed-parser');
+
+// Common English words that say nothing about what an interest is about
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'but', 'not', 'nor', 'yet', 'with', 'without', 'about', 'from', 'into', 'onto',
+  'over', 'under', 'after', 'before', 'than', 'then', 'when', 'where', 'while', 'what', 'which', 'who',
+  'whom', 'whose', 'why', 'how', 'all', 'any', 'some', 'each', 'every', 'both', 'few', 'more', 'most',
+  'much', 'many', 'such', 'only', 'own', 'same', 'other', 'others', 'very', 'just', 'also', 'too',
+  'being', 'been', 'have', 'has', 'had', 'having', 'was', 'were', 'are', 'is', 'can', 'could', 'will',
+  'would', 'shall', 'should', 'may', 'might', 'must', 'does', 'did', 'doing', 'its', 'our', 'ours',
+  'your', 'yours', 'his', 'her', 'hers', 'him', 'she', 'they', 'them', 'their', 'theirs', 'you',
+  'this', 'that', 'these', 'those', 'there', 'here', 'out', 'off', 'again', 'once', 'ever', 'never'
+]);
+
+class NewsIngestor {
+  /**
+   * @param {Object} options
+   * @param {Array<string|Object>} options.feeds - URLs or local paths, or { url, name } objects
+   * @param {AgentManager} options.agentManager - Source of agents to score items against
+   * @param {EventEngine} options.eventEngine - Where matching items are queued
+   */
+  constructor(options = {}) {
+    this.feeds = (options.feeds || []).map(feed => typeof feed === 'string' ? { url: feed } : feed);
+    this.agentManager = options.agentManager;
+    this.eventEngine = options.eventEngine;
+    this.seenPath = options.seenPath || path.join(process.cwd(), 'data', 'news_seen.json');
+    this.maxSeen = options.maxSeen || 2000; // Item keys remembered for dedupe
+    this.minRelevance = options.minRelevance !== undefined ? options.minRelevance : 0.5;
+    this.maxEventsPerPoll = options.maxEventsPerPoll || 3; // Per agent, so a busy feed doesn't flood the queue
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.recentItems = [];
+    this.maxRecentItems = options.maxRecentItems || 100;
+
+    this.seen = this._loadSeen();
+  }
+
+  /**
+   * Parse a comma-separated list of feeds, e.g. from NEWS_FEEDS
+   */
+  static feedsFromString(value) {
+    return (value || '')
+      .split(',')
+      .map(feed => feed.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Fetch every feed, drop items already seen and queue relevant ones as news events
+   * Errors are logged per feed so one broken source doesn't stop the rest
+   * @returns {Promise<Array>} - The events that were queued
+   */
+  async poll() {
+    const freshItems = [];
+
+    for (const feed of this.feeds) {
+      try {
+        const items = parseFeed(await this.fetchFeed(feed));
+        const source = feed.name || this._sourceName(feed.url);
+
+        for (const item of items) {
+          if (!item.title || this._isSeen(item)) {
+            continue;
+          }
+          this._markSeen(item);
+          freshItems.push({ ...item, source, feedUrl: feed.url });
+        }
+      } catch (error) {
+        console.error(`Error reading news feed ${feed.url}:`, error.message);
+      }
+    }
+
+    this._saveSeen();
+
+    const events = [];
+    for (const agent of Object.values(this.agentManager.agents)) {
+      events.push(...this._queueForAgent(agent, freshItems));
+    }
+
+    console.log(`News poll: ${freshItems.length} new item(s) from ${this.feeds.length} feed(s), ${events.length} event(s) queued`);
+    return events;
+  }
+
+  /**
+   * Read a feed body from a URL, a file:// URL or a local path
+   */
+  async fetchFeed(feed) {
+    if (/^https?:\/\//i.test(feed.url)) {
+      const response = await axios.get(feed.url, {
+        timeout: this.timeoutMs,
+        responseType: 'text',
+        headers: { 'User-Agent': 'PuppetEngine/1.0 (+news ingestion)' }
+      });
+      return response.data;
+    }
+
+    const filePath = feed.url.startsWith('file://') ? fileURLToPath(feed.url) : path.resolve(feed.url);
+    return fs.promises.readFile(filePath, 'utf8');
+  }
+
+  /**
+   * Score how relevant an item is to an agent, from 0 to 1
+   * Each interest or topic scores the share of its keywords found in the item;
+   * the best one counts in full and every other matching one adds a little
+   * @returns {{score: number, matched: Array<string>}}
+   */
+  scoreRelevance(item, agent) {
+    const itemStems = new Set(this._keywords(`${item.title} ${item.summary}`));
+    const matched = [];
+    let best = 0;
+
+    for (const phrase of this.getAgentTopics(agent)) {
+      const keywords = this._keywords(phrase);
+      if (keywords.length === 0) {
+        continue;
+      }
+
+      const hits = keywords.filter(keyword => itemStems.has(keyword)).length;
+      if (hits > 0) {
+        matched.push(phrase);
+        best = Math.max(best, hits / keywords.length);
+      }
+    }
+
+    const score = matched.length > 0 ? Math.min(1, best + 0.1 * (matched.length - 1)) : 0;
+    return { score: Math.round(score * 100) / 100, matched };
+  }
+
+  /**
+   * Interests, values and configured news topics an agent cares about
+   */
+  getAgentTopics(agent) {
+    const newsPolicy = agent.newsPolicy || {};
+    return [
+      ...(newsPolicy.topics || []),
+      ...(agent.personality.interests || []),
+      ...(agent.personality.values || [])
+    ];
+  }
+
+  /**
+   * Items queued as events, newest first
+   */
+  getRecentItems(limit = 50) {
+    return this.recentItems.slice(0, limit);
+  }
+
+  /**
+   * Queue the most relevant fresh items for one agent
+   * @private
+   */
+  _queueForAgent(agent, items) {
+    const newsPolicy = agent.newsPolicy || {};
+    if (newsPolicy.enabled === false) {
+      return [];
+    }
+
+    const minRelevance = newsPolicy.minRelevance !== undefined ? newsPolicy.minRelevance : this.minRelevance;
+    const limit = newsPolicy.maxEventsPerPoll || this.maxEventsPerPoll;
+
+    const relevant = items
+      .map(item => ({ item, ...this.scoreRelevance(item, agent) }))
+      .filter(result => result.score >= minRelevance)
+      .sort((a, b) => b.score - a.score || (b.item.publishedAt || 0) - (a.item.publishedAt || 0))
+      .slice(0, limit);
+
+    return relevant.map(({ item, score, matched }) => {
+      const event = this.eventEngine.createEvent('news', {
+        headline: item.title,
+        topic: matched[0],
+        description: item.summary || item.title,
+        url: item.link || null,
+        source: item.source,
+        feedUrl: item.feedUrl,
+        itemId: item.id,
+        publishedAt: item.publishedAt ? item.publishedAt.toISOString() : null,
+        relevance: score,
+        matchedInterests: matched
+      }, {
+        targetAgentIds: [agent.id]
+      });
+
+      this.recentItems.unshift({ agentId: agent.id, eventId: event.id, queuedAt: new Date().toISOString(), ...event.data });
+      if (this.recentItems.length > this.maxRecentItems) {
+        this.recentItems.pop();
+      }
+
+      console.log(`Queued news for ${agent.id} (relevance ${score}): ${item.title}`);
+      return event;
+    });
+  }
+
+  /**
+   * Lowercase word stems with stopwords and short words removed
+   * @private
+   */
+  _keywords(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length >= 3 && !STOPWORDS.has(word))
+      .map(word => this._stem(word));
+  }
+
+  /**
+   * Crude suffix stripping so 'suspends' and 'suspended' meet
+   * @private
+   */
+  _stem(word) {
+    const stemmed = word.replace(/(ings?|ed|es|ers?|s)$/, '');
+    return stemmed.length >= 3 ? stemmed : word;
+  }
+
+  /**
+   * Dedupe keys for an item: its ID, plus its title so the same story from two feeds counts once
+   * @private
+   */
+  _itemKeys(item) {
+    const keys = [`title:${item.title.toLowerCase().replace(/\s+/g, ' ').trim()}`];
+    if (item.id) {
+      keys.unshift(`id:${item.id}`);
+    }
+    return keys;
+  }
+
+  /**
+   * @private
+   */
+  _isSeen(item) {
+    return this._itemKeys(item).some(key => this.seen[key]);
+  }
+
+  /**
+   * @private
+   */
+  _markSeen(item) {
+    const now = Date.now();
+    this._itemKeys(item).forEach(key => {
+      this.seen[key] = now;
+    });
+  }
+
+  /**
+   * Hostname for URLs, file name for local feeds
+   * @private
+   */
+  _sourceName(url) {
+    try {
+      return /^https?:\/\//i.test(url) ? new URL(url).hostname : path.basename(url);
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _loadSeen() {
+    try {
+      if (fs.existsSync(this.seenPath)) {
+        return JSON.parse(fs.readFileSync(this.seenPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading seen news items:', error);
+    }
+    return {};
+  }
+
+  /**
+   * Keep the newest maxSeen keys and write them atomically
+   * @private
+   */
+  _saveSeen() {
+    try {
+      const keys = Object.keys(this.seen);
+      if (keys.length > this.maxSeen) {
+        keys
+          .sort((a, b) => this.seen[a] - this.seen[b])
+          .slice(0, keys.length - this.maxSeen)
+          .forEach(key => delete this.seen[key]);
+      }
+
+      const dir = path.dirname(this.seenPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const tempPath = `${this.seenPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.seen));
+      fs.renameSync(tempPath, this.seenPath);
+    } catch (error) {
+      console.error('Error saving seen news items:', error);
+    }
+  }
+}
+
+module.exports = NewsIngestor;
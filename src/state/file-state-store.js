@@ -0,0 +1,251 @@
+/**
+ * File state store for Puppet Engine
+ * Keeps processed IDs, cursors and runtime state in one JSON file. Every write takes a lock file
+ * and re-reads the file first, so processes sharing the data directory see each other's claims
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileStateStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where the state is stored
+   * @param {number} options.lockTimeoutMs - How long a write waits for another process's lock
+   * @param {number} options.staleLockMs - Locks older than this were left by a crashed process
+   */
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'state.json');
+    this.lockPath = `${this.filePath}.lock`;
+    this.lockTimeoutMs = options.lockTimeoutMs || 5000;
+    this.staleLockMs = options.staleLockMs || 30 * 1000;
+
+    this.state = {}; // namespace -> key -> { value, expiresAt (ms or null), updatedAt (ms) }
+    this.loadedMtimeMs = null;
+  }
+
+  /**
+   * Value stored under a key, or null if there is none or it has expired
+   */
+  async get(namespace, key) {
+    const entry = this._entry(namespace, key, Date.now());
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Whether a key is stored and unexpired
+   */
+  async has(namespace, key) {
+    return !!this._entry(namespace, key, Date.now());
+  }
+
+  /**
+   * Store a value, replacing any earlier one
+   * @param {Object} options - ttlMs: drop the entry after this long (kept forever without it)
+   */
+  async set(namespace, key, value, options = {}) {
+    await this._update(now => {
+      this._put(namespace, key, value, options, now);
+    });
+  }
+
+  /**
+   * Store several keys with one write
+   * @param {Array<{key: string, value: *}>} entries
+   */
+  async setMany(namespace, entries, options = {}) {
+    await this._update(now => {
+      entries.forEach(entry => this._put(namespace, entry.key, entry.value, options, now));
+    });
+  }
+
+  /**
+   * Store a value only if the key is free
+   * @returns {Promise<boolean>} - True if this call took the key, false if it was already held
+   */
+  async claim(namespace, key, value = true, options = {}) {
+    return this._update(now => {
+      if (this._entry(namespace, key, now)) {
+        return false;
+      }
+      this._put(namespace, key, value, options, now);
+      return true;
+    });
+  }
+
+  /**
+   * Remove a key
+   */
+  async delete(namespace, key) {
+    await this._update(() => {
+      if (this.state[namespace]) {
+        delete this.state[namespace][key];
+      }
+    });
+  }
+
+  /**
+   * Every unexpired entry in a namespace
+   * @returns {Promise<Array<{key: string, value: *, expiresAt: string|null, updatedAt: string}>>}
+   */
+  async list(namespace) {
+    const now = Date.now();
+    this._load();
+    return Object.keys(this.state[namespace] || {})
+      .map(key => ({ key, entry: this._entry(namespace, key, now) }))
+      .filter(({ entry }) => entry)
+      .map(({ key, entry }) => ({
+        key,
+        value: entry.value,
+        expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+        updatedAt: new Date(entry.updatedAt).toISOString()
+      }));
+  }
+
+  /**
+   * Drop expired entries
+   * @returns {Promise<number>} - How many were dropped
+   */
+  async prune() {
+    return this._update(now => this._pruneExpired(now));
+  }
+
+  async close() {}
+
+  /**
+   * @private
+   */
+  _entry(namespace, key, now) {
+    this._load();
+    const entry = this.state[namespace] && this.state[namespace][key];
+    if (!entry || (entry.expiresAt && entry.expiresAt <= now)) {
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  _put(namespace, key, value, options, now) {
+    if (!this.state[namespace]) {
+      this.state[namespace] = {};
+    }
+    this.state[namespace][key] = {
+      value,
+      expiresAt: options.ttlMs ? now + options.ttlMs : null,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * @private
+   */
+  _pruneExpired(now) {
+    let pruned = 0;
+    for (const namespace of Object.keys(this.state)) {
+      for (const [key, entry] of Object.entries(this.state[namespace])) {
+        if (entry.expiresAt && entry.expiresAt <= now) {
+          delete this.state[namespace][key];
+          pruned++;
+        }
+      }
+      if (Object.keys(this.state[namespace]).length === 0) {
+        delete this.state[namespace];
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * Read the file again if another process (or this one) has written it since the last read
+   * @private
+   */
+  _load(force = false) {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.state = {};
+        this.loadedMtimeMs = null;
+        return;
+      }
+
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (!force && mtimeMs === this.loadedMtimeMs) {
+        return;
+      }
+      this.state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.loadedMtimeMs = mtimeMs;
+    } catch (error) {
+      console.error('Error loading state store:', error);
+    }
+  }
+
+  /**
+   * Apply a change under the lock: re-read, change, drop expired entries, then write through a
+   * temp file so a crash never leaves half a file
+   * @private
+   */
+  async _update(change) {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const lock = await this._acquireLock();
+    try {
+      this._load(true);
+      const now = Date.now();
+      const result = change(now);
+      this._pruneExpired(now);
+
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+      this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+
+      return result;
+    } finally {
+      fs.closeSync(lock);
+      try {
+        fs.unlinkSync(this.lockPath);
+      } catch (error) {
+        // Already removed as stale by another process
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _acquireLock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+
+    for (;;) {
+      try {
+        return fs.openSync(this.lockPath, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      try {
+        if (Date.now() - fs.statSync(this.lockPath).mtimeMs > this.staleLockMs) {
+          console.log(`Removing stale state store lock ${this.lockPath}`);
+          fs.unlinkSync(this.lockPath);
+          continue;
+        }
+      } catch (error) {
+        continue; // Released between the open and the stat
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for state store lock ${this.lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+}
+
+module.exports = FileStateStore;
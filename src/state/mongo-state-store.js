@@ -0,0 +1,162 @@
+/**
+ * MongoDB state store for Puppet Engine
+ * Keeps processed IDs, cursors and runtime state in the agent-state collection. A unique index on
+ * namespace and key makes claims atomic across processes, and a TTL index drops expired entries
+ */
+
+const db = require('../utils/database');
+
+// Duplicate key error, raised when a claimed key is already held
+const DUPLICATE_KEY = 11000;
+
+class MongoStateStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.collection - Collection to keep entries in, agent-state by default
+   */
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.collectionName = options.collection || db.COLLECTIONS.STATE;
+    this.indexesReady = null;
+  }
+
+  /**
+   * Value stored under a key, or null if there is none or it has expired
+   */
+  async get(namespace, key) {
+    const doc = await (await this._collection()).findOne({ namespace, key, ...this._unexpired() });
+    return doc ? doc.value : null;
+  }
+
+  /**
+   * Whether a key is stored and unexpired
+   */
+  async has(namespace, key) {
+    const count = await (await this._collection()).countDocuments({ namespace, key, ...this._unexpired() }, { limit: 1 });
+    return count > 0;
+  }
+
+  /**
+   * Store a value, replacing any earlier one
+   * @param {Object} options - ttlMs: drop the entry after this long (kept forever without it)
+   */
+  async set(namespace, key, value, options = {}) {
+    await (await this._collection()).updateOne(
+      { namespace, key },
+      { $set: this._fields(value, options) },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Store several keys with one round trip
+   * @param {Array<{key: string, value: *}>} entries
+   */
+  async setMany(namespace, entries, options = {}) {
+    if (entries.length === 0) {
+      return;
+    }
+    await (await this._collection()).bulkWrite(entries.map(entry => ({
+      updateOne: {
+        filter: { namespace, key: entry.key },
+        update: { $set: this._fields(entry.value, options) },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  /**
+   * Store a value only if the key is free
+   * An expired entry is taken over; a live one makes the upsert collide with the unique index
+   * @returns {Promise<boolean>} - True if this call took the key, false if it was already held
+   */
+  async claim(namespace, key, value = true, options = {}) {
+    try {
+      await (await this._collection()).updateOne(
+        { namespace, key, expiresAt: { $lte: new Date() } },
+        { $set: this._fields(value, options) },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a key
+   */
+  async delete(namespace, key) {
+    await (await this._collection()).deleteOne({ namespace, key });
+  }
+
+  /**
+   * Every unexpired entry in a namespace
+   * @returns {Promise<Array<{key: string, value: *, expiresAt: string|null, updatedAt: string}>>}
+   */
+  async list(namespace) {
+    const docs = await (await this._collection()).find({ namespace, ...this._unexpired() }).toArray();
+    return docs.map(doc => ({
+      key: doc.key,
+      value: doc.value,
+      expiresAt: doc.expiresAt ? doc.expiresAt.toISOString() : null,
+      updatedAt: doc.updatedAt.toISOString()
+    }));
+  }
+
+  /**
+   * Drop expired entries now rather than waiting for the TTL monitor, which runs once a minute
+   * @returns {Promise<number>} - How many were dropped
+   */
+  async prune() {
+    const result = await (await this._collection()).deleteMany({ expiresAt: { $lte: new Date() } });
+    return result.deletedCount;
+  }
+
+  async close() {}
+
+  /**
+   * @private
+   */
+  async _collection() {
+    await db.connectToDatabase();
+    const collection = await db.getCollection(this.collectionName);
+    if (!this.indexesReady) {
+      // connectToDatabase only indexes agent-state, so a custom collection needs its own
+      this.indexesReady = Promise.all([
+        collection.createIndex({ namespace: 1, key: 1 }, { unique: true }),
+        collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+      ]).catch(error => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+    return collection;
+  }
+
+  /**
+   * Filter for entries that never expire or haven't yet
+   * @private
+   */
+  _unexpired() {
+    return { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+  }
+
+  /**
+   * @private
+   */
+  _fields(value, options) {
+    const now = Date.now();
+    return {
+      value,
+      expiresAt: options.ttlMs ? new Date(now + options.ttlMs) : null,
+      updatedAt: new Date(now)
+    };
+  }
+}
+
+module.exports = MongoStateStore;
@@ -0,0 +1,171 @@
+/**
+ * SQLite state store for Puppet Engine
+ * Keeps processed IDs, cursors and runtime state in a SQLite database in WAL mode, so several
+ * processes on one machine can share it. Needs the optional better-sqlite3 package
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS state (
+    namespace TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT,
+    expires_at INTEGER,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (namespace, key)
+  );
+  CREATE INDEX IF NOT EXISTS state_expires_at ON state (expires_at);
+`;
+
+const UNEXPIRED = '(expires_at IS NULL OR expires_at > ?)';
+
+class SqliteStateStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where the database is stored
+   * @param {number} options.busyTimeoutMs - How long a write waits for another process's transaction
+   * @param {number} options.pruneIntervalMs - Writes drop expired rows at most this often
+   */
+  constructor(options = {}) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The sqlite state store needs the better-sqlite3 package: npm install better-sqlite3');
+    }
+
+    this.name = 'sqlite';
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'state.sqlite');
+    this.pruneIntervalMs = options.pruneIntervalMs || 10 * 60 * 1000;
+    this.lastPrunedAt = 0;
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma(`busy_timeout = ${options.busyTimeoutMs || 5000}`);
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      get: this.db.prepare(`SELECT value FROM state WHERE namespace = ? AND key = ? AND ${UNEXPIRED}`),
+      set: this.db.prepare(`
+        INSERT INTO state (namespace, key, value, expires_at, updated_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (namespace, key) DO UPDATE SET
+          value = excluded.value, expires_at = excluded.expires_at, updated_at = excluded.updated_at
+      `),
+      // Only takes over a row that has expired, so a live claim reports no change
+      claim: this.db.prepare(`
+        INSERT INTO state (namespace, key, value, expires_at, updated_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (namespace, key) DO UPDATE SET
+          value = excluded.value, expires_at = excluded.expires_at, updated_at = excluded.updated_at
+        WHERE state.expires_at IS NOT NULL AND state.expires_at <= ?
+      `),
+      delete: this.db.prepare('DELETE FROM state WHERE namespace = ? AND key = ?'),
+      list: this.db.prepare(`SELECT key, value, expires_at, updated_at FROM state WHERE namespace = ? AND ${UNEXPIRED}`),
+      prune: this.db.prepare('DELETE FROM state WHERE expires_at IS NOT NULL AND expires_at <= ?')
+    };
+  }
+
+  /**
+   * Value stored under a key, or null if there is none or it has expired
+   */
+  async get(namespace, key) {
+    const row = this.statements.get.get(namespace, key, Date.now());
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  /**
+   * Whether a key is stored and unexpired
+   */
+  async has(namespace, key) {
+    return !!this.statements.get.get(namespace, key, Date.now());
+  }
+
+  /**
+   * Store a value, replacing any earlier one
+   * @param {Object} options - ttlMs: drop the entry after this long (kept forever without it)
+   */
+  async set(namespace, key, value, options = {}) {
+    this._pruneIfDue();
+    this.statements.set.run(...this._row(namespace, key, value, options));
+  }
+
+  /**
+   * Store several keys in one transaction
+   * @param {Array<{key: string, value: *}>} entries
+   */
+  async setMany(namespace, entries, options = {}) {
+    this._pruneIfDue();
+    this.db.transaction(() => {
+      entries.forEach(entry => this.statements.set.run(...this._row(namespace, entry.key, entry.value, options)));
+    })();
+  }
+
+  /**
+   * Store a value only if the key is free
+   * @returns {Promise<boolean>} - True if this call took the key, false if it was already held
+   */
+  async claim(namespace, key, value = true, options = {}) {
+    this._pruneIfDue();
+    const row = this._row(namespace, key, value, options);
+    return this.statements.claim.run(...row, row[4]).changes > 0;
+  }
+
+  /**
+   * Remove a key
+   */
+  async delete(namespace, key) {
+    this.statements.delete.run(namespace, key);
+  }
+
+  /**
+   * Every unexpired entry in a namespace
+   * @returns {Promise<Array<{key: string, value: *, expiresAt: string|null, updatedAt: string}>>}
+   */
+  async list(namespace) {
+    return this.statements.list.all(namespace, Date.now()).map(row => ({
+      key: row.key,
+      value: JSON.parse(row.value),
+      expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+      updatedAt: new Date(row.updated_at).toISOString()
+    }));
+  }
+
+  /**
+   * Drop expired entries
+   * @returns {Promise<number>} - How many were dropped
+   */
+  async prune() {
+    this.lastPrunedAt = Date.now();
+    return this.statements.prune.run(this.lastPrunedAt).changes;
+  }
+
+  async close() {
+    this.db.close();
+  }
+
+  /**
+   * @private
+   */
+  _pruneIfDue() {
+    if (Date.now() - this.lastPrunedAt >= this.pruneIntervalMs) {
+      this.prune();
+    }
+  }
+
+  /**
+   * Parameters for the set and claim statements
+   * @private
+   */
+  _row(namespace, key, value, options) {
+    const now = Date.now();
+    return [namespace, key, JSON.stringify(value), options.ttlMs ? now + options.ttlMs : null, now];
+  }
+}
+
+module.exports = SqliteStateStore;
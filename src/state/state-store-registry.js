@@ -0,0 +1,93 @@
+/**
+ * State store registry for Puppet Engine
+ * Maps the STATE_STORE name to the backend that keeps processed tweet IDs, mention cursors and
+ * per-agent runtime state. Every backend has the same async interface:
+ * get, has, set, setMany, claim, delete, list, prune and close, with an optional ttlMs per entry
+ */
+
+const fs = require('fs');
+const FileStateStore = require('./file-state-store');
+const MongoStateStore = require('./mongo-state-store');
+const SqliteStateStore = require('./sqlite-state-store');
+
+// Namespaces shared by the agent manager and the standalone mention handler
+const NAMESPACES = {
+  PROCESSED_TWEETS: 'processed_tweets', // Tweet ID -> true once handled
+  REPLY_CLAIMS: 'reply_claims', // `${agentId}:${tweetId}` -> process holding the reply
+  MENTION_CURSORS: 'mention_cursors', // Agent ID -> since_id for the next mentions poll
+  AGENT_RUNTIME: 'agent_runtime', // Agent ID -> { lastPostTime, nextPostTime, cooldownUntil, errorCount }
+  IGNORED_USERS: 'ignored_users', // `${agentId}:${userId}` -> why the agent no longer answers that user
+  REPLY_HISTORY: 'reply_history' // `${agentId}:user:${userId}` -> reply times, `${agentId}:conversation:${id}` -> messages
+};
+
+const factories = {};
+
+/**
+ * Register a state store factory under a name
+ * @param {string} name - Name used by STATE_STORE
+ * @param {Function} factory - Called with store options, returns a store
+ */
+function registerStateStore(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`State store factory for '${name}' must be a function`);
+  }
+  factories[name.toLowerCase()] = factory;
+}
+
+/**
+ * Check whether a state store name is registered
+ */
+function hasStateStore(name) {
+  return !!name && name.toLowerCase() in factories;
+}
+
+/**
+ * Create a state store by name
+ * @param {string} name - Registered state store name
+ * @param {Object} options - Store options (filePath...)
+ */
+function createStateStore(name, options = {}) {
+  if (!hasStateStore(name)) {
+    throw new Error(`Unknown state store '${name}'. Registered state stores: ${listStateStores().join(', ')}`);
+  }
+  return factories[name.toLowerCase()](options);
+}
+
+/**
+ * List registered state store names
+ */
+function listStateStores() {
+  return Object.keys(factories);
+}
+
+/**
+ * Move IDs from one of the old processed_*.json files into a store namespace
+ * The file is renamed to *.migrated afterwards so it is only imported once
+ * @returns {Promise<number>} - How many IDs were imported
+ */
+async function importLegacyIds(store, namespace, filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    return 0;
+  }
+
+  const ids = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  await store.setMany(namespace, ids.map(id => ({ key: String(id), value: true })), options);
+  fs.renameSync(filePath, `${filePath}.migrated`);
+
+  console.log(`Imported ${ids.length} processed IDs from ${filePath} into the ${store.name} state store`);
+  return ids.length;
+}
+
+// Built-in backends
+registerStateStore('file', options => new FileStateStore(options));
+registerStateStore('mongo', options => new MongoStateStore(options));
+registerStateStore('sqlite', options => new SqliteStateStore(options));
+
+module.exports = {
+  registerStateStore,
+  hasStateStore,
+  createStateStore,
+  listStateStores,
+  importLegacyIds,
+  NAMESPACES
+};
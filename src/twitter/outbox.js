@@ -0,0 +1,334 @@
+/**
+ * Outbox for Puppet Engine
+ * Persists generated tweets and replies until Twitter confirms them, retrying with exponential backoff.
+ * Items are keyed by agent and source mention so a mention is never answered twice, and items that keep
+ * failing end up on a dead-letter list to be inspected and retried by hand
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+class Outbox {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where the queue is stored
+   * @param {number} options.maxAttempts - Attempts before an item is dead-lettered
+   * @param {number} options.baseDelayMs - Wait after the first failure, doubled after each further one
+   * @param {number} options.maxDelayMs - Longest wait between attempts
+   * @param {number} options.tickMs - How often the worker looks for due items
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'outbox.json');
+    this.maxAttempts = options.maxAttempts || 6;
+    this.baseDelayMs = options.baseDelayMs || 30 * 1000;
+    this.maxDelayMs = options.maxDelayMs || 30 * 60 * 1000;
+    this.tickMs = options.tickMs || 5000;
+    this.maxSentItems = options.maxSentItems || 1000; // Kept so late duplicates are still recognised
+    this.maxDeadItems = options.maxDeadItems || 500;
+
+    this.items = {};
+    this.sender = null; // async item -> tweet ID, see setSender
+    this.statusListener = null; // item -> void, see setStatusListener
+    this.timer = null;
+    this.processing = false;
+
+    this.load();
+  }
+
+  /**
+   * Idempotency key: the same agent answering the same tweet always gets the same key
+   * @param {string} agentId - The sending agent
+   * @param {string} task - 'post' or 'reply'
+   * @param {string} sourceTweetId - The mention being answered; posts without one get a unique key
+   */
+  static keyFor(agentId, task, sourceTweetId = null) {
+    return `${agentId}:${task}:${sourceTweetId || uuidv4()}`;
+  }
+
+  /**
+   * Whether another attempt could succeed
+   * 429s, 5xx responses, timeouts and network failures are retried; other 4xx responses and
+   * errors flagged with retryable = false (e.g. content guard blocks) are not
+   */
+  static isRetryable(error) {
+    if (error.retryable !== undefined) {
+      return error.retryable;
+    }
+    if (typeof error.code === 'number' && error.code >= 400 && error.code < 600) {
+      return error.code === 429 || error.code >= 500;
+    }
+    return true;
+  }
+
+  /**
+   * Function that sends an item and resolves with the new tweet ID
+   */
+  setSender(sender) {
+    this.sender = sender;
+  }
+
+  /**
+   * Function called with an item whenever an attempt settles (sent, rescheduled or dead-lettered)
+   * and when a dead-lettered item is retried, so whatever queued it can follow along
+   */
+  setStatusListener(listener) {
+    this.statusListener = listener;
+  }
+
+  /**
+   * Queue a tweet or reply for sending
+   * @param {Object} entry - { agentId, task, content, replyToTweetId, key, ...anything the sender needs }
+   * @returns {{item: Object, duplicate: boolean}} - The queued item, or the existing one with the same key
+   */
+  enqueue(entry) {
+    const task = entry.task === 'reply' ? 'reply' : 'post';
+    const key = entry.key || Outbox.keyFor(entry.agentId, task, entry.replyToTweetId);
+
+    const existing = this.getByKey(key);
+    if (existing) {
+      return { item: existing, duplicate: true };
+    }
+
+    const now = new Date().toISOString();
+    const item = {
+      ...entry,
+      id: uuidv4(),
+      key,
+      task,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastAttemptAt: null,
+      lastError: null,
+      tweetId: null,
+      createdAt: now,
+      sentAt: null
+    };
+
+    this.items[item.id] = item;
+    this.save();
+    return { item, duplicate: false };
+  }
+
+  /**
+   * Get an item by ID
+   */
+  getItem(itemId) {
+    const item = this.items[itemId];
+    if (!item) {
+      throw new Error(`Outbox item not found: ${itemId}`);
+    }
+    return item;
+  }
+
+  /**
+   * The item with an idempotency key, if any
+   */
+  getByKey(key) {
+    return Object.values(this.items).find(item => item.key === key) || null;
+  }
+
+  /**
+   * List items, newest first
+   * @param {Object} filter - Optional status and agentId
+   */
+  listItems(filter = {}) {
+    return Object.values(this.items)
+      .filter(item => !filter.status || item.status === filter.status)
+      .filter(item => !filter.agentId || item.agentId === filter.agentId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Make one attempt at sending an item
+   * Failures are recorded on the item (rescheduled or dead-lettered) rather than thrown
+   * @returns {Promise<Object>} - The item, with its new status
+   */
+  async deliver(item) {
+    if (!this.sender) {
+      throw new Error('Outbox has no sender');
+    }
+
+    item.status = 'sending';
+    item.attempts++;
+    item.lastAttemptAt = new Date().toISOString();
+    this.save();
+
+    try {
+      const tweetId = await this.sender(item);
+      Object.assign(item, { status: 'sent', tweetId: tweetId || null, sentAt: new Date().toISOString(), lastError: null });
+    } catch (error) {
+      this._recordFailure(item, error);
+    }
+
+    this.save();
+    this._notify(item);
+    return item;
+  }
+
+  /**
+   * Put a dead-lettered item back in the queue with a fresh set of attempts
+   */
+  retry(itemId) {
+    const item = this.getItem(itemId);
+    if (item.status !== 'dead') {
+      throw new Error(`Outbox item ${itemId} is already ${item.status}`);
+    }
+
+    Object.assign(item, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+    this.save();
+    this._notify(item);
+    return item;
+  }
+
+  /**
+   * Start the worker that sends due items
+   * Items left 'sending' by a crash go back to the queue; the sender is expected to check whether
+   * such an attempt reached Twitter before sending again
+   */
+  start() {
+    for (const item of Object.values(this.items)) {
+      if (item.status === 'sending') {
+        item.status = 'pending';
+      }
+    }
+
+    this.stop();
+    this.timer = setInterval(() => {
+      this.process().catch(error => console.error('Error processing outbox:', error));
+    }, this.tickMs);
+
+    const pending = this.listItems({ status: 'pending' }).length;
+    console.log(`Outbox worker started (${pending} pending, ${this.listItems({ status: 'dead' }).length} dead-lettered)`);
+  }
+
+  /**
+   * Stop the worker
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send every due item, oldest first
+   */
+  async process(now = Date.now()) {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    try {
+      const due = Object.values(this.items)
+        .filter(item => item.status === 'pending' && Date.parse(item.nextAttemptAt) <= now)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      for (const item of due) {
+        await this.deliver(item);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Reschedule a failed item with exponential backoff, or dead-letter it
+   * Calls the rate limit manager deferred never reached Twitter, so they don't use up an attempt
+   * @private
+   */
+  _recordFailure(item, error) {
+    const now = Date.now();
+    item.lastError = error.message;
+
+    if (error.deferred) {
+      item.attempts--;
+      item.status = 'pending';
+      item.nextAttemptAt = new Date(error.retryAt).toISOString();
+      console.log(`Outbox ${item.task} ${item.id} for ${item.agentId} deferred until ${item.nextAttemptAt}`);
+      return;
+    }
+
+    if (!Outbox.isRetryable(error) || item.attempts >= this.maxAttempts) {
+      item.status = 'dead';
+      console.log(`Outbox ${item.task} ${item.id} for ${item.agentId} dead-lettered after ${item.attempts} attempt(s): ${error.message}`);
+      return;
+    }
+
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, item.attempts - 1));
+    item.status = 'pending';
+    item.nextAttemptAt = new Date(Math.max(now + delay, error.retryAt || 0)).toISOString();
+    console.log(`Outbox ${item.task} ${item.id} for ${item.agentId} failed (attempt ${item.attempts}), retrying at ${item.nextAttemptAt}`);
+  }
+
+  /**
+   * Tell the status listener about an item; its errors are logged, never passed on to the worker
+   * @private
+   */
+  _notify(item) {
+    if (!this.statusListener) {
+      return;
+    }
+    try {
+      this.statusListener(item);
+    } catch (error) {
+      console.error(`Error in outbox status listener for ${item.id}:`, error);
+    }
+  }
+
+  /**
+   * Load the queue from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const items = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        items.forEach(item => {
+          this.items[item.id] = item;
+        });
+      }
+    } catch (error) {
+      console.error('Error loading outbox:', error);
+    }
+  }
+
+  /**
+   * Save to disk, writing a temp file first so a crash never leaves half a queue
+   */
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      this._prune('sent', this.maxSentItems);
+      this._prune('dead', this.maxDeadItems);
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.values(this.items), null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Error saving outbox:', error);
+    }
+  }
+
+  /**
+   * Drop the oldest items with a status beyond a limit
+   * @private
+   */
+  _prune(status, limit) {
+    this.listItems({ status }).slice(limit).forEach(item => {
+      delete this.items[item.id];
+    });
+  }
+}
+
+Outbox.STATUSES = STATUSES;
+
+module.exports = Outbox;
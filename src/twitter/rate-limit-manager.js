@@ -0,0 +1,315 @@
+/**
+ * Rate limit manager for Puppet Engine
+ * Reads the x-rate-limit headers of every Twitter response into per-account, per-endpoint buckets,
+ * counts tweets against the daily write cap, and holds back calls that would only be refused
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Endpoint that creates tweets, the only one counted against the daily write cap
+const TWEET_ENDPOINT = 'POST /2/tweets';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when Twitter answers 429 without saying when the window resets
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+
+class RateLimitManager {
+  /**
+   * @param {Object} options
+   * @param {number} options.dailyTweetLimit - Tweets per account per 24 hours (17 on the free tier)
+   * @param {number} options.maxWaitMs - Calls due within this long wait for the window; later ones are deferred
+   * @param {boolean} options.enforce - Hold back calls on exhausted buckets (false only tracks them)
+   * @param {string} options.filePath - Where tweet counts survive restarts
+   */
+  constructor(options = {}) {
+    this.dailyTweetLimit = options.dailyTweetLimit || 17;
+    this.maxWaitMs = options.maxWaitMs !== undefined ? options.maxWaitMs : 60 * 1000;
+    this.enforce = options.enforce !== false;
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'rate_limits.json');
+
+    this.buckets = {}; // `${account} ${endpoint}` -> { account, endpoint, limit, remaining, reset (ms), updatedAt }
+    this.tweets = {}; // account -> tweet times in ms, oldest first, for the last 24 hours
+    this.dailyCaps = {}; // account -> { limit, remaining, reset (ms) } from x-user-limit-24hour headers
+
+    this.load();
+  }
+
+  /**
+   * Endpoint key of a request, with IDs in the path replaced so every user or tweet shares a bucket
+   * @param {string} method - HTTP method
+   * @param {URL|string} url - Request URL
+   * @returns {string} - e.g. 'GET /2/users/:id/mentions'
+   */
+  static endpointOf(method, url) {
+    const pathname = typeof url === 'string' ? new URL(url).pathname : url.pathname;
+    // The leading /2 is the API version, not an ID
+    const normalized = pathname.replace(/\/\d+(?=\/|$)/g, (segment, offset) => offset === 0 ? segment : '/:id');
+    return `${method.toUpperCase()} ${normalized}`;
+  }
+
+  /**
+   * twitter-api-v2 plugin that routes one account's requests through this manager
+   * @param {string} account - Account the client authenticates as (agent ID, 'default' or 'app')
+   */
+  plugin(account) {
+    return {
+      onBeforeRequest: ({ url, params }) => this._beforeRequest(account, RateLimitManager.endpointOf(params.method, url)),
+      onAfterRequest: ({ url, params, response }) => {
+        this._afterResponse(account, RateLimitManager.endpointOf(params.method, url), response.rateLimit, response.headers);
+      },
+      onResponseError: ({ url, params, error }) => {
+        this._afterError(account, RateLimitManager.endpointOf(params.method, url), error);
+      }
+    };
+  }
+
+  /**
+   * Milliseconds until an endpoint can be called again, 0 when it can be called now
+   */
+  getDelay(account, endpoint, now = Date.now()) {
+    const bucket = this.buckets[`${account} ${endpoint}`];
+    if (!bucket || bucket.remaining > 0 || now >= bucket.reset) {
+      return 0;
+    }
+    return bucket.reset - now;
+  }
+
+  /**
+   * Milliseconds until an account can tweet again under the daily write cap, 0 when it can tweet now
+   */
+  getTweetDelay(account, now = Date.now()) {
+    const cap = this.dailyCaps[account];
+    if (cap && cap.remaining <= 0 && now < cap.reset) {
+      return cap.reset - now;
+    }
+
+    const tweets = this._tweetsInWindow(account, now);
+    if (tweets.length < this.dailyTweetLimit) {
+      return 0;
+    }
+    // The oldest tweet that has to drop out of the window before another fits
+    return tweets[tweets.length - this.dailyTweetLimit] + DAY_MS - now;
+  }
+
+  /**
+   * Buckets and tweet counts of every account, for the API and dashboard
+   * @returns {Array<Object>} - { account, tweets: { used, limit, remaining, resetsAt }, buckets: [...] }
+   */
+  getState(now = Date.now()) {
+    const accounts = new Set([
+      ...Object.keys(this.tweets),
+      ...Object.keys(this.dailyCaps),
+      ...Object.values(this.buckets).map(bucket => bucket.account)
+    ]);
+
+    return [...accounts].sort().map(account => {
+      const tweets = this._tweetsInWindow(account, now);
+      const tweetDelay = this.getTweetDelay(account, now);
+
+      return {
+        account,
+        tweets: {
+          used: tweets.length,
+          limit: this.dailyTweetLimit,
+          remaining: tweetDelay > 0 ? 0 : Math.max(0, this.dailyTweetLimit - tweets.length),
+          resetsAt: tweetDelay > 0
+            ? new Date(now + tweetDelay).toISOString()
+            : tweets.length > 0 ? new Date(tweets[0] + DAY_MS).toISOString() : null
+        },
+        buckets: Object.values(this.buckets)
+          .filter(bucket => bucket.account === account)
+          .sort((a, b) => a.endpoint.localeCompare(b.endpoint))
+          .map(bucket => ({
+            endpoint: bucket.endpoint,
+            limit: bucket.limit,
+            remaining: now >= bucket.reset ? bucket.limit : bucket.remaining,
+            resetsAt: new Date(bucket.reset).toISOString(),
+            deferred: this.getDelay(account, bucket.endpoint, now) > 0,
+            updatedAt: bucket.updatedAt
+          }))
+      };
+    });
+  }
+
+  /**
+   * Wait for or refuse a call whose bucket is exhausted, then reserve a slot in it
+   * Calls due within maxWaitMs are queued behind the reset; later ones fail fast with a 429-shaped error
+   * whose retryAt says when to try again, so callers can reschedule instead of hammering the API
+   * @private
+   */
+  async _beforeRequest(account, endpoint) {
+    if (!this.enforce) {
+      return;
+    }
+
+    if (endpoint === TWEET_ENDPOINT) {
+      const tweetDelay = this.getTweetDelay(account);
+      if (tweetDelay > 0) {
+        throw this._deferredError(account, endpoint, Date.now() + tweetDelay, 'daily tweet cap reached');
+      }
+    }
+
+    const delay = this.getDelay(account, endpoint);
+    if (delay > this.maxWaitMs) {
+      throw this._deferredError(account, endpoint, Date.now() + delay, 'rate limit window exhausted');
+    }
+    if (delay > 0) {
+      console.log(`Rate limit: waiting ${Math.ceil(delay / 1000)}s for ${endpoint} (${account})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    // Concurrent calls see the slot as taken until the response reports the real count
+    const bucket = this.buckets[`${account} ${endpoint}`];
+    if (bucket && bucket.remaining > 0) {
+      bucket.remaining--;
+    }
+  }
+
+  /**
+   * Update the bucket from a successful response and count created tweets
+   * @private
+   */
+  _afterResponse(account, endpoint, rateLimit, headers = {}) {
+    const now = Date.now();
+    if (rateLimit) {
+      this._updateBucket(account, endpoint, rateLimit, now);
+    }
+
+    if (endpoint === TWEET_ENDPOINT) {
+      this.tweets[account] = [...this._tweetsInWindow(account, now), now];
+      this._updateDailyCap(account, headers);
+      this.save();
+    }
+  }
+
+  /**
+   * Update the bucket from a refused call; a 429 closes the window until its reset
+   * @private
+   */
+  _afterError(account, endpoint, error) {
+    const now = Date.now();
+    if (error.rateLimit) {
+      this._updateBucket(account, endpoint, error.rateLimit, now);
+    }
+    if (endpoint === TWEET_ENDPOINT) {
+      this._updateDailyCap(account, error.headers || {});
+    }
+
+    if (error.code !== 429) {
+      return;
+    }
+
+    // A tweet refused for the daily cap can leave the 15-minute window open, so the cap decides
+    const tweetDelay = endpoint === TWEET_ENDPOINT ? this.getTweetDelay(account, now) : 0;
+    if (tweetDelay > 0) {
+      error.retryAt = now + tweetDelay;
+    } else {
+      const bucket = this.buckets[`${account} ${endpoint}`];
+      if (!bucket || bucket.remaining > 0 || now >= bucket.reset) {
+        this._updateBucket(account, endpoint, {
+          limit: bucket ? bucket.limit : 0,
+          remaining: 0,
+          reset: Math.ceil((now + DEFAULT_WINDOW_MS) / 1000)
+        }, now);
+      }
+      error.retryAt = this.buckets[`${account} ${endpoint}`].reset;
+    }
+
+    console.log(`Rate limited on ${endpoint} (${account}) until ${new Date(error.retryAt).toISOString()}`);
+    this.save();
+  }
+
+  /**
+   * @private
+   */
+  _updateBucket(account, endpoint, rateLimit, now) {
+    this.buckets[`${account} ${endpoint}`] = {
+      account,
+      endpoint,
+      limit: rateLimit.limit,
+      remaining: rateLimit.remaining,
+      reset: rateLimit.reset * 1000,
+      updatedAt: new Date(now).toISOString()
+    };
+  }
+
+  /**
+   * Per-user 24-hour limit headers sent with tweet creation, when Twitter includes them
+   * @private
+   */
+  _updateDailyCap(account, headers) {
+    if (headers['x-user-limit-24hour-remaining'] === undefined) {
+      return;
+    }
+    this.dailyCaps[account] = {
+      limit: Number(headers['x-user-limit-24hour-limit']),
+      remaining: Number(headers['x-user-limit-24hour-remaining']),
+      reset: Number(headers['x-user-limit-24hour-reset']) * 1000
+    };
+  }
+
+  /**
+   * @private
+   */
+  _tweetsInWindow(account, now) {
+    return (this.tweets[account] || []).filter(time => now - time < DAY_MS);
+  }
+
+  /**
+   * Error shaped like a twitter-api-v2 429, so existing rate limit handling applies to it
+   * @private
+   */
+  _deferredError(account, endpoint, retryAt, reason) {
+    const error = new Error(`Deferred ${endpoint} for ${account} until ${new Date(retryAt).toISOString()}: ${reason}`);
+    error.code = 429;
+    error.deferred = true;
+    error.retryAt = retryAt;
+    error.rateLimit = { limit: 0, remaining: 0, reset: Math.ceil(retryAt / 1000) };
+    return error;
+  }
+
+  /**
+   * Load tweet counts and daily caps from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.tweets = state.tweets || {};
+        this.dailyCaps = state.dailyCaps || {};
+        this.buckets = state.buckets || {};
+      }
+    } catch (error) {
+      console.error('Error loading rate limit state:', error);
+    }
+  }
+
+  /**
+   * Save to disk, writing a temp file first so a crash never leaves half a file
+   */
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const now = Date.now();
+      for (const account of Object.keys(this.tweets)) {
+        this.tweets[account] = this._tweetsInWindow(account, now);
+      }
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ tweets: this.tweets, dailyCaps: this.dailyCaps, buckets: this.buckets }, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Error saving rate limit state:', error);
+    }
+  }
+}
+
+RateLimitManager.TWEET_ENDPOINT = TWEET_ENDPOINT;
+
+module.exports = RateLimitManager;
@@ -59,6 +59,27 @@ class TwitterAdapter {
     return this.client.getTweet(tweetId);
   }
   
+  /**
+   * Look up public metrics for posted tweets
+   */
+  async getTweetMetrics(tweetIds) {
+    return this.client.getTweetMetrics(tweetIds);
+  }
+  
+  /**
+   * Milliseconds until an agent may tweet again under the daily write cap
+   */
+  getPostDelay(agentId) {
+    return this.client.getPostDelay(agentId);
+  }
+  
+  /**
+   * Rate limit buckets and tweet counts of every account
+   */
+  getRateLimitState() {
+    return this.client.getRateLimitState();
+  }
+  
   /**
    * Get recent tweets from a user timeline
    */
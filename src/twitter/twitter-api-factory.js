@@ -0,0 +1,32 @@
+/**
+ * Twitter API factory
+ * Creates twitter-api-v2 clients, optionally pointed at an alternative v2 base URL
+ * such as the local Twitter simulator
+ */
+
+const http = require('http');
+const { TwitterApi } = require('twitter-api-v2');
+
+/**
+ * Create a TwitterApi client
+ * @param {Object|string} tokens OAuth 1.0a tokens or a bearer token
+ * @param {string} apiBaseUrl Optional v2 base URL, e.g. http://localhost:4100/2/
+ * @param {Array<Object>} plugins Optional twitter-api-v2 plugins, e.g. a RateLimitManager's
+ * @returns {TwitterApi} The client
+ */
+function createTwitterApi(tokens, apiBaseUrl = process.env.TWITTER_API_BASE_URL, plugins = []) {
+  if (!apiBaseUrl) {
+    return new TwitterApi(tokens, { plugins });
+  }
+  
+  // twitter-api-v2 always uses https.request, which only accepts plain http with an http agent
+  const settings = apiBaseUrl.startsWith('http:') ? { httpAgent: new http.Agent({ keepAlive: true }) } : {};
+  const client = new TwitterApi(tokens, { ...settings, plugins });
+  client.v2.setPrefix(apiBaseUrl);
+  
+  return client;
+}
+
+module.exports = {
+  createTwitterApi
+};
@@ -3,8 +3,13 @@
  * Handles Twitter API interactions for agents
  */
 
-const { TwitterApi, ETwitterStreamEvent } = require('twitter-api-v2');
+const { ETwitterStreamEvent } = require('twitter-api-v2');
 const { Tweet } = require('../core/types');
+const { createTwitterApi } = require('./twitter-api-factory');
+const RateLimitManager = require('./rate-limit-manager');
+
+// User fields requested with mentions, for the username and the spam detector's account checks
+const MENTION_USER_FIELDS = ['name', 'username', 'created_at', 'public_metrics', 'verified', 'description', 'profile_image_url'];
 
 class TwitterClient {
   constructor(options = {}) {
@@ -13,15 +18,28 @@ class TwitterClient {
     this.bearerClient = null;
     this.activeStreams = new Map();
     
+    // Every request goes through the rate limit manager, which reads the x-rate-limit headers
+    // and holds back calls that Twitter would refuse
+    this.rateLimits = options.rateLimitManager || new RateLimitManager({
+      dailyTweetLimit: parseInt(process.env.TWITTER_DAILY_TWEET_LIMIT, 10) || 17,
+      enforce: process.env.ENABLE_RATE_LIMIT_PROTECTION !== 'false'
+    });
+    
+    // Alternative v2 API base URL, e.g. the local Twitter simulator
+    this.apiBaseUrl = options.apiBaseUrl || process.env.TWITTER_API_BASE_URL || null;
+    if (this.apiBaseUrl) {
+      console.log(`Using Twitter API base URL ${this.apiBaseUrl}`);
+    }
+    
     // If credentials provided, initialize a default client
     if (options.credentials) {
-      this.defaultClient = this.createClient(options.credentials);
+      this.defaultClient = this.createClient(options.credentials, 'default');
       
       // Create a bearer token client for elevated access endpoints
       if (options.credentials.bearerToken || process.env.TWITTER_BEARER_TOKEN) {
         const bearerToken = options.credentials.bearerToken || process.env.TWITTER_BEARER_TOKEN;
         if (bearerToken && bearerToken.length > 20) { // Simple validation
-          this.bearerClient = new TwitterApi(bearerToken);
+          this.bearerClient = createTwitterApi(bearerToken, this.apiBaseUrl, [this.rateLimits.plugin('app')]);
           console.log('Initialized bearer token client for elevated access');
         } else {
           console.warn('Bearer token appears to be invalid or too short');
@@ -34,8 +52,10 @@ class TwitterClient {
   
   /**
    * Create a new Twitter client with credentials
+   * @param {Object} credentials - OAuth 1.0a credentials
+   * @param {string} account - Rate limit account the client's calls count against
    */
-  createClient(credentials) {
+  createClient(credentials, account = 'default') {
     // Add detailed logging of credentials (with sensitive parts masked)
     console.log(`Creating Twitter client with credentials:
       API Key: ${credentials.apiKey ? credentials.apiKey.substring(0, 4) + '...' : 'undefined'}
@@ -45,12 +65,12 @@ class TwitterClient {
       Bearer Token: ${credentials.bearerToken ? 'Provided' : 'Not provided'}
     `);
     
-    return new TwitterApi({
+    return createTwitterApi({
       appKey: credentials.apiKey || process.env.TWITTER_API_KEY,
       appSecret: credentials.apiKeySecret || process.env.TWITTER_API_KEY_SECRET,
       accessToken: credentials.accessToken || process.env.TWITTER_ACCESS_TOKEN,
       accessSecret: credentials.accessTokenSecret || process.env.TWITTER_ACCESS_TOKEN_SECRET
-    });
+    }, this.apiBaseUrl, [this.rateLimits.plugin(account)]);
   }
   
   /**
@@ -64,7 +84,7 @@ class TwitterClient {
     }
     
     try {
-      this.clients[agentId] = this.createClient(credentials);
+      this.clients[agentId] = this.createClient(credentials, agentId);
       console.log(`Successfully registered Twitter client for agent ${agentId}`);
       return this.clients[agentId];
     } catch (error) {
@@ -86,6 +106,27 @@ class TwitterClient {
     return client;
   }
   
+  /**
+   * Rate limit account an agent's calls count against: its own, or the shared default account
+   */
+  getAccountForAgent(agentId) {
+    return this.clients[agentId] ? agentId : 'default';
+  }
+  
+  /**
+   * Milliseconds until an agent may tweet again under the daily write cap, 0 when it may tweet now
+   */
+  getPostDelay(agentId) {
+    return this.rateLimits.getTweetDelay(this.getAccountForAgent(agentId));
+  }
+  
+  /**
+   * Rate limit buckets and tweet counts of every account
+   */
+  getRateLimitState() {
+    return this.rateLimits.getState();
+  }
+  
   /**
    * Post a tweet for an agent
    */
@@ -158,11 +199,16 @@ class TwitterClient {
       
       return tweet;
     } catch (error) {
+      if (error.deferred) {
+        console.log(error.message);
+        throw error;
+      }
+      
       console.error(`Error posting tweet for agent ${agentId}:`, error);
       console.error(`Tweet content was: "${content.substring(0, 50)}..."`);
       
       // Check for common error types and provide more helpful messages
-      if (error.code === 187) {
+      if (error.code === 187 || (error.errors && error.errors.some(e => e.code === 187))) {
         console.error(`This appears to be a duplicate tweet error. Twitter doesn't allow identical tweets.`);
       } else if (error.code === 186) {
         console.error(`This appears to be a tweet length error. The tweet may be too long.`);
@@ -226,6 +272,7 @@ class TwitterClient {
       tweet.content = result.data.text;
       tweet.createdAt = new Date(result.data.created_at);
       tweet.authorId = result.data.author_id;
+      tweet.conversationId = result.data.conversation_id || null;
       
       // Handle referenced tweets
       if (result.data.referenced_tweets) {
@@ -244,6 +291,39 @@ class TwitterClient {
     }
   }
   
+  /**
+   * Look up public metrics for posted tweets, up to 100 per request
+   * @param {Array<string>} tweetIds - Tweets to look up
+   * @returns {Promise<Object>} - Tweet ID -> { likes, replies, retweets, quotes, impressions }; deleted tweets are left out
+   */
+  async getTweetMetrics(tweetIds) {
+    const client = this.bearerClient || this.defaultClient;
+    const metrics = {};
+    
+    for (let i = 0; i < tweetIds.length; i += 100) {
+      const batch = tweetIds.slice(i, i + 100);
+      try {
+        const result = await client.v2.tweets(batch, { 'tweet.fields': ['public_metrics'] });
+        
+        for (const tweetData of result.data || []) {
+          const counts = tweetData.public_metrics || {};
+          metrics[tweetData.id] = {
+            likes: counts.like_count || 0,
+            replies: counts.reply_count || 0,
+            retweets: counts.retweet_count || 0,
+            quotes: counts.quote_count || 0,
+            impressions: counts.impression_count || 0
+          };
+        }
+      } catch (error) {
+        console.error(`Error fetching metrics for ${batch.length} tweets:`, error);
+        throw error;
+      }
+    }
+    
+    return metrics;
+  }
+  
   /**
    * Get recent tweets from a user timeline
    */
@@ -256,7 +336,7 @@ class TwitterClient {
       const result = await client.v2.userTimeline(userId, {
         max_results: limit,
         expansions: ['referenced_tweets.id'],
-        'tweet.fields': ['created_at', 'text', 'author_id', 'conversation_id']
+        'tweet.fields': ['created_at', 'text', 'author_id', 'conversation_id', 'referenced_tweets']
       });
       
       return result.data.data.map(tweetData => {
@@ -265,6 +345,7 @@ class TwitterClient {
         tweet.content = tweetData.text;
         tweet.createdAt = new Date(tweetData.created_at);
         tweet.authorId = tweetData.author_id;
+        tweet.conversationId = tweetData.conversation_id || null;
         
         // Handle referenced tweets
         if (tweetData.referenced_tweets) {
@@ -289,24 +370,6 @@ class TwitterClient {
    */
   async getAgentMentions(agentId, options = {}) {
     try {
-      // Basic rate limiting - check if we should skip this request
-      const enableRateLimitProtection = process.env.ENABLE_RATE_LIMIT_PROTECTION !== 'false';
-      
-      if (enableRateLimitProtection) {
-        const now = Date.now();
-        const lastRequestTime = this._lastMentionRequestTime || 0;
-        const minInterval = 60000; // Minimum 1 minute between requests
-        
-        // If we've made a request in the last minute, skip this one
-        if (now - lastRequestTime < minInterval) {
-          console.log(`Rate limit protection: Skipping mention check for ${agentId} - too soon since last request`);
-          return [];
-        }
-        
-        // Track this request time
-        this._lastMentionRequestTime = now;
-      }
-      
       const client = this.getClientForAgent(agentId);
       const limit = options.limit || 10;
       const sinceId = options.sinceId || null;
@@ -320,8 +383,8 @@ class TwitterClient {
       const queryParams = {
         max_results: limit,
         expansions: ['author_id', 'referenced_tweets.id'],
-        'tweet.fields': ['created_at', 'text', 'author_id'],
-        'user.fields': ['name', 'username'] // Request username data
+        'tweet.fields': ['created_at', 'text', 'author_id', 'conversation_id', 'entities'],
+        'user.fields': MENTION_USER_FIELDS
       };
       
       if (sinceId) {
@@ -339,11 +402,11 @@ class TwitterClient {
       
       console.log(`Found ${result.data.data.length} mentions for agent ${agentId}`);
       
-      // Create a map of author IDs to usernames
+      // Create a map of author IDs to their user objects
       const userMap = {};
       if (result.data.includes && result.data.includes.users) {
         result.data.includes.users.forEach(user => {
-          userMap[user.id] = user.username;
+          userMap[user.id] = user;
         });
       }
       
@@ -353,10 +416,17 @@ class TwitterClient {
         tweet.content = tweetData.text;
         tweet.createdAt = new Date(tweetData.created_at);
         tweet.authorId = tweetData.author_id;
+        tweet.conversationId = tweetData.conversation_id || null;
         
-        // Add author username if available
+        // Add the author if available
         if (userMap[tweetData.author_id]) {
-          tweet.authorUsername = userMap[tweetData.author_id];
+          tweet.author = userMap[tweetData.author_id];
+          tweet.authorUsername = tweet.author.username;
+        }
+        
+        // t.co links in the text are expanded in the entities
+        if (tweetData.entities && tweetData.entities.urls) {
+          tweet.urls = tweetData.entities.urls.map(url => url.expanded_url || url.url);
         }
         
         // Handle referenced tweets
@@ -372,6 +442,11 @@ class TwitterClient {
         return tweet;
       });
     } catch (error) {
+      // Rate limits are passed on so the caller can wait until the window resets
+      if (error.code === 429) {
+        throw error;
+      }
+      
       console.error(`Error fetching mentions for agent ${agentId}:`, error);
       // Return empty array instead of throwing to avoid crashing the application
       // This allows the application to continue running even if mentions can't be fetched
@@ -577,7 +652,7 @@ class TwitterClient {
       if (!this.bearerClient) {
         // Try to create one if not already available
         if (process.env.TWITTER_BEARER_TOKEN) {
-          this.bearerClient = new TwitterApi(process.env.TWITTER_BEARER_TOKEN);
+          this.bearerClient = createTwitterApi(process.env.TWITTER_BEARER_TOKEN, this.apiBaseUrl, [this.rateLimits.plugin('app')]);
           console.log('Created new bearer token client for streaming');
         } else {
           throw new Error('Bearer token is required for filtered stream API access');
@@ -645,9 +720,9 @@ class TwitterClient {
       
       // Configure stream parameters
       const streamParams = {
-        'tweet.fields': 'created_at,author_id,conversation_id,referenced_tweets',
+        'tweet.fields': 'created_at,author_id,conversation_id,referenced_tweets,entities',
         'expansions': 'author_id,referenced_tweets.id,in_reply_to_user_id',
-        'user.fields': 'name,username'
+        'user.fields': MENTION_USER_FIELDS.join(',')
       };
       
       console.log(`Starting filtered stream with params: ${JSON.stringify(streamParams)}`);
@@ -671,9 +746,10 @@ class TwitterClient {
           
           try {
             // Extract author username and check if it's from the agent itself
+            let author = null;
             let authorUsername = null;
             if (tweetData.includes && tweetData.includes.users) {
-              const author = tweetData.includes.users.find(user => user.id === tweetData.data.author_id);
+              author = tweetData.includes.users.find(user => user.id === tweetData.data.author_id) || null;
               if (author) {
                 authorUsername = author.username;
               }
@@ -692,12 +768,17 @@ class TwitterClient {
             tweet.content = tweetData.data.text;
             tweet.createdAt = new Date(tweetData.data.created_at);
             tweet.authorId = tweetData.data.author_id;
+            tweet.conversationId = tweetData.data.conversation_id || null;
             tweet.isDirectMention = true;
             
             // Extract author username if available
             if (authorUsername) {
+              tweet.author = author;
               tweet.authorUsername = authorUsername;
             }
+            if (tweetData.data.entities && tweetData.data.entities.urls) {
+              tweet.urls = tweetData.data.entities.urls.map(url => url.expanded_url || url.url);
+            }
             
             // Handle referenced tweets
             if (tweetData.data.referenced_tweets) {
@@ -883,4 +964,6 @@ class TwitterClient {
   }
 }
 
+TwitterClient.MENTION_USER_FIELDS = MENTION_USER_FIELDS;
+
 module.exports = TwitterClient; 
\ No newline at end of file
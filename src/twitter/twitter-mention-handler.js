@@ -3,54 +3,53 @@
  * Uses v2 API with Production App credentials
  */
 
-const { TwitterApi } = require('twitter-api-v2');
-const fs = require('fs');
+const { createTwitterApi } = require('./twitter-api-factory');
 const path = require('path');
+const ContentGuard = require('../moderation/content-guard');
+const Outbox = require('./outbox');
+const TwitterClient = require('./twitter-client');
+const SpamDetector = require('../moderation/spam-detector');
+const IgnoreList = require('../moderation/ignore-list');
+const { createStateStore, importLegacyIds, NAMESPACES } = require('../state/state-store-registry');
+
+// Cursor key of this handler's mentions poll in the state store
+const CURSOR_KEY = 'mention_handler';
 
 class TwitterMentionHandler {
-  constructor(credentials) {
+  constructor(credentials, options = {}) {
     // Use production app credentials for mention access
-    this.client = new TwitterApi({
+    // apiBaseUrl (or TWITTER_API_BASE_URL) can point this at the local Twitter simulator
+    this.client = createTwitterApi({
       appKey: credentials.appKey,
       appSecret: credentials.appSecret,
       accessToken: credentials.accessToken,
       accessSecret: credentials.accessTokenSecret
-    });
+    }, credentials.apiBaseUrl || process.env.TWITTER_API_BASE_URL);
     
     this.userId = null;
     this.username = null;
-    this.lastMentionId = null;
-    this.processedMentionsFile = path.join(__dirname, '../../data/processed_mentions.json');
-    this.processedMentions = this.loadProcessedMentions();
-  }
-
-  loadProcessedMentions() {
-    try {
-      if (fs.existsSync(this.processedMentionsFile)) {
-        const data = fs.readFileSync(this.processedMentionsFile, 'utf8');
-        const mentionIds = JSON.parse(data);
-        console.log(`📝 Loaded ${mentionIds.length} processed mention IDs`);
-        return new Set(mentionIds);
-      }
-    } catch (error) {
-      console.error('Error loading processed mentions:', error);
-    }
-    return new Set();
-  }
-
-  saveProcessedMentions() {
-    try {
-      // Ensure data directory exists
-      const dataDir = path.dirname(this.processedMentionsFile);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
-      
-      const mentionIds = Array.from(this.processedMentions);
-      fs.writeFileSync(this.processedMentionsFile, JSON.stringify(mentionIds, null, 2));
-    } catch (error) {
-      console.error('Error saving processed mentions:', error);
-    }
+    
+    // Processed mentions and the since_id cursor, shared with the agent manager's polling
+    this.stateStore = options.stateStore || createStateStore(process.env.STATE_STORE || 'file', {
+      filePath: path.join(__dirname, '../../data/state.json')
+    });
+    this.processedIdTtlMs = options.processedIdTtlMs || 30 * 24 * 60 * 60 * 1000;
+    
+    // Mentions from ignored users or bot-looking accounts are skipped; agentId shares an agent's ignore list
+    this.agentId = options.agentId || CURSOR_KEY;
+    this.spamDetector = options.spamDetector || new SpamDetector();
+    this.spamPolicy = options.spamPolicy || SpamDetector.DEFAULT_POLICY;
+    this.ignoreList = options.ignoreList || new IgnoreList(this.stateStore);
+    
+    // Replies are checked for contract addresses and tickers before they are sent
+    this.contentGuard = options.contentGuard || new ContentGuard();
+    this.tokenPolicy = options.tokenPolicy || ContentGuard.DEFAULT_POLICY;
+    
+    // Replies wait here until Twitter confirms them; a mention is only marked processed after that
+    this.outbox = options.outbox || new Outbox({
+      filePath: path.join(__dirname, '../../data/mention_handler_outbox.json')
+    });
+    this.outbox.setSender(item => this._sendReply(item));
   }
 
   async initialize() {
@@ -58,6 +57,10 @@ class TwitterMentionHandler {
       const me = await this.client.v2.me();
       this.userId = me.data.id;
       this.username = me.data.username;
+      
+      const legacyFile = path.join(__dirname, '../../data/processed_mentions.json');
+      await importLegacyIds(this.stateStore, NAMESPACES.PROCESSED_TWEETS, legacyFile, { ttlMs: this.processedIdTtlMs });
+      
       console.log(`✅ Mention handler initialized for @${this.username}`);
       return true;
     } catch (error) {
@@ -76,14 +79,15 @@ class TwitterMentionHandler {
       
       const params = {
         max_results: options.limit || 10,
-        'tweet.fields': ['created_at', 'author_id', 'conversation_id', 'referenced_tweets', 'in_reply_to_user_id'],
-        'user.fields': ['username'],
+        'tweet.fields': ['created_at', 'author_id', 'conversation_id', 'referenced_tweets', 'in_reply_to_user_id', 'entities'],
+        'user.fields': TwitterClient.MENTION_USER_FIELDS,
         expansions: ['author_id', 'referenced_tweets.id', 'in_reply_to_user_id']
       };
       
       // Add pagination
-      if (this.lastMentionId) {
-        params.since_id = this.lastMentionId;
+      const lastMentionId = await this.stateStore.get(NAMESPACES.MENTION_CURSORS, CURSOR_KEY);
+      if (lastMentionId) {
+        params.since_id = lastMentionId;
       }
       
       const mentions = await this.client.v2.userMentionTimeline(this.userId, params);
@@ -104,33 +108,34 @@ class TwitterMentionHandler {
       const userMap = {};
       if (mentions.data.includes && mentions.data.includes.users) {
         mentions.data.includes.users.forEach(user => {
-          userMap[user.id] = user.username;
+          userMap[user.id] = user;
         });
       }
       
       // Process mentions
       const newMentions = [];
       for (const mention of mentions.data.data) {
-        if (!this.processedMentions.has(mention.id)) {
-          this.processedMentions.add(mention.id);
-          this.saveProcessedMentions(); // Save immediately
+        // Mentions with a reply in the outbox are handled, even if it hasn't gone out yet
+        if (!(await this.isProcessed(mention.id)) && !this.outbox.getByKey(this._replyKey(mention.id))) {
+          if (await this._isUnwanted(mention, userMap[mention.author_id])) {
+            await this.markProcessed(mention.id);
+            continue;
+          }
           
           newMentions.push({
             id: mention.id,
             text: mention.text,
             created_at: mention.created_at,
             author_id: mention.author_id,
-            author_username: userMap[mention.author_id] || 'unknown',
+            author_username: userMap[mention.author_id] ? userMap[mention.author_id].username : 'unknown',
             in_reply_to_user_id: mention.in_reply_to_user_id,
             conversation_id: mention.conversation_id
           });
         }
       }
       
-      // Update last mention ID
-      if (newMentions.length > 0) {
-        this.lastMentionId = newMentions[0].id;
-      }
+      // Update last mention ID (skipped mentions count, so a page of spam isn't fetched again)
+      await this.stateStore.set(NAMESPACES.MENTION_CURSORS, CURSOR_KEY, mentions.data.data[0].id);
       
       return newMentions;
       
@@ -142,18 +147,132 @@ class TwitterMentionHandler {
 
   /**
    * Reply to a mention
+   * The reply goes through the outbox: if the first attempt fails it is retried while polling runs,
+   * and the mention is marked processed once Twitter confirms the reply
+   * @param {string} mentionId - The mention to reply to
+   * @param {string} replyText - Generated reply
+   * @param {string} mentionText - The mention's text, used to tell whether the CA was asked for
+   * @returns {Promise<Object|null>} - { id, text } of the reply, or null while it waits for a retry
    */
-  async replyToMention(mentionId, replyText) {
+  async replyToMention(mentionId, replyText, mentionText = '') {
     try {
-      const result = await this.client.v2.reply(replyText, mentionId);
-      console.log(`✅ Replied to mention ${mentionId}`);
-      return result.data;
+      const { violations, cleanContent } = this.contentGuard.inspect(replyText, this.tokenPolicy, { triggerText: mentionText });
+      if (violations.length > 0) {
+        this.contentGuard.logBlock({
+          agentId: this.username || this.userId,
+          source: 'mention_handler',
+          action: cleanContent ? 'stripped' : 'blocked',
+          violations,
+          originalContent: replyText,
+          finalContent: cleanContent,
+          triggerText: mentionText,
+          triggerTweetId: mentionId
+        });
+        
+        if (!cleanContent) {
+          await this.markProcessed(mentionId); // Nothing left to send
+          throw new Error(`Content guard blocked reply to ${mentionId}`);
+        }
+        replyText = cleanContent;
+      }
+      
+      const { item, duplicate } = this.outbox.enqueue({
+        key: this._replyKey(mentionId),
+        agentId: this.username || this.userId,
+        task: 'reply',
+        content: replyText,
+        replyToTweetId: mentionId
+      });
+      if (!duplicate) {
+        await this.outbox.deliver(item);
+      }
+      
+      if (item.status === 'dead') {
+        throw new Error(`Reply to ${mentionId} failed: ${item.lastError}`);
+      }
+      if (item.status !== 'sent') {
+        console.log(`⏳ Reply to mention ${mentionId} will be retried (${item.lastError})`);
+        return null;
+      }
+      return { id: item.tweetId, text: item.content };
     } catch (error) {
       console.error('Error replying to mention:', error);
       throw error;
     }
   }
 
+  /**
+   * Whether a mention has been answered
+   */
+  async isProcessed(mentionId) {
+    return this.stateStore.has(NAMESPACES.PROCESSED_TWEETS, String(mentionId));
+  }
+
+  /**
+   * Remember a mention as answered
+   */
+  async markProcessed(mentionId) {
+    await this.stateStore.set(NAMESPACES.PROCESSED_TWEETS, String(mentionId), true, { ttlMs: this.processedIdTtlMs });
+  }
+
+  /**
+   * Whether a mention comes from an ignored user, or scores as bot or spam (which ignores its author)
+   * @private
+   */
+  async _isUnwanted(mention, author) {
+    const username = author ? author.username : null;
+    if (await this.ignoreList.has(this.agentId, mention.author_id)) {
+      console.log(`🙈 Skipping mention ${mention.id} from ignored user @${username || mention.author_id}`);
+      return true;
+    }
+    
+    if (!this.spamPolicy.enabled) {
+      return false;
+    }
+    
+    const risk = this.spamDetector.assess(this.agentId, {
+      id: mention.id,
+      content: mention.text,
+      authorId: mention.author_id,
+      author,
+      urls: mention.entities && mention.entities.urls
+        ? mention.entities.urls.map(url => url.expanded_url || url.url)
+        : []
+    }, this.spamPolicy);
+    if (!risk.flagged) {
+      return false;
+    }
+    
+    console.log(`🚫 Skipping mention ${mention.id} from @${username || mention.author_id}: risk ${risk.score} (${risk.signals.join(', ')})`);
+    await this.ignoreList.add(this.agentId, {
+      userId: mention.author_id,
+      username,
+      reason: `Risk score ${risk.score}: ${risk.signals.join(', ')}`,
+      score: risk.score,
+      signals: risk.signals
+    }, { source: 'auto', ttlMs: this.spamPolicy.ignoreDays > 0 ? this.spamPolicy.ignoreDays * 24 * 60 * 60 * 1000 : null });
+    return true;
+  }
+
+  /**
+   * Outbox key of the reply to a mention
+   * @private
+   */
+  _replyKey(mentionId) {
+    return Outbox.keyFor('mention_handler', 'reply', mentionId);
+  }
+
+  /**
+   * Send a queued reply, then mark its mention processed
+   * @private
+   */
+  async _sendReply(item) {
+    const result = await this.client.v2.reply(item.content, item.replyToTweetId);
+    console.log(`✅ Replied to mention ${item.replyToTweetId}`);
+    await this.markProcessed(item.replyToTweetId);
+    return result.data.id;
+  }
+
   /**
    * Post a regular tweet
    */
@@ -173,6 +292,7 @@ class TwitterMentionHandler {
    */
   async startPolling(onMention, intervalMs = 60000) {
     console.log(`🚀 Starting mention polling every ${intervalMs/1000} seconds`);
+    this.outbox.start();
     
     // Initial check
     const mentions = await this.getMentions();
@@ -200,6 +320,7 @@ class TwitterMentionHandler {
   }
 
   stopPolling() {
+    this.outbox.stop();
     if (this.pollingInterval) {
       clearInterval(this.pollingInterval);
       console.log('Stopped mention polling');
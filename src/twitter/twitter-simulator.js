@@ -0,0 +1,733 @@
+/**
+ * Twitter API Simulator
+ * Local stand-in for the Twitter v2 endpoints used by TwitterClient and
+ * TwitterMentionHandler, so whole conversations can run without network access.
+ *
+ * Point the clients at it with TWITTER_API_BASE_URL=http://localhost:4100/2/
+ */
+
+const express = require('express');
+
+// Endpoints that can be targeted by error injection
+const ENDPOINTS = [
+  'me',
+  'mentions',
+  'timeline',
+  'tweet',
+  'singleTweet',
+  'tweetLookup',
+  'like',
+  'streamRules',
+  'stream'
+];
+
+// Window used for the x-rate-limit-* headers (15 minutes, like the real API)
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+
+class TwitterSimulator {
+  /**
+   * Create a new simulator
+   * @param {Object} options Configuration options
+   * @param {number} options.port Port to listen on
+   * @param {Object} options.botUser The account the default credentials act as
+   * @param {boolean} options.enforceRateLimits Respond with 429 once a bucket is exhausted
+   * @param {number} options.rateLimit Requests allowed per endpoint per window
+   */
+  constructor(options = {}) {
+    this.port = options.port !== undefined
+      ? options.port
+      : (process.env.TWITTER_SIMULATOR_PORT || 4100);
+    this.enforceRateLimits = options.enforceRateLimits === true;
+    this.rateLimit = options.rateLimit || 75;
+    this.botUser = options.botUser || { id: '1000', username: 'pumpcantfun', name: 'PumpCantFun' };
+
+    this.app = express();
+    this.app.use(express.json());
+
+    this.reset();
+    this.setupRoutes();
+  }
+
+  /**
+   * Clear all users, tweets, rules, injected errors and rate limit buckets
+   */
+  reset() {
+    this.users = {};
+    this.tweets = {};
+    this.likes = [];
+    this.streamRules = [];
+    this.streams = new Set();
+    this.tokenUsers = {}; // Access token -> user ID
+    this.injectedErrors = {}; // Endpoint -> queue of error codes
+    this.rateLimitBuckets = {};
+    this.nextId = 1800000000000000000n;
+    this.nextRuleId = 1;
+
+    this.addUser(this.botUser);
+  }
+
+  /**
+   * Add a user account
+   * public_metrics, verified, description and profile_image_url are returned when given, so spammy
+   * accounts can be set up
+   */
+  addUser(user) {
+    const id = String(user.id || this._generateId());
+    this.users[id] = {
+      id,
+      username: user.username,
+      name: user.name || user.username,
+      created_at: user.created_at || new Date().toISOString()
+    };
+    ['public_metrics', 'verified', 'description', 'profile_image_url'].forEach(field => {
+      if (user[field] !== undefined) {
+        this.users[id][field] = user[field];
+      }
+    });
+    return this.users[id];
+  }
+
+  /**
+   * Find a user by username, creating it if it doesn't exist yet
+   */
+  getOrCreateUser(username) {
+    const existing = Object.values(this.users)
+      .find(user => user.username.toLowerCase() === username.toLowerCase());
+    return existing || this.addUser({ username });
+  }
+
+  /**
+   * Map an access token to a user so requests signed with it act as that user
+   */
+  registerToken(accessToken, userId) {
+    this.tokenUsers[accessToken] = String(userId);
+  }
+
+  /**
+   * Make the next request(s) to an endpoint fail
+   * @param {string} endpoint One of ENDPOINTS
+   * @param {number} code 429, 403, 187 (duplicate content) or any HTTP status
+   * @param {number} times How many consecutive requests should fail
+   */
+  injectError(endpoint, code, times = 1) {
+    if (!ENDPOINTS.includes(endpoint)) {
+      throw new Error(`Unknown simulator endpoint: ${endpoint}`);
+    }
+
+    this.injectedErrors[endpoint] = this.injectedErrors[endpoint] || [];
+    for (let i = 0; i < times; i++) {
+      this.injectedErrors[endpoint].push(Number(code));
+    }
+  }
+
+  /**
+   * Create a tweet as if a user had posted it
+   * @param {string} authorId ID of the author
+   * @param {string} text Tweet text
+   * @param {Object} options Optional reply/quote targets
+   */
+  createTweet(authorId, text, options = {}) {
+    const id = this._generateId();
+    const tweet = {
+      id,
+      text,
+      author_id: String(authorId),
+      created_at: new Date().toISOString(),
+      conversation_id: id
+    };
+
+    if (options.inReplyToTweetId) {
+      const parent = this.tweets[options.inReplyToTweetId];
+      if (!parent) {
+        throw new Error(`Tweet to reply to not found: ${options.inReplyToTweetId}`);
+      }
+      tweet.conversation_id = parent.conversation_id;
+      tweet.in_reply_to_user_id = parent.author_id;
+      tweet.referenced_tweets = [{ type: 'replied_to', id: parent.id }];
+    } else if (options.quoteTweetId) {
+      tweet.referenced_tweets = [{ type: 'quoted', id: options.quoteTweetId }];
+    }
+
+    this.tweets[id] = tweet;
+    this._pushToStreams(tweet);
+
+    return tweet;
+  }
+
+  /**
+   * Have a (possibly new) user mention another user, optionally as a reply
+   */
+  mention(fromUsername, text, options = {}) {
+    const author = this.getOrCreateUser(fromUsername);
+    return this.createTweet(author.id, text, options);
+  }
+
+  /**
+   * Get all tweets in a conversation, oldest first
+   */
+  getConversation(conversationId) {
+    return Object.values(this.tweets)
+      .filter(tweet => tweet.conversation_id === conversationId)
+      .sort((a, b) => this._compareIds(a.id, b.id));
+  }
+
+  /**
+   * Set up the v2 routes plus the /_simulator control routes
+   */
+  setupRoutes() {
+    const app = this.app;
+
+    // Users
+    app.get('/2/users/me', this._handle('me', (req, res) => {
+      res.json({ data: this._formatUser(req.user, req.query['user.fields']) });
+    }));
+
+    app.get('/2/users/:id/mentions', this._handle('mentions', (req, res) => {
+      const user = this.users[req.params.id];
+      if (!user) return this._sendNotFound(res, 'user', req.params.id);
+
+      const mention = `@${user.username.toLowerCase()}`;
+      const tweets = Object.values(this.tweets)
+        .filter(tweet => tweet.author_id !== user.id && tweet.text.toLowerCase().includes(mention));
+
+      res.json(this._formatTimeline(tweets, req.query));
+    }));
+
+    app.get('/2/users/:id/tweets', this._handle('timeline', (req, res) => {
+      if (!this.users[req.params.id]) return this._sendNotFound(res, 'user', req.params.id);
+
+      const tweets = Object.values(this.tweets)
+        .filter(tweet => tweet.author_id === req.params.id);
+
+      res.json(this._formatTimeline(tweets, req.query));
+    }));
+
+    app.post('/2/users/:id/likes', this._handle('like', (req, res) => {
+      const tweetId = req.body.tweet_id;
+      if (!this.tweets[tweetId]) return this._sendNotFound(res, 'tweet', tweetId);
+
+      this.likes.push({ userId: req.params.id, tweetId });
+      res.json({ data: { liked: true } });
+    }));
+
+    // Tweets - the stream routes must be registered before /2/tweets/:id
+    app.get('/2/tweets/search/stream/rules', this._handle('streamRules', (req, res) => {
+      res.json({
+        data: this.streamRules.length > 0 ? this.streamRules : undefined,
+        meta: { sent: new Date().toISOString(), result_count: this.streamRules.length }
+      });
+    }));
+
+    app.post('/2/tweets/search/stream/rules', this._handle('streamRules', (req, res) => {
+      const summary = { created: 0, not_created: 0, deleted: 0, not_deleted: 0 };
+      const data = [];
+      const errors = [];
+
+      (req.body.add || []).forEach(rule => {
+        if (this.streamRules.some(existing => existing.value === rule.value)) {
+          summary.not_created++;
+          errors.push({ value: rule.value, title: 'DuplicateRule', type: 'https://api.twitter.com/2/problems/duplicate-rules' });
+          return;
+        }
+        const created = { id: String(this.nextRuleId++), value: rule.value, tag: rule.tag };
+        this.streamRules.push(created);
+        data.push(created);
+        summary.created++;
+      });
+
+      if (req.body.delete && req.body.delete.ids) {
+        req.body.delete.ids.forEach(id => {
+          const before = this.streamRules.length;
+          this.streamRules = this.streamRules.filter(rule => rule.id !== String(id));
+          if (this.streamRules.length < before) {
+            summary.deleted++;
+          } else {
+            summary.not_deleted++;
+          }
+        });
+      }
+
+      res.json({
+        data: data.length > 0 ? data : undefined,
+        errors: errors.length > 0 ? errors : undefined,
+        meta: { sent: new Date().toISOString(), summary }
+      });
+    }));
+
+    app.get('/2/tweets/search/stream', this._handle('stream', (req, res) => {
+      res.status(200);
+      res.setHeader('Content-Type', 'application/json');
+      res.flushHeaders();
+
+      const connection = { res, query: req.query };
+      this.streams.add(connection);
+
+      // Keep-alive newlines, like the real stream
+      const keepAlive = setInterval(() => res.write('\r\n'), 20000);
+
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        this.streams.delete(connection);
+      });
+    }));
+
+    app.post('/2/tweets', this._handle('tweet', (req, res) => {
+      const { text, reply, quote_tweet_id: quoteTweetId } = req.body;
+
+      if (!text) {
+        return this._sendError(res, 400, { title: 'Invalid Request', detail: 'text is required' });
+      }
+
+      // Twitter rejects identical consecutive tweets from the same account
+      const isDuplicate = Object.values(this.tweets)
+        .some(tweet => tweet.author_id === req.user.id && tweet.text === text);
+      if (isDuplicate) {
+        return this._sendInjectedError(res, 187);
+      }
+
+      try {
+        const tweet = this.createTweet(req.user.id, text, {
+          inReplyToTweetId: reply && reply.in_reply_to_tweet_id,
+          quoteTweetId
+        });
+        res.status(201).json({ data: { id: tweet.id, text: tweet.text } });
+      } catch (error) {
+        this._sendError(res, 400, { title: 'Invalid Request', detail: error.message });
+      }
+    }));
+
+    app.get('/2/tweets', this._handle('tweetLookup', (req, res) => {
+      const ids = this._parseList(req.query.ids);
+      const found = ids.filter(id => this.tweets[id]).map(id => this.tweets[id]);
+      const missing = ids.filter(id => !this.tweets[id]);
+
+      const body = {};
+      if (found.length > 0) body.data = found.map(tweet => this._formatTweet(tweet, req.query['tweet.fields']));
+      if (missing.length > 0) {
+        body.errors = missing.map(id => ({
+          value: id,
+          detail: `Could not find tweet with ids: [${id}].`,
+          title: 'Not Found Error',
+          resource_type: 'tweet',
+          parameter: 'ids',
+          resource_id: id,
+          type: 'https://api.twitter.com/2/problems/resource-not-found'
+        }));
+      }
+
+      res.json(body);
+    }));
+
+    app.get('/2/tweets/:id', this._handle('singleTweet', (req, res) => {
+      const tweet = this.tweets[req.params.id];
+      if (!tweet) return this._sendNotFound(res, 'tweet', req.params.id);
+
+      const body = { data: this._formatTweet(tweet, req.query['tweet.fields']) };
+      const includes = this._buildIncludes([tweet], req.query);
+      if (includes) body.includes = includes;
+
+      res.json(body);
+    }));
+
+    // Control routes for driving the simulator from another process
+    app.get('/_simulator/state', (req, res) => {
+      res.json({
+        users: Object.values(this.users),
+        tweets: Object.values(this.tweets),
+        likes: this.likes,
+        streamRules: this.streamRules,
+        openStreams: this.streams.size,
+        injectedErrors: this.injectedErrors
+      });
+    });
+
+    app.post('/_simulator/users', (req, res) => {
+      if (!req.body.username) {
+        return res.status(400).json({ error: 'username is required' });
+      }
+      res.status(201).json(this.addUser(req.body));
+    });
+
+    app.post('/_simulator/mentions', (req, res) => {
+      const { from, text, inReplyToTweetId } = req.body;
+      if (!from || !text) {
+        return res.status(400).json({ error: 'from and text are required' });
+      }
+
+      try {
+        res.status(201).json(this.mention(from, text, { inReplyToTweetId }));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    app.post('/_simulator/errors', (req, res) => {
+      const { endpoint, code, times } = req.body;
+      try {
+        this.injectError(endpoint, code, times || 1);
+        res.status(201).json({ endpoint, queued: this.injectedErrors[endpoint] });
+      } catch (error) {
+        res.status(400).json({ error: error.message, endpoints: ENDPOINTS });
+      }
+    });
+
+    app.post('/_simulator/reset', (req, res) => {
+      this._closeStreams();
+      this.reset();
+      res.json({ reset: true });
+    });
+  }
+
+  /**
+   * Start the simulator
+   */
+  start() {
+    return new Promise((resolve) => {
+      this.server = this.app.listen(this.port, () => {
+        this.port = this.server.address().port;
+        console.log(`Twitter API simulator listening on port ${this.port}`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  /**
+   * Stop the simulator
+   */
+  stop() {
+    this._closeStreams();
+
+    if (this.server) {
+      return new Promise((resolve) => {
+        this.server.close(() => {
+          console.log('Twitter API simulator stopped');
+          resolve();
+        });
+      });
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Base URL to use as TWITTER_API_BASE_URL
+   */
+  get baseUrl() {
+    return `http://localhost:${this.port}/2/`;
+  }
+
+  /**
+   * Wrap a route handler with caller resolution, rate limit headers and error injection
+   * @private
+   */
+  _handle(endpoint, handler) {
+    return (req, res) => {
+      req.user = this._resolveUser(req);
+
+      const bucket = this._consumeRateLimit(endpoint, req.user);
+      res.setHeader('x-rate-limit-limit', String(bucket.limit));
+      res.setHeader('x-rate-limit-remaining', String(Math.max(0, bucket.remaining)));
+      res.setHeader('x-rate-limit-reset', String(Math.ceil(bucket.reset / 1000)));
+
+      const queued = this.injectedErrors[endpoint];
+      if (queued && queued.length > 0) {
+        return this._sendInjectedError(res, queued.shift());
+      }
+
+      if (this.enforceRateLimits && bucket.remaining < 0) {
+        return this._sendInjectedError(res, 429);
+      }
+
+      handler(req, res);
+    };
+  }
+
+  /**
+   * Work out which user a request acts as from its OAuth token
+   * @private
+   */
+  _resolveUser(req) {
+    const auth = req.headers.authorization || '';
+    const tokenMatch = auth.match(/oauth_token="([^"]+)"/);
+
+    if (tokenMatch) {
+      const userId = this.tokenUsers[decodeURIComponent(tokenMatch[1])];
+      if (userId && this.users[userId]) {
+        return this.users[userId];
+      }
+    }
+
+    // Bearer and unknown tokens act as the bot account
+    return this.users[this.botUser.id];
+  }
+
+  /**
+   * Track a request against a per-user, per-endpoint bucket
+   * @private
+   */
+  _consumeRateLimit(endpoint, user) {
+    const key = `${endpoint}:${user ? user.id : 'app'}`;
+    const now = Date.now();
+    let bucket = this.rateLimitBuckets[key];
+
+    if (!bucket || now >= bucket.reset) {
+      bucket = { limit: this.rateLimit, remaining: this.rateLimit, reset: now + RATE_LIMIT_WINDOW_MS };
+      this.rateLimitBuckets[key] = bucket;
+    }
+
+    bucket.remaining--;
+    return bucket;
+  }
+
+  /**
+   * Send one of the supported error shapes
+   * @private
+   */
+  _sendInjectedError(res, code) {
+    if (code === 429) {
+      res.setHeader('x-rate-limit-remaining', '0');
+      return this._sendError(res, 429, { title: 'Too Many Requests', detail: 'Too Many Requests' });
+    }
+
+    if (code === 187) {
+      // v2 reports duplicates as a 403 carrying the legacy 187 code
+      return this._sendError(res, 403, {
+        title: 'Forbidden',
+        detail: 'You are not allowed to create a Tweet with duplicate content.',
+        errors: [{ code: 187, message: 'Status is a duplicate.' }]
+      });
+    }
+
+    if (code === 403) {
+      return this._sendError(res, 403, {
+        title: 'Forbidden',
+        detail: 'You are not permitted to perform this action.'
+      });
+    }
+
+    return this._sendError(res, code, { title: 'Error', detail: `Simulated error ${code}` });
+  }
+
+  /**
+   * @private
+   */
+  _sendError(res, status, body) {
+    res.status(status).json({ type: 'about:blank', status, ...body });
+  }
+
+  /**
+   * The real API answers lookups of missing resources with 200 and an errors array
+   * @private
+   */
+  _sendNotFound(res, resourceType, id) {
+    res.json({
+      errors: [{
+        value: id,
+        detail: `Could not find ${resourceType} with id: [${id}].`,
+        title: 'Not Found Error',
+        resource_type: resourceType,
+        parameter: 'id',
+        resource_id: id,
+        type: 'https://api.twitter.com/2/problems/resource-not-found'
+      }]
+    });
+  }
+
+  /**
+   * Build a timeline response with since_id, max_results and expansions applied
+   * @private
+   */
+  _formatTimeline(tweets, query) {
+    let results = [...tweets].sort((a, b) => this._compareIds(b.id, a.id)); // Newest first
+
+    if (query.since_id) {
+      results = results.filter(tweet => this._compareIds(tweet.id, query.since_id) > 0);
+    }
+    if (query.until_id) {
+      results = results.filter(tweet => this._compareIds(tweet.id, query.until_id) < 0);
+    }
+    results = results.slice(0, Number(query.max_results) || 10);
+
+    if (results.length === 0) {
+      return { meta: { result_count: 0 } };
+    }
+
+    const body = {
+      data: results.map(tweet => this._formatTweet(tweet, query['tweet.fields'])),
+      meta: {
+        result_count: results.length,
+        newest_id: results[0].id,
+        oldest_id: results[results.length - 1].id
+      }
+    };
+
+    const includes = this._buildIncludes(results, query);
+    if (includes) body.includes = includes;
+
+    return body;
+  }
+
+  /**
+   * Resolve author_id, in_reply_to_user_id and referenced_tweets.id expansions
+   * @private
+   */
+  _buildIncludes(tweets, query) {
+    const expansions = this._parseList(query.expansions);
+    if (expansions.length === 0) return null;
+
+    const userIds = new Set();
+    const tweetIds = new Set();
+
+    tweets.forEach(tweet => {
+      if (expansions.includes('author_id')) userIds.add(tweet.author_id);
+      if (expansions.includes('in_reply_to_user_id') && tweet.in_reply_to_user_id) {
+        userIds.add(tweet.in_reply_to_user_id);
+      }
+      if (expansions.includes('referenced_tweets.id') && tweet.referenced_tweets) {
+        tweet.referenced_tweets.forEach(ref => tweetIds.add(ref.id));
+      }
+    });
+
+    const includes = {};
+    const users = [...userIds]
+      .filter(id => this.users[id])
+      .map(id => this._formatUser(this.users[id], query['user.fields']));
+    const referenced = [...tweetIds]
+      .filter(id => this.tweets[id])
+      .map(id => this._formatTweet(this.tweets[id], query['tweet.fields']));
+
+    if (users.length > 0) includes.users = users;
+    if (referenced.length > 0) includes.tweets = referenced;
+
+    return Object.keys(includes).length > 0 ? includes : null;
+  }
+
+  /**
+   * Return id and text plus any requested tweet.fields
+   * @private
+   */
+  _formatTweet(tweet, fields) {
+    const formatted = { id: tweet.id, text: tweet.text };
+
+    this._parseList(fields).forEach(field => {
+      if (field === 'public_metrics') {
+        formatted.public_metrics = this._publicMetrics(tweet);
+      } else if (tweet[field] !== undefined) {
+        formatted[field] = tweet[field];
+      }
+    });
+
+    return formatted;
+  }
+
+  /**
+   * Counts derived from what has happened in the simulator; there are no retweets or impressions
+   * @private
+   */
+  _publicMetrics(tweet) {
+    const references = type => Object.values(this.tweets)
+      .filter(other => (other.referenced_tweets || []).some(ref => ref.type === type && ref.id === tweet.id))
+      .length;
+
+    return {
+      retweet_count: 0,
+      reply_count: references('replied_to'),
+      like_count: this.likes.filter(like => like.tweetId === tweet.id).length,
+      quote_count: references('quoted'),
+      impression_count: 0
+    };
+  }
+
+  /**
+   * Return id, name and username plus any requested user.fields
+   * @private
+   */
+  _formatUser(user, fields) {
+    const formatted = { id: user.id, name: user.name, username: user.username };
+
+    this._parseList(fields).forEach(field => {
+      if (user[field] !== undefined) {
+        formatted[field] = user[field];
+      }
+    });
+
+    return formatted;
+  }
+
+  /**
+   * Deliver a new tweet to every open stream whose rules match it
+   * @private
+   */
+  _pushToStreams(tweet) {
+    if (this.streams.size === 0) return;
+
+    const text = tweet.text.toLowerCase();
+    const matchingRules = this.streamRules
+      .filter(rule => text.includes(rule.value.toLowerCase()))
+      .map(rule => ({ id: rule.id, tag: rule.tag }));
+
+    if (matchingRules.length === 0) return;
+
+    for (const { res, query } of this.streams) {
+      const payload = {
+        data: this._formatTweet(tweet, query['tweet.fields']),
+        matching_rules: matchingRules
+      };
+      const includes = this._buildIncludes([tweet], query);
+      if (includes) payload.includes = includes;
+
+      res.write(JSON.stringify(payload) + '\r\n');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _closeStreams() {
+    for (const { res } of this.streams) {
+      res.end();
+    }
+    this.streams.clear();
+  }
+
+  /**
+   * Twitter accepts list parameters either comma separated or repeated
+   * @private
+   */
+  _parseList(value) {
+    if (!value) return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values.flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * Compare two snowflake IDs numerically
+   * @private
+   */
+  _compareIds(a, b) {
+    const diff = BigInt(a) - BigInt(b);
+    return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+  }
+
+  /**
+   * @private
+   */
+  _generateId() {
+    this.nextId += 1n;
+    return this.nextId.toString();
+  }
+}
+
+// Allow running the simulator standalone: node src/twitter/twitter-simulator.js
+if (require.main === module) {
+  const simulator = new TwitterSimulator();
+  simulator.start().then(() => {
+    console.log(`Set TWITTER_API_BASE_URL=${simulator.baseUrl} to use it`);
+  });
+
+  process.on('SIGINT', async () => {
+    await simulator.stop();
+    process.exit(0);
+  });
+}
+
+module.exports = TwitterSimulator;
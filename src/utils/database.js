@@ -15,7 +15,10 @@ const COLLECTIONS = {
   MEMORIES: 'agent-memories',
   TWEETS: 'agent-tweets',
   TOKENS: 'agent-tokens',
-  EVENTS: 'agent-events'
+  EVENTS: 'agent-events',
+  MEMORY_AUDITS: 'agent-memory-audits',
+  TWEET_METRICS: 'agent-tweet-metrics',
+  STATE: 'agent-state'
 };
 
 // Singleton client instance
@@ -43,6 +46,12 @@ async function connectToDatabase() {
     await db.collection(COLLECTIONS.MEMORIES).createIndex({ agentId: 1 });
     await db.collection(COLLECTIONS.TWEETS).createIndex({ agentId: 1, timestamp: -1 });
     await db.collection(COLLECTIONS.TOKENS).createIndex({ agentId: 1 }, { unique: true });
+    await db.collection(COLLECTIONS.MEMORY_AUDITS).createIndex({ agentId: 1, startedAt: -1 });
+    await db.collection(COLLECTIONS.TWEET_METRICS).createIndex({ agentId: 1, tweetId: 1, takenAt: 1 });
+    await db.collection(COLLECTIONS.EVENTS).createIndex({ id: 1 }, { unique: true });
+    await db.collection(COLLECTIONS.STATE).createIndex({ namespace: 1, key: 1 }, { unique: true });
+    // MongoDB drops state entries once expiresAt has passed
+    await db.collection(COLLECTIONS.STATE).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
     
     return { client, db };
   } catch (error) {
@@ -0,0 +1,287 @@
+/**
+ * JSON Schema validator for Puppet Engine
+ * Covers the subset of JSON Schema used by the API route definitions and agent configs:
+ * type, enum, const, properties, required, additionalProperties, minProperties, items,
+ * minItems, maxItems, uniqueItems, minimum, maximum, minLength, maxLength, pattern,
+ * format (date-time, uri), anyOf, oneOf and local $ref ('#/...'), plus default through applyDefaults
+ */
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - The schema to check against
+ * @param {*} value - The value to check
+ * @param {Object} options - { root: document that $refs resolve against (defaults to the schema), path: prefix for error paths }
+ * @returns {Array<{path: string, message: string}>} - Empty when the value is valid
+ */
+function validate(schema, value, options = {}) {
+  const errors = [];
+  check(schema, value, options.path || '', options.root || schema, errors);
+  return errors;
+}
+
+/**
+ * Fill in schema defaults for missing values, recursing into objects and array items
+ * A missing object whose schema has a default of {} is created and filled in turn
+ * @param {Object} schema - The schema whose defaults to apply
+ * @param {*} value - The value to fill; it is not modified
+ * @param {Object} root - Document that $refs resolve against (defaults to the schema)
+ * @returns {*} - A copy of the value with defaults applied
+ */
+function applyDefaults(schema, value, root = schema) {
+  if (!schema || schema === true) {
+    return value;
+  }
+  if (schema.$ref) {
+    return applyDefaults(resolveRef(schema.$ref, root), value, root);
+  }
+
+  let result = value === undefined && schema.default !== undefined
+    ? JSON.parse(JSON.stringify(schema.default))
+    : value;
+
+  if (typeOf(result) === 'object' && schema.properties) {
+    result = { ...result };
+    for (const [name, propertySchema] of Object.entries(schema.properties)) {
+      const filled = applyDefaults(propertySchema, result[name], root);
+      if (filled !== undefined) {
+        result[name] = filled;
+      }
+    }
+  } else if (Array.isArray(result) && schema.items) {
+    result = result.map(item => applyDefaults(schema.items, item, root));
+  }
+
+  return result;
+}
+
+/**
+ * Convert query-string values to the types their schemas declare, e.g. '20' to 20 for an integer
+ * Values that can't be converted are left as strings so validation reports them
+ * @param {Object} schema - An object schema with properties
+ * @param {Object} query - The parsed query string
+ */
+function coerceQuery(schema, query = {}) {
+  const properties = (schema && schema.properties) || {};
+  const coerced = { ...query };
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    const raw = coerced[name];
+    if (typeof raw !== 'string') {
+      continue;
+    }
+
+    const types = [].concat(propertySchema.type || []);
+    if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && !isNaN(Number(raw))) {
+      coerced[name] = Number(raw);
+    } else if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+      coerced[name] = raw === 'true';
+    } else if (types.includes('array')) {
+      coerced[name] = raw.split(',').map(item => item.trim()).filter(Boolean);
+    }
+  }
+
+  return coerced;
+}
+
+/**
+ * Join an error path and a property name
+ */
+function joinPath(base, key) {
+  if (typeof key === 'number') {
+    return `${base}[${key}]`;
+  }
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * JSON type name of a value, telling integers and null apart
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * Resolve a local reference such as '#/definitions/mood'
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local schema references are supported: ${ref}`);
+  }
+
+  const target = ref.slice(2).split('/').reduce((node, segment) =>
+    node && node[segment.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+  if (!target) {
+    throw new Error(`Unresolvable schema reference: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * The known name a mistyped one was most likely meant to be, if any is close enough
+ */
+function closestName(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= Math.max(2, Math.floor(name.length / 4)) ? best : null;
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function check(schema, value, path, root, errors) {
+  if (!schema || schema === true) {
+    return;
+  }
+  if (schema.$ref) {
+    check(resolveRef(schema.$ref, root), value, path, root, errors);
+    return;
+  }
+
+  const where = path || 'value';
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    const matches = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+    if (!matches) {
+      errors.push({ path: where, message: `must be ${types.join(' or ')}, got ${actual}` });
+      return; // Further checks would only repeat the type mismatch
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push({ path: where, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path: where, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: where, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: where, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: where, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: where, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: where, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+      errors.push({ path: where, message: 'must be an ISO 8601 date-time' });
+    }
+    if (schema.format === 'uri' && !/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+      errors.push({ path: where, message: 'must be a URI' });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: where, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: where, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push({ path: where, message: 'must not contain duplicates' });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, joinPath(path, index), root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const keys = Object.keys(value);
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: joinPath(path, name), message: 'is required' });
+      }
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push({ path: where, message: `must have at least ${schema.minProperties} field(s)` });
+    }
+
+    for (const key of keys) {
+      if (value[key] === undefined) {
+        continue;
+      }
+      if (properties[key]) {
+        check(properties[key], value[key], joinPath(path, key), root, errors);
+      } else if (schema.additionalProperties === false) {
+        const suggestion = closestName(key, Object.keys(properties));
+        errors.push({
+          path: joinPath(path, key),
+          message: `is not a recognised field${suggestion ? ` (did you mean ${suggestion}?)` : ''}`
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, value[key], joinPath(path, key), root, errors);
+      }
+    }
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const results = options.map(option => validate(option, value, { root, path }));
+    const passing = results.filter(result => result.length === 0).length;
+
+    if (passing === 0) {
+      // Report the closest option rather than every branch
+      const closest = results.reduce((best, result) => result.length < best.length ? result : best);
+      errors.push(...closest);
+    } else if (schema.oneOf && passing > 1) {
+      errors.push({ path: where, message: 'matches more than one allowed shape' });
+    }
+  }
+}
+
+module.exports = {
+  validate,
+  applyDefaults,
+  coerceQuery
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigHistory = require('../../src/agents/config-history');
+
+const CONFIG = {
+  id: 'pumpcantfun',
+  name: 'PumpCantFun',
+  twitter_credentials: {
+    apiKey: 'key',
+    apiKeySecret: 'key-secret',
+    accessToken: 'token',
+    accessTokenSecret: 'token-secret'
+  }
+};
+
+describe('ConfigHistory', () => {
+  let tempDir;
+  let history;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-history-'));
+    history = new ConfigHistory({ directory: tempDir, maxVersions: 2 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('never keeps Twitter credentials, in memory or on disk', () => {
+    const { entry } = history.record('pumpcantfun', CONFIG);
+
+    expect(entry.config).toEqual({ id: 'pumpcantfun', name: 'PumpCantFun' });
+    expect(CONFIG.twitter_credentials).toBeDefined();
+    expect(fs.readFileSync(path.join(tempDir, 'pumpcantfun.json'), 'utf8')).not.toContain('secret');
+  });
+
+  test('does not add a version when only the credentials change', () => {
+    history.record('pumpcantfun', CONFIG);
+    const { changed } = history.record('pumpcantfun', { ...CONFIG, twitter_credentials: { apiKey: 'rotated' } });
+
+    expect(changed).toBe(false);
+  });
+
+  test('keeps the last maxVersions versions', () => {
+    ['one', 'two', 'three'].forEach(name => history.record('pumpcantfun', { ...CONFIG, name }));
+
+    expect(history.list('pumpcantfun').map(entry => entry.version)).toEqual([2, 3]);
+    expect(() => history.get('pumpcantfun', 1)).toThrow('Config version 1 not found');
+  });
+
+  test('drops credentials from histories written by earlier versions', () => {
+    const filePath = path.join(tempDir, 'pumpcantfun.json');
+    fs.writeFileSync(filePath, JSON.stringify([{ version: 1, hash: 'old', config: CONFIG }]));
+
+    expect(history.get('pumpcantfun', 1).config).toEqual({ id: 'pumpcantfun', name: 'PumpCantFun' });
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain('secret');
+  });
+});
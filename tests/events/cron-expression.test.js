@@ -0,0 +1,58 @@
+const { parseCron, isValidCron, nextCronTime } = require('../../src/events/cron-expression');
+
+// Local times, like the scheduler
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('parseCron', () => {
+  test('expands ranges, lists and steps', () => {
+    const schedule = parseCron('*/15 9-11,20 * * 1-5');
+
+    expect([...schedule.minute]).toEqual([0, 15, 30, 45]);
+    expect([...schedule.hour]).toEqual([9, 10, 11, 20]);
+    expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect(schedule.dayOfMonthRestricted).toBe(false);
+    expect(schedule.dayOfWeekRestricted).toBe(true);
+  });
+
+  test('treats 7 as Sunday', () => {
+    expect(parseCron('0 0 * * 7').dayOfWeek.has(0)).toBe(true);
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseCron('0 4 * *')).toThrow('expected 5 fields, got 4');
+    expect(() => parseCron('60 * * * *')).toThrow("Invalid minute field '60'");
+    expect(() => parseCron('* * * * 1-x')).toThrow('Invalid dayOfWeek field');
+    expect(() => parseCron('*/0 * * * *')).toThrow('Invalid minute field');
+    expect(isValidCron('0 4 * * *')).toBe(true);
+    expect(isValidCron('5-1 * * * *')).toBe(false);
+  });
+});
+
+describe('nextCronTime', () => {
+  test('finds the next run strictly after the given time', () => {
+    expect(nextCronTime('0 4 * * *', at(2026, 3, 10, 3, 59))).toEqual(at(2026, 3, 10, 4, 0));
+    expect(nextCronTime('0 4 * * *', at(2026, 3, 10, 4, 0))).toEqual(at(2026, 3, 11, 4, 0));
+  });
+
+  test('steps within the hour', () => {
+    expect(nextCronTime('*/15 * * * *', at(2026, 3, 10, 12, 16))).toEqual(at(2026, 3, 10, 12, 30));
+  });
+
+  test('rolls over months and years', () => {
+    expect(nextCronTime('30 8 1 * *', at(2026, 12, 15))).toEqual(at(2027, 1, 1, 8, 30));
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // The 13th of the month or any Friday; 2026-03-06 is a Friday
+    expect(nextCronTime('0 12 13 * 5', at(2026, 3, 1))).toEqual(at(2026, 3, 6, 12, 0));
+    expect(nextCronTime('0 12 13 * 5', at(2026, 3, 12, 13, 0))).toEqual(at(2026, 3, 13, 12, 0));
+  });
+
+  test('finds leap days', () => {
+    expect(nextCronTime('0 0 29 2 *', at(2026, 1, 1))).toEqual(at(2028, 2, 29));
+  });
+
+  test('gives up on expressions that never match', () => {
+    expect(() => nextCronTime('0 0 31 2 *', at(2026, 1, 1))).toThrow('Cron expression never matches');
+  });
+});
@@ -0,0 +1,126 @@
+const CircuitBreaker = require('../../src/llm/circuit-breaker');
+const FallbackProvider = require('../../src/llm/fallback-provider');
+const FakeProvider = require('../../src/llm/fake-provider');
+const OllamaProvider = require('../../src/llm/ollama-provider');
+
+describe('CircuitBreaker', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  function openBreaker() {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 2, cooldownMs: 1000 });
+    breaker.recordFailure(new Error('down'));
+    breaker.recordFailure(new Error('down'));
+    return breaker;
+  }
+
+  test('opens after the failure threshold', () => {
+    const breaker = openBreaker();
+
+    expect(breaker.state).toBe(CircuitBreaker.STATES.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('admits a single trial request once the cool-off has passed', () => {
+    const breaker = openBreaker();
+    breaker.openedAt -= 1000;
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe(CircuitBreaker.STATES.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('closes when the trial succeeds', () => {
+    const breaker = openBreaker();
+    breaker.openedAt -= 1000;
+    breaker.canRequest();
+
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe(CircuitBreaker.STATES.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('re-opens when the trial fails', () => {
+    const breaker = openBreaker();
+    breaker.openedAt -= 1000;
+    breaker.canRequest();
+
+    breaker.recordFailure(new Error('still down'));
+
+    expect(breaker.state).toBe(CircuitBreaker.STATES.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+  });
+});
+
+describe('FallbackProvider breakers', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps separate breakers for the same provider on different models or endpoints', () => {
+    const breakers = {};
+    new FallbackProvider({ providers: [new FakeProvider({ model: 'a' })], breakers });
+    new FallbackProvider({ providers: [new FakeProvider({ model: 'b' })], breakers });
+    new FallbackProvider({ providers: [new FakeProvider({ model: 'a' })], breakers });
+    new FallbackProvider({ providers: [new OllamaProvider({ model: 'a', baseUrl: 'http://gpu-1:11434' })], breakers });
+    new FallbackProvider({ providers: [new OllamaProvider({ model: 'a', baseUrl: 'http://gpu-2:11434' })], breakers });
+
+    expect(Object.keys(breakers).sort()).toEqual([
+      'fake:a@default#3/300000',
+      'fake:b@default#3/300000',
+      'ollama:a@http://gpu-1:11434#3/300000',
+      'ollama:a@http://gpu-2:11434#3/300000'
+    ]);
+  });
+
+  test('gives chains with other breaker settings breakers of their own', () => {
+    const breakers = {};
+    const provider = new FakeProvider({ model: 'a' });
+    const strict = new FallbackProvider({ providers: [provider], breakers, failureThreshold: 1, cooldownMs: 1000 });
+    const lenient = new FallbackProvider({ providers: [provider], breakers, failureThreshold: 10 });
+    const shared = new FallbackProvider({ providers: [provider], breakers, failureThreshold: 1, cooldownMs: 1000 });
+
+    expect(strict.getBreaker(provider).failureThreshold).toBe(1);
+    expect(strict.getBreaker(provider).cooldownMs).toBe(1000);
+    expect(lenient.getBreaker(provider).failureThreshold).toBe(10);
+    expect(lenient.getBreaker(provider).cooldownMs).toBe(CircuitBreaker.DEFAULTS.cooldownMs);
+    expect(shared.getBreaker(provider)).toBe(strict.getBreaker(provider));
+  });
+
+  test('sends only one trial request to a half-open provider under concurrency', async () => {
+    const failing = new FakeProvider({ name: 'failing' });
+    const backup = new FakeProvider({ name: 'backup', tweets: ['from backup'] });
+    const chain = new FallbackProvider({ providers: [failing, backup], failureThreshold: 1, cooldownMs: 1000 });
+
+    failing.addResponse(new Error('down'));
+    await chain.complete([]);
+    chain.getBreaker(failing).openedAt -= 1000;
+
+    let release;
+    failing.complete = jest.fn(() => new Promise(resolve => { release = resolve; }));
+
+    const trial = chain.complete([]);
+    const others = await Promise.all([chain.complete([]), chain.complete([])]);
+
+    expect(failing.complete).toHaveBeenCalledTimes(1);
+    expect(others).toEqual(['from backup', 'from backup']);
+
+    release('recovered');
+    await expect(trial).resolves.toBe('recovered');
+    expect(chain.getBreaker(failing).state).toBe(CircuitBreaker.STATES.CLOSED);
+  });
+});
@@ -0,0 +1,89 @@
+const FakeProvider = require('../../src/llm/fake-provider');
+const GrokProvider = require('../../src/llm/grok-provider');
+const { createProvider, hasProvider } = require('../../src/llm/provider-registry');
+
+const agent = {
+  id: 'pumpcantfun',
+  name: 'PumpCantFun',
+  customSystemPrompt: 'you are a suspended account. be bitter.'
+};
+
+describe('FakeProvider', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is registered under "fake"', () => {
+    expect(hasProvider('fake')).toBe(true);
+    expect(createProvider('fake')).toBeInstanceOf(FakeProvider);
+  });
+
+  test('returns scripted responses in order before the canned ones', async () => {
+    const provider = new FakeProvider({ responses: ['first', 'second'], tweets: ['canned'] });
+
+    await expect(provider.complete([])).resolves.toBe('first');
+    await expect(provider.complete([])).resolves.toBe('second');
+    await expect(provider.complete([])).resolves.toBe('canned');
+    expect(provider.calls).toHaveLength(3);
+  });
+
+  test('throws scripted errors', async () => {
+    const provider = new FakeProvider();
+    provider.addResponse(new Error('provider down'));
+
+    await expect(provider.complete([])).rejects.toThrow('provider down');
+  });
+
+  test('cycles through canned tweets deterministically', async () => {
+    const provider = new FakeProvider({ tweets: ['a', 'b'] });
+
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push(await provider.complete([], { task: 'tweet' }));
+    }
+    expect(results).toEqual(['a', 'b', 'a']);
+  });
+
+  test('produces reactions the base provider can parse', async () => {
+    const provider = new FakeProvider({ replies: ['cant talk. suspended.'] });
+
+    const reaction = await provider.generateReaction(agent, { content: 'gm', authorId: '42' });
+
+    expect(reaction).toEqual({
+      reaction: 'mildly annoyed',
+      action: 'reply',
+      content: 'cant talk. suspended.',
+      reasoning: 'they mentioned me'
+    });
+  });
+
+  test('produces triage labels the base provider can parse', async () => {
+    const provider = new FakeProvider();
+
+    const result = await provider.classifyMention(agent, { content: 'lol gm' }, ['banter', 'question']);
+
+    expect(result).toEqual({ intent: 'banter', confidence: 0.6, reason: 'sounds friendly enough' });
+  });
+
+  test('passes an explicit temperature of 0 through to the backend', async () => {
+    const provider = new FakeProvider({ temperature: 0 });
+
+    await provider.generateContent(agent, { instruction: 'say something', temperature: 0 });
+
+    expect(provider.temperature).toBe(0);
+    expect(provider.calls[0].options.temperature).toBe(0);
+  });
+});
+
+describe('GrokProvider', () => {
+  test('uses base_url from llm_options for the chat completions endpoint', () => {
+    const provider = new GrokProvider({ apiKey: 'test', baseUrl: 'http://localhost:8000/v1/' });
+
+    expect(provider.apiEndpoint).toBe('http://localhost:8000/v1/chat/completions');
+  });
+});
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApprovalQueue = require('../../src/moderation/approval-queue');
+
+describe('ApprovalQueue', () => {
+  let tempDir;
+  let queue;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'approval-queue-'));
+    queue = new ApprovalQueue({ filePath: path.join(tempDir, 'approval_queue.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('mentionsToken', () => {
+    test('matches token symbols case-insensitively', () => {
+      expect(queue.mentionsToken('buy $cant', ['$CANT'])).toBe(true);
+      expect(queue.mentionsToken('still suspended', ['$CANT'])).toBe(false);
+    });
+
+    test('matches addresses the content guard would flag, including padded look-alikes', () => {
+      expect(queue.mentionsToken('ca: Ek2mR7wYpLzN4cJ8sDfE5uGjKnTq1o9aQx3hVt6ipump')).toBe(true);
+      expect(queue.mentionsToken('ca: Ek2mR7wYpLzN4cJ8sDfE5uGjKnTq1o9aQx3hVt6ipump_')).toBe(true);
+      expect(queue.mentionsToken('ca:Ek2mR7wYpLzN4cJ8sDfE5uGjKnTq1o9aQx3hVt6ipumP0')).toBe(true);
+    });
+
+    test('ignores long lowercase words', () => {
+      expect(queue.mentionsToken('#suspendedforeverandevernevercomingback')).toBe(false);
+    });
+
+    test('has no symbols of its own', () => {
+      expect(queue.mentionsToken('buy $cant')).toBe(false);
+    });
+  });
+
+  describe('getApprovalReasons', () => {
+    const policy = { require: ['token_mentions'] };
+
+    test("queues drafts naming the agent's own token symbol", () => {
+      const draft = { content: 'wen $BONK', task: 'post', confidence: 1 };
+
+      expect(queue.getApprovalReasons(policy, draft, { symbol: '$BONK' })).toEqual(['token_mentions']);
+      expect(queue.getApprovalReasons(policy, draft, { symbol: '$CANT' })).toEqual([]);
+    });
+
+    test('adds the extra token symbols from the approval policy', () => {
+      const draft = { content: 'the $PUMP ticker', task: 'post', confidence: 1 };
+
+      expect(queue.getApprovalReasons({ ...policy, tokenSymbols: ['$PUMP'] }, draft, { symbol: '$CANT' }))
+        .toEqual(['token_mentions']);
+    });
+  });
+});
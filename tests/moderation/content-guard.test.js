@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContentGuard = require('../../src/moderation/content-guard');
+
+const CA = 'Ek2mR7wYpLzN4cJ8sDfE5uGjKnTq1o9aQx3hVt6ipump';
+
+describe('ContentGuard', () => {
+  let tempDir;
+  let guard;
+  let policy;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-guard-'));
+    guard = new ContentGuard({ logPath: path.join(tempDir, 'blocks.jsonl') });
+    policy = ContentGuard.policyFromConfig({ symbol: '$CANT', contract_address: CA });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('official contract address', () => {
+    test('is stripped when nobody asked for it', () => {
+      const { violations, cleanContent } = guard.inspect(`still suspended. CA: ${CA}`, policy);
+
+      expect(violations).toEqual([{ type: 'contract_address', value: CA }]);
+      expect(cleanContent).toBe('still suspended.');
+    });
+
+    test('is allowed in a reply to someone asking for the CA', () => {
+      const { violations } = guard.inspect(`fine. ${CA}`, policy, { triggerText: 'ser whats the ca' });
+
+      expect(violations).toEqual([]);
+    });
+
+    test('passes the hard check', () => {
+      expect(guard.inspect(`CA: ${CA}`, policy, { hardOnly: true }).violations).toEqual([]);
+    });
+  });
+
+  describe('look-alike addresses', () => {
+    const lookAlikes = {
+      'with l swapped in for 1': CA.replace('1', 'l'),
+      'with 0 swapped in for o': CA.replace('o', '0'),
+      'with O swapped in for o': CA.replace('o', 'O'),
+      'with I swapped in for i': CA.replace('ipump', 'Ipump'),
+      'with Cyrillic letters swapped in': CA.replace('pump', 'рumр'),
+      'with a trailing l': `${CA}l`,
+      'ending pump_': `${CA}_`,
+      'ending pumP0': `${CA.slice(0, -1)}P0`,
+      'next to a word character': `x${CA}`,
+      'cut short': CA.slice(0, 36)
+    };
+
+    test.each(Object.entries(lookAlikes))('is flagged %s, even when the CA was asked for', (name, address) => {
+      const { violations, cleanContent } = guard.inspect(`here: ${address}`, policy, {
+        triggerText: 'drop the ca',
+        hardOnly: true
+      });
+
+      expect(violations).toEqual([{ type: 'lookalike_address', value: address }]);
+      expect(cleanContent).toBe('here:');
+    });
+  });
+
+  describe('split copies of the official CA', () => {
+    const splits = {
+      'a zero-width space': `${CA.slice(0, 20)}\u200B${CA.slice(20)}`,
+      'hyphens': CA.match(/.{1,4}/g).join('-'),
+      'a space': `${CA.slice(0, 22)} ${CA.slice(22)}`,
+      'dots between every character': [...CA].join('.')
+    };
+
+    test.each(Object.entries(splits))('is stripped when split by %s', (name, split) => {
+      const { violations, cleanContent } = guard.inspect(`here: ${split}`, policy);
+
+      expect(violations).toEqual([{ type: 'contract_address', value: split }]);
+      expect(cleanContent).toBe('here:');
+    });
+
+    test('is flagged as a look-alike when split and homoglyphed, even when the CA was asked for', () => {
+      const split = CA.replace('o', '0').match(/.{1,11}/g).join(' ');
+
+      const { violations } = guard.inspect(`ca: ${split}`, policy, { triggerText: 'ca?', hardOnly: true });
+
+      expect(violations).toEqual([{ type: 'lookalike_address', value: split }]);
+    });
+
+    test('leaves ordinary sentences alone', () => {
+      const text = 'Still Suspended And Still Posting Through It All, Every Single Day Of The Week';
+
+      expect(guard.inspect(text, policy, { hardOnly: true }).violations).toEqual([]);
+    });
+  });
+
+  test('catches other addresses with zero-width characters inside', () => {
+    const other = '9xQeWvG816bUx9EP\u200DjHmaT23yvVM2ZWbrrpZb9PusVFin';
+
+    expect(guard.inspect(`buy ${other}`, policy, { hardOnly: true }).violations)
+      .toEqual([{ type: 'unknown_address', value: other }]);
+  });
+
+  test('flags addresses that are not the official CA', () => {
+    const other = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+
+    const { violations } = guard.inspect(`buy ${other}`, policy, { hardOnly: true });
+
+    expect(violations).toEqual([{ type: 'unknown_address', value: other }]);
+  });
+
+  test('leaves long lowercase words and hashtags alone', () => {
+    const text = '#suspendedforeverandevernevercomingback';
+
+    expect(guard.inspect(text, policy, { hardOnly: true }).violations).toEqual([]);
+  });
+
+  test('strips tickers unless the mention asked about the token', () => {
+    expect(guard.inspect('$CANT to the moon', policy).violations).toEqual([{ type: 'ticker', value: '$CANT' }]);
+    expect(guard.inspect('$CANT to the moon', policy, { triggerText: 'what token?' }).violations).toEqual([]);
+  });
+
+  test('keeps logged blocks across restarts', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    guard.logBlock({ agentId: 'pumpcantfun', action: 'stripped', violations: [{ type: 'ticker', value: '$CANT' }] });
+    console.warn.mockRestore();
+
+    const reloaded = new ContentGuard({ logPath: guard.logPath });
+
+    expect(reloaded.getRecentBlocks()).toHaveLength(1);
+    expect(reloaded.getRecentBlocks()[0].agentId).toBe('pumpcantfun');
+  });
+
+  test('normalises homoglyphs and separators to the address they imitate', () => {
+    const official = ContentGuard.normalizeAddress(CA);
+
+    expect(ContentGuard.normalizeAddress(CA.replace('1', 'l').replace('o', '0'))).toBe(official);
+    expect(ContentGuard.normalizeAddress(`${CA}_`)).toBe(official);
+  });
+
+  test('finds address-like runs for other modules', () => {
+    expect(ContentGuard.findAddresses(`ca ${CA}_ and more`)).toEqual([`${CA}_`]);
+    expect(ContentGuard.findAddresses('nothing here')).toEqual([]);
+  });
+});
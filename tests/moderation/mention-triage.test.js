@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MentionTriage = require('../../src/moderation/mention-triage');
+const ContentGuard = require('../../src/moderation/content-guard');
+const FakeProvider = require('../../src/llm/fake-provider');
+
+const UNSURE = 'been thinking about the weather in spring this year honestly';
+
+describe('MentionTriage', () => {
+  let tempDir;
+  let triage;
+  let agent;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mention-triage-'));
+    triage = new MentionTriage({ logPath: path.join(tempDir, 'triage.jsonl') });
+    agent = {
+      id: 'pumpcantfun',
+      customSystemPrompt: 'you are a suspended account. be bitter.',
+      tokenPolicy: ContentGuard.policyFromConfig({ symbol: '$CANT' }),
+      triagePolicy: MentionTriage.policyFromConfig()
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function mention(content, id = '1') {
+    return { id, content, authorId: '42', authorUsername: 'someone' };
+  }
+
+  describe('classify', () => {
+    const cases = {
+      ca_request: '@pumpcantfun ser whats the ca',
+      token_question: '@pumpcantfun when does $CANT launch?',
+      hostile: '@pumpcantfun you absolute clown',
+      scam_bait: '@pumpcantfun claim your free tokens now',
+      spam: '@pumpcantfun check out my pinned',
+      tag_storm: '@a @b @c @d @pumpcantfun look',
+      banter: '@pumpcantfun gm ser',
+      other: `@pumpcantfun ${UNSURE}`
+    };
+
+    test.each(Object.entries(cases))('labels %s', (intent, content) => {
+      const label = triage.classify(mention(content), agent.triagePolicy, { tokenPolicy: agent.tokenPolicy });
+
+      expect(label.intent).toBe(intent);
+    });
+
+    test('lets the first rule win but keeps every match for the audit', () => {
+      const label = triage.classify(mention('free airdrop for holders https://x.co/claim'), agent.triagePolicy);
+
+      expect(label).toEqual({ intent: 'scam_bait', confidence: 0.9, matched: ['scam_bait', 'spam', 'token_question'] });
+    });
+
+    test('counts a handful of cashtags as a tag storm', () => {
+      const label = triage.classify(mention('$SOL $BONK $WIF to the moon'), agent.triagePolicy);
+
+      expect(label.intent).toBe('tag_storm');
+    });
+  });
+
+  describe('triage', () => {
+    test('takes the action from the policy and logs the decision', async () => {
+      const decision = await triage.triage(agent, mention('@pumpcantfun you absolute clown'));
+
+      expect(decision).toMatchObject({
+        agentId: 'pumpcantfun',
+        tweetId: '1',
+        authorUsername: 'someone',
+        intent: 'hostile',
+        source: 'rules',
+        action: 'ignore',
+        template: null
+      });
+      expect(triage.getRecentDecisions()).toEqual([decision]);
+    });
+
+    test('answers with one of the intent\'s templates', async () => {
+      agent.triagePolicy = MentionTriage.policyFromConfig({
+        actions: { banter: 'template' },
+        templates: { banter: ['gm. still suspended.'] }
+      });
+
+      const decision = await triage.triage(agent, mention('gm'));
+
+      expect(decision).toMatchObject({ intent: 'banter', action: 'template', template: 'gm. still suspended.' });
+    });
+
+    test('writes a reply when a template action has no templates', async () => {
+      agent.triagePolicy = MentionTriage.policyFromConfig({ actions: { banter: 'template' } });
+
+      const decision = await triage.triage(agent, mention('gm'));
+
+      expect(decision).toMatchObject({ action: 'reply', template: null });
+    });
+
+    test('asks the LLM when the rules are unsure', async () => {
+      agent.triagePolicy = MentionTriage.policyFromConfig({ use_llm: true });
+      const provider = new FakeProvider({ responses: ['INTENT: hostile\nCONFIDENCE: 0.8\nREASON: veiled insult'] });
+
+      const decision = await triage.triage(agent, mention(UNSURE), { llmProvider: provider });
+
+      expect(provider.calls).toHaveLength(1);
+      expect(decision).toMatchObject({
+        intent: 'hostile',
+        confidence: 0.8,
+        source: 'llm',
+        reason: 'veiled insult',
+        action: 'ignore'
+      });
+    });
+
+    test('keeps confident rule labels without asking the LLM', async () => {
+      agent.triagePolicy = MentionTriage.policyFromConfig({ use_llm: true });
+      const provider = new FakeProvider();
+
+      const decision = await triage.triage(agent, mention('claim your free airdrop'), { llmProvider: provider });
+
+      expect(provider.calls).toHaveLength(0);
+      expect(decision).toMatchObject({ intent: 'scam_bait', source: 'rules' });
+    });
+
+    test('keeps the rule label when the LLM fails', async () => {
+      agent.triagePolicy = MentionTriage.policyFromConfig({ use_llm: true });
+      const provider = new FakeProvider({ responses: [new Error('provider down')] });
+
+      const decision = await triage.triage(agent, mention(UNSURE), { llmProvider: provider });
+
+      expect(decision).toMatchObject({ intent: 'other', confidence: 0.3, source: 'rules', action: 'reply' });
+    });
+  });
+
+  test('filters recent decisions and keeps them across restarts', async () => {
+    await triage.triage(agent, mention('gm', '1'));
+    await triage.triage(agent, mention('you absolute clown', '2'));
+
+    const reloaded = new MentionTriage({ logPath: triage.logPath });
+
+    expect(reloaded.getRecentDecisions().map(decision => decision.tweetId)).toEqual(['2', '1']);
+    expect(reloaded.getRecentDecisions({ action: 'ignore' }).map(decision => decision.tweetId)).toEqual(['2']);
+    expect(reloaded.getRecentDecisions({ intent: 'banter', limit: 1 })).toHaveLength(1);
+  });
+});
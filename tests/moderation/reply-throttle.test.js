@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReplyThrottle = require('../../src/moderation/reply-throttle');
+const { createStateStore } = require('../../src/state/state-store-registry');
+
+describe('ReplyThrottle', () => {
+  let tempDir;
+  let store;
+  let throttle;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reply-throttle-'));
+    store = createStateStore('file', { filePath: path.join(tempDir, 'state.json') });
+    throttle = new ReplyThrottle(store);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  let nextId = 1;
+  function mention(overrides = {}) {
+    const id = String(nextId++);
+    return {
+      id,
+      authorId: 'fan',
+      authorUsername: 'regular_fan',
+      conversationId: `conversation-${id}`,
+      content: `@pumpcantfun question number ${id}`,
+      createdAt: new Date(),
+      ...overrides
+    };
+  }
+
+  async function answer(tweet, limits, reply = 'still suspended') {
+    const verdict = await throttle.check('pumpcantfun', tweet, limits);
+    if (verdict.allowed) {
+      await throttle.recordReply('pumpcantfun', tweet, reply);
+    }
+    return verdict;
+  }
+
+  test('allows a first reply', async () => {
+    await expect(throttle.check('pumpcantfun', mention())).resolves.toEqual({
+      allowed: true,
+      reason: null,
+      count: 0,
+      limit: null,
+      automated: false
+    });
+  });
+
+  test('stops replying to one user past the hourly limit', async () => {
+    const limits = { maxRepliesPerUserPerHour: 2 };
+
+    await answer(mention(), limits);
+    await answer(mention(), limits);
+    const verdict = await answer(mention(), limits);
+
+    expect(verdict).toMatchObject({ allowed: false, reason: 'user_hourly_limit', count: 2, limit: 2 });
+    await expect(throttle.check('pumpcantfun', mention({ authorId: 'someone-else' }), limits))
+      .resolves.toMatchObject({ allowed: true });
+  });
+
+  test('stops replying in a conversation past its limit', async () => {
+    const limits = { maxRepliesPerConversation: 2 };
+    const thread = overrides => mention({ conversationId: 'thread', ...overrides });
+
+    await answer(thread({ authorId: 'a' }), limits);
+    await answer(thread({ authorId: 'b' }), limits);
+    const verdict = await answer(thread({ authorId: 'c' }), limits);
+
+    expect(verdict).toMatchObject({ allowed: false, reason: 'conversation_limit', count: 2, limit: 2 });
+  });
+
+  test('caps the depth of an exchange with an automated account', async () => {
+    const limits = { maxBotExchangeDepth: 2 };
+    const bot = overrides => mention({ authorId: 'bot', authorUsername: 'reply_bot', conversationId: 'thread', ...overrides });
+
+    await answer(bot({ content: 'hello fellow agent' }), limits, 'go away');
+    await answer(bot({ content: 'what do you think of the market' }), limits, 'i cant trade');
+    const verdict = await answer(bot({ content: 'tell me more about yourself' }), limits);
+
+    expect(verdict).toMatchObject({ allowed: false, reason: 'bot_exchange_depth', count: 2, limit: 2, automated: true });
+  });
+
+  test('stops an automated account that repeats itself', async () => {
+    const bot = content => mention({ authorId: 'bot', author: { username: 'x', description: 'I am an AI agent' }, conversationId: 'thread', content });
+
+    await answer(bot('@pumpcantfun buy my token now, best token'));
+    const verdict = await answer(bot('@pumpcantfun buy my token now! best token!!'));
+
+    expect(verdict).toMatchObject({ allowed: false, reason: 'reply_loop', count: 1, automated: true });
+  });
+
+  test('lets a person repeat themselves', async () => {
+    await answer(mention({ conversationId: 'thread', content: 'are you back yet' }));
+
+    await expect(throttle.check('pumpcantfun', mention({ conversationId: 'thread', content: 'are you back yet' })))
+      .resolves.toMatchObject({ allowed: true, automated: false });
+  });
+
+  test('treats an author who twice answers within seconds as automated', () => {
+    const start = Date.now();
+    const conversation = {
+      replies: 2,
+      repliesTo: { fast: 2 },
+      messages: [
+        { authorId: 'fast', at: start, fromAgent: false },
+        { authorId: 'pumpcantfun', at: start + 60000, fromAgent: true },
+        { authorId: 'fast', at: start + 61000, fromAgent: false },
+        { authorId: 'pumpcantfun', at: start + 120000, fromAgent: true }
+      ]
+    };
+    const tweet = { authorId: 'fast', createdAt: new Date(start + 122000) };
+
+    expect(throttle.isAutomated(tweet, conversation, ReplyThrottle.DEFAULT_LIMITS)).toBe(true);
+    expect(throttle.isAutomated({ ...tweet, createdAt: new Date(start + 600000) }, conversation, ReplyThrottle.DEFAULT_LIMITS)).toBe(false);
+  });
+
+  test('falls back to the default limits for unset interaction patterns', async () => {
+    const limits = { maxRepliesPerUserPerHour: undefined, maxRepliesPerConversation: null };
+
+    for (let i = 0; i < ReplyThrottle.DEFAULT_LIMITS.maxRepliesPerUserPerHour; i++) {
+      await answer(mention(), limits);
+    }
+
+    await expect(throttle.check('pumpcantfun', mention(), limits))
+      .resolves.toMatchObject({ allowed: false, reason: 'user_hourly_limit', limit: 5 });
+  });
+
+  test('keeps counts in the state store across instances', async () => {
+    const limits = { maxRepliesPerUserPerHour: 1 };
+    await answer(mention(), limits);
+
+    const restarted = new ReplyThrottle(createStateStore('file', { filePath: store.filePath }));
+
+    await expect(restarted.check('pumpcantfun', mention(), limits))
+      .resolves.toMatchObject({ allowed: false, reason: 'user_hourly_limit' });
+  });
+});
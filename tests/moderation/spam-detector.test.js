@@ -0,0 +1,141 @@
+const SpamDetector = require('../../src/moderation/spam-detector');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('SpamDetector', () => {
+  let detector;
+  let policy;
+
+  beforeEach(() => {
+    detector = new SpamDetector();
+    policy = SpamDetector.policyFromConfig();
+  });
+
+  function account(overrides = {}) {
+    return {
+      username: 'regular_reader',
+      created_at: new Date(Date.now() - 400 * DAY_MS).toISOString(),
+      description: 'reads the timeline, mostly',
+      profile_image_url: 'https://pbs.twimg.com/profile_images/1/me.jpg',
+      public_metrics: { followers_count: 250, following_count: 300 },
+      ...overrides
+    };
+  }
+
+  function mention(id, content, overrides = {}) {
+    return { id, content, authorId: `author-${id}`, author: account(), ...overrides };
+  }
+
+  describe('account signals', () => {
+    test('flags a fresh account with a generated handle and no profile', () => {
+      const bot = account({
+        username: 'pumpfan83920174',
+        created_at: new Date(Date.now() - 2 * DAY_MS).toISOString(),
+        description: '',
+        profile_image_url: 'https://abs.twimg.com/sticky/default_profile_images/default_profile_normal.png',
+        public_metrics: { followers_count: 1, following_count: 900 }
+      });
+
+      const risk = detector.assess('pumpcantfun', mention('1', 'gm', { author: bot }), policy);
+
+      expect(risk.signals).toEqual([
+        'newAccount',
+        'fewFollowers',
+        'followRatio',
+        'defaultImage',
+        'noDescription',
+        'digitUsername'
+      ]);
+      expect(risk.score).toBe(1);
+      expect(risk.flagged).toBe(true);
+    });
+
+    test('leaves an established account alone', () => {
+      const risk = detector.assess('pumpcantfun', mention('1', 'gm'), policy);
+
+      expect(risk).toEqual({ score: 0, signals: [], flagged: false });
+    });
+
+    test('counts verification against the risk', () => {
+      const signals = detector.scoreAccount(account({
+        created_at: new Date(Date.now() - 10 * DAY_MS).toISOString(),
+        verified: true
+      }));
+
+      expect(signals.map(({ signal }) => signal)).toEqual(['youngAccount', 'verified']);
+      expect(detector.assess('pumpcantfun', mention('1', 'gm', { author: { verified: true } }), policy).score).toBe(0);
+    });
+
+    test('scores nothing when the author was not expanded', () => {
+      expect(detector.scoreAccount(undefined)).toEqual([]);
+    });
+  });
+
+  describe('content signals', () => {
+    const copy = '@pumpcantfun this is the one, dont miss it';
+
+    test('flags the same text posted again, then a flood of it', () => {
+      const first = detector.assess('pumpcantfun', mention('1', copy), policy);
+      const second = detector.assess('pumpcantfun', mention('2', `@someone ${copy.toUpperCase()}`), policy);
+      const third = detector.assess('pumpcantfun', mention('3', copy), policy);
+
+      expect(first.signals).toEqual([]);
+      expect(second.signals).toEqual(['repeatedText']);
+      expect(third.signals).toEqual(['repeatedTextFlood']);
+    });
+
+    test('lets short texts repeat', () => {
+      detector.assess('pumpcantfun', mention('1', 'gm ser'), policy);
+
+      expect(detector.assess('pumpcantfun', mention('2', 'gm ser'), policy).signals).toEqual([]);
+    });
+
+    test('does not count a mention against itself when it is assessed again', () => {
+      detector.assess('pumpcantfun', mention('1', copy), policy);
+
+      expect(detector.assess('pumpcantfun', mention('1', copy), policy).signals).toEqual([]);
+    });
+
+    test('keeps a window per agent', () => {
+      detector.assess('pumpcantfun', mention('1', copy), policy);
+
+      expect(detector.assess('otheragent', mention('2', copy), policy).signals).toEqual([]);
+    });
+
+    test('forgets mentions older than the window', () => {
+      detector.assess('pumpcantfun', mention('1', copy), policy);
+      detector.recentMentions.pumpcantfun[0].at -= (policy.windowMinutes + 1) * 60 * 1000;
+
+      expect(detector.assess('pumpcantfun', mention('2', copy), policy).signals).toEqual([]);
+    });
+
+    test('flags cashtag floods and multiple links', () => {
+      const risk = detector.assess('pumpcantfun', mention('1', '$SOL $WIF $BONK https://a.example https://b.example'), policy);
+
+      expect(risk.signals).toEqual(['cashtagFlood', 'multipleLinks']);
+      expect(risk.score).toBe(0.5);
+      expect(risk.flagged).toBe(false);
+    });
+
+    test('flags a link domain that several authors are posting', () => {
+      const post = (id, authorId) => mention(id, `look at this ${id} https://t.co/${id}`, {
+        authorId,
+        urls: [`https://www.claim-drop.example/${id}`]
+      });
+
+      expect(detector.assess('pumpcantfun', post('1', 'a'), policy).signals).toEqual([]);
+      expect(detector.assess('pumpcantfun', post('2', 'b'), policy).signals).toEqual([]);
+      expect(detector.assess('pumpcantfun', post('3', 'a'), policy).signals).toEqual([]);
+      expect(detector.assess('pumpcantfun', post('4', 'c'), policy).signals).toEqual(['linkFarm']);
+    });
+  });
+
+  test('reads the threshold and window from the config block', () => {
+    expect(SpamDetector.policyFromConfig({ threshold: 0, ignore_days: 0, window_minutes: 60 })).toEqual({
+      enabled: true,
+      threshold: 0,
+      ignoreDays: 0,
+      windowMinutes: 60
+    });
+  });
+});
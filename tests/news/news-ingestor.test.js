@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NewsIngestor = require('../../src/news/news-ingestor');
+const { parseFeed } = require('../../src/news/feed-parser');
+
+const FIXTURES = path.join(__dirname, '..', '..', 'config', 'news', 'fixtures');
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+const agent = {
+  id: 'pumpcantfun',
+  personality: {
+    interests: ['Being suspended', 'Memecoin FOMO'],
+    values: ['Dark humor']
+  },
+  newsPolicy: {
+    topics: ['pump.fun', 'memecoin launches', 'solana tokens'],
+    minRelevance: 0.5,
+    maxEventsPerPoll: 2
+  }
+};
+
+describe('parseFeed', () => {
+  test('reads RSS items, stripping markup from summaries', () => {
+    const items = parseFeed(fixture('crypto-rss.xml'));
+
+    expect(items).toHaveLength(3);
+    expect(items[0]).toMatchObject({
+      id: 'fixture-rss-1',
+      title: 'Memecoin launchpad volume hits new record as traders pile into Solana tokens',
+      link: 'https://example.com/news/memecoin-volume-record',
+      summary: 'Daily memecoin launches topped 40,000 as Solana launchpads saw record volume.'
+    });
+    expect(items[0].publishedAt.toISOString()).toBe('2026-10-19T08:00:00.000Z');
+    expect(items[2].summary).toBe('The bakery\'s rye loaf impressed the judges.');
+  });
+
+  test('reads Atom entries and their alternate links', () => {
+    const items = parseFeed(fixture('crypto-atom.xml'));
+
+    expect(items.map(item => item.id)).toEqual(['urn:fixture:atom-1', 'urn:fixture:atom-2']);
+    expect(items[0].title).toBe('Pump.fun rival launches "fun-free" token creator');
+    expect(items[0].link).toBe('https://example.com/atom/fun-free-launcher');
+  });
+
+  test('reads JSON Feed items', () => {
+    const items = parseFeed(fixture('crypto.json'));
+
+    expect(items[0]).toMatchObject({
+      id: 'fixture-json-1',
+      title: 'Traders report record FOMO as memecoin season returns',
+      link: 'https://example.com/json/fomo'
+    });
+  });
+});
+
+describe('NewsIngestor', () => {
+  let tempDir;
+  let eventEngine;
+  let ingestor;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-ingestor-'));
+    let nextId = 1;
+    eventEngine = {
+      createEvent: jest.fn((type, data, options) => ({ id: `event-${nextId++}`, type, data, ...options }))
+    };
+    ingestor = new NewsIngestor({
+      feeds: ['crypto-rss.xml', 'crypto-atom.xml', 'crypto.json'].map(name => path.join(FIXTURES, name)),
+      agentManager: { agents: { [agent.id]: agent } },
+      eventEngine,
+      seenPath: path.join(tempDir, 'news_seen.json')
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('scores items by the agent topics and interests', () => {
+    const [memecoins, , bakery] = parseFeed(fixture('crypto-rss.xml'));
+
+    expect(ingestor.scoreRelevance(memecoins, agent)).toEqual({
+      score: 1,
+      matched: ['memecoin launches', 'solana tokens', 'Memecoin FOMO']
+    });
+    expect(ingestor.scoreRelevance(bakery, agent)).toEqual({ score: 0, matched: [] });
+  });
+
+  test('ignores common words when scoring', () => {
+    const item = { title: 'Those who never stop', summary: 'and they never will' };
+
+    expect(ingestor.scoreRelevance(item, { personality: { interests: ['Those who never have fun'] } }).score).toBe(0);
+  });
+
+  test('queues the most relevant fixture items as news events for the agent', async () => {
+    const events = await ingestor.poll();
+
+    expect(events).toHaveLength(2);
+    expect(events.every(event => event.type === 'news' && event.targetAgentIds[0] === agent.id)).toBe(true);
+    // Three items score 1; ties go to the newest, and the cap is two per poll
+    expect(events.map(event => event.data.headline)).toEqual([
+      'Traders report record FOMO as memecoin season returns',
+      'Pump.fun rival launches "fun-free" token creator'
+    ]);
+    expect(ingestor.getRecentItems()).toHaveLength(2);
+  });
+
+  test('skips items it has already seen, across restarts', async () => {
+    await ingestor.poll();
+
+    const restarted = new NewsIngestor({
+      feeds: ingestor.feeds,
+      agentManager: ingestor.agentManager,
+      eventEngine,
+      seenPath: ingestor.seenPath
+    });
+
+    await expect(restarted.poll()).resolves.toEqual([]);
+  });
+
+  test('keeps polling the other feeds when one fails', async () => {
+    ingestor.feeds.unshift({ url: path.join(tempDir, 'missing.xml') });
+
+    const events = await ingestor.poll();
+
+    expect(events).toHaveLength(2);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('missing.xml'), expect.any(String));
+  });
+
+  test('never queues unrelated items', async () => {
+    const uncapped = { ...agent, newsPolicy: { ...agent.newsPolicy, maxEventsPerPoll: 10 } };
+    ingestor.agentManager = { agents: { [agent.id]: uncapped } };
+
+    const events = await ingestor.poll();
+
+    expect(events.map(event => event.data.itemId).sort()).toEqual(['fixture-json-1', 'fixture-rss-1', 'fixture-rss-2', 'urn:fixture:atom-1']);
+  });
+
+  test('does not queue anything for agents with news turned off', async () => {
+    ingestor.agentManager = { agents: { quiet: { ...agent, id: 'quiet', newsPolicy: { enabled: false } } } };
+
+    await expect(ingestor.poll()).resolves.toEqual([]);
+  });
+});
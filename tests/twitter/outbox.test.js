@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Outbox = require('../../src/twitter/outbox');
+
+describe('Outbox', () => {
+  let tempDir;
+  let outbox;
+  let sender;
+
+  const httpError = (code, message = `HTTP ${code}`) => Object.assign(new Error(message), { code });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    outbox = new Outbox({
+      filePath: path.join(tempDir, 'outbox.json'),
+      maxAttempts: 3,
+      baseDelayMs: 1000,
+      maxDelayMs: 3000
+    });
+    sender = jest.fn().mockResolvedValue('tweet-1');
+    outbox.setSender(sender);
+  });
+
+  afterEach(() => {
+    outbox.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('keys replies by agent and mention so a mention is answered once', () => {
+    const first = outbox.enqueue({ agentId: 'agent', task: 'reply', content: 'no', replyToTweetId: '42' });
+    const second = outbox.enqueue({ agentId: 'agent', task: 'reply', content: 'still no', replyToTweetId: '42' });
+
+    expect(first.item.key).toBe('agent:reply:42');
+    expect(second).toEqual({ item: first.item, duplicate: true });
+  });
+
+  test('gives posts without a source tweet unique keys', () => {
+    const first = outbox.enqueue({ agentId: 'agent', task: 'post', content: 'same' });
+    const second = outbox.enqueue({ agentId: 'agent', task: 'post', content: 'same' });
+
+    expect(second.duplicate).toBe(false);
+    expect(second.item.key).not.toBe(first.item.key);
+  });
+
+  test('records the tweet ID once sent', async () => {
+    const { item } = outbox.enqueue({ agentId: 'agent', task: 'post', content: 'gm' });
+
+    await outbox.deliver(item);
+
+    expect(item).toMatchObject({ status: 'sent', tweetId: 'tweet-1', attempts: 1, lastError: null });
+  });
+
+  test('retries retryable failures with exponential backoff', async () => {
+    sender.mockRejectedValue(httpError(503));
+    const { item } = outbox.enqueue({ agentId: 'agent', task: 'post', content: 'gm' });
+
+    let before = Date.now();
+    await outbox.deliver(item);
+    expect(item.status).toBe('pending');
+    expect(Date.parse(item.nextAttemptAt) - before).toBeGreaterThanOrEqual(1000);
+
+    before = Date.now();
+    await outbox.deliver(item);
+    expect(Date.parse(item.nextAttemptAt) - before).toBeGreaterThanOrEqual(2000);
+  });
+
+  test('dead-letters an item after maxAttempts', async () => {
+    sender.mockRejectedValue(httpError(500, 'server error'));
+    const { item } = outbox.enqueue({ agentId: 'agent', task: 'post', content: 'gm' });
+
+    for (let i = 0; i < 3; i++) {
+      await outbox.deliver(item);
+    }
+
+    expect(item).toMatchObject({ status: 'dead', attempts: 3, lastError: 'server error' });
+    expect(outbox.listItems({ status: 'dead' })).toEqual([item]);
+  });
+
+  test('dead-letters non-retryable failures straight away', async () => {
+    sender.mockRejectedValueOnce(httpError(403));
+    const { item: forbidden } = outbox.enqueue({ agentId: 'agent', task: 'post', content: 'a' });
+    await outbox.deliver(forbidden);
+
+    sender.mockRejectedValueOnce(Object.assign(new Error('blocked'), { retryable: false }));
+    const { item: blocked } = outbox.enqueue({ agentId: 'agent', task: 'post', content: 'b' });
+    await outbox.deliver(blocked);
+
+    expect(forbidden.status).toBe('dead');
+    expect(blocked.status).toBe('dead');
+  });
+
+  test('does not count deferred calls as attempts', async () => {
+    const retryAt = Date.now() + 60 * 1000;
+    sender.mockRejectedValueOnce(Object.assign(httpError(429), { deferred: true, retryAt }));
+    const { item } = outbox.enqueue({ agentId: 'agent', task: 'post', content: 'gm' });
+
+    await outbox.deliver(item);
+
+    expect(item).toMatchObject({ status: 'pending', attempts: 0, nextAttemptAt: new Date(retryAt).toISOString() });
+  });
+
+  test('retries dead-lettered items by hand with fresh attempts', async () => {
+    sender.mockRejectedValueOnce(httpError(403));
+    const { item } = outbox.enqueue({ agentId: 'agent', task: 'post', content: 'gm' });
+    await outbox.deliver(item);
+
+    outbox.retry(item.id);
+    expect(item).toMatchObject({ status: 'pending', attempts: 0 });
+    expect(() => outbox.retry(item.id)).toThrow('is already pending');
+
+    await outbox.process();
+    expect(item.status).toBe('sent');
+  });
+
+  test('only sends items that are due', async () => {
+    const { item: due } = outbox.enqueue({ agentId: 'agent', task: 'post', content: 'now' });
+    const { item: later } = outbox.enqueue({ agentId: 'agent', task: 'post', content: 'later' });
+    later.nextAttemptAt = new Date(Date.now() + 60 * 1000).toISOString();
+
+    await outbox.process();
+
+    expect(due.status).toBe('sent');
+    expect(later.status).toBe('pending');
+  });
+
+  test('tells the status listener about every settled attempt and retry', async () => {
+    const listener = jest.fn();
+    outbox.setStatusListener(item => listener(item.status));
+    sender.mockRejectedValueOnce(httpError(403));
+    const { item } = outbox.enqueue({ agentId: 'agent', task: 'post', content: 'gm' });
+
+    await outbox.deliver(item);
+    outbox.retry(item.id);
+    await outbox.deliver(item);
+
+    expect(listener.mock.calls.map(call => call[0])).toEqual(['dead', 'pending', 'sent']);
+  });
+
+  test('survives a restart, putting interrupted sends back in the queue', () => {
+    const { item } = outbox.enqueue({ agentId: 'agent', task: 'reply', content: 'no', replyToTweetId: '42' });
+    item.status = 'sending';
+    outbox.save();
+
+    const restarted = new Outbox({ filePath: outbox.filePath, tickMs: 60 * 1000 });
+    restarted.start();
+    restarted.stop();
+
+    expect(restarted.getByKey('agent:reply:42').status).toBe('pending');
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RateLimitManager = require('../../src/twitter/rate-limit-manager');
+
+const MENTIONS_URL = 'https://api.twitter.com/2/users/123/mentions';
+const TWEETS_URL = 'https://api.twitter.com/2/tweets';
+const MENTIONS = 'GET /2/users/:id/mentions';
+
+describe('RateLimitManager', () => {
+  let tempDir;
+  let manager;
+
+  // Drive the manager through its twitter-api-v2 plugin, like a client would
+  const before = (account, method, url) => manager.plugin(account).onBeforeRequest({ url: new URL(url), params: { method } });
+  const respond = (account, method, url, rateLimit = null, headers = {}) => manager.plugin(account)
+    .onAfterRequest({ url: new URL(url), params: { method }, response: { rateLimit, headers } });
+  const fail = (account, method, url, error) => manager.plugin(account)
+    .onResponseError({ url: new URL(url), params: { method }, error });
+  const inSeconds = seconds => Math.ceil(Date.now() / 1000) + seconds;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limits-'));
+    manager = new RateLimitManager({ dailyTweetLimit: 2, maxWaitMs: 0, filePath: path.join(tempDir, 'rate_limits.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('keys endpoints with IDs replaced', () => {
+    expect(RateLimitManager.endpointOf('get', MENTIONS_URL)).toBe(MENTIONS);
+    expect(RateLimitManager.endpointOf('post', 'http://localhost:4100/2/tweets')).toBe(RateLimitManager.TWEET_ENDPOINT);
+  });
+
+  test('tracks buckets per account from the x-rate-limit headers', () => {
+    respond('agent', 'GET', MENTIONS_URL, { limit: 75, remaining: 0, reset: inSeconds(600) });
+
+    expect(manager.getDelay('agent', MENTIONS)).toBeGreaterThan(0);
+    expect(manager.getDelay('other-agent', MENTIONS)).toBe(0);
+  });
+
+  test('defers calls on an exhausted bucket until its reset', async () => {
+    const reset = inSeconds(600);
+    respond('agent', 'GET', MENTIONS_URL, { limit: 75, remaining: 0, reset });
+
+    await expect(before('agent', 'GET', MENTIONS_URL)).rejects.toMatchObject({
+      code: 429,
+      deferred: true,
+      retryAt: reset * 1000
+    });
+  });
+
+  test('closes the window for 15 minutes on a 429 without headers', () => {
+    const error = { code: 429 };
+    fail('agent', 'GET', MENTIONS_URL, error);
+
+    expect(error.retryAt).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+    expect(manager.getDelay('agent', MENTIONS)).toBeGreaterThan(0);
+  });
+
+  test('enforces the daily tweet cap per account', async () => {
+    respond('agent', 'POST', TWEETS_URL);
+    respond('agent', 'POST', TWEETS_URL);
+
+    await expect(before('agent', 'POST', TWEETS_URL)).rejects.toMatchObject({ code: 429, deferred: true });
+    await expect(before('other-agent', 'POST', TWEETS_URL)).resolves.toBeUndefined();
+    expect(manager.getState().find(state => state.account === 'agent').tweets).toMatchObject({ used: 2, remaining: 0 });
+  });
+
+  test('honours the x-user-limit-24hour headers', () => {
+    respond('agent', 'POST', TWEETS_URL, null, {
+      'x-user-limit-24hour-limit': '17',
+      'x-user-limit-24hour-remaining': '0',
+      'x-user-limit-24hour-reset': String(inSeconds(3600))
+    });
+
+    expect(manager.getTweetDelay('agent')).toBeGreaterThan(59 * 60 * 1000);
+  });
+
+  test('only tracks when enforcement is off', async () => {
+    manager.enforce = false;
+    respond('agent', 'POST', TWEETS_URL);
+    respond('agent', 'POST', TWEETS_URL);
+
+    await expect(before('agent', 'POST', TWEETS_URL)).resolves.toBeUndefined();
+  });
+
+  test('keeps tweet counts across restarts', () => {
+    respond('agent', 'POST', TWEETS_URL);
+
+    const restarted = new RateLimitManager({ dailyTweetLimit: 2, filePath: manager.filePath });
+
+    expect(restarted.getState()[0].tweets.used).toBe(1);
+  });
+});
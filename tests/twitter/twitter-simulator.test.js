@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TwitterSimulator = require('../../src/twitter/twitter-simulator');
+const TwitterClient = require('../../src/twitter/twitter-client');
+const RateLimitManager = require('../../src/twitter/rate-limit-manager');
+
+const CREDENTIALS = {
+  apiKey: 'sim-key',
+  apiKeySecret: 'sim-key-secret',
+  accessToken: 'sim-access-token',
+  accessTokenSecret: 'sim-access-secret'
+};
+
+describe('TwitterSimulator', () => {
+  let simulator;
+  let client;
+  let tempDir;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    simulator = new TwitterSimulator({ port: 0 });
+    await simulator.start();
+  });
+
+  afterAll(async () => {
+    await simulator.stop();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    simulator.reset();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'twitter-simulator-'));
+    client = new TwitterClient({
+      apiBaseUrl: simulator.baseUrl,
+      rateLimitManager: new RateLimitManager({ filePath: path.join(tempDir, 'rate_limits.json') })
+    });
+    client.registerAgentClient('pumpcantfun', CREDENTIALS);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('posts tweets as the bot account', async () => {
+    const tweet = await client.postTweet('pumpcantfun', 'still suspended, still posting');
+
+    expect(simulator.tweets[tweet.id]).toMatchObject({
+      text: 'still suspended, still posting',
+      author_id: simulator.botUser.id
+    });
+  });
+
+  test('threads replies into the mention conversation', async () => {
+    const mention = simulator.mention('degen42', '@pumpcantfun when relaunch?');
+    const reply = await client.postTweet('pumpcantfun', 'never', { replyToTweetId: mention.id });
+
+    const conversation = simulator.getConversation(mention.conversation_id);
+    expect(conversation.map(tweet => tweet.id)).toEqual([mention.id, reply.id]);
+    expect(simulator.tweets[reply.id].in_reply_to_user_id).toBe(mention.author_id);
+  });
+
+  test('returns mentions newer than since_id with their authors', async () => {
+    const first = simulator.mention('degen42', '@pumpcantfun gm');
+    simulator.mention('rugwatcher', '@PumpCantFun ser?');
+    simulator.createTweet(simulator.botUser.id, 'not a mention of anyone');
+
+    const mentions = await client.getAgentMentions('pumpcantfun', { sinceId: first.id });
+
+    expect(mentions).toHaveLength(1);
+    expect(mentions[0].content).toBe('@PumpCantFun ser?');
+    expect(mentions[0].authorUsername).toBe('rugwatcher');
+  });
+
+  test('rejects duplicate tweets from the same account', async () => {
+    await client.postTweet('pumpcantfun', 'same joke twice');
+
+    await expect(client.postTweet('pumpcantfun', 'same joke twice')).rejects.toMatchObject({ code: 403 });
+  });
+
+  test('passes injected 429s on and holds back calls until the window resets', async () => {
+    simulator.injectError('mentions', 429);
+
+    await expect(client.getAgentMentions('pumpcantfun')).rejects.toMatchObject({ code: 429 });
+    expect(simulator.injectedErrors.mentions).toHaveLength(0);
+    await expect(client.getAgentMentions('pumpcantfun')).rejects.toMatchObject({ code: 429, deferred: true });
+  });
+
+  test('refuses unknown endpoints for error injection', () => {
+    expect(() => simulator.injectError('dms', 500)).toThrow('Unknown simulator endpoint: dms');
+  });
+});